@@ -0,0 +1,199 @@
+/**
+ * OSC 1.0 address pattern matching
+ *
+ * Supported syntax (matched against one address part at a time, so no
+ * wildcard crosses a '/'):
+ *   ?          any single character
+ *   *          any sequence of zero or more characters
+ *   [abc]      any character in the list; ranges like [a-z] are allowed
+ *   [!abc]     any character not in the list
+ *   {foo,bar}  any of the comma-separated strings
+ *
+ * Every wildcard is a capture group, numbered from 1 left to right, so
+ * rewrite rules can reuse the matched text.
+ */
+
+const cache = new Map();
+const MAX_CACHE = 1000;
+
+/**
+ * Translate one bracket expression starting at pattern[start] ('[')
+ * @param {string} pattern - Full pattern
+ * @param {number} start - Index of '['
+ * @returns {{source: string, end: number}} Regex source and index of ']'
+ */
+function translateBracket(pattern, start) {
+  const end = pattern.indexOf(']', start + 1);
+  if (end === -1) {
+    throw new Error(`Unclosed '[' at position ${start}`);
+  }
+
+  let body = pattern.slice(start + 1, end);
+  const negate = body.startsWith('!');
+  if (negate) body = body.slice(1);
+
+  if (body.length === 0) {
+    throw new Error(`Empty character list at position ${start}`);
+  }
+  if (body.includes('/')) {
+    throw new Error(`'/' is not allowed in a character list (position ${start})`);
+  }
+
+  // Escape everything but '-', which keeps its range meaning; a leading or
+  // trailing '-' stays literal, as in a regex character class
+  const escaped = body.replace(/[\\\]^[]/g, '\\$&');
+  return { source: negate ? `([^/${escaped}])` : `([${escaped}])`, end };
+}
+
+/**
+ * Translate one alternative list starting at pattern[start] ('{')
+ * @param {string} pattern - Full pattern
+ * @param {number} start - Index of '{'
+ * @returns {{source: string, end: number}} Regex source and index of '}'
+ */
+function translateBraces(pattern, start) {
+  const end = pattern.indexOf('}', start + 1);
+  if (end === -1) {
+    throw new Error(`Unclosed '{' at position ${start}`);
+  }
+
+  const body = pattern.slice(start + 1, end);
+  if (/[{/]/.test(body)) {
+    throw new Error(`'{' and '/' are not allowed inside {} (position ${start})`);
+  }
+
+  const alternatives = body.split(',').map(escapeRegex);
+  return { source: `(${alternatives.join('|')})`, end };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile an OSC address pattern to a regular expression
+ * @param {string} pattern - Address pattern, e.g. "/mixer/{1,2}/fader*"
+ * @returns {RegExp} Expression matching whole addresses
+ * @throws {Error} If the pattern is malformed
+ */
+function compilePattern(pattern) {
+  if (cache.has(pattern)) return cache.get(pattern);
+
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw new Error('Address patterns must start with /');
+  }
+  if (/[\s#]/.test(pattern)) {
+    throw new Error('Address patterns cannot contain spaces or #');
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    let part;
+
+    switch (char) {
+      case '?':
+        source += '([^/])';
+        break;
+      case '*':
+        source += '([^/]*)';
+        break;
+      case '[':
+        part = translateBracket(pattern, i);
+        source += part.source;
+        i = part.end;
+        break;
+      case '{':
+        part = translateBraces(pattern, i);
+        source += part.source;
+        i = part.end;
+        break;
+      case ']':
+      case '}':
+        throw new Error(`Unexpected '${char}' at position ${i}`);
+      default:
+        source += escapeRegex(char);
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  if (cache.size >= MAX_CACHE) cache.clear();
+  cache.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Check whether an address matches a pattern
+ * @param {string} pattern - Address pattern
+ * @param {string} address - Concrete OSC address
+ * @returns {boolean} True if the address matches
+ */
+function matchAddress(pattern, address) {
+  return compilePattern(pattern).test(address);
+}
+
+/**
+ * Match an address and return the text of each wildcard
+ * @param {string} pattern - Address pattern
+ * @param {string} address - Concrete OSC address
+ * @returns {Array<string>|null} Captures ($1 first), or null if no match
+ */
+function captureAddress(pattern, address) {
+  const match = compilePattern(pattern).exec(address);
+  return match ? match.slice(1) : null;
+}
+
+/**
+ * Number of capture groups (wildcards) in a pattern
+ * @param {string} pattern - Address pattern
+ * @returns {number} Capture count
+ */
+function captureCount(pattern) {
+  return new RegExp(`${compilePattern(pattern).source}|`).exec('').length - 1;
+}
+
+/**
+ * Validate an address pattern
+ * @param {string} pattern - Address pattern
+ * @returns {string|null} Error message, or null if the pattern is valid
+ */
+function validatePattern(pattern) {
+  try {
+    compilePattern(pattern);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Build a predicate from a forwarder's routing rules
+ *
+ * With no rules every address passes. Include rules turn the forwarder
+ * into an allow-list: the address must match at least one of them.
+ * An address matching any exclude rule never passes.
+ *
+ * @param {Array<{action: string, pattern: string}>} routes - Routing rules
+ * @returns {Function|null} (address) => boolean, or null if there are no rules
+ */
+function createRouteFilter(routes) {
+  if (!routes || routes.length === 0) return null;
+
+  const includes = routes.filter(r => r.action === 'include').map(r => compilePattern(r.pattern));
+  const excludes = routes.filter(r => r.action === 'exclude').map(r => compilePattern(r.pattern));
+
+  return (address) => {
+    if (!address) return false;
+    if (includes.length > 0 && !includes.some(regex => regex.test(address))) return false;
+    return !excludes.some(regex => regex.test(address));
+  };
+}
+
+module.exports = {
+  compilePattern,
+  matchAddress,
+  captureAddress,
+  captureCount,
+  validatePattern,
+  createRouteFilter
+};
@@ -0,0 +1,335 @@
+/**
+ * Alert rules evaluated against the live metrics
+ *
+ * Every metrics update (about one per second) is checked against the
+ * enabled rules. An alert fires once its condition has held for the rule's
+ * duration and stays active until the condition clears or its subject stops
+ * running. Acknowledging silences the current alert; snoozing silences
+ * every alert of the rule and subject until the snooze ends, after which an
+ * alert that is still active fires again.
+ *
+ *   forwarder-disconnected  A forwarder not connected for `duration` seconds
+ *   loss-above              More than `threshold` % of a listener's messages
+ *                           dropped over the last `duration` seconds
+ *   rate-zero               A running listener receiving nothing for
+ *                           `duration` seconds
+ */
+
+const ALERT_TYPES = {
+  'forwarder-disconnected': { label: 'Forwarder disconnected', subject: 'forwarder' },
+  'loss-above': { label: 'Loss above threshold', subject: 'listener' },
+  'rate-zero': { label: 'No incoming messages', subject: 'listener' }
+};
+
+const ALERT_SOUNDS = ['none', 'chime', 'alarm'];
+
+// Longest duration a rule can have (also bounds the loss history kept)
+const MAX_DURATION = 3600;
+
+/**
+ * Validate an alert rule
+ * @param {Object} rule - { name, type, threshold, duration, sound }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAlertRule(rule) {
+  if (!rule.name || !String(rule.name).trim()) return 'name is required';
+  if (!ALERT_TYPES[rule.type]) return `unknown alert type "${rule.type}"`;
+  if (rule.sound !== undefined && !ALERT_SOUNDS.includes(rule.sound)) return `unknown sound "${rule.sound}"`;
+
+  const duration = Number(rule.duration);
+  if (!Number.isInteger(duration) || duration < 1 || duration > MAX_DURATION) {
+    return `duration must be a whole number of seconds from 1 to ${MAX_DURATION}`;
+  }
+
+  if (rule.type === 'loss-above') {
+    const threshold = Number(rule.threshold);
+    if (rule.threshold === null || rule.threshold === undefined || !(threshold >= 0 && threshold < 100)) {
+      return 'loss threshold must be a percentage from 0 to 100';
+    }
+  }
+
+  if (rule.forwarder_id && ALERT_TYPES[rule.type].subject !== 'forwarder') {
+    return 'only forwarder alerts can watch a single forwarder';
+  }
+
+  return null;
+}
+
+// Listeners or forwarders in a metrics update that a rule watches
+function ruleSubjects(rule, listeners) {
+  const inScope = listeners.filter(listener => !rule.listener_id || listener.id === rule.listener_id);
+
+  if (ALERT_TYPES[rule.type].subject === 'listener') {
+    return inScope.map(listener => ({ type: 'listener', id: listener.id, name: listener.name, metrics: listener }));
+  }
+
+  return inScope.flatMap(listener => (listener.forwarders || [])
+    .filter(forwarder => !rule.forwarder_id || forwarder.id === rule.forwarder_id)
+    .map(forwarder => ({
+      type: 'forwarder',
+      id: forwarder.id,
+      name: `${listener.name} → ${forwarder.name}`,
+      metrics: forwarder
+    })));
+}
+
+// Fields that decide when a rule fires (other edits keep its active alerts)
+function conditionKey(rule) {
+  return JSON.stringify([rule.type, rule.listener_id, rule.forwarder_id, rule.threshold, rule.duration]);
+}
+
+function formatPct(value) {
+  return `${Math.round(value * 10) / 10}%`;
+}
+
+class AlertMonitor {
+  constructor() {
+    this.rules = [];
+    this.alerts = new Map(); // key -> alert (condition holding, firing or not yet)
+    this.snoozes = new Map(); // key -> snoozed until (ms)
+    this.counters = new Map(); // listener ID -> [{ time, total, dropped }]
+  }
+
+  /**
+   * Replace the rules (alerts of removed rules, or rules whose condition
+   * changed, are dropped)
+   * @param {Array} rules - Alert rule rows (ProxyDatabase#getAlertRules)
+   * @returns {boolean} True if the active alerts changed
+   */
+  setRules(rules) {
+    const kept = new Map(rules.filter(rule => rule.enabled).map(rule => [rule.id, rule]));
+    let changed = false;
+
+    this.alerts.forEach((alert, key) => {
+      const rule = kept.get(alert.rule_id);
+      if (!rule || conditionKey(rule) !== alert.condition) {
+        changed = changed || alert.firing;
+        this.alerts.delete(key);
+        return;
+      }
+      if (alert.rule_name !== rule.name || alert.sound !== rule.sound || alert.notify !== Boolean(rule.notify)) {
+        Object.assign(alert, { rule_name: rule.name, sound: rule.sound, notify: Boolean(rule.notify) });
+        changed = changed || alert.firing;
+      }
+    });
+
+    this.rules = [...kept.values()];
+    return changed;
+  }
+
+  /**
+   * Forget all alerts and counters (the engine stopped)
+   * @returns {boolean} True if active alerts were dropped
+   */
+  clear() {
+    const changed = this.active().length > 0;
+    this.alerts.clear();
+    this.counters.clear();
+    return changed;
+  }
+
+  /**
+   * Check one metrics update against the rules
+   * @param {Object} payload - metrics-update payload { listeners }
+   * @param {number} now - Current time (ms)
+   * @returns {Object} { fired, changed } - alerts to announce now, and
+   *   whether the active alerts changed
+   */
+  evaluate(payload, now = Date.now()) {
+    const listeners = payload.listeners || [];
+    this.trackCounters(listeners, now);
+
+    const fired = [];
+    const seen = new Set();
+    let changed = false;
+
+    this.rules.forEach(rule => {
+      ruleSubjects(rule, listeners).forEach(subject => {
+        const key = `${rule.id}:${subject.type}:${subject.id}`;
+        const condition = this.check(rule, subject, now);
+        if (!condition) return;
+
+        seen.add(key);
+        let alert = this.alerts.get(key);
+        if (!alert) {
+          alert = {
+            key,
+            rule_id: rule.id,
+            condition: conditionKey(rule),
+            rule_name: rule.name,
+            type: rule.type,
+            sound: rule.sound,
+            notify: Boolean(rule.notify),
+            subject: { type: subject.type, id: subject.id, name: subject.name },
+            since: now - (condition.heldMs || 0),
+            firing: false,
+            fired_at: null,
+            message: null,
+            acknowledged: false,
+            announced: false
+          };
+          this.alerts.set(key, alert);
+        }
+
+        if (!alert.firing && now - alert.since >= rule.duration * 1000) {
+          alert.firing = true;
+          alert.fired_at = now;
+          alert.message = condition.message;
+          changed = true;
+        }
+
+        // A snoozed alert is announced when the snooze ends
+        if (alert.firing && !alert.announced && !alert.acknowledged && !this.isSnoozed(key, now)) {
+          alert.announced = true;
+          fired.push(this.describe(alert, now));
+          changed = true;
+        }
+      });
+    });
+
+    this.alerts.forEach((alert, key) => {
+      if (seen.has(key)) return;
+      changed = changed || alert.firing;
+      this.alerts.delete(key);
+    });
+
+    this.snoozes.forEach((until, key) => {
+      if (until > now) return;
+      this.snoozes.delete(key);
+      changed = true;
+    });
+
+    return { fired, changed };
+  }
+
+  // Whether a rule's condition holds for a subject now: { message, heldMs } or null
+  check(rule, subject, now) {
+    const { metrics } = subject;
+
+    switch (rule.type) {
+      case 'forwarder-disconnected':
+        if (metrics.connected) return null;
+        return { message: `${subject.name} disconnected for more than ${rule.duration}s` };
+
+      case 'rate-zero':
+        if (metrics.rate > 0) return null;
+        return { message: `${subject.name} received no messages for ${rule.duration}s` };
+
+      case 'loss-above': {
+        const loss = this.windowLoss(subject.id, rule.duration, now);
+        if (loss === null || loss <= rule.threshold) return null;
+        // The loss is already measured over the rule's duration
+        return {
+          message: `${subject.name} dropped ${formatPct(loss)} of messages over ${rule.duration}s (limit ${formatPct(rule.threshold)})`,
+          heldMs: rule.duration * 1000
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // Keep each listener's counters long enough for the longest loss rule
+  trackCounters(listeners, now) {
+    const keepMs = Math.max(0, ...this.rules.filter(rule => rule.type === 'loss-above').map(rule => rule.duration)) * 1000;
+    const running = new Set();
+
+    listeners.forEach(listener => {
+      running.add(listener.id);
+      let samples = this.counters.get(listener.id) || [];
+      const last = samples[samples.length - 1];
+      // The listener restarted: its counters start from zero again
+      if (last && listener.total < last.total) samples = [];
+
+      samples.push({ time: now, total: listener.total || 0, dropped: listener.dropped || 0 });
+      while (samples.length > 1 && samples[1].time <= now - keepMs) samples.shift();
+      this.counters.set(listener.id, samples);
+    });
+
+    [...this.counters.keys()].forEach(id => {
+      if (!running.has(id)) this.counters.delete(id);
+    });
+  }
+
+  // Percentage of a listener's messages dropped over the last `seconds`
+  windowLoss(listenerId, seconds, now) {
+    const samples = this.counters.get(listenerId) || [];
+    if (samples.length < 2) return null;
+
+    const cutoff = now - seconds * 1000;
+    const base = samples.find(sample => sample.time >= cutoff) || samples[0];
+    const current = samples[samples.length - 1];
+    const total = current.total - base.total;
+    if (total <= 0) return null;
+    return (current.dropped - base.dropped) * 100 / total;
+  }
+
+  isSnoozed(key, now = Date.now()) {
+    return (this.snoozes.get(key) || 0) > now;
+  }
+
+  /**
+   * Acknowledge an active alert (silences it until it clears and fires again)
+   * @param {string} key - Alert key
+   * @returns {boolean} True if the alert was active
+   */
+  acknowledge(key) {
+    const alert = this.alerts.get(key);
+    if (!alert || !alert.firing) return false;
+    alert.acknowledged = true;
+    alert.announced = true;
+    return true;
+  }
+
+  /**
+   * Silence a rule's alerts for a subject for a while
+   * @param {string} key - Alert key
+   * @param {number} minutes - Snooze length
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} True if the alert was active
+   */
+  snooze(key, minutes, now = Date.now()) {
+    const alert = this.alerts.get(key);
+    if (!alert || !alert.firing) return false;
+    this.snoozes.set(key, now + minutes * 60 * 1000);
+    alert.announced = false;
+    return true;
+  }
+
+  describe(alert, now = Date.now()) {
+    return {
+      key: alert.key,
+      rule_id: alert.rule_id,
+      rule_name: alert.rule_name,
+      type: alert.type,
+      sound: alert.sound,
+      notify: alert.notify,
+      subject: alert.subject,
+      message: alert.message,
+      since: new Date(alert.since).toISOString(),
+      fired_at: new Date(alert.fired_at).toISOString(),
+      acknowledged: alert.acknowledged,
+      snoozed_until: this.isSnoozed(alert.key, now) ? new Date(this.snoozes.get(alert.key)).toISOString() : null
+    };
+  }
+
+  /**
+   * Alerts that are firing, oldest first
+   * @param {number} now - Current time (ms)
+   * @returns {Array} Alert descriptions
+   */
+  active(now = Date.now()) {
+    return [...this.alerts.values()]
+      .filter(alert => alert.firing)
+      .sort((a, b) => a.fired_at - b.fired_at)
+      .map(alert => this.describe(alert, now));
+  }
+}
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_SOUNDS,
+  validateAlertRule,
+  AlertMonitor
+};
@@ -0,0 +1,126 @@
+/**
+ * Differences between a running listener's configuration and the saved one
+ *
+ * Used by the engine to apply a settings change with as little disruption
+ * as possible, and by the app to show which saved edits the running engine
+ * has not picked up yet. Both sides are listener rows with nested
+ * forwarders (ProxyDatabase#getListener); only enabled forwarders count,
+ * since disabled ones are not running. The listener's enabled flag only
+ * decides what "Start All" starts, so it is not compared.
+ *
+ *   restart   Listener fields that need the socket rebound (the listener
+ *             restarts, with all its forwarders)
+ *   live      Listener fields applied in place (bundle scheduling)
+ *   forwarders.added     Forwarders to connect
+ *   forwarders.removed   Forwarders to close (IDs)
+ *   forwarders.replaced  Forwarders whose connection settings changed
+ *                        (closed and connected again)
+ *   forwarders.updated   Forwarders with only a new name, new rules or a
+ *                        new disconnect policy (applied in place, no
+ *                        reconnect); all of them when the listener's
+ *                        throttle rules changed
+ */
+
+const LISTENER_RESTART_FIELDS = [
+  'protocol', 'bind_address', 'port', 'max_message_size', 'framing', 'multicast_groups', 'multicast_interface'
+];
+
+const LISTENER_LIVE_FIELDS = ['schedule_bundles', 'max_lookahead'];
+
+const FORWARDER_RESTART_FIELDS = [
+  'protocol', 'host', 'port', 'framing', 'keepalive', 'keepalive_interval', 'nodelay', 'connect_timeout',
+  'broadcast', 'multicast_ttl', 'multicast_loopback'
+];
+
+const FORWARDER_POLICY_FIELDS = ['disconnect_policy', 'buffer_size', 'buffer_ttl'];
+
+function throttlesKey(throttles) {
+  return JSON.stringify((throttles || []).map(({ action, pattern, max_rate }) => [action, pattern, max_rate ?? null]));
+}
+
+function rulesKey(forwarder) {
+  const routes = (forwarder.routes || []).map(({ action, pattern }) => [action, pattern]);
+  const rewrites = (forwarder.rewrites || []).map(({ pattern, target, args }) => [pattern, target, args || null]);
+  return JSON.stringify({ routes, rewrites, throttles: throttlesKey(forwarder.throttles) });
+}
+
+function changedFields(before, after, fields) {
+  return fields.filter(field => before[field] !== after[field]);
+}
+
+/**
+ * Compare a running listener configuration with the saved one
+ * @param {Object} live - Configuration the engine runs
+ * @param {Object} saved - Configuration in the database
+ * @returns {Object} { changed, restart, live, renamed, forwarders: {added, removed, replaced, updated}, summary }
+ */
+function diffListener(live, saved) {
+  const summary = [];
+
+  const restart = changedFields(live, saved, LISTENER_RESTART_FIELDS);
+  restart.forEach(field => summary.push(`${field}: ${live[field]} → ${saved[field]}`));
+
+  const liveFields = changedFields(live, saved, LISTENER_LIVE_FIELDS);
+  liveFields.forEach(field => summary.push(`${field}: ${live[field]} → ${saved[field]}`));
+
+  const renamed = live.name !== saved.name;
+  if (renamed) summary.push(`name: ${live.name} → ${saved.name}`);
+
+  const throttled = throttlesKey(live.throttles) !== throttlesKey(saved.throttles);
+  if (throttled) summary.push('throttle rules changed');
+
+  const liveForwarders = new Map(live.forwarders.filter(f => f.enabled).map(f => [f.id, f]));
+  const savedForwarders = saved.forwarders.filter(f => f.enabled);
+  const forwarders = { added: [], removed: [], replaced: [], updated: [] };
+
+  savedForwarders.forEach(forwarder => {
+    const before = liveForwarders.get(forwarder.id);
+    if (!before) {
+      forwarders.added.push(forwarder);
+      summary.push(`forwarder ${forwarder.name}: added`);
+      return;
+    }
+
+    const fields = changedFields(before, forwarder, FORWARDER_RESTART_FIELDS);
+    if (fields.length > 0) {
+      forwarders.replaced.push(forwarder);
+      summary.push(`forwarder ${forwarder.name}: ${fields.join(', ')} changed`);
+      return;
+    }
+
+    const changes = [];
+    if (before.name !== forwarder.name) changes.push(`renamed from ${before.name}`);
+    if (rulesKey(before) !== rulesKey(forwarder)) changes.push('rules changed');
+    if (changedFields(before, forwarder, FORWARDER_POLICY_FIELDS).length > 0) {
+      changes.push('disconnect policy changed');
+    }
+    if (before.rebundle !== forwarder.rebundle) changes.push(forwarder.rebundle ? 'rebundling' : 'not rebundling');
+    if (changes.length > 0) summary.push(`forwarder ${forwarder.name}: ${changes.join(', ')}`);
+    if (changes.length > 0 || throttled) forwarders.updated.push(forwarder);
+  });
+
+  const savedIds = new Set(savedForwarders.map(f => f.id));
+  liveForwarders.forEach((forwarder, id) => {
+    if (!savedIds.has(id)) {
+      forwarders.removed.push(id);
+      summary.push(`forwarder ${forwarder.name}: removed`);
+    }
+  });
+
+  return {
+    changed: summary.length > 0,
+    restart,
+    live: liveFields,
+    renamed,
+    forwarders,
+    summary
+  };
+}
+
+module.exports = {
+  LISTENER_RESTART_FIELDS,
+  LISTENER_LIVE_FIELDS,
+  FORWARDER_RESTART_FIELDS,
+  FORWARDER_POLICY_FIELDS,
+  diffListener
+};
@@ -0,0 +1,499 @@
+/**
+ * Configuration import/export
+ *
+ * Files are JSON or YAML with the same shape:
+ *
+ *   listeners:
+ *     - name: LightKey
+ *       protocol: udp
+ *       bind_address: 0.0.0.0
+ *       port: 21650
+ *       multicast_groups: 239.0.0.1, 239.0.0.2
+ *       forwarders:
+ *         - name: GrandMA3
+ *           protocol: tcp
+ *           framing: length-prefix
+ *           host: 10.0.1.10
+ *           port: 9000
+ *           routes: [{ action: exclude, pattern: /meter/* }]
+ *           throttles: [{ action: limit, pattern: /fader/*, max_rate: 30 }]
+ *
+ * The output of ProxyDatabase#exportToJSON and the legacy single
+ * udp/tcp YAML (config/lightkey.yml) are accepted too.
+ *
+ * Importing is two steps: planImport() diffs a validated file against the
+ * current listeners for one of the IMPORT_MODES, and
+ * ProxyDatabase#importConfig() applies that plan.
+ */
+
+const yaml = require('js-yaml');
+const { validatePattern } = require('./address-pattern');
+const { validateRule } = require('./rewrite');
+const { validateDisconnectPolicy } = require('./engine/disconnect-buffer');
+const { validateThrottleRule } = require('./throttle');
+const { validateBundleScheduling } = require('./engine/bundle-scheduler');
+const { validateFraming } = require('./engine/framing');
+const { parseGroups, validateListenerMulticast, validateForwarderMulticast } = require('./engine/multicast');
+
+const FORMAT = 'osc-proxy';
+const FORMAT_VERSION = 1;
+
+const IMPORT_MODES = {
+  replace: 'Replace everything',
+  merge: 'Merge by name',
+  copy: 'Import as copies'
+};
+
+const LISTENER_PROTOCOLS = ['udp', 'tcp', 'ws'];
+const FORWARDER_PROTOCOLS = ['udp', 'tcp', 'ws'];
+
+const LISTENER_FIELDS = [
+  'enabled', 'protocol', 'bind_address', 'port', 'max_message_size', 'framing', 'schedule_bundles',
+  'max_lookahead', 'multicast_groups', 'multicast_interface', 'throttles'
+];
+const FORWARDER_FIELDS = [
+  'enabled', 'protocol', 'host', 'port', 'framing', 'keepalive', 'keepalive_interval',
+  'nodelay', 'connect_timeout', 'disconnect_policy', 'buffer_size', 'buffer_ttl', 'rebundle',
+  'broadcast', 'multicast_ttl', 'multicast_loopback', 'routes', 'rewrites', 'throttles'
+];
+
+// ==================== EXPORT ====================
+
+function exportListener(listener) {
+  const exported = { name: listener.name };
+  LISTENER_FIELDS.forEach(field => { exported[field] = listener[field]; });
+  exported.throttles = exportThrottles(listener.throttles);
+  exported.forwarders = (listener.forwarders || []).map(exportForwarder);
+  return exported;
+}
+
+function exportForwarder(forwarder) {
+  const exported = { name: forwarder.name };
+  FORWARDER_FIELDS.forEach(field => { exported[field] = forwarder[field]; });
+  exported.rewrites = (forwarder.rewrites || []).map(rule => ({
+    pattern: rule.pattern,
+    target: rule.target,
+    ...(rule.args ? { args: rule.args } : {})
+  }));
+  exported.routes = (forwarder.routes || []).map(route => ({ action: route.action, pattern: route.pattern }));
+  exported.throttles = exportThrottles(forwarder.throttles);
+  return exported;
+}
+
+function exportThrottles(throttles) {
+  return (throttles || []).map(rule => ({
+    action: rule.action,
+    pattern: rule.pattern,
+    ...(rule.action === 'limit' ? { max_rate: rule.max_rate } : {})
+  }));
+}
+
+/**
+ * Serialize listeners for an export file
+ * @param {Array} listeners - Listeners with nested forwarders (ProxyDatabase#getAllListeners)
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string} File contents
+ */
+function serializeConfig(listeners, format = 'json') {
+  const config = {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    listeners: listeners.map(exportListener)
+  };
+
+  if (format === 'yaml') {
+    return yaml.dump(config, { noRefs: true, lineWidth: -1 });
+  }
+  return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+// ==================== PARSING AND VALIDATION ====================
+
+/**
+ * Parse an import file
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'yaml' (YAML also reads JSON)
+ * @returns {Object} Parsed document
+ * @throws {Error} If the file is not valid JSON/YAML
+ */
+function parseConfig(text, format = 'yaml') {
+  const parsed = format === 'json' ? JSON.parse(text) : yaml.load(text);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Expected a document with a "listeners" list');
+  }
+  return parsed;
+}
+
+/**
+ * Format for a file name
+ * @param {string} filePath - File name or path
+ * @returns {string} 'json' or 'yaml'
+ */
+function formatForPath(filePath) {
+  return /\.json$/i.test(filePath) ? 'json' : 'yaml';
+}
+
+// Old single-listener YAML: { udp: {...}, tcp: {...} }, as in migrateFromYAML
+function fromLegacyYAML(doc) {
+  return {
+    listeners: [{
+      name: 'Default',
+      enabled: true,
+      protocol: 'udp',
+      bind_address: doc.udp?.bind || '0.0.0.0',
+      port: doc.udp?.port || 8000,
+      max_message_size: doc.udp?.max_message_size || 8192,
+      forwarders: [{
+        name: 'Default Forwarder',
+        enabled: true,
+        protocol: 'tcp',
+        host: doc.tcp?.host || '127.0.0.1',
+        port: doc.tcp?.port || 9000,
+        keepalive: doc.tcp?.keepalive !== false,
+        keepalive_interval: doc.tcp?.keepalive_interval || 10,
+        nodelay: doc.tcp?.nodelay !== false,
+        connect_timeout: doc.tcp?.connect_timeout || 5
+      }]
+    }]
+  };
+}
+
+function isPort(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function booleanOr(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  return Boolean(value);
+}
+
+function normalizeRoutes(routes, where, errors) {
+  if (routes === undefined || routes === null) return [];
+  if (!Array.isArray(routes)) {
+    errors.push(`${where}: routes must be a list`);
+    return [];
+  }
+
+  return routes.map((route, i) => {
+    const action = route?.action;
+    const pattern = route?.pattern;
+    if (action !== 'include' && action !== 'exclude') {
+      errors.push(`${where}: routes[${i}].action must be include or exclude`);
+    }
+    const error = validatePattern(pattern);
+    if (error) {
+      errors.push(`${where}: routes[${i}] "${pattern}": ${error}`);
+    }
+    return { action, pattern };
+  });
+}
+
+function normalizeRewrites(rewrites, where, errors) {
+  if (rewrites === undefined || rewrites === null) return [];
+  if (!Array.isArray(rewrites)) {
+    errors.push(`${where}: rewrites must be a list`);
+    return [];
+  }
+
+  return rewrites.map((rule, i) => {
+    const normalized = { pattern: rule?.pattern, target: rule?.target, args: rule?.args || null };
+    const error = validateRule(normalized);
+    if (error) {
+      errors.push(`${where}: rewrites[${i}] "${normalized.pattern}": ${error}`);
+    }
+    return normalized;
+  });
+}
+
+function normalizeThrottles(throttles, where, errors) {
+  if (throttles === undefined || throttles === null) return [];
+  if (!Array.isArray(throttles)) {
+    errors.push(`${where}: throttles must be a list`);
+    return [];
+  }
+
+  return throttles.map((rule, i) => {
+    const normalized = { action: rule?.action, pattern: rule?.pattern, max_rate: rule?.max_rate ?? null };
+    const error = validateThrottleRule(normalized);
+    if (error) {
+      errors.push(`${where}: throttles[${i}] "${normalized.pattern}": ${error}`);
+    }
+    return normalized;
+  });
+}
+
+function normalizeForwarder(raw, where, errors) {
+  const forwarder = {
+    name: raw.name || (raw.host && raw.port ? `${raw.host}:${raw.port}` : ''),
+    enabled: booleanOr(raw.enabled, true),
+    protocol: raw.protocol || 'tcp',
+    host: raw.host,
+    port: raw.port,
+    framing: raw.framing ?? 'slip-double',
+    keepalive: booleanOr(raw.keepalive, true),
+    keepalive_interval: raw.keepalive_interval ?? 10,
+    nodelay: booleanOr(raw.nodelay, true),
+    connect_timeout: raw.connect_timeout ?? 5,
+    disconnect_policy: raw.disconnect_policy ?? 'drop',
+    buffer_size: raw.buffer_size ?? 100,
+    buffer_ttl: raw.buffer_ttl ?? 10,
+    rebundle: booleanOr(raw.rebundle, false),
+    broadcast: booleanOr(raw.broadcast, false),
+    multicast_ttl: raw.multicast_ttl ?? 1,
+    multicast_loopback: booleanOr(raw.multicast_loopback, false)
+  };
+  where = `${where} forwarder "${forwarder.name || '?'}"`;
+
+  if (!forwarder.name) errors.push(`${where}: name is required`);
+  if (!FORWARDER_PROTOCOLS.includes(forwarder.protocol)) {
+    errors.push(`${where}: protocol must be one of ${FORWARDER_PROTOCOLS.join(', ')}`);
+  }
+  if (typeof forwarder.host !== 'string' || !forwarder.host) errors.push(`${where}: host is required`);
+  if (!isPort(forwarder.port)) errors.push(`${where}: port must be an integer from 1 to 65535`);
+  const framingError = validateFraming(forwarder.framing);
+  if (framingError) errors.push(`${where}: ${framingError}`);
+  if (!isPositiveInteger(forwarder.keepalive_interval)) errors.push(`${where}: keepalive_interval must be a positive integer`);
+  if (!isPositiveInteger(forwarder.connect_timeout)) errors.push(`${where}: connect_timeout must be a positive integer`);
+  const policyError = validateDisconnectPolicy(forwarder);
+  if (policyError) errors.push(`${where}: ${policyError}`);
+  const multicastError = validateForwarderMulticast(forwarder);
+  if (multicastError) errors.push(`${where}: ${multicastError}`);
+
+  forwarder.routes = normalizeRoutes(raw.routes, where, errors);
+  forwarder.rewrites = normalizeRewrites(raw.rewrites, where, errors);
+  forwarder.throttles = normalizeThrottles(raw.throttles, where, errors);
+  return forwarder;
+}
+
+function normalizeListener(raw, errors) {
+  const listener = {
+    name: typeof raw.name === 'string' ? raw.name.trim() : '',
+    enabled: booleanOr(raw.enabled, true),
+    protocol: raw.protocol || 'udp',
+    bind_address: raw.bind_address || raw.bind || '0.0.0.0',
+    port: raw.port,
+    max_message_size: raw.max_message_size ?? 8192,
+    framing: raw.framing ?? 'slip-double',
+    schedule_bundles: booleanOr(raw.schedule_bundles, false),
+    max_lookahead: raw.max_lookahead ?? 10,
+    multicast_groups: parseGroups(raw.multicast_groups).join(','),
+    multicast_interface: raw.multicast_interface ?? ''
+  };
+  const where = `Listener "${listener.name || '?'}"`;
+
+  if (!listener.name) errors.push(`${where}: name is required`);
+  if (!LISTENER_PROTOCOLS.includes(listener.protocol)) {
+    errors.push(`${where}: protocol must be one of ${LISTENER_PROTOCOLS.join(', ')}`);
+  }
+  if (!isPort(listener.port)) errors.push(`${where}: port must be an integer from 1 to 65535`);
+  if (!isPositiveInteger(listener.max_message_size)) errors.push(`${where}: max_message_size must be a positive integer`);
+  const framingError = validateFraming(listener.framing);
+  if (framingError) errors.push(`${where}: ${framingError}`);
+  const schedulingError = validateBundleScheduling(listener);
+  if (schedulingError) errors.push(`${where}: ${schedulingError}`);
+  const multicastError = validateListenerMulticast(listener);
+  if (multicastError) errors.push(`${where}: ${multicastError}`);
+  listener.throttles = normalizeThrottles(raw.throttles, where, errors);
+
+  const forwarders = raw.forwarders ?? [];
+  if (!Array.isArray(forwarders)) {
+    errors.push(`${where}: forwarders must be a list`);
+    listener.forwarders = [];
+  } else {
+    listener.forwarders = forwarders.map(f => normalizeForwarder(f || {}, where, errors));
+  }
+  return listener;
+}
+
+/**
+ * Validate a parsed import file and fill in defaults
+ * @param {Object} doc - Parsed document (see parseConfig)
+ * @returns {{listeners: Array, errors: Array<string>}} Normalized listeners and problems found
+ */
+function validateConfig(doc) {
+  if (!doc.listeners && (doc.udp || doc.tcp)) {
+    doc = fromLegacyYAML(doc);
+  }
+
+  if (doc.format && doc.format !== FORMAT) {
+    return { listeners: [], errors: [`Not an OSC Proxy configuration (format "${doc.format}")`] };
+  }
+  if (doc.version && doc.version > FORMAT_VERSION) {
+    return { listeners: [], errors: [`Configuration version ${doc.version} is newer than this app supports (${FORMAT_VERSION})`] };
+  }
+  if (!Array.isArray(doc.listeners)) {
+    return { listeners: [], errors: ['Expected a "listeners" list'] };
+  }
+
+  const errors = [];
+  const listeners = doc.listeners.map(raw => normalizeListener(raw || {}, errors));
+
+  const seen = new Set();
+  listeners.forEach(listener => {
+    if (listener.name && seen.has(listener.name)) {
+      errors.push(`Listener "${listener.name}" appears more than once`);
+    }
+    seen.add(listener.name);
+  });
+
+  return { listeners, errors };
+}
+
+// ==================== IMPORT PLAN ====================
+
+function displayValue(value) {
+  if (Array.isArray(value)) return `${value.length} rule${value.length === 1 ? '' : 's'}`;
+  return String(value);
+}
+
+function comparable(field, value) {
+  if (field === 'rewrites') {
+    return JSON.stringify((value || []).map(rule => [rule.pattern, rule.target, rule.args || null]));
+  }
+  if (field === 'routes') {
+    return JSON.stringify((value || []).map(route => [route.action, route.pattern]));
+  }
+  if (field === 'throttles') {
+    return JSON.stringify((value || []).map(rule => [rule.action, rule.pattern, rule.max_rate ?? null]));
+  }
+  return JSON.stringify(value);
+}
+
+function diffFields(fields, current, imported) {
+  return fields
+    .filter(field => comparable(field, current[field]) !== comparable(field, imported[field]))
+    .map(field => ({ field, from: displayValue(current[field]), to: displayValue(imported[field]) }));
+}
+
+/**
+ * Match items by name, first come first served (names may repeat)
+ * @returns {Array<[Object|null, Object|null]>} [current, imported] pairs
+ */
+function matchByName(current, imported) {
+  const unmatched = [...current];
+  const pairs = imported.map(item => {
+    const index = unmatched.findIndex(candidate => candidate.name === item.name);
+    return [index === -1 ? null : unmatched.splice(index, 1)[0], item];
+  });
+  return [...pairs, ...unmatched.map(item => [item, null])];
+}
+
+function planForwarders(current, imported, keepUnmatched) {
+  return matchByName(current, imported)
+    .filter(([existing, item]) => item || !keepUnmatched || !existing)
+    .map(([existing, item]) => {
+      if (!item) return { action: 'delete', id: existing.id, name: existing.name, changes: [] };
+      if (!existing) return { action: 'create', name: item.name, data: item, changes: [] };
+
+      const changes = diffFields(FORWARDER_FIELDS, existing, item);
+      return { action: changes.length ? 'update' : 'unchanged', id: existing.id, name: item.name, data: item, changes };
+    });
+}
+
+function uniqueName(name, taken) {
+  let candidate = `${name} (copy)`;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${name} (copy ${n})`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+function portWarnings(listeners) {
+  const warnings = [];
+  const byPort = new Map();
+
+  listeners.forEach(listener => {
+    // WebSocket listeners take a TCP port too
+    const transport = listener.protocol === 'udp' ? 'UDP' : 'TCP';
+    const key = `${transport}:${listener.port}`;
+    const other = byPort.get(key);
+    // Multicast listeners share their port (SO_REUSEADDR)
+    const shared = other && other.multicast_groups && listener.multicast_groups;
+    if (other && listener.enabled && other.enabled && !shared) {
+      warnings.push(`"${other.name}" and "${listener.name}" both listen on ${transport} port ${listener.port}`);
+    }
+    if (!other || listener.enabled) byPort.set(key, listener);
+  });
+
+  return warnings;
+}
+
+/**
+ * Diff an import against the current configuration
+ *
+ * replace - afterwards the configuration equals the file; listeners and
+ *           forwarders with matching names are updated in place
+ * merge   - listeners/forwarders with matching names are updated, new ones
+ *           added, everything else is left alone
+ * copy    - every listener in the file is added, renamed if its name is taken
+ *
+ * @param {Array} current - Current listeners (ProxyDatabase#getAllListeners)
+ * @param {Array} imported - Validated listeners (validateConfig)
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Object} Plan: { mode, listeners, warnings, summary }
+ */
+function planImport(current, imported, mode) {
+  if (!IMPORT_MODES[mode]) {
+    throw new Error(`Unknown import mode: ${mode}`);
+  }
+
+  let listeners;
+  if (mode === 'copy') {
+    const taken = new Set(current.map(listener => listener.name));
+    listeners = imported.map(item => {
+      const name = taken.has(item.name) ? uniqueName(item.name, taken) : item.name;
+      taken.add(name);
+      return {
+        action: 'create',
+        name,
+        data: { ...item, name },
+        changes: [],
+        forwarders: planForwarders([], item.forwarders, false)
+      };
+    });
+  } else {
+    const keepUnmatched = mode === 'merge';
+    listeners = matchByName(current, imported)
+      .filter(([existing, item]) => item || !keepUnmatched || !existing)
+      .map(([existing, item]) => {
+        if (!item) {
+          return { action: 'delete', id: existing.id, name: existing.name, changes: [], forwarders: [] };
+        }
+        if (!existing) {
+          return { action: 'create', name: item.name, data: item, changes: [], forwarders: planForwarders([], item.forwarders, false) };
+        }
+
+        const changes = diffFields(LISTENER_FIELDS, existing, item);
+        const forwarders = planForwarders(existing.forwarders || [], item.forwarders, keepUnmatched);
+        const changed = changes.length > 0 || forwarders.some(f => f.action !== 'unchanged');
+        return { action: changed ? 'update' : 'unchanged', id: existing.id, name: item.name, data: item, changes, forwarders };
+      });
+  }
+
+  // Listeners as they will be after the import, for conflict warnings
+  const planned = new Set(listeners.filter(l => l.id).map(l => l.id));
+  const after = [
+    ...current.filter(listener => !planned.has(listener.id)),
+    ...listeners.filter(l => l.action !== 'delete').map(l => l.data)
+  ];
+
+  const summary = { create: 0, update: 0, delete: 0, unchanged: 0 };
+  listeners.forEach(listener => { summary[listener.action] += 1; });
+
+  return { mode, listeners, warnings: portWarnings(after), summary };
+}
+
+module.exports = {
+  IMPORT_MODES,
+  serializeConfig,
+  parseConfig,
+  formatForPath,
+  validateConfig,
+  planImport
+};
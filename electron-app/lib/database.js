@@ -1,89 +1,250 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { validatePattern } = require('./address-pattern');
+const { validateRule } = require('./rewrite');
+const { validateAlertRule } = require('./alerts');
+const { validateTestMessage, HISTORY_LIMIT } = require('./test-sender');
+const { validateDisconnectPolicy } = require('./engine/disconnect-buffer');
+const { validateThrottleRule } = require('./throttle');
+const { validateBundleScheduling } = require('./engine/bundle-scheduler');
+const { validateFraming } = require('./engine/framing');
+const { parseGroups, validateListenerMulticast, validateForwarderMulticast } = require('./engine/multicast');
+const { MIGRATIONS, isEmpty, currentVersion, pendingMigrations, runMigrations } = require('./migrations');
+
+const weightedAvg = column => `SUM(${column} * samples) * 1.0 / SUM(samples)`;
+
+// How each metrics column is combined into a rollup row
+const METRICS_TABLES = {
+  metrics_history: {
+    key: 'listener_id',
+    columns: {
+      rate: weightedAvg('rate'),
+      avg_rate: weightedAvg('avg_rate'),
+      peak_rate: 'MAX(peak_rate)',
+      latency: weightedAvg('latency'),
+      total: 'SUM(total)',
+      forwarded: 'SUM(forwarded)',
+      dropped: 'SUM(dropped)',
+      loss_pct: 'CASE WHEN SUM(total) > 0 THEN ROUND(SUM(dropped) * 100.0 / SUM(total), 2) ELSE 0 END'
+    }
+  },
+  forwarder_metrics_history: {
+    key: 'forwarder_id',
+    columns: {
+      connected: weightedAvg('connected'),
+      latency: weightedAvg('latency'),
+      forwarded: 'SUM(forwarded)',
+      dropped: 'SUM(dropped)',
+      failed: 'SUM(failed)',
+      filtered: 'SUM(filtered)'
+    }
+  }
+};
+
+// Rollup resolutions, in order: source rows and bucket start (ISO timestamps)
+const METRICS_ROLLUPS = {
+  minute: { source: 'raw', bucketMs: 60 * 1000, bucket: "substr(timestamp, 1, 16) || ':00.000Z'" },
+  hour: { source: 'minute', bucketMs: 60 * 60 * 1000, bucket: "substr(timestamp, 1, 13) || ':00:00.000Z'" }
+};
+
+// Test message rows with their arguments decoded
+const parseTestMessage = row => ({ ...row, args: JSON.parse(row.args) });
 
 class ProxyDatabase {
-  constructor(dbPath) {
+  /**
+   * Open (or create) the database and apply pending schema migrations;
+   * migration holds the schema versions before and after
+   * @param {string} dbPath - Path to proxy.db
+   * @param {Object} options
+   * @param {Array} options.migrations - Migration list (tests only)
+   * @throws {Error} If a migration fails (the file is restored from backup)
+   */
+  constructor(dbPath, { migrations = MIGRATIONS } = {}) {
     // Ensure directory exists
     const dir = path.dirname(dbPath);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
 
+    this.dbPath = dbPath;
     this.db = new Database(dbPath);
     this.db.pragma('foreign_keys = ON');
-    this.initializeSchema();
-  }
-
-  initializeSchema() {
-    this.db.exec(`
-      -- Listeners (sources of OSC messages)
-      CREATE TABLE IF NOT EXISTS listeners (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT UNIQUE NOT NULL,
-        enabled BOOLEAN DEFAULT 1,
-        protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp')),
-        bind_address TEXT NOT NULL,
-        port INTEGER NOT NULL,
-        max_message_size INTEGER DEFAULT 8192,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      -- Forwarders (destinations for OSC messages)
-      CREATE TABLE IF NOT EXISTS forwarders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        listener_id INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        enabled BOOLEAN DEFAULT 1,
-        protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp')),
-        host TEXT NOT NULL,
-        port INTEGER NOT NULL,
-        keepalive BOOLEAN DEFAULT 1,
-        keepalive_interval INTEGER DEFAULT 10,
-        nodelay BOOLEAN DEFAULT 1,
-        connect_timeout INTEGER DEFAULT 5,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE CASCADE
-      );
-
-      -- Metrics history (for visualization)
-      CREATE TABLE IF NOT EXISTS metrics_history (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        listener_id INTEGER,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        rate REAL,
-        avg_rate REAL,
-        peak_rate REAL,
-        latency REAL,
-        total INTEGER,
-        forwarded INTEGER,
-        dropped INTEGER,
-        loss_pct REAL,
-        FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE CASCADE
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_metrics_timestamp ON metrics_history(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_metrics_listener ON metrics_history(listener_id);
-    `);
+    this.migration = this.migrate(migrations);
+  }
+
+  /**
+   * Bring the schema up to date (see lib/migrations.js)
+   *
+   * An existing database is copied to proxy.db.v<version>.bak first. If a
+   * migration fails, the backup is restored so the file is left exactly as
+   * it was, and the error is rethrown.
+   *
+   * @param {Array} migrations - Migration list
+   * @returns {{from: number, to: number}} Schema versions before and after
+   */
+  migrate(migrations = MIGRATIONS) {
+    const version = currentVersion(this.db);
+    if (pendingMigrations(this.db, migrations).length === 0) {
+      return { from: version, to: version };
+    }
+
+    let backupPath = null;
+    if (this.dbPath !== ':memory:' && !isEmpty(this.db)) {
+      // No transaction is open and the journal mode is the default
+      // (rollback journal), so the file on disk is complete
+      backupPath = `${this.dbPath}.v${version}.bak`;
+      fs.copyFileSync(this.dbPath, backupPath);
+    }
+
+    try {
+      return runMigrations(this.db, migrations);
+    } catch (err) {
+      if (!backupPath) throw err;
+
+      this.db.close();
+      fs.copyFileSync(backupPath, this.dbPath);
+      throw new Error(`${err.message}. ${path.basename(this.dbPath)} was restored from ${backupPath}`);
+    }
+  }
+
+  // ==================== PROFILE OPERATIONS ====================
+
+  /**
+   * Get all show profiles with their listener counts
+   * @returns {Array} Array of profiles
+   */
+  getProfiles() {
+    const profiles = this.db.prepare(`
+      SELECT p.*, COUNT(l.id) AS listener_count
+      FROM profiles p
+      LEFT JOIN listeners l ON l.profile_id = p.id
+      GROUP BY p.id
+      ORDER BY p.name
+    `).all();
+
+    return profiles.map(profile => ({ ...profile, active: Boolean(profile.active) }));
+  }
+
+  /**
+   * Get a single profile by ID
+   * @param {number} id - Profile ID
+   * @returns {Object|null} Profile object or null
+   */
+  getProfile(id) {
+    const profile = this.db.prepare(`
+      SELECT * FROM profiles WHERE id = ?
+    `).get(id);
+
+    return profile ? { ...profile, active: Boolean(profile.active) } : null;
+  }
+
+  /**
+   * Get the active profile (the one the engine runs)
+   * @returns {Object} Profile object
+   */
+  getActiveProfile() {
+    const profile = this.db.prepare(`
+      SELECT * FROM profiles WHERE active = 1 ORDER BY id LIMIT 1
+    `).get();
+
+    return { ...profile, active: true };
+  }
+
+  /**
+   * Create a profile, optionally as a copy of another one
+   * @param {string} name - Profile name
+   * @param {number|null} copyFromId - Profile whose listeners, forwarders and rules are copied
+   * @returns {Object} Created profile
+   */
+  createProfile(name, copyFromId = null) {
+    return this.db.transaction(() => {
+      const info = this.db.prepare(`
+        INSERT INTO profiles (name) VALUES (?)
+      `).run(name);
+      const profileId = info.lastInsertRowid;
+
+      if (copyFromId) {
+        this.getAllListeners(copyFromId).forEach(listener => {
+          const copy = this.createListener({ ...listener, profile_id: profileId });
+          listener.forwarders.forEach(forwarder => this.createForwarder(copy.id, forwarder));
+        });
+      }
+
+      return this.getProfile(profileId);
+    })();
+  }
+
+  /**
+   * Rename a profile
+   * @param {number} id - Profile ID
+   * @param {string} name - New name
+   * @returns {Object|null} Updated profile or null
+   */
+  renameProfile(id, name) {
+    const info = this.db.prepare(`
+      UPDATE profiles
+      SET name = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name, id);
+
+    return info.changes > 0 ? this.getProfile(id) : null;
+  }
+
+  /**
+   * Delete a profile (cascades to its listeners). The active profile cannot be deleted.
+   * @param {number} id - Profile ID
+   * @returns {boolean} True if deleted
+   * @throws {Error} If the profile is active
+   */
+  deleteProfile(id) {
+    const profile = this.getProfile(id);
+    if (profile && profile.active) {
+      throw new Error(`"${profile.name}" is the active profile; switch to another profile first`);
+    }
+
+    const info = this.db.prepare(`DELETE FROM profiles WHERE id = ?`).run(id);
+    return info.changes > 0;
+  }
+
+  /**
+   * Make a profile the active one
+   * @param {number} id - Profile ID
+   * @returns {Object} The now active profile
+   * @throws {Error} If the profile does not exist
+   */
+  setActiveProfile(id) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      throw new Error(`Profile ${id} not found`);
+    }
+
+    this.db.prepare(`
+      UPDATE profiles SET active = (id = ?)
+    `).run(id);
+
+    return { ...profile, active: true };
   }
 
   // ==================== LISTENER OPERATIONS ====================
 
   /**
    * Get all listeners with their forwarders
+   * @param {number|null} profileId - Profile to list (defaults to the active profile)
    * @returns {Array} Array of listener objects with nested forwarders
    */
-  getAllListeners() {
+  getAllListeners(profileId = null) {
     const listeners = this.db.prepare(`
-      SELECT * FROM listeners ORDER BY name
-    `).all();
+      SELECT * FROM listeners WHERE profile_id = ? ORDER BY name
+    `).all(profileId || this.getActiveProfile().id);
 
     // Fetch forwarders for each listener
     return listeners.map(listener => ({
       ...listener,
       enabled: Boolean(listener.enabled),
+      schedule_bundles: Boolean(listener.schedule_bundles),
+      throttles: this.getListenerThrottles(listener.id),
       forwarders: this.getForwardersForListener(listener.id)
     }));
   }
@@ -103,56 +264,109 @@ class ProxyDatabase {
     return {
       ...listener,
       enabled: Boolean(listener.enabled),
+      schedule_bundles: Boolean(listener.schedule_bundles),
+      throttles: this.getListenerThrottles(id),
       forwarders: this.getForwardersForListener(id)
     };
   }
 
   /**
    * Get enabled listeners only
+   * @param {number|null} profileId - Profile to list (defaults to the active profile)
    * @returns {Array} Array of enabled listeners with forwarders
    */
-  getEnabledListeners() {
+  getEnabledListeners(profileId = null) {
     const listeners = this.db.prepare(`
-      SELECT * FROM listeners WHERE enabled = 1 ORDER BY name
-    `).all();
+      SELECT * FROM listeners WHERE enabled = 1 AND profile_id = ? ORDER BY name
+    `).all(profileId || this.getActiveProfile().id);
 
     return listeners.map(listener => ({
       ...listener,
       enabled: Boolean(listener.enabled),
+      schedule_bundles: Boolean(listener.schedule_bundles),
+      throttles: this.getListenerThrottles(listener.id),
       forwarders: this.getForwardersForListener(listener.id).filter(f => f.enabled)
     }));
   }
 
   /**
    * Create a new listener
-   * @param {Object} data - Listener data
+   * @param {Object} data - Listener data (profile_id defaults to the active profile)
    * @returns {Object} Created listener with ID
    */
   createListener(data) {
+    return this.db.transaction(() => {
+      const id = this.insertListener(data);
+      if (data.throttles) this.setListenerThrottles(id, data.throttles);
+      return this.getListener(id);
+    })();
+  }
+
+  /**
+   * Insert a listener row (without throttle rules)
+   * @param {Object} data - Listener data
+   * @returns {number} New listener ID
+   * @throws {Error} If the bundle scheduling, framing or multicast settings are invalid
+   */
+  insertListener(data) {
+    const error = validateBundleScheduling(data) || validateFraming(data.framing) || validateListenerMulticast(data);
+    if (error) throw new Error(error);
+
     const stmt = this.db.prepare(`
-      INSERT INTO listeners (name, enabled, protocol, bind_address, port, max_message_size)
-      VALUES (@name, @enabled, @protocol, @bind_address, @port, @max_message_size)
+      INSERT INTO listeners (
+        profile_id, name, enabled, protocol, bind_address, port, max_message_size,
+        schedule_bundles, max_lookahead, framing, multicast_groups, multicast_interface
+      )
+      VALUES (
+        @profile_id, @name, @enabled, @protocol, @bind_address, @port, @max_message_size,
+        @schedule_bundles, @max_lookahead, @framing, @multicast_groups, @multicast_interface
+      )
     `);
 
     const info = stmt.run({
+      profile_id: data.profile_id || this.getActiveProfile().id,
       name: data.name,
       enabled: data.enabled ? 1 : 0,
       protocol: data.protocol || 'udp',
       bind_address: data.bind_address || '0.0.0.0',
       port: data.port,
-      max_message_size: data.max_message_size || 8192
+      max_message_size: data.max_message_size || 8192,
+      schedule_bundles: data.schedule_bundles ? 1 : 0,
+      max_lookahead: data.max_lookahead || 10,
+      framing: data.framing || 'slip-double',
+      multicast_groups: parseGroups(data.multicast_groups).join(','),
+      multicast_interface: data.multicast_interface || ''
     });
 
-    return this.getListener(info.lastInsertRowid);
+    return info.lastInsertRowid;
   }
 
   /**
    * Update a listener
    * @param {number} id - Listener ID
-   * @param {Object} data - Updated listener data
+   * @param {Object} data - Updated listener data; throttle rules are only
+   *   replaced when data.throttles is given
    * @returns {Object|null} Updated listener or null
    */
   updateListener(id, data) {
+    return this.db.transaction(() => {
+      if (!this.writeListener(id, data)) return null;
+      if (data.throttles) this.setListenerThrottles(id, data.throttles);
+      return this.getListener(id);
+    })();
+  }
+
+  /**
+   * Update a listener row (without throttle rules)
+   * @param {number} id - Listener ID
+   * @param {Object} data - Updated listener data
+   * @returns {boolean} True if the listener exists
+   * @throws {Error} If the bundle scheduling, framing or multicast settings are invalid
+   */
+  writeListener(id, data) {
+    const error = validateBundleScheduling(data) || validateFraming(data.framing) || validateListenerMulticast(data);
+    if (error) throw new Error(error);
+
     const stmt = this.db.prepare(`
       UPDATE listeners
       SET name = @name,
@@ -161,6 +375,11 @@ class ProxyDatabase {
           bind_address = @bind_address,
           port = @port,
           max_message_size = @max_message_size,
+          schedule_bundles = @schedule_bundles,
+          max_lookahead = @max_lookahead,
+          framing = @framing,
+          multicast_groups = @multicast_groups,
+          multicast_interface = @multicast_interface,
           updated_at = CURRENT_TIMESTAMP
       WHERE id = @id
     `);
@@ -172,10 +391,15 @@ class ProxyDatabase {
       protocol: data.protocol,
       bind_address: data.bind_address,
       port: data.port,
-      max_message_size: data.max_message_size || 8192
+      max_message_size: data.max_message_size || 8192,
+      schedule_bundles: data.schedule_bundles ? 1 : 0,
+      max_lookahead: data.max_lookahead || 10,
+      framing: data.framing || 'slip-double',
+      multicast_groups: parseGroups(data.multicast_groups).join(','),
+      multicast_interface: data.multicast_interface || ''
     });
 
-    return info.changes > 0 ? this.getListener(id) : null;
+    return info.changes > 0;
   }
 
   /**
@@ -238,7 +462,13 @@ class ProxyDatabase {
       ...forwarder,
       enabled: Boolean(forwarder.enabled),
       keepalive: Boolean(forwarder.keepalive),
-      nodelay: Boolean(forwarder.nodelay)
+      nodelay: Boolean(forwarder.nodelay),
+      rebundle: Boolean(forwarder.rebundle),
+      broadcast: Boolean(forwarder.broadcast),
+      multicast_loopback: Boolean(forwarder.multicast_loopback),
+      routes: this.getForwarderRoutes(forwarder.id),
+      rewrites: this.getForwarderRewrites(forwarder.id),
+      throttles: this.getForwarderThrottles(forwarder.id)
     }));
   }
 
@@ -258,7 +488,13 @@ class ProxyDatabase {
       ...forwarder,
       enabled: Boolean(forwarder.enabled),
       keepalive: Boolean(forwarder.keepalive),
-      nodelay: Boolean(forwarder.nodelay)
+      nodelay: Boolean(forwarder.nodelay),
+      rebundle: Boolean(forwarder.rebundle),
+      broadcast: Boolean(forwarder.broadcast),
+      multicast_loopback: Boolean(forwarder.multicast_loopback),
+      routes: this.getForwarderRoutes(id),
+      rewrites: this.getForwarderRewrites(id),
+      throttles: this.getForwarderThrottles(id)
     };
   }
 
@@ -269,14 +505,38 @@ class ProxyDatabase {
    * @returns {Object} Created forwarder with ID
    */
   createForwarder(listenerId, data) {
+    return this.db.transaction(() => {
+      const id = this.insertForwarder(listenerId, data);
+      if (data.routes) this.setForwarderRoutes(id, data.routes);
+      if (data.rewrites) this.setForwarderRewrites(id, data.rewrites);
+      if (data.throttles) this.setForwarderThrottles(id, data.throttles);
+      return this.getForwarder(id);
+    })();
+  }
+
+  /**
+   * Insert a forwarder row (without routing rules)
+   * @param {number} listenerId - Listener ID
+   * @param {Object} data - Forwarder data
+   * @returns {number} New forwarder ID
+   * @throws {Error} If the disconnect policy, framing or multicast settings are invalid
+   */
+  insertForwarder(listenerId, data) {
+    const error = validateDisconnectPolicy(data) || validateFraming(data.framing) || validateForwarderMulticast(data);
+    if (error) throw new Error(error);
+
     const stmt = this.db.prepare(`
       INSERT INTO forwarders (
         listener_id, name, enabled, protocol, host, port,
-        keepalive, keepalive_interval, nodelay, connect_timeout
+        keepalive, keepalive_interval, nodelay, connect_timeout,
+        disconnect_policy, buffer_size, buffer_ttl, rebundle, framing,
+        broadcast, multicast_ttl, multicast_loopback
       )
       VALUES (
         @listener_id, @name, @enabled, @protocol, @host, @port,
-        @keepalive, @keepalive_interval, @nodelay, @connect_timeout
+        @keepalive, @keepalive_interval, @nodelay, @connect_timeout,
+        @disconnect_policy, @buffer_size, @buffer_ttl, @rebundle, @framing,
+        @broadcast, @multicast_ttl, @multicast_loopback
       )
     `);
 
@@ -290,19 +550,49 @@ class ProxyDatabase {
       keepalive: data.keepalive ? 1 : 0,
       keepalive_interval: data.keepalive_interval || 10,
       nodelay: data.nodelay ? 1 : 0,
-      connect_timeout: data.connect_timeout || 5
+      connect_timeout: data.connect_timeout || 5,
+      disconnect_policy: data.disconnect_policy || 'drop',
+      buffer_size: data.buffer_size || 100,
+      buffer_ttl: data.buffer_ttl || 10,
+      rebundle: data.rebundle ? 1 : 0,
+      framing: data.framing || 'slip-double',
+      broadcast: data.broadcast ? 1 : 0,
+      multicast_ttl: data.multicast_ttl ?? 1,
+      multicast_loopback: data.multicast_loopback ? 1 : 0
     });
 
-    return this.getForwarder(info.lastInsertRowid);
+    return info.lastInsertRowid;
   }
 
   /**
    * Update a forwarder
    * @param {number} id - Forwarder ID
-   * @param {Object} data - Updated forwarder data
+   * @param {Object} data - Updated forwarder data; routing, rewrite and
+   *   throttle rules are only replaced when data.routes / data.rewrites /
+   *   data.throttles are given
    * @returns {Object|null} Updated forwarder or null
    */
   updateForwarder(id, data) {
+    return this.db.transaction(() => {
+      if (!this.writeForwarder(id, data)) return null;
+      if (data.routes) this.setForwarderRoutes(id, data.routes);
+      if (data.rewrites) this.setForwarderRewrites(id, data.rewrites);
+      if (data.throttles) this.setForwarderThrottles(id, data.throttles);
+      return this.getForwarder(id);
+    })();
+  }
+
+  /**
+   * Update a forwarder row (without routing rules)
+   * @param {number} id - Forwarder ID
+   * @param {Object} data - Updated forwarder data
+   * @returns {boolean} True if the forwarder exists
+   * @throws {Error} If the disconnect policy, framing or multicast settings are invalid
+   */
+  writeForwarder(id, data) {
+    const error = validateDisconnectPolicy(data) || validateFraming(data.framing) || validateForwarderMulticast(data);
+    if (error) throw new Error(error);
+
     const stmt = this.db.prepare(`
       UPDATE forwarders
       SET name = @name,
@@ -314,6 +604,14 @@ class ProxyDatabase {
           keepalive_interval = @keepalive_interval,
           nodelay = @nodelay,
           connect_timeout = @connect_timeout,
+          disconnect_policy = @disconnect_policy,
+          buffer_size = @buffer_size,
+          buffer_ttl = @buffer_ttl,
+          rebundle = @rebundle,
+          framing = @framing,
+          broadcast = @broadcast,
+          multicast_ttl = @multicast_ttl,
+          multicast_loopback = @multicast_loopback,
           updated_at = CURRENT_TIMESTAMP
       WHERE id = @id
     `);
@@ -328,10 +626,18 @@ class ProxyDatabase {
       keepalive: data.keepalive ? 1 : 0,
       keepalive_interval: data.keepalive_interval || 10,
       nodelay: data.nodelay ? 1 : 0,
-      connect_timeout: data.connect_timeout || 5
+      connect_timeout: data.connect_timeout || 5,
+      disconnect_policy: data.disconnect_policy || 'drop',
+      buffer_size: data.buffer_size || 100,
+      buffer_ttl: data.buffer_ttl || 10,
+      rebundle: data.rebundle ? 1 : 0,
+      framing: data.framing || 'slip-double',
+      broadcast: data.broadcast ? 1 : 0,
+      multicast_ttl: data.multicast_ttl ?? 1,
+      multicast_loopback: data.multicast_loopback ? 1 : 0
     });
 
-    return info.changes > 0 ? this.getForwarder(id) : null;
+    return info.changes > 0;
   }
 
   /**
@@ -361,24 +667,181 @@ class ProxyDatabase {
     return this.getForwarder(id);
   }
 
+  // ==================== ROUTING RULE OPERATIONS ====================
+
+  /**
+   * Get the routing rules of a forwarder, in evaluation order
+   * @param {number} forwarderId - Forwarder ID
+   * @returns {Array} Array of { action, pattern } rules
+   */
+  getForwarderRoutes(forwarderId) {
+    return this.db.prepare(`
+      SELECT action, pattern FROM forwarder_routes
+      WHERE forwarder_id = ?
+      ORDER BY position, id
+    `).all(forwarderId);
+  }
+
+  /**
+   * Replace the routing rules of a forwarder
+   * @param {number} forwarderId - Forwarder ID
+   * @param {Array} routes - Array of { action: 'include'|'exclude', pattern }
+   * @throws {Error} If a pattern is not a valid OSC address pattern
+   */
+  setForwarderRoutes(forwarderId, routes) {
+    routes.forEach(route => {
+      const error = validatePattern(route.pattern);
+      if (error) {
+        throw new Error(`Invalid routing pattern "${route.pattern}": ${error}`);
+      }
+    });
+
+    const insert = this.db.prepare(`
+      INSERT INTO forwarder_routes (forwarder_id, action, pattern, position)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM forwarder_routes WHERE forwarder_id = ?').run(forwarderId);
+      routes.forEach((route, position) => {
+        insert.run(forwarderId, route.action, route.pattern, position);
+      });
+    })();
+  }
+
+  // ==================== REWRITE RULE OPERATIONS ====================
+
+  /**
+   * Get the rewrite rules of a forwarder, in evaluation order
+   * @param {number} forwarderId - Forwarder ID
+   * @returns {Array} Array of { pattern, target, args } rules
+   */
+  getForwarderRewrites(forwarderId) {
+    return this.db.prepare(`
+      SELECT pattern, target, args FROM forwarder_rewrites
+      WHERE forwarder_id = ?
+      ORDER BY position, id
+    `).all(forwarderId);
+  }
+
+  /**
+   * Replace the rewrite rules of a forwarder
+   * @param {number} forwarderId - Forwarder ID
+   * @param {Array} rewrites - Array of { pattern, target, args }
+   * @throws {Error} If a rule is invalid (see lib/rewrite.js)
+   */
+  setForwarderRewrites(forwarderId, rewrites) {
+    rewrites.forEach(rule => {
+      const error = validateRule(rule);
+      if (error) {
+        throw new Error(`Invalid rewrite rule "${rule.pattern}": ${error}`);
+      }
+    });
+
+    const insert = this.db.prepare(`
+      INSERT INTO forwarder_rewrites (forwarder_id, pattern, target, args, position)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM forwarder_rewrites WHERE forwarder_id = ?').run(forwarderId);
+      rewrites.forEach((rule, position) => {
+        insert.run(forwarderId, rule.pattern, rule.target, rule.args || null, position);
+      });
+    })();
+  }
+
+  // ==================== THROTTLE RULE OPERATIONS ====================
+
+  /**
+   * Get the throttle rules of a listener, in evaluation order
+   * @param {number} listenerId - Listener ID
+   * @returns {Array} Array of { action, pattern, max_rate } rules
+   */
+  getListenerThrottles(listenerId) {
+    return this.db.prepare(`
+      SELECT action, pattern, max_rate FROM listener_throttles
+      WHERE listener_id = ?
+      ORDER BY position, id
+    `).all(listenerId);
+  }
+
+  /**
+   * Replace the throttle rules of a listener
+   * @param {number} listenerId - Listener ID
+   * @param {Array} throttles - Array of { action: 'limit'|'exempt', pattern, max_rate }
+   * @throws {Error} If a rule is invalid (see lib/throttle.js)
+   */
+  setListenerThrottles(listenerId, throttles) {
+    this.replaceThrottles('listener_throttles', 'listener_id', listenerId, throttles);
+  }
+
+  /**
+   * Get the throttle rules of a forwarder, in evaluation order
+   * @param {number} forwarderId - Forwarder ID
+   * @returns {Array} Array of { action, pattern, max_rate } rules
+   */
+  getForwarderThrottles(forwarderId) {
+    return this.db.prepare(`
+      SELECT action, pattern, max_rate FROM forwarder_throttles
+      WHERE forwarder_id = ?
+      ORDER BY position, id
+    `).all(forwarderId);
+  }
+
+  /**
+   * Replace the throttle rules of a forwarder
+   * @param {number} forwarderId - Forwarder ID
+   * @param {Array} throttles - Array of { action: 'limit'|'exempt', pattern, max_rate }
+   * @throws {Error} If a rule is invalid (see lib/throttle.js)
+   */
+  setForwarderThrottles(forwarderId, throttles) {
+    this.replaceThrottles('forwarder_throttles', 'forwarder_id', forwarderId, throttles);
+  }
+
+  replaceThrottles(table, ownerColumn, ownerId, throttles) {
+    throttles.forEach(rule => {
+      const error = validateThrottleRule(rule);
+      if (error) {
+        throw new Error(`Invalid throttle rule "${rule.pattern}": ${error}`);
+      }
+    });
+
+    const insert = this.db.prepare(`
+      INSERT INTO ${table} (${ownerColumn}, action, pattern, max_rate, position)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM ${table} WHERE ${ownerColumn} = ?`).run(ownerId);
+      throttles.forEach((rule, position) => {
+        insert.run(ownerId, rule.action, rule.pattern, rule.action === 'limit' ? rule.max_rate : null, position);
+      });
+    })();
+  }
+
   // ==================== METRICS OPERATIONS ====================
 
   /**
    * Record metrics for a listener
    * @param {number} listenerId - Listener ID (or null for aggregate)
-   * @param {Object} metrics - Metrics data
+   * @param {Object} metrics - Metrics data; total/forwarded/dropped are
+   *   counts during the sample, timestamp defaults to now
    */
   recordMetrics(listenerId, metrics) {
+    // Listeners deleted while still reporting are skipped
     const stmt = this.db.prepare(`
       INSERT INTO metrics_history (
-        listener_id, rate, avg_rate, peak_rate, latency,
+        listener_id, timestamp, rate, avg_rate, peak_rate, latency,
         total, forwarded, dropped, loss_pct
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE ? IS NULL OR EXISTS (SELECT 1 FROM listeners WHERE id = ?)
     `);
 
     stmt.run(
       listenerId,
+      metrics.timestamp || new Date().toISOString(),
       metrics.rate || 0,
       metrics.avgRate || 0,
       metrics.peakRate || 0,
@@ -386,10 +849,53 @@ class ProxyDatabase {
       metrics.total || 0,
       metrics.forwarded || 0,
       metrics.dropped || 0,
-      metrics.lossPct || 0
+      metrics.lossPct || 0,
+      listenerId,
+      listenerId
     );
   }
 
+  /**
+   * Record metrics for a forwarder
+   * @param {number} forwarderId - Forwarder ID
+   * @param {Object} metrics - Metrics data; forwarded/dropped/failed/filtered
+   *   are counts during the sample, timestamp defaults to now
+   */
+  recordForwarderMetrics(forwarderId, metrics) {
+    const stmt = this.db.prepare(`
+      INSERT INTO forwarder_metrics_history (
+        forwarder_id, timestamp, connected, latency,
+        forwarded, dropped, failed, filtered
+      )
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM forwarders WHERE id = ?)
+    `);
+
+    stmt.run(
+      forwarderId,
+      metrics.timestamp || new Date().toISOString(),
+      metrics.connected ? 1 : 0,
+      metrics.latency || 0,
+      metrics.forwarded || 0,
+      metrics.dropped || 0,
+      metrics.failed || 0,
+      metrics.filtered || 0,
+      forwarderId
+    );
+  }
+
+  /**
+   * Record a batch of samples in one transaction
+   * @param {Array} listenerSamples - { listenerId, metrics } (null listenerId for aggregate)
+   * @param {Array} forwarderSamples - { forwarderId, metrics }
+   */
+  recordMetricsBatch(listenerSamples, forwarderSamples = []) {
+    this.db.transaction(() => {
+      listenerSamples.forEach(({ listenerId, metrics }) => this.recordMetrics(listenerId, metrics));
+      forwarderSamples.forEach(({ forwarderId, metrics }) => this.recordForwarderMetrics(forwarderId, metrics));
+    })();
+  }
+
   /**
    * Get recent metrics history
    * @param {number|null} listenerId - Listener ID or null for all
@@ -403,7 +909,7 @@ class ProxyDatabase {
     if (listenerId === null) {
       query = `
         SELECT * FROM metrics_history
-        WHERE listener_id IS NULL
+        WHERE listener_id IS NULL AND resolution = 'raw'
         ORDER BY timestamp DESC
         LIMIT ?
       `;
@@ -411,7 +917,7 @@ class ProxyDatabase {
     } else {
       query = `
         SELECT * FROM metrics_history
-        WHERE listener_id = ?
+        WHERE listener_id = ? AND resolution = 'raw'
         ORDER BY timestamp DESC
         LIMIT ?
       `;
@@ -426,45 +932,617 @@ class ProxyDatabase {
    * @param {number|null} listenerId - Listener ID or null for aggregate
    * @param {Date} startTime - Start time
    * @param {Date} endTime - End time
+   * @param {string} resolution - 'raw', 'minute' or 'hour'
    * @returns {Array} Array of metrics records
    */
-  getMetricsInRange(listenerId, startTime, endTime) {
+  getMetricsInRange(listenerId, startTime, endTime, resolution = 'raw') {
     let query;
     let params;
 
     if (listenerId === null) {
       query = `
         SELECT * FROM metrics_history
-        WHERE listener_id IS NULL
+        WHERE listener_id IS NULL AND resolution = ?
           AND timestamp BETWEEN ? AND ?
         ORDER BY timestamp ASC
       `;
-      params = [startTime.toISOString(), endTime.toISOString()];
+      params = [resolution, startTime.toISOString(), endTime.toISOString()];
     } else {
       query = `
         SELECT * FROM metrics_history
-        WHERE listener_id = ?
+        WHERE listener_id = ? AND resolution = ?
           AND timestamp BETWEEN ? AND ?
         ORDER BY timestamp ASC
       `;
-      params = [listenerId, startTime.toISOString(), endTime.toISOString()];
+      params = [listenerId, resolution, startTime.toISOString(), endTime.toISOString()];
     }
 
     return this.db.prepare(query).all(...params);
   }
 
+  /**
+   * Get forwarder metrics for a time range
+   * @param {number} forwarderId - Forwarder ID
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @param {string} resolution - 'raw', 'minute' or 'hour'
+   * @returns {Array} Array of metrics records
+   */
+  getForwarderMetricsInRange(forwarderId, startTime, endTime, resolution = 'raw') {
+    return this.db.prepare(`
+      SELECT * FROM forwarder_metrics_history
+      WHERE forwarder_id = ? AND resolution = ?
+        AND timestamp BETWEEN ? AND ?
+      ORDER BY timestamp ASC
+    `).all(forwarderId, resolution, startTime.toISOString(), endTime.toISOString());
+  }
+
+  /**
+   * Downsample completed minutes of raw samples into 'minute' rows and
+   * completed hours of minute rows into 'hour' rows. Picks up after the
+   * newest existing rollup, so it is safe to call repeatedly.
+   * @param {Date} now - Current time
+   * @returns {Object} { minute, hour } number of rollup rows created
+   */
+  rollupMetrics(now = new Date()) {
+    return this.db.transaction(() => {
+      const created = { minute: 0, hour: 0 };
+      Object.entries(METRICS_ROLLUPS).forEach(([resolution, rollup]) => {
+        const end = new Date(Math.floor(now.getTime() / rollup.bucketMs) * rollup.bucketMs).toISOString();
+        Object.entries(METRICS_TABLES).forEach(([table, spec]) => {
+          const last = this.db.prepare(`SELECT MAX(timestamp) AS ts FROM ${table} WHERE resolution = ?`).get(resolution).ts;
+          const start = last ? new Date(new Date(last).getTime() + rollup.bucketMs).toISOString() : '';
+          const columns = Object.keys(spec.columns);
+          const info = this.db.prepare(`
+            INSERT INTO ${table} (${spec.key}, timestamp, resolution, samples, ${columns.join(', ')})
+            SELECT ${spec.key}, ${rollup.bucket} AS bucket, ?, SUM(samples), ${columns.map(c => spec.columns[c]).join(', ')}
+            FROM ${table}
+            WHERE resolution = ? AND timestamp >= ? AND timestamp < ?
+            GROUP BY ${spec.key}, bucket
+          `).run(resolution, rollup.source, start, end);
+          created[resolution] += info.changes;
+        });
+      });
+      return created;
+    })();
+  }
+
+  /**
+   * Delete samples past their retention (connection events are kept as
+   * long as minute rollups)
+   * @param {Object} retention - { rawHours, minuteDays, hourDays }
+   * @param {Date} now - Current time
+   * @returns {number} Number of deleted records
+   */
+  pruneMetrics(retention, now = new Date()) {
+    const hour = 60 * 60 * 1000;
+    const cutoffs = {
+      raw: retention.rawHours * hour,
+      minute: retention.minuteDays * 24 * hour,
+      hour: retention.hourDays * 24 * hour
+    };
+
+    return this.db.transaction(() => {
+      let deleted = 0;
+      Object.entries(cutoffs).forEach(([resolution, age]) => {
+        const cutoff = new Date(now.getTime() - age).toISOString();
+        Object.keys(METRICS_TABLES).forEach(table => {
+          deleted += this.db.prepare(`DELETE FROM ${table} WHERE resolution = ? AND timestamp < ?`)
+            .run(resolution, cutoff).changes;
+        });
+      });
+
+      const eventCutoff = new Date(now.getTime() - cutoffs.minute).toISOString();
+      deleted += this.db.prepare('DELETE FROM connection_events WHERE timestamp < ?').run(eventCutoff).changes;
+      return deleted;
+    })();
+  }
+
   /**
    * Clean old metrics history (older than N days)
    * @param {number} days - Number of days to keep
    * @returns {number} Number of deleted records
    */
   cleanOldMetrics(days = 30) {
-    const stmt = this.db.prepare(`
-      DELETE FROM metrics_history
-      WHERE timestamp < datetime('now', '-' || ? || ' days')
-    `);
-    const info = stmt.run(days);
-    return info.changes;
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    let deleted = 0;
+    Object.keys(METRICS_TABLES).forEach(table => {
+      deleted += this.db.prepare(`DELETE FROM ${table} WHERE timestamp < ?`).run(cutoff).changes;
+    });
+    return deleted;
+  }
+
+  // ==================== CONNECTION EVENT OPERATIONS ====================
+
+  /**
+   * Record a forwarder connection event. A 'connected' or 'closed' event
+   * that ends an outage (a disconnect or failed attempts since the last
+   * connect/close) gets the outage length and the number of failed attempts.
+   * @param {Object} event
+   * @param {number} event.forwarderId - Forwarder ID
+   * @param {string} event.event - 'connected', 'disconnected', 'connect-failed' or 'closed'
+   * @param {string|null} event.reason - Why the connection dropped or the attempt failed
+   * @param {number|null} event.attempt - Attempt number ('connect-failed')
+   * @param {string} event.timestamp - ISO timestamp, defaults to now
+   * @returns {Object|null} The recorded event, or null if skipped (unknown
+   *   forwarder, or no change since the last event)
+   */
+  recordConnectionEvent({ forwarderId, event, reason = null, attempt = null, timestamp = new Date().toISOString() }) {
+    return this.db.transaction(() => {
+      if (!this.db.prepare('SELECT 1 FROM forwarders WHERE id = ?').get(forwarderId)) return null;
+
+      const last = this.db.prepare(`
+        SELECT event FROM connection_events WHERE forwarder_id = ? ORDER BY id DESC LIMIT 1
+      `).get(forwarderId);
+      if ((event === 'connected' || event === 'closed') && last && last.event === event) return null;
+
+      let outageMs = null;
+      if (event === 'connected' || event === 'closed') {
+        const settled = this.db.prepare(`
+          SELECT MAX(id) AS id FROM connection_events
+          WHERE forwarder_id = ? AND event IN ('connected', 'closed')
+        `).get(forwarderId);
+        const outage = this.db.prepare(`
+          SELECT MIN(timestamp) AS start, SUM(event = 'connect-failed') AS failures
+          FROM connection_events
+          WHERE forwarder_id = ? AND id > ? AND event IN ('disconnected', 'connect-failed')
+        `).get(forwarderId, settled.id || 0);
+        if (outage.start) {
+          outageMs = Math.max(Date.parse(timestamp) - Date.parse(outage.start), 0);
+          attempt = outage.failures;
+        }
+      }
+
+      const info = this.db.prepare(`
+        INSERT INTO connection_events (forwarder_id, timestamp, event, reason, attempt, outage_ms)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(forwarderId, timestamp, event, reason, attempt, outageMs);
+
+      return this.db.prepare('SELECT * FROM connection_events WHERE id = ?').get(info.lastInsertRowid);
+    })();
+  }
+
+  /**
+   * Get connection events, newest first, with forwarder and listener names
+   * @param {Object} options
+   * @param {number|null} options.forwarderId - Only this forwarder
+   * @param {number|null} options.listenerId - Only this listener's forwarders
+   * @param {Date|null} options.startTime - Range start
+   * @param {Date|null} options.endTime - Range end
+   * @param {number} options.limit - Number of events to return
+   * @returns {Array} Array of connection events
+   */
+  getConnectionEvents({ forwarderId = null, listenerId = null, startTime = null, endTime = null, limit = 200 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (forwarderId !== null) {
+      conditions.push('e.forwarder_id = ?');
+      params.push(forwarderId);
+    }
+    if (listenerId !== null) {
+      conditions.push('f.listener_id = ?');
+      params.push(listenerId);
+    }
+    if (startTime) {
+      conditions.push('e.timestamp >= ?');
+      params.push(startTime.toISOString());
+    }
+    if (endTime) {
+      conditions.push('e.timestamp <= ?');
+      params.push(endTime.toISOString());
+    }
+
+    return this.db.prepare(`
+      SELECT e.*, f.name AS forwarder_name, f.host, f.port, f.protocol,
+        f.listener_id, l.name AS listener_name
+      FROM connection_events e
+      JOIN forwarders f ON f.id = e.forwarder_id
+      JOIN listeners l ON l.id = f.listener_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY e.timestamp DESC, e.id DESC
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  /**
+   * Connection stability per forwarder of the active profile, least stable first
+   * @param {Object} options
+   * @param {number|null} options.listenerId - Only this listener's forwarders
+   * @param {Date|null} options.startTime - Range start (default: all recorded events)
+   * @param {Date|null} options.endTime - Range end (default: now)
+   * @returns {Array} { forwarder_id, forwarder_name, host, port, protocol, listener_id,
+   *   listener_name, disconnects, failed_attempts, outages, outage_ms, longest_outage_ms, last_reason }
+   */
+  getConnectionStats({ listenerId = null, startTime = null, endTime = null } = {}) {
+    const start = startTime ? startTime.toISOString() : '';
+    const end = (endTime || new Date()).toISOString();
+
+    return this.db.prepare(`
+      SELECT f.id AS forwarder_id, f.name AS forwarder_name, f.host, f.port, f.protocol,
+        l.id AS listener_id, l.name AS listener_name,
+        COALESCE(SUM(e.event = 'disconnected'), 0) AS disconnects,
+        COALESCE(SUM(e.event = 'connect-failed'), 0) AS failed_attempts,
+        COUNT(e.outage_ms) AS outages,
+        COALESCE(SUM(e.outage_ms), 0) AS outage_ms,
+        COALESCE(MAX(e.outage_ms), 0) AS longest_outage_ms,
+        (
+          SELECT reason FROM connection_events
+          WHERE forwarder_id = f.id AND event IN ('disconnected', 'connect-failed')
+            AND reason IS NOT NULL AND timestamp BETWEEN ? AND ?
+          ORDER BY id DESC LIMIT 1
+        ) AS last_reason
+      FROM forwarders f
+      JOIN listeners l ON l.id = f.listener_id
+      JOIN profiles p ON p.id = l.profile_id AND p.active = 1
+      LEFT JOIN connection_events e ON e.forwarder_id = f.id AND e.timestamp BETWEEN ? AND ?
+      WHERE ? IS NULL OR l.id = ?
+      GROUP BY f.id
+      ORDER BY disconnects DESC, failed_attempts DESC, outage_ms DESC, l.name, f.name
+    `).all(start, end, start, end, listenerId, listenerId);
+  }
+
+  // ==================== ALERT RULE OPERATIONS ====================
+
+  /**
+   * Get all alert rules with the names of the listener/forwarder they watch
+   * @returns {Array} Array of alert rules
+   */
+  getAlertRules() {
+    const rules = this.db.prepare(`
+      SELECT r.*, l.name AS listener_name, f.name AS forwarder_name
+      FROM alert_rules r
+      LEFT JOIN listeners l ON l.id = r.listener_id
+      LEFT JOIN forwarders f ON f.id = r.forwarder_id
+      ORDER BY r.name
+    `).all();
+
+    return rules.map(rule => ({ ...rule, notify: Boolean(rule.notify), enabled: Boolean(rule.enabled) }));
+  }
+
+  /**
+   * Get a single alert rule by ID
+   * @param {number} id - Alert rule ID
+   * @returns {Object|null} Alert rule or null
+   */
+  getAlertRule(id) {
+    return this.getAlertRules().find(rule => rule.id === Number(id)) || null;
+  }
+
+  /**
+   * Create an alert rule
+   * @param {Object} data - { name, type, listener_id, forwarder_id, threshold, duration, sound, notify, enabled }
+   * @returns {Object} Created alert rule
+   * @throws {Error} If the rule is invalid
+   */
+  createAlertRule(data) {
+    const info = this.db.prepare(`
+      INSERT INTO alert_rules (name, type, listener_id, forwarder_id, threshold, duration, sound, notify, enabled)
+      VALUES (@name, @type, @listener_id, @forwarder_id, @threshold, @duration, @sound, @notify, @enabled)
+    `).run(this.alertRuleRow(data));
+
+    return this.getAlertRule(info.lastInsertRowid);
+  }
+
+  /**
+   * Update an alert rule
+   * @param {number} id - Alert rule ID
+   * @param {Object} data - Updated alert rule data
+   * @returns {Object|null} Updated alert rule or null
+   * @throws {Error} If the rule is invalid
+   */
+  updateAlertRule(id, data) {
+    const info = this.db.prepare(`
+      UPDATE alert_rules
+      SET name = @name,
+          type = @type,
+          listener_id = @listener_id,
+          forwarder_id = @forwarder_id,
+          threshold = @threshold,
+          duration = @duration,
+          sound = @sound,
+          notify = @notify,
+          enabled = @enabled,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `).run({ id, ...this.alertRuleRow(data) });
+
+    return info.changes > 0 ? this.getAlertRule(id) : null;
+  }
+
+  /**
+   * Validate alert rule data and convert it to column values. A rule that
+   * watches one forwarder also records the forwarder's listener.
+   * @param {Object} data - Alert rule data
+   * @returns {Object} Column values
+   * @throws {Error} If the rule is invalid
+   */
+  alertRuleRow(data) {
+    const error = validateAlertRule(data);
+    if (error) {
+      throw new Error(`Invalid alert rule "${data.name}": ${error}`);
+    }
+
+    let listenerId = data.listener_id || null;
+    if (data.forwarder_id) {
+      const forwarder = this.getForwarder(data.forwarder_id);
+      if (!forwarder) throw new Error(`Forwarder ${data.forwarder_id} not found`);
+      listenerId = forwarder.listener_id;
+    }
+
+    return {
+      name: String(data.name).trim(),
+      type: data.type,
+      listener_id: listenerId,
+      forwarder_id: data.forwarder_id || null,
+      threshold: data.type === 'loss-above' ? Number(data.threshold) : null,
+      duration: Number(data.duration),
+      sound: data.sound || 'chime',
+      notify: data.notify === false ? 0 : 1,
+      enabled: data.enabled === false ? 0 : 1
+    };
+  }
+
+  /**
+   * Delete an alert rule
+   * @param {number} id - Alert rule ID
+   * @returns {boolean} True if deleted
+   */
+  deleteAlertRule(id) {
+    const info = this.db.prepare(`DELETE FROM alert_rules WHERE id = ?`).run(id);
+    return info.changes > 0;
+  }
+
+  // ==================== RECORDED SESSION OPERATIONS ====================
+
+  /**
+   * Get all recorded sessions, newest first
+   * @returns {Array} Array of sessions
+   */
+  getSessions() {
+    return this.db.prepare(`
+      SELECT * FROM sessions ORDER BY started_at DESC, id DESC
+    `).all();
+  }
+
+  /**
+   * Get a single recorded session by ID
+   * @param {number} id - Session ID
+   * @returns {Object|null} Session or null
+   */
+  getSession(id) {
+    return this.db.prepare(`
+      SELECT * FROM sessions WHERE id = ?
+    `).get(id) || null;
+  }
+
+  /**
+   * Add a session that is starting to record
+   * @param {Object} data - { name, listenerId, listenerName, file, startedAt }
+   * @returns {Object} Created session
+   */
+  createSession({ name, listenerId, listenerName, file, startedAt }) {
+    const info = this.db.prepare(`
+      INSERT INTO sessions (name, listener_id, listener_name, file, started_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name, listenerId, listenerName, file, startedAt);
+
+    return this.getSession(info.lastInsertRowid);
+  }
+
+  /**
+   * Record the end of a recording
+   * @param {number} id - Session ID
+   * @param {Object} data - { endedAt, messageCount, bytes, durationMs }
+   * @returns {Object|null} Updated session or null
+   */
+  finishSession(id, { endedAt, messageCount, bytes, durationMs }) {
+    const info = this.db.prepare(`
+      UPDATE sessions
+      SET ended_at = ?, message_count = ?, bytes = ?, duration_ms = ?
+      WHERE id = ?
+    `).run(endedAt, messageCount, bytes, durationMs, id);
+
+    return info.changes > 0 ? this.getSession(id) : null;
+  }
+
+  /**
+   * Rename a recorded session
+   * @param {number} id - Session ID
+   * @param {string} name - New name
+   * @returns {Object|null} Updated session or null
+   */
+  renameSession(id, name) {
+    const info = this.db.prepare(`
+      UPDATE sessions SET name = ? WHERE id = ?
+    `).run(name, id);
+
+    return info.changes > 0 ? this.getSession(id) : null;
+  }
+
+  /**
+   * Delete a recorded session from the index (the caller removes the file)
+   * @param {number} id - Session ID
+   * @returns {boolean} True if deleted
+   */
+  deleteSession(id) {
+    const info = this.db.prepare(`DELETE FROM sessions WHERE id = ?`).run(id);
+    return info.changes > 0;
+  }
+
+  // ==================== TEST MESSAGE OPERATIONS ====================
+
+  /**
+   * Get the saved test messages, by name
+   * @returns {Array} Array of favorites ({ id, name, address, args })
+   */
+  getTestFavorites() {
+    return this.db.prepare(`
+      SELECT * FROM test_message_favorites ORDER BY name COLLATE NOCASE, id
+    `).all().map(parseTestMessage);
+  }
+
+  /**
+   * Save a test message as a favorite
+   * @param {Object} data - { name, address, args }
+   * @returns {Object} Created favorite
+   * @throws {Error} If the name is missing or the message is invalid
+   */
+  createTestFavorite({ name, address, args }) {
+    if (!name || !String(name).trim()) throw new Error('Favorite name is required');
+    const error = validateTestMessage({ address, args });
+    if (error) throw new Error(`Invalid test message: ${error}`);
+
+    const info = this.db.prepare(`
+      INSERT INTO test_message_favorites (name, address, args) VALUES (?, ?, ?)
+    `).run(String(name).trim(), String(address).trim(), JSON.stringify(args));
+
+    return parseTestMessage(this.db.prepare(`
+      SELECT * FROM test_message_favorites WHERE id = ?
+    `).get(info.lastInsertRowid));
+  }
+
+  /**
+   * Delete a favorite
+   * @param {number} id - Favorite ID
+   * @returns {boolean} True if deleted
+   */
+  deleteTestFavorite(id) {
+    const info = this.db.prepare(`DELETE FROM test_message_favorites WHERE id = ?`).run(id);
+    return info.changes > 0;
+  }
+
+  /**
+   * Get the sent test messages, newest first
+   * @returns {Array} Array of history entries
+   */
+  getTestHistory() {
+    return this.db.prepare(`
+      SELECT * FROM test_message_history ORDER BY id DESC
+    `).all().map(parseTestMessage);
+  }
+
+  /**
+   * Record a sent test message, keeping the newest HISTORY_LIMIT
+   * @param {Object} data - { address, args, targetType, targetId, targetName, error, sentAt }
+   * @returns {Object} Created history entry
+   */
+  addTestHistory({ address, args, targetType, targetId, targetName, error = null, sentAt = new Date().toISOString() }) {
+    const insert = this.db.transaction(() => {
+      const info = this.db.prepare(`
+        INSERT INTO test_message_history (address, args, target_type, target_id, target_name, error, sent_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(String(address).trim(), JSON.stringify(args), targetType, targetId, targetName, error, sentAt);
+
+      this.db.prepare(`
+        DELETE FROM test_message_history
+        WHERE id NOT IN (SELECT id FROM test_message_history ORDER BY id DESC LIMIT ?)
+      `).run(HISTORY_LIMIT);
+
+      return info.lastInsertRowid;
+    });
+
+    const id = insert();
+    return parseTestMessage(this.db.prepare(`
+      SELECT * FROM test_message_history WHERE id = ?
+    `).get(id));
+  }
+
+  /**
+   * Clear the test message history
+   * @returns {number} Number of entries deleted
+   */
+  clearTestHistory() {
+    return this.db.prepare(`DELETE FROM test_message_history`).run().changes;
+  }
+
+  // ==================== SETTINGS OPERATIONS ====================
+
+  /**
+   * Get a single setting
+   * @param {string} key - Setting key
+   * @param {string|null} defaultValue - Returned when the key is not set
+   * @returns {string|null} Setting value
+   */
+  getSetting(key, defaultValue = null) {
+    const row = this.db.prepare(`
+      SELECT value FROM settings WHERE key = ?
+    `).get(key);
+
+    return row ? row.value : defaultValue;
+  }
+
+  /**
+   * Get all settings
+   * @returns {Object} Map of setting key to value
+   */
+  getAllSettings() {
+    const rows = this.db.prepare(`SELECT key, value FROM settings`).all();
+    return Object.fromEntries(rows.map(row => [row.key, row.value]));
+  }
+
+  /**
+   * Set a setting (insert or replace)
+   * @param {string} key - Setting key
+   * @param {string} value - Setting value
+   */
+  setSetting(key, value) {
+    this.db.prepare(`
+      INSERT INTO settings (key, value, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(key) DO UPDATE SET
+        value = excluded.value,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(key, value === null || value === undefined ? null : String(value));
+  }
+
+  // ==================== ENGINE EVENT OPERATIONS ====================
+
+  /**
+   * Record an engine supervision event
+   * @param {Object} event - Event data
+   * @param {string} event.event - crashed, restarted or gave-up
+   * @param {string|null} event.engine - Engine type
+   * @param {number|null} event.exitCode - Exit code of a crashed engine
+   * @param {string} event.message - Human-readable summary
+   * @param {string|null} event.stderr - Last lines of error output
+   * @returns {Object} Recorded event
+   */
+  recordEngineEvent({ event, engine = null, exitCode = null, message, stderr = null }) {
+    // ISO timestamps (not CURRENT_TIMESTAMP) so the UI can parse them as UTC
+    const info = this.db.prepare(`
+      INSERT INTO engine_events (timestamp, event, engine, exit_code, message, stderr)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(new Date().toISOString(), event, engine, exitCode, message, stderr);
+
+    return this.db.prepare('SELECT * FROM engine_events WHERE id = ?').get(info.lastInsertRowid);
+  }
+
+  /**
+   * Get recent engine events, newest first
+   * @param {number} limit - Number of events to return
+   * @returns {Array} Array of engine events
+   */
+  getEngineEvents(limit = 50) {
+    return this.db.prepare(`
+      SELECT * FROM engine_events
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ?
+    `).all(limit);
+  }
+
+  /**
+   * Get engine events in a time range, oldest first
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @returns {Array} Array of engine events
+   */
+  getEngineEventsInRange(startTime, endTime) {
+    return this.db.prepare(`
+      SELECT * FROM engine_events
+      WHERE timestamp BETWEEN ? AND ?
+      ORDER BY timestamp ASC, id ASC
+    `).all(startTime.toISOString(), endTime.toISOString());
   }
 
   // ==================== MIGRATION ====================
@@ -501,12 +1579,56 @@ class ProxyDatabase {
     return { listener, forwarder };
   }
 
+  /**
+   * Apply an import plan (see lib/config-io.js planImport) in one transaction
+   * @param {Object} plan - Import plan
+   * @returns {Object} Listener and forwarder counts by action
+   */
+  importConfig(plan) {
+    const counts = {
+      listeners: { create: 0, update: 0, delete: 0 },
+      forwarders: { create: 0, update: 0, delete: 0 }
+    };
+
+    const applyForwarders = (listenerId, forwarders) => {
+      forwarders.forEach(entry => {
+        if (entry.action === 'create') this.createForwarder(listenerId, entry.data);
+        if (entry.action === 'update') this.updateForwarder(entry.id, entry.data);
+        if (entry.action === 'delete') this.deleteForwarder(entry.id);
+        if (entry.action !== 'unchanged') counts.forwarders[entry.action] += 1;
+      });
+    };
+
+    this.db.transaction(() => {
+      // Deletes first, so names and ports are free for what comes next
+      plan.listeners.filter(entry => entry.action === 'delete').forEach(entry => {
+        this.deleteListener(entry.id);
+        counts.listeners.delete += 1;
+      });
+
+      plan.listeners.forEach(entry => {
+        if (entry.action === 'create') {
+          const listener = this.createListener(entry.data);
+          applyForwarders(listener.id, entry.forwarders);
+          counts.listeners.create += 1;
+        } else if (entry.action === 'update') {
+          this.updateListener(entry.id, entry.data);
+          applyForwarders(entry.id, entry.forwarders);
+          counts.listeners.update += 1;
+        }
+      });
+    })();
+
+    return counts;
+  }
+
   /**
    * Export database to JSON (for backup/debugging)
    * @returns {Object} Complete database export
    */
   exportToJSON() {
     return {
+      profile: this.getActiveProfile().name,
       listeners: this.getAllListeners(),
       timestamp: new Date().toISOString()
     };
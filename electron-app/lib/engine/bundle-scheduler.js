@@ -0,0 +1,100 @@
+const { timetagToDate } = require('../osc');
+
+/**
+ * Timetag-scheduled delivery of bundles (listeners.schedule_bundles)
+ *
+ * Messages from a bundle timed in the future are held until the local
+ * clock reaches the timetag, then delivered. Timetags further ahead than
+ * max_lookahead seconds are taken as a clock mismatch with the sender and
+ * delivered right away, as are past timetags and "immediately".
+ */
+
+const MAX_LOOKAHEAD = 3600;
+
+/**
+ * Validate a listener's bundle scheduling settings
+ * @param {Object} config - { max_lookahead }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBundleScheduling(config) {
+  const lookahead = config.max_lookahead ?? 10;
+  if (!Number.isInteger(lookahead) || lookahead < 1 || lookahead > MAX_LOOKAHEAD) {
+    return `max_lookahead must be an integer from 1 to ${MAX_LOOKAHEAD} seconds`;
+  }
+  return null;
+}
+
+/**
+ * Milliseconds until a timetag is due
+ * @param {Object|null} timetag - Bundle timetag (null for a plain message)
+ * @param {number} now - Current time in ms
+ * @returns {number} Delay, 0 if due already
+ */
+function dueIn(timetag, now = Date.now()) {
+  const date = timetag ? timetagToDate(timetag) : null;
+  return date ? Math.max(0, date.getTime() - now) : 0;
+}
+
+class BundleScheduler {
+  /**
+   * @param {Function} deliver - (messages, timetag) => void, called when due
+   */
+  constructor(deliver) {
+    this.deliver = deliver;
+    this.timers = new Map(); // timer -> message count
+    this.configure({});
+  }
+
+  /**
+   * @param {Object} config - Listener row (schedule_bundles, max_lookahead)
+   */
+  configure(config) {
+    this.enabled = Boolean(config.schedule_bundles);
+    this.lookaheadMs = (config.max_lookahead || 10) * 1000;
+  }
+
+  /**
+   * Hold messages until their timetag, if scheduling applies to them
+   * @param {Array} messages - Messages due at the same time
+   * @param {Object|null} timetag - Their timetag
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if held; false if they are due now
+   */
+  schedule(messages, timetag, now = Date.now()) {
+    if (!this.enabled) return false;
+    const delay = dueIn(timetag, now);
+    if (delay === 0 || delay > this.lookaheadMs) return false;
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.deliver(messages, timetag);
+    }, delay);
+    this.timers.set(timer, messages.length);
+    return true;
+  }
+
+  // Messages waiting for their time
+  get pendingCount() {
+    let count = 0;
+    this.timers.forEach(messages => { count += messages; });
+    return count;
+  }
+
+  /**
+   * Cancel everything still waiting (when the listener stops)
+   * @returns {number} Messages discarded
+   */
+  clear() {
+    const count = this.pendingCount;
+    this.timers.forEach((messages, timer) => clearTimeout(timer));
+    this.timers.clear();
+    return count;
+  }
+}
+
+module.exports = {
+  MAX_LOOKAHEAD,
+  validateBundleScheduling,
+  dueIn,
+  BundleScheduler
+};
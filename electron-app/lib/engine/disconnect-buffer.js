@@ -0,0 +1,167 @@
+const { readAddress } = require('../osc');
+
+/**
+ * What a forwarder does with messages while it is disconnected
+ * (forwarders.disconnect_policy)
+ *
+ *   drop    Discard them (default)
+ *   buffer  Keep the last buffer_size messages and send them, oldest
+ *           first, when the forwarder connects again
+ *   latest  Keep only the newest message per address (up to buffer_size
+ *           addresses), for state like faders where older values are
+ *           stale anyway. Bundles are never coalesced.
+ *
+ * With both buffer and latest, messages older than buffer_ttl seconds are
+ * discarded instead of sent.
+ */
+const DISCONNECT_POLICIES = {
+  drop: 'Drop messages',
+  buffer: 'Buffer the last messages',
+  latest: 'Keep the latest value per address'
+};
+
+const MAX_BUFFER_SIZE = 10000;
+const MAX_BUFFER_TTL = 3600;
+
+/**
+ * Validate a forwarder's disconnect policy settings
+ * @param {Object} config - { disconnect_policy, buffer_size, buffer_ttl }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDisconnectPolicy(config) {
+  const policy = config.disconnect_policy ?? 'drop';
+  if (!DISCONNECT_POLICIES[policy]) {
+    return `disconnect_policy must be one of ${Object.keys(DISCONNECT_POLICIES).join(', ')}`;
+  }
+  const size = config.buffer_size ?? 100;
+  if (!Number.isInteger(size) || size < 1 || size > MAX_BUFFER_SIZE) {
+    return `buffer_size must be an integer from 1 to ${MAX_BUFFER_SIZE}`;
+  }
+  const ttl = config.buffer_ttl ?? 10;
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_BUFFER_TTL) {
+    return `buffer_ttl must be an integer from 1 to ${MAX_BUFFER_TTL} seconds`;
+  }
+  return null;
+}
+
+/**
+ * Messages held for a disconnected forwarder. Entries are kept in arrival
+ * order in a Map; with the latest policy the key is the message address,
+ * so a newer value replaces (and moves after) the older one.
+ */
+class DisconnectBuffer {
+  /**
+   * @param {Object} config - Forwarder row (disconnect_policy, buffer_size, buffer_ttl)
+   */
+  constructor(config) {
+    this.entries = new Map();
+    this.nextKey = 0;
+    this.configure(config);
+  }
+
+  /**
+   * Apply new policy settings, keeping what still fits
+   * @param {Object} config - Forwarder row
+   * @returns {number} Messages discarded because of the change
+   */
+  configure(config) {
+    this.policy = config.disconnect_policy || 'drop';
+    this.size = config.buffer_size || 100;
+    this.ttlMs = (config.buffer_ttl || 10) * 1000;
+
+    if (this.policy === 'drop') return this.clear();
+    // Keyed entries cannot be coalesced after the fact, so switching
+    // between buffer and latest keeps them as they are
+    return this.trim();
+  }
+
+  get enabled() {
+    return this.policy !== 'drop';
+  }
+
+  get depth() {
+    return this.entries.size;
+  }
+
+  /**
+   * Hold a message until the forwarder connects
+   * @param {Buffer} data - Packet to send later (already rewritten)
+   * @param {number} now - Current time in ms
+   * @returns {{held: boolean, discarded: number}} Whether the message was
+   *   held, and how many older messages were replaced, expired or made
+   *   room for it
+   */
+  push(data, now = Date.now()) {
+    if (!this.enabled) return { held: false, discarded: 0 };
+
+    let key = this.policy === 'latest' ? readAddress(data) : null;
+    let discarded = this.expire(now);
+    if (key === null) {
+      key = this.nextKey++;
+    } else if (this.entries.delete(key)) {
+      discarded += 1;
+    }
+
+    this.entries.set(key, { data, at: now });
+    discarded += this.trim();
+    return { held: true, discarded };
+  }
+
+  /**
+   * Take every held message, oldest first
+   * @param {number} now - Current time in ms
+   * @returns {{packets: Array<Buffer>, expired: number}} Messages to send,
+   *   and how many were older than the TTL
+   */
+  drain(now = Date.now()) {
+    const packets = [];
+    let expired = 0;
+    this.entries.forEach(({ data, at }) => {
+      if (now - at > this.ttlMs) {
+        expired += 1;
+      } else {
+        packets.push(data);
+      }
+    });
+    this.entries.clear();
+    return { packets, expired };
+  }
+
+  /**
+   * Discard every held message
+   * @returns {number} Messages discarded
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  // Entries are in arrival order, so the expired ones are at the front
+  expire(now) {
+    let expired = 0;
+    for (const [key, { at }] of this.entries) {
+      if (now - at <= this.ttlMs) break;
+      this.entries.delete(key);
+      expired += 1;
+    }
+    return expired;
+  }
+
+  // Drop the oldest entries beyond the size limit
+  trim() {
+    let discarded = 0;
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.size) break;
+      this.entries.delete(key);
+      discarded += 1;
+    }
+    return discarded;
+  }
+}
+
+module.exports = {
+  DISCONNECT_POLICIES,
+  validateDisconnectPolicy,
+  DisconnectBuffer
+};
@@ -0,0 +1,123 @@
+const EventEmitter = require('events');
+const protocol = require('./protocol');
+
+// How long to wait for an engine to acknowledge a command
+const REQUEST_TIMEOUT = 5000;
+
+// Error output kept for crash reports
+const STDERR_LINES = 50;
+
+/**
+ * Base class for engine hosts (NodeEngine, RubyEngine).
+ *
+ * Subclasses implement start(), stop() and sendCommand(command), and pass
+ * every protocol message they receive to receive().
+ *
+ * Events:
+ *   'message' - protocol message from the engine (see protocol.js)
+ *   'exit'    - (code) the engine stopped
+ */
+class Engine extends EventEmitter {
+  constructor(type) {
+    super();
+    this.type = type;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+    this.warnedVersion = false;
+    this.stderrTail = [];
+  }
+
+  /**
+   * Configured features of a listener that this engine ignores
+   * @param {Object} listener - Listener row with nested forwarders
+   * @returns {Array<string>} Descriptions of the ignored features
+   */
+  unsupportedFeatures(listener) {
+    return [];
+  }
+
+  /**
+   * Send a command and wait for the engine's ack
+   * @param {string} command - Command name (see protocol.COMMANDS)
+   * @param {Object} params - Command parameters
+   * @returns {Promise<{ok: boolean, error?: string}>} The engine's answer
+   */
+  request(command, params = {}) {
+    const id = String(this.nextRequestId++);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        resolve({ ok: false, error: `Engine did not acknowledge '${command}'` });
+      }, REQUEST_TIMEOUT);
+
+      this.pending.set(id, { resolve, timer });
+      this.sendCommand(protocol.command(id, command, params));
+    });
+  }
+
+  /**
+   * Handle one message from the engine
+   * @param {Object} message - Protocol message
+   */
+  receive(message) {
+    if (message.v !== protocol.PROTOCOL_VERSION && !this.warnedVersion) {
+      this.warnedVersion = true;
+      this.emit('message', protocol.message('log', {
+        level: 'warn',
+        message: `${this.type} engine speaks protocol v${message.v}, expected v${protocol.PROTOCOL_VERSION}`
+      }));
+    }
+
+    if (message.type === 'error' || (message.type === 'log' && message.level === 'error')) {
+      this.recordStderr(message.message);
+    }
+
+    if (message.type === 'ack' && this.pending.has(message.request_id)) {
+      const { resolve, timer } = this.pending.get(message.request_id);
+      clearTimeout(timer);
+      this.pending.delete(message.request_id);
+      resolve({ ok: message.ok, error: message.error });
+    }
+
+    this.emit('message', message);
+  }
+
+  /**
+   * Keep the last STDERR_LINES lines of error output (the Ruby proxy's
+   * stderr, or error logs from the built-in engine)
+   * @param {string} text - One or more lines
+   */
+  recordStderr(text) {
+    String(text).split('\n').forEach(line => {
+      if (line.trim()) this.stderrTail.push(line);
+    });
+    if (this.stderrTail.length > STDERR_LINES) {
+      this.stderrTail.splice(0, this.stderrTail.length - STDERR_LINES);
+    }
+  }
+
+  /**
+   * Report the engine as stopped and fail any outstanding requests
+   * @param {number|null} code - Exit code
+   */
+  exited(code) {
+    this.pending.forEach(({ resolve, timer }) => {
+      clearTimeout(timer);
+      resolve({ ok: false, error: 'Engine stopped' });
+    });
+    this.pending.clear();
+    this.emit('exit', code);
+  }
+
+  /**
+   * Enable or disable per-message 'message-trace' messages
+   * @param {boolean} enabled - Tracing state
+   * @returns {Promise<Object>} Ack
+   */
+  setTracing(enabled) {
+    return this.request('set-tracing', { enabled });
+  }
+}
+
+module.exports = Engine;
@@ -0,0 +1,315 @@
+const EventEmitter = require('events');
+const { round } = require('./metrics-logger');
+const { encodeBundle } = require('../osc');
+const { createRouteFilter } = require('../address-pattern');
+const { createRewriter } = require('../rewrite');
+const { createThrottle } = require('../throttle');
+const { DisconnectBuffer } = require('./disconnect-buffer');
+
+/**
+ * Base class for OSC destinations. Holds the per-forwarder counters
+ * reported in the dashboard's forwarder table.
+ *
+ * Subclasses implement connect(), send(data, latencyMs, messages) and
+ * close(), and report their
+ * connection through setConnected(), recordConnectFailure() and
+ * markClosed(), which emit 'connected', 'disconnected' (reason),
+ * 'connect-failed' ({ attempt, reason }) and 'closed' (wasConnected).
+ *
+ * Messages for a disconnected forwarder are dropped or held according to
+ * its disconnect policy (see disconnect-buffer.js) and sent on connect.
+ * Throttle rules (see throttle.js) hold back messages on busy addresses.
+ * Held messages that are later discarded or fail to send count as drops
+ * and are reported with 'deferred-dropped' (count).
+ */
+class Forwarder extends EventEmitter {
+  /**
+   * @param {Object} config - Forwarder row from ProxyDatabase
+   * @param {Object} logger - Engine logger ({ log(level, message) })
+   */
+  constructor(config, logger) {
+    super();
+    this.id = config.id;
+    this.name = config.name || `${config.host}:${config.port}`;
+    this.host = config.host;
+    this.port = config.port;
+    this.protocol = config.protocol;
+    this.config = config;
+    this.logger = logger;
+    this.connected = false;
+    this.connectAttempts = 0; // Failed attempts since the last connect
+    this.routeFilter = createRouteFilter(config.routes);
+    this.rewriter = createRewriter(config.rewrites);
+    this.throttle = createThrottle(throttleRules(config), data => this.deliverLater(data));
+    this.buffer = new DisconnectBuffer(config);
+
+    this.forwardedCount = 0;
+    this.previousCoalesced = 0; // Coalesced by throttles replaced since
+    this.filteredCount = 0;
+    this.droppedCount = 0;
+    this.failedCount = 0;
+    this.totalLatency = 0;
+    this.latencySamples = 0;
+  }
+
+  /**
+   * Record a successful send
+   * @param {number} latencyMs - Time from receipt to hand-off
+   * @param {number} messages - Messages in the packet (more for a bundle)
+   */
+  recordSent(latencyMs, messages = 1) {
+    this.forwardedCount += messages;
+    if (latencyMs > 0) {
+      this.totalLatency += latencyMs;
+      this.latencySamples += 1;
+    }
+  }
+
+  get hasRoutes() {
+    return this.routeFilter !== null;
+  }
+
+  /**
+   * Check a packet against the routing rules. A bundle is accepted if any
+   * of its messages is.
+   * @param {Array<string>} addresses - Addresses in the packet
+   * @returns {boolean} True if the packet should be sent to this forwarder
+   */
+  accepts(addresses) {
+    if (!this.routeFilter) return true;
+    return addresses.some(this.routeFilter);
+  }
+
+  get hasThrottle() {
+    return this.throttle !== null;
+  }
+
+  get coalescedCount() {
+    return this.previousCoalesced + (this.throttle ? this.throttle.coalescedCount : 0);
+  }
+
+  /**
+   * Apply the rewrite rules to an outgoing packet
+   * @param {Buffer} data - Packet as received
+   * @returns {Buffer} Packet to send
+   */
+  rewrite(data) {
+    return this.rewriter ? this.rewriter(data) : data;
+  }
+
+  /**
+   * Apply a new name, new routing/rewrite/throttle rules and a new
+   * disconnect policy without reconnecting. Connection settings (host,
+   * port, protocol, ...) need a new forwarder.
+   * @param {Object} config - Forwarder row from ProxyDatabase
+   * @throws {Error} If a rule is invalid; the old rules stay in effect
+   */
+  reconfigure(config) {
+    const routeFilter = createRouteFilter(config.routes);
+    const rewriter = createRewriter(config.rewrites);
+    const throttle = createThrottle(throttleRules(config), data => this.deliverLater(data));
+
+    this.name = config.name || `${config.host}:${config.port}`;
+    this.routeFilter = routeFilter;
+    this.rewriter = rewriter;
+    this.config = config;
+    this.recordDeferredDrops(this.buffer.configure(config));
+
+    // Messages held by the old rules go out now rather than being lost
+    if (this.throttle) {
+      this.previousCoalesced += this.throttle.coalescedCount;
+      this.throttle.flush();
+    }
+    this.throttle = throttle;
+  }
+
+  /**
+   * Route, rewrite, throttle and send messages that arrived together: one
+   * plain message, or the messages of a bundle due at the same time. With
+   * rebundle the bundle's messages go out as one bundle again.
+   * @param {Array<{address: string, data: Buffer}>} messages - Messages as received
+   * @param {Object|null} timetag - Bundle timetag, null for a plain message
+   * @param {number} latencyMs - Latency to record for sends now
+   * @returns {Array<string>} Outcome per message: 'filtered', or see forward()
+   */
+  forwardMessages(messages, timetag, latencyMs = 0) {
+    const outcomes = [];
+    const bundled = [];
+
+    messages.forEach(({ address, data }, i) => {
+      // Routing rules see the address as received, before any rewriting
+      if (!this.accepts(address ? [address] : [])) {
+        this.recordFiltered();
+        outcomes[i] = 'filtered';
+        return;
+      }
+
+      const rewritten = this.rewrite(data);
+      if (!timetag || !this.config.rebundle) {
+        outcomes[i] = this.forward(address, rewritten, latencyMs);
+      } else if (this.throttle && !this.throttle.admit(address, rewritten)) {
+        outcomes[i] = 'throttled';
+      } else {
+        bundled.push([i, rewritten]);
+      }
+    });
+
+    if (bundled.length > 0) {
+      const bundle = encodeBundle(timetag, bundled.map(([, data]) => data));
+      const outcome = this.deliver(bundle, latencyMs, bundled.length);
+      bundled.forEach(([i]) => { outcomes[i] = outcome; });
+    }
+    return outcomes;
+  }
+
+  /**
+   * Send a packet now, or hold it back if its address is throttled
+   * @param {string|null} address - Address as received (null if unreadable)
+   * @param {Buffer} data - Packet to send (already rewritten)
+   * @param {number} latencyMs - Latency to record if it is sent now
+   * @returns {string} Outcome: 'throttled' or see deliver()
+   */
+  forward(address, data, latencyMs = 0) {
+    if (this.throttle && !this.throttle.admit(address, data)) return 'throttled';
+    return this.deliver(data, latencyMs);
+  }
+
+  /**
+   * Send a packet, or hold it per the disconnect policy while disconnected
+   * @param {Buffer} data - Packet to send
+   * @param {number} latencyMs - Latency to record for this send
+   * @param {number} messages - Messages in the packet
+   * @returns {string} Outcome: 'forwarded', 'buffered', 'dropped' or 'failed'
+   */
+  deliver(data, latencyMs = 0, messages = 1) {
+    if (!this.connected) {
+      // Reconnection happens in the background; the disconnect policy
+      // decides whether the message waits for it
+      return this.hold(data) ? 'buffered' : 'dropped';
+    }
+    return this.send(data, latencyMs, messages) ? 'forwarded' : 'failed';
+  }
+
+  // A message the throttle held back is due
+  deliverLater(data) {
+    const outcome = this.deliver(data);
+    if (outcome === 'dropped' || outcome === 'failed') this.recordDeferredDrops(1);
+  }
+
+  /**
+   * Hold a message while disconnected, if the disconnect policy keeps any
+   * @param {Buffer} data - Packet to send on connect (already rewritten)
+   * @returns {boolean} True if the message was held, false if it is dropped
+   */
+  hold(data) {
+    const { held, discarded } = this.buffer.push(data);
+    this.recordDeferredDrops(discarded);
+    return held;
+  }
+
+  /**
+   * Send the held messages that have not expired, oldest first
+   */
+  flushBuffer() {
+    const { packets, expired } = this.buffer.drain();
+    this.recordDeferredDrops(expired);
+    if (packets.length === 0) return;
+
+    this.logger.log('info', `${this.name}: sending ${packets.length} buffered message(s)`);
+    let failed = 0;
+    packets.forEach(data => {
+      if (!this.send(data)) failed += 1;
+    });
+    this.recordDeferredDrops(failed);
+  }
+
+  recordDeferredDrops(count) {
+    if (count === 0) return;
+    this.droppedCount += count;
+    this.emit('deferred-dropped', count);
+  }
+
+  recordFiltered() {
+    this.filteredCount += 1;
+  }
+
+  recordDrop() {
+    this.droppedCount += 1;
+  }
+
+  recordFailure() {
+    this.failedCount += 1;
+  }
+
+  get avgLatencyMs() {
+    if (this.latencySamples === 0) return 0;
+    return round(this.totalLatency / this.latencySamples, 2);
+  }
+
+  /**
+   * Update the connection state
+   * @param {boolean} connected - New state
+   * @param {string|null} reason - Why the connection dropped
+   */
+  setConnected(connected, reason = null) {
+    if (this.connected === connected) return;
+    this.connected = connected;
+    if (connected) {
+      this.connectAttempts = 0;
+      this.emit('connected');
+      this.flushBuffer();
+    } else {
+      this.emit('disconnected', reason);
+    }
+  }
+
+  /**
+   * A connection attempt (first connect or reconnect) failed
+   * @param {string} reason - Error from the attempt
+   */
+  recordConnectFailure(reason) {
+    this.connectAttempts += 1;
+    this.emit('connect-failed', { attempt: this.connectAttempts, reason });
+  }
+
+  /**
+   * Closed on purpose (listener stopped, forwarder removed or replaced)
+   */
+  markClosed() {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.recordDeferredDrops(this.buffer.clear());
+    if (this.throttle) this.recordDeferredDrops(this.throttle.clear());
+    this.emit('closed', wasConnected);
+  }
+
+  /**
+   * Status entry for the metrics payload
+   * @returns {Object} Forwarder status
+   */
+  status() {
+    return {
+      id: this.id,
+      name: this.name,
+      host: this.host,
+      port: this.port,
+      protocol: this.protocol,
+      connected: this.connected,
+      latency: this.avgLatencyMs,
+      forwarded: this.forwardedCount,
+      dropped: this.droppedCount,
+      failed: this.failedCount,
+      filtered: this.filteredCount,
+      coalesced: this.coalescedCount,
+      disconnect_policy: this.buffer.policy,
+      queued: this.buffer.depth
+    };
+  }
+}
+
+// A forwarder's own throttle rules come before its listener's
+function throttleRules(config) {
+  return [...(config.throttles || []), ...(config.listener_throttles || [])];
+}
+
+module.exports = Forwarder;
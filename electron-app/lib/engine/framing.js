@@ -0,0 +1,78 @@
+const slip = require('./slip');
+const lengthPrefix = require('./length-prefix');
+const newline = require('./newline');
+
+/**
+ * How OSC packets are delimited on a TCP stream (listeners.framing,
+ * forwarders.framing)
+ *
+ *   slip-double    SLIP with an END byte before and after each packet
+ *                  (default, what Lightkey expects)
+ *   slip-single    SLIP with an END byte after each packet (OSC 1.1)
+ *   length-prefix  32-bit big-endian size before each packet (OSC 1.0)
+ *   newline        A newline after each packet, for debugging only
+ *
+ * Both SLIP variants decode the same way, so a SLIP listener accepts either.
+ */
+const FRAMINGS = {
+  'slip-double': 'SLIP (double END)',
+  'slip-single': 'SLIP (single END)',
+  'length-prefix': 'Length prefix (OSC 1.0)',
+  newline: 'Newline-delimited (debugging)'
+};
+
+const DEFAULT_FRAMING = 'slip-double';
+
+/**
+ * Validate a framing name
+ * @param {string} framing - Framing name
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFraming(framing) {
+  if (FRAMINGS[framing ?? DEFAULT_FRAMING]) return null;
+  return `framing must be one of ${Object.keys(FRAMINGS).join(', ')}`;
+}
+
+/**
+ * Frame one packet for sending
+ * @param {Buffer} data - Raw OSC packet
+ * @param {string} framing - Framing name
+ * @returns {Buffer} Framed packet
+ */
+function encodeFrame(data, framing = DEFAULT_FRAMING) {
+  switch (framing) {
+    case 'slip-single':
+      return slip.encode(data, false);
+    case 'length-prefix':
+      return lengthPrefix.encode(data);
+    case 'newline':
+      return newline.encode(data);
+    default:
+      return slip.encode(data);
+  }
+}
+
+/**
+ * Streaming decoder for one connection
+ * @param {string} framing - Framing name
+ * @param {number} maxSize - Discard frames larger than this many bytes
+ * @returns {{decode: function(Buffer): Array<Buffer>}} Decoder
+ */
+function createDecoder(framing = DEFAULT_FRAMING, maxSize = 8192) {
+  switch (framing) {
+    case 'length-prefix':
+      return new lengthPrefix.LengthPrefixDecoder(maxSize);
+    case 'newline':
+      return new newline.NewlineDecoder(maxSize);
+    default:
+      return new slip.SlipDecoder(maxSize);
+  }
+}
+
+module.exports = {
+  FRAMINGS,
+  DEFAULT_FRAMING,
+  validateFraming,
+  encodeFrame,
+  createDecoder
+};
@@ -0,0 +1,71 @@
+// Length-prefix framing for OSC over TCP (OSC 1.0 stream framing)
+
+const HEADER_SIZE = 4;
+
+/**
+ * Frame a packet with its size as a 4-byte big-endian integer
+ * @param {Buffer} data - Raw OSC packet
+ * @returns {Buffer} Length-prefixed packet
+ */
+function encode(data) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt32BE(data.length);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Streaming length-prefix decoder. Feed it chunks from a socket and it
+ * returns every complete packet; packets may span chunks.
+ */
+class LengthPrefixDecoder {
+  /**
+   * @param {number} maxSize - Discard frames larger than this many bytes
+   */
+  constructor(maxSize = 8192) {
+    this.maxSize = maxSize;
+    this.reset();
+  }
+
+  /**
+   * Decode a chunk of bytes
+   * @param {Buffer} chunk - Bytes received from the socket
+   * @returns {Array<Buffer>} Complete packets found in this chunk
+   */
+  decode(chunk) {
+    const packets = [];
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (true) {
+      // Skip the rest of an oversized frame
+      if (this.skip > 0) {
+        const skipped = Math.min(this.skip, this.buffer.length);
+        this.skip -= skipped;
+        this.buffer = this.buffer.subarray(skipped);
+        if (this.skip > 0) break;
+      }
+
+      if (this.buffer.length < HEADER_SIZE) break;
+      const size = this.buffer.readUInt32BE(0);
+
+      if (size > this.maxSize) {
+        this.skip = size;
+        this.buffer = this.buffer.subarray(HEADER_SIZE);
+        continue;
+      }
+
+      if (this.buffer.length < HEADER_SIZE + size) break;
+      // Empty frames carry no packet
+      if (size > 0) packets.push(Buffer.from(this.buffer.subarray(HEADER_SIZE, HEADER_SIZE + size)));
+      this.buffer = this.buffer.subarray(HEADER_SIZE + size);
+    }
+
+    return packets;
+  }
+
+  reset() {
+    this.buffer = Buffer.alloc(0);
+    this.skip = 0; // Bytes left of a frame being discarded
+  }
+}
+
+module.exports = { encode, LengthPrefixDecoder, HEADER_SIZE };
@@ -0,0 +1,368 @@
+const EventEmitter = require('events');
+const UDPListener = require('./udp-listener');
+const TCPListener = require('./tcp-listener');
+const WSListener = require('./ws-listener');
+const TCPConnection = require('./tcp-connection');
+const UDPSender = require('./udp-sender');
+const WSConnection = require('./ws-connection');
+const MetricsLogger = require('./metrics-logger');
+const { round } = require('./metrics-logger');
+const { BundleScheduler } = require('./bundle-scheduler');
+const { parseGroups } = require('./multicast');
+const { isBundle, readAddress, unpackBundle, compareTimetags } = require('../osc');
+
+/**
+ * ListenerProxy manages one listener (source) with multiple forwarders
+ * (destinations). Broadcasts each incoming message to every forwarder
+ * whose routing rules accept its address.
+ *
+ * While tracing is enabled, emits 'trace' for every received message with
+ * its source and the delivery outcome per forwarder (forwarded, scheduled,
+ * throttled, buffered, dropped, failed or filtered; for a bundle also the
+ * number of its messages per outcome). Emits 'forwarder-state'
+ * whenever a forwarder connects or disconnects, and 'connection-event' for
+ * the connection journal (also failed attempts and deliberate closes).
+ */
+class ListenerProxy extends EventEmitter {
+  /**
+   * @param {Object} config - Listener row with nested enabled forwarders
+   * @param {Object} options
+   * @param {Object} options.logger - Engine logger ({ log(level, message) })
+   */
+  constructor(config, { logger }) {
+    super();
+    this.id = config.id;
+    this.name = config.name;
+    this.config = config;
+    this.logger = logger;
+
+    this.listener = null;
+    this.forwarders = [];
+    this.scheduler = new BundleScheduler((messages, timetag) => this.dispatch(messages, timetag, null));
+    this.scheduler.configure(config);
+    this.metrics = new MetricsLogger();
+    this.running = false;
+    this.tracing = false;
+    this.error = null;
+  }
+
+  /**
+   * Bind the listener and connect all forwarders
+   * @returns {Promise<boolean>} True if the listener started
+   */
+  async start() {
+    this.logger.log('info', `Starting listener: ${this.name}`);
+
+    try {
+      this.listener = this.createListener();
+      this.listener.on('message', (data, source) => this.handleMessage(data, source));
+      await this.listener.start();
+
+      this.forwarders = this.config.forwarders.map(config => this.createForwarder(config));
+      this.forwarders.forEach(forwarder => forwarder.connect());
+
+      this.metrics.reset();
+      this.running = true;
+      this.error = null;
+
+      this.logger.log('info', `Listener ${this.name} started successfully`);
+      return true;
+    } catch (err) {
+      this.logger.log('error', `Failed to start listener ${this.name}: ${err.message}`);
+      this.error = err.message;
+      this.stop();
+      return false;
+    }
+  }
+
+  stop() {
+    this.logger.log('info', `Stopping listener: ${this.name}`);
+    this.running = false;
+
+    if (this.listener) {
+      this.listener.removeAllListeners('message');
+      this.listener.stop();
+      this.listener = null;
+    }
+
+    const unsent = this.scheduler.clear();
+    if (unsent > 0) {
+      this.logger.log('warn', `Listener ${this.name}: ${unsent} scheduled message(s) not sent`);
+      for (let i = 0; i < unsent; i++) {
+        this.metrics.recordDropped();
+      }
+    }
+
+    this.forwarders.forEach(forwarder => forwarder.close());
+    this.forwarders = [];
+
+    this.logger.log('info', `Listener ${this.name} stopped`);
+  }
+
+  /**
+   * Apply a changed configuration while running, without rebinding the
+   * listener socket (see lib/config-diff.js). Forwarders are connected,
+   * closed, replaced or updated in place; untouched forwarders keep their
+   * connections and counters.
+   * @param {Object} config - Listener row with nested enabled forwarders
+   * @param {Object} diff - diffListener(this.config, config) with no listener restart
+   */
+  reconfigure(config, diff) {
+    const { added, removed, replaced, updated } = diff.forwarders;
+
+    // Create the new forwarders before closing any, so a bad configuration
+    // leaves the running ones alone
+    const created = [...replaced, ...added].map(forwarderConfig => this.createForwarder(forwarderConfig, config));
+    updated.forEach(forwarderConfig => {
+      this.forwarders.find(f => f.id === forwarderConfig.id).reconfigure(this.forwarderConfig(forwarderConfig, config));
+    });
+
+    const closing = new Set([...removed, ...replaced.map(f => f.id)]);
+    this.forwarders.filter(f => closing.has(f.id)).forEach(forwarder => forwarder.close());
+    this.forwarders = [...this.forwarders.filter(f => !closing.has(f.id)), ...created];
+    created.forEach(forwarder => forwarder.connect());
+
+    // Keep the saved order of forwarders
+    const order = config.forwarders.map(f => f.id);
+    this.forwarders.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+
+    this.scheduler.configure(config);
+    this.name = config.name;
+    this.config = config;
+  }
+
+  createListener() {
+    const options = {
+      port: this.config.port,
+      bind: this.config.bind_address,
+      maxSize: this.config.max_message_size,
+      framing: this.config.framing,
+      multicastGroups: parseGroups(this.config.multicast_groups),
+      multicastInterface: this.config.multicast_interface,
+      logger: this.logger
+    };
+
+    switch (this.config.protocol) {
+      case 'udp':
+        return new UDPListener(options);
+      case 'tcp':
+        return new TCPListener(options);
+      case 'ws':
+        return new WSListener(options);
+      default:
+        throw new Error(`Unknown listener protocol: ${this.config.protocol}`);
+    }
+  }
+
+  createForwarder(config, listenerConfig = this.config) {
+    let forwarder;
+    config = this.forwarderConfig(config, listenerConfig);
+    switch (config.protocol) {
+      case 'tcp':
+        forwarder = new TCPConnection(config, this.logger);
+        break;
+      case 'udp':
+        forwarder = new UDPSender(config, this.logger);
+        break;
+      case 'ws':
+        forwarder = new WSConnection(config, this.logger);
+        break;
+      default:
+        throw new Error(`Unknown forwarder protocol: ${config.protocol}`);
+    }
+
+    forwarder.on('connected', () => {
+      this.emitForwarderState(forwarder);
+      this.emitConnectionEvent(forwarder, 'connected');
+    });
+    forwarder.on('disconnected', (reason) => {
+      this.emitForwarderState(forwarder);
+      this.emitConnectionEvent(forwarder, 'disconnected', { reason });
+    });
+    forwarder.on('connect-failed', ({ attempt, reason }) => {
+      this.emitConnectionEvent(forwarder, 'connect-failed', { attempt, reason });
+    });
+    forwarder.on('closed', (wasConnected) => {
+      if (wasConnected) this.emitForwarderState(forwarder);
+      this.emitConnectionEvent(forwarder, 'closed');
+    });
+    forwarder.on('deferred-dropped', (count) => {
+      for (let i = 0; i < count; i++) {
+        this.metrics.recordDropped();
+      }
+    });
+    return forwarder;
+  }
+
+  // Forwarders apply the listener's throttle rules after their own
+  forwarderConfig(config, listenerConfig) {
+    return { ...config, listener_throttles: listenerConfig.throttles || [] };
+  }
+
+  emitForwarderState(forwarder) {
+    this.emit('forwarder-state', {
+      listener_id: this.id,
+      forwarder_id: forwarder.id,
+      name: forwarder.name,
+      connected: forwarder.connected
+    });
+  }
+
+  emitConnectionEvent(forwarder, event, details = {}) {
+    this.emit('connection-event', {
+      listener_id: this.id,
+      forwarder_id: forwarder.id,
+      name: forwarder.name,
+      event,
+      reason: details.reason || null,
+      attempt: details.attempt || null
+    });
+  }
+
+  /**
+   * Broadcast one received packet to every forwarder that accepts it.
+   * Bundles are unpacked: each message inside is counted, routed,
+   * rewritten and throttled on its own. With bundle scheduling, messages
+   * timed in the future wait for their timetag.
+   * @param {Buffer} data - Raw OSC packet
+   * @param {Object} source - Sender address ({ address, port })
+   */
+  handleMessage(data, source) {
+    if (!this.running || !data || data.length === 0) return;
+
+    const receivedAt = process.hrtime.bigint();
+    const deliveries = this.tracing ? [] : null;
+
+    const messages = isBundle(data) ? unpackBundle(data) : [];
+    if (messages.length === 0) {
+      // A plain message, or a bundle with nothing readable in it (passed on whole)
+      this.metrics.recordReceived();
+      this.dispatch([{ address: readAddress(data), data }], null, receivedAt, deliveries);
+    } else {
+      messages.forEach(() => this.metrics.recordReceived());
+
+      // Messages due at the same time are delivered together
+      timetagGroups(messages).forEach(group => {
+        if (this.scheduler.schedule(group.messages, group.timetag)) {
+          if (deliveries) recordScheduled(deliveries, this.forwarders, group.messages.length);
+        } else {
+          this.dispatch(group.messages, group.timetag, receivedAt, deliveries);
+        }
+      });
+    }
+
+    if (deliveries) {
+      this.emit('trace', {
+        listener_id: this.id,
+        listener_name: this.name,
+        timestamp: Date.now(),
+        source,
+        data,
+        deliveries
+      });
+    }
+  }
+
+  /**
+   * Send messages that are due to every forwarder and count the outcomes
+   * @param {Array} messages - { address, data } messages
+   * @param {Object|null} timetag - Bundle timetag, null for a plain message
+   * @param {bigint|null} receivedAt - When the packet arrived (null for
+   *   scheduled messages, whose latency is not recorded)
+   * @param {Array|null} deliveries - Trace entries to add to, while tracing
+   */
+  dispatch(messages, timetag, receivedAt, deliveries = null) {
+    if (!this.running) return;
+
+    const latencyMs = receivedAt ? elapsedMs(receivedAt) : 0;
+    const outcomes = this.forwarders.map(forwarder => forwarder.forwardMessages(messages, timetag, latencyMs));
+
+    messages.forEach((message, i) => {
+      // Buffered and throttled messages are sent (or counted as drops) later
+      let forwarded = false;
+      outcomes.forEach((forwarderOutcomes, f) => {
+        const outcome = forwarderOutcomes[i];
+        if (outcome === 'forwarded') {
+          forwarded = true;
+        } else if (outcome === 'dropped' || outcome === 'failed') {
+          this.forwarders[f].recordDrop();
+          this.metrics.recordDropped();
+        }
+      });
+      if (forwarded) this.metrics.recordForwarded(receivedAt ? elapsedMs(receivedAt) : 0);
+    });
+
+    if (deliveries) {
+      this.forwarders.forEach((forwarder, f) => {
+        addDelivery(deliveries, forwarder, outcomes[f]);
+      });
+    }
+  }
+
+  /**
+   * Current metrics in the same shape as the Ruby engine's ListenerProxy
+   * @returns {Object} Listener metrics with per-forwarder status
+   */
+  currentMetrics() {
+    return {
+      id: this.id,
+      name: this.name,
+      enabled: this.config.enabled,
+      protocol: this.config.protocol,
+      port: this.config.port,
+      bind_address: this.config.bind_address,
+      status: this.running ? 'running' : 'stopped',
+      rate: this.metrics.rate,
+      avg_rate: this.metrics.avgRate,
+      peak_rate: this.metrics.peakRate,
+      latency: this.metrics.latencyMs,
+      total: this.metrics.totalReceived,
+      forwarded: this.metrics.totalForwarded,
+      dropped: this.metrics.totalDropped,
+      loss_pct: this.metrics.lossPercentage,
+      forwarders: this.forwarders.map(forwarder => forwarder.status()),
+      forwarders_count: this.forwarders.length
+    };
+  }
+}
+
+// Split unpacked messages into runs due at the same time
+function timetagGroups(messages) {
+  const groups = [];
+  messages.forEach(message => {
+    const last = groups[groups.length - 1];
+    if (last && compareTimetags(last.timetag, message.timetag) === 0) {
+      last.messages.push(message);
+    } else {
+      groups.push({ timetag: message.timetag, messages: [message] });
+    }
+  });
+  return groups;
+}
+
+// Outcomes of one packet per forwarder: a single outcome for a plain
+// message, counts per outcome for a bundle (merged across timetag groups)
+function addDelivery(deliveries, forwarder, outcomes) {
+  let delivery = deliveries.find(d => d.forwarder_id === forwarder.id);
+  if (!delivery) {
+    delivery = { forwarder_id: forwarder.id, name: forwarder.name, outcome: null, messages: {} };
+    deliveries.push(delivery);
+  }
+  outcomes.forEach(outcome => {
+    delivery.messages[outcome] = (delivery.messages[outcome] || 0) + 1;
+  });
+  delivery.outcome = OUTCOME_ORDER.find(outcome => delivery.messages[outcome]) || null;
+}
+
+function recordScheduled(deliveries, forwarders, count) {
+  forwarders.forEach(forwarder => addDelivery(deliveries, forwarder, new Array(count).fill('scheduled')));
+}
+
+// The outcome a packet is shown with: the best one any of its messages had
+const OUTCOME_ORDER = ['forwarded', 'scheduled', 'throttled', 'buffered', 'failed', 'dropped', 'filtered'];
+
+function elapsedMs(since) {
+  return round(Number(process.hrtime.bigint() - since) / 1e6, 2);
+}
+
+module.exports = ListenerProxy;
@@ -0,0 +1,94 @@
+// Per-listener message counters and rate statistics
+// Mirrors OSCProxy::MetricsLogger so both engines report identical numbers
+
+const MAX_LATENCY_SAMPLES = 100;
+
+class MetricsLogger {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.totalReceived = 0;
+    this.totalForwarded = 0;
+    this.totalDropped = 0;
+    this.latencies = [];
+    this.rateSum = 0;
+    this.rateCount = 0;
+    this.peakRate = 0;
+    this.currentRate = 0;
+    this.intervalReceived = 0;
+    this.lastSample = Date.now();
+  }
+
+  recordReceived() {
+    this.totalReceived += 1;
+    this.intervalReceived += 1;
+  }
+
+  /**
+   * Record a successfully forwarded message
+   * @param {number} latencyMs - Time spent handing the message to all forwarders
+   */
+  recordForwarded(latencyMs) {
+    this.totalForwarded += 1;
+    this.latencies.push(latencyMs);
+    if (this.latencies.length > MAX_LATENCY_SAMPLES) {
+      this.latencies.shift();
+    }
+  }
+
+  recordDropped() {
+    this.totalDropped += 1;
+  }
+
+  /**
+   * Close the current interval and compute its rate.
+   * Called once per metrics tick by the owning ListenerProxy.
+   * @returns {number} Messages per second over the interval
+   */
+  sample() {
+    const now = Date.now();
+    const elapsed = (now - this.lastSample) / 1000;
+    this.lastSample = now;
+
+    this.currentRate = elapsed > 0 ? round(this.intervalReceived / elapsed, 1) : 0;
+    this.intervalReceived = 0;
+
+    this.rateSum += this.currentRate;
+    this.rateCount += 1;
+    if (this.currentRate > this.peakRate) {
+      this.peakRate = this.currentRate;
+    }
+
+    return this.currentRate;
+  }
+
+  get rate() {
+    return this.currentRate;
+  }
+
+  get avgRate() {
+    if (this.rateCount === 0) return 0;
+    return round(this.rateSum / this.rateCount, 1);
+  }
+
+  get latencyMs() {
+    if (this.latencies.length === 0) return 0;
+    const sum = this.latencies.reduce((acc, value) => acc + value, 0);
+    return round(sum / this.latencies.length, 2);
+  }
+
+  get lossPercentage() {
+    if (this.totalReceived === 0) return 0;
+    return round((this.totalDropped / this.totalReceived) * 100, 2);
+  }
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = MetricsLogger;
+module.exports.round = round;
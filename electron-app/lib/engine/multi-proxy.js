@@ -0,0 +1,286 @@
+const EventEmitter = require('events');
+const ListenerProxy = require('./listener-proxy');
+const { round } = require('./metrics-logger');
+const protocol = require('./protocol');
+const { diffListener } = require('../config-diff');
+
+/**
+ * MultiProxy orchestrates multiple ListenerProxy instances.
+ * Loads configuration from ProxyDatabase and manages their lifecycle.
+ *
+ * With autostart off the engine starts idle and runs listeners only when
+ * asked to with 'start-listener' commands; this is how the app drives it.
+ *
+ * Emits 'message' with protocol messages (see protocol.js): metrics once
+ * per interval, log, forwarder-state, connection-event and, while tracing,
+ * message-trace.
+ */
+class MultiProxy extends EventEmitter {
+  /**
+   * @param {ProxyDatabase} db - Open database
+   * @param {Object} options
+   * @param {boolean} options.autostart - Start all enabled listeners on start()
+   * @param {number} options.interval - Metrics interval in ms
+   */
+  constructor(db, { autostart = true, interval = 1000 } = {}) {
+    super();
+    this.db = db;
+    this.autostart = autostart;
+    this.interval = interval;
+    this.listenerProxies = [];
+    this.starting = new Map(); // Listener ID -> start in progress
+    this.running = false;
+    this.tracing = false;
+    this.metricsTimer = null;
+    this.logger = {
+      log: (level, message) => this.send('log', { level, message })
+    };
+  }
+
+  /**
+   * Start the engine and, with autostart, all enabled listeners
+   * @returns {Promise<boolean>} False if nothing could be started
+   */
+  async start() {
+    this.logger.log('info', 'MultiProxy starting');
+
+    if (this.autostart) {
+      const listeners = this.db.getEnabledListeners();
+      this.logger.log('info', `Found ${listeners.length} enabled listener(s)`);
+
+      if (listeners.length === 0) {
+        this.logger.log('error', 'No enabled listeners found in database');
+        return false;
+      }
+
+      this.listenerProxies = listeners.map(listener => this.createProxy(listener));
+      await Promise.all(this.listenerProxies.map(proxy => proxy.start()));
+
+      if (!this.listenerProxies.some(proxy => proxy.running)) {
+        this.logger.log('error', 'No listeners could be started');
+        return false;
+      }
+    }
+
+    this.running = true;
+    this.outputMetrics();
+    this.metricsTimer = setInterval(() => this.outputMetrics(), this.interval);
+
+    this.logger.log('info', `MultiProxy started with ${this.listenerProxies.length} listener(s)`);
+    return true;
+  }
+
+  stop() {
+    this.logger.log('info', 'MultiProxy stopping...');
+    this.running = false;
+    clearInterval(this.metricsTimer);
+    this.metricsTimer = null;
+    this.listenerProxies.forEach(proxy => proxy.stop());
+    this.logger.log('info', 'MultiProxy stopped');
+  }
+
+  /**
+   * Create a ListenerProxy for a listener row and its enabled forwarders
+   * @param {Object} listener - Listener row with nested forwarders
+   * @returns {ListenerProxy} Proxy, not yet started
+   */
+  createProxy(listener) {
+    const forwarders = listener.forwarders.filter(f => f.enabled);
+    this.logger.log('info', `Listener '${listener.name}': ${forwarders.length} forwarder(s)`);
+
+    const proxy = new ListenerProxy({ ...listener, forwarders }, { logger: this.logger });
+    proxy.tracing = this.tracing;
+    proxy.on('trace', (trace) => this.send('message-trace', trace));
+    proxy.on('forwarder-state', (state) => this.send('forwarder-state', state));
+    proxy.on('connection-event', (event) => this.send('connection-event', event));
+    return proxy;
+  }
+
+  /**
+   * Enable or disable per-message tracing on all listeners
+   * @param {boolean} enabled - Tracing state
+   */
+  setTracing(enabled) {
+    this.tracing = enabled;
+    this.listenerProxies.forEach(proxy => {
+      proxy.tracing = enabled;
+    });
+  }
+
+  /**
+   * Start a listener with its current configuration from the database.
+   * Listeners are started on request even if disabled.
+   * @param {number} listenerId - Listener ID
+   * @returns {Promise<void>} Rejects if the listener is unknown or fails to start
+   */
+  startListener(listenerId) {
+    const id = Number(listenerId);
+    if (this.findProxy(id)) {
+      this.logger.log('warn', `Listener ${id} is already running`);
+      return Promise.resolve();
+    }
+
+    // A second request while the socket is being bound waits for the first
+    if (!this.starting.has(id)) {
+      this.starting.set(id, this.launchListener(id).finally(() => this.starting.delete(id)));
+    }
+    return this.starting.get(id);
+  }
+
+  async launchListener(listenerId) {
+    const listener = this.db.getListener(listenerId);
+    if (!listener) {
+      throw new Error(`Listener ${listenerId} not found`);
+    }
+
+    const proxy = this.createProxy(listener);
+    if (!(await proxy.start())) {
+      throw new Error(`Listener ${listener.name} failed to start: ${proxy.error}`);
+    }
+
+    this.listenerProxies.push(proxy);
+  }
+
+  /**
+   * Stop a running listener without stopping the engine
+   * @param {number} listenerId - Listener ID
+   */
+  stopListener(listenerId) {
+    const proxy = this.findProxy(listenerId);
+    if (!proxy) {
+      this.logger.log('warn', `Listener ${listenerId} is already stopped`);
+      return;
+    }
+    proxy.stop();
+    this.listenerProxies = this.listenerProxies.filter(p => p !== proxy);
+  }
+
+  /**
+   * Apply the listener's saved configuration to the running listener.
+   * Only what changed is touched: forwarders are added, removed, replaced
+   * or updated in place, and the listener socket is rebound only if its
+   * protocol, address, port or message size changed. If the listener
+   * cannot start with the new settings it is started again with the old
+   * ones.
+   * @param {number} listenerId - Listener ID
+   * @returns {Promise<Array<string>>} Summary of the applied changes
+   * @throws {Error} If the listener is not running or the change could not be applied
+   */
+  async reloadListener(listenerId) {
+    const proxy = this.findProxy(listenerId);
+    if (!proxy) {
+      throw new Error(`Listener ${listenerId} is not running`);
+    }
+
+    const listener = this.db.getListener(Number(listenerId));
+    if (!listener) {
+      throw new Error(`Listener ${listenerId} not found`);
+    }
+
+    const diff = diffListener(proxy.config, listener);
+    if (!diff.changed) return [];
+
+    if (diff.restart.length === 0) {
+      proxy.reconfigure({ ...listener, forwarders: listener.forwarders.filter(f => f.enabled) }, diff);
+    } else {
+      this.stopListener(listenerId);
+      try {
+        await this.startListener(listenerId);
+      } catch (err) {
+        const previous = this.createProxy(proxy.config);
+        if (await previous.start()) this.listenerProxies.push(previous);
+        throw new Error(`${err.message}; kept the previous settings`);
+      }
+    }
+
+    this.logger.log('info', `Listener ${listener.name} updated: ${diff.summary.join('; ')}`);
+    return diff.summary;
+  }
+
+  /**
+   * Execute a protocol command
+   * @param {Object} command - Protocol command ({ id, command, ...params })
+   * @returns {Promise<Object>} Ack message for the command
+   */
+  async handleCommand(command) {
+    try {
+      switch (command.command) {
+        case 'start-listener':
+          await this.startListener(command.listener_id);
+          break;
+        case 'stop-listener':
+          this.stopListener(command.listener_id);
+          break;
+        case 'reload-listener':
+          await this.reloadListener(command.listener_id);
+          break;
+        case 'set-tracing':
+          this.setTracing(Boolean(command.enabled));
+          break;
+        default:
+          return protocol.ack(command.id, `Unknown command: ${command.command}`);
+      }
+      return protocol.ack(command.id);
+    } catch (err) {
+      this.logger.log('error', err.message);
+      return protocol.ack(command.id, err.message);
+    }
+  }
+
+  findProxy(listenerId) {
+    return this.listenerProxies.find(proxy => proxy.id === Number(listenerId));
+  }
+
+  outputMetrics() {
+    this.listenerProxies.forEach(proxy => proxy.metrics.sample());
+
+    const listeners = this.listenerProxies.map(proxy => proxy.currentMetrics());
+
+    this.send('metrics', {
+      timestamp: new Date().toISOString(),
+      aggregate: aggregateMetrics(listeners),
+      listeners
+    });
+  }
+
+  send(type, fields) {
+    this.emit('message', protocol.message(type, fields));
+  }
+}
+
+/**
+ * Sum per-listener metrics into the dashboard's aggregate block
+ * @param {Array} listeners - Listener metrics
+ * @returns {Object} Aggregate metrics
+ */
+function aggregateMetrics(listeners) {
+  let totalLatency = 0;
+  let activeCount = 0;
+
+  const totals = listeners.reduce((acc, m) => {
+    if (m.latency > 0) {
+      totalLatency += m.latency;
+      activeCount += 1;
+    }
+    acc.rate += m.rate;
+    acc.avgRate += m.avg_rate;
+    acc.peakRate = Math.max(acc.peakRate, m.peak_rate);
+    acc.total += m.total;
+    acc.forwarded += m.forwarded;
+    acc.dropped += m.dropped;
+    return acc;
+  }, { rate: 0, avgRate: 0, peakRate: 0, total: 0, forwarded: 0, dropped: 0 });
+
+  return {
+    rate: round(totals.rate, 1),
+    avgRate: round(totals.avgRate, 1),
+    peakRate: round(totals.peakRate, 1),
+    latency: activeCount > 0 ? round(totalLatency / activeCount, 2) : 0,
+    total: totals.total,
+    forwarded: totals.forwarded,
+    dropped: totals.dropped,
+    lossPct: totals.total > 0 ? round((totals.dropped / totals.total) * 100, 2) : 0
+  };
+}
+
+module.exports = MultiProxy;
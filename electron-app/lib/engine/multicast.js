@@ -0,0 +1,98 @@
+const net = require('net');
+
+/**
+ * UDP multicast and broadcast settings
+ *
+ * Listeners (listeners.multicast_groups, listeners.multicast_interface)
+ * join each group in a comma-separated list, on the interface with the
+ * given local address (the OS default route when empty). A listener
+ * joining groups shares its port with other programs on this machine
+ * (SO_REUSEADDR), as multicast receivers usually do.
+ *
+ * Forwarders sending to a multicast group use forwarders.multicast_ttl
+ * (router hops, 1 = local subnet) and forwarders.multicast_loopback
+ * (whether this machine receives its own sends, off by default so a
+ * listener on the same group does not loop). Sending to a subnet
+ * broadcast address needs forwarders.broadcast.
+ */
+
+// Linux allows 20 memberships per socket by default (IP_MAX_MEMBERSHIPS)
+const MAX_MULTICAST_GROUPS = 20;
+
+/**
+ * Whether an address is a multicast group (224.0.0.0/4 or ff00::/8)
+ * @param {string} address - IP address
+ * @returns {boolean} True for a multicast address
+ */
+function isMulticastAddress(address) {
+  if (net.isIPv4(address)) {
+    const first = Number(address.split('.')[0]);
+    return first >= 224 && first <= 239;
+  }
+  return net.isIPv6(address) && address.toLowerCase().startsWith('ff');
+}
+
+/**
+ * Split a group list as stored (or entered, or imported as a list)
+ * @param {string|Array<string>|null} groups - Comma-separated groups
+ * @returns {Array<string>} Group addresses
+ */
+function parseGroups(groups) {
+  const list = Array.isArray(groups) ? groups : String(groups ?? '').split(/[\s,]+/);
+  return list.map(group => String(group).trim()).filter(group => group);
+}
+
+/**
+ * Validate a listener's multicast settings
+ * @param {Object} config - { protocol, bind_address, multicast_groups, multicast_interface }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateListenerMulticast(config) {
+  const groups = parseGroups(config.multicast_groups);
+  const iface = config.multicast_interface || '';
+  if (groups.length === 0) {
+    return iface ? 'multicast_interface needs multicast_groups' : null;
+  }
+
+  if ((config.protocol ?? 'udp') !== 'udp') return 'multicast_groups need a UDP listener';
+  if (groups.length > MAX_MULTICAST_GROUPS) {
+    return `multicast_groups can list at most ${MAX_MULTICAST_GROUPS} groups`;
+  }
+  const bind = config.bind_address || '0.0.0.0';
+  // A socket bound to a unicast address does not see multicast traffic
+  if (bind !== '0.0.0.0' && bind !== '::' && !isMulticastAddress(bind)) {
+    return 'multicast_groups need the listener bound to 0.0.0.0 (or ::)';
+  }
+  const ipv6 = net.isIPv6(bind);
+  const invalid = groups.find(group => !isMulticastAddress(group) || net.isIPv6(group) !== ipv6);
+  if (invalid) {
+    return `multicast group ${invalid} must be an ${ipv6 ? 'IPv6' : 'IPv4'} multicast address, like the bind address`;
+  }
+  // IPv6 interfaces may carry a scope (::%en0)
+  if (iface && net.isIP(iface.split('%')[0]) !== (ipv6 ? 6 : 4)) {
+    return `multicast_interface must be an ${ipv6 ? 'IPv6' : 'IPv4'} address of a local interface`;
+  }
+  return null;
+}
+
+/**
+ * Validate a forwarder's multicast and broadcast settings
+ * @param {Object} config - { protocol, broadcast, multicast_ttl }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateForwarderMulticast(config) {
+  if (config.broadcast && (config.protocol ?? 'tcp') !== 'udp') return 'broadcast needs a UDP forwarder';
+  const ttl = config.multicast_ttl ?? 1;
+  if (!Number.isInteger(ttl) || ttl < 0 || ttl > 255) {
+    return 'multicast_ttl must be an integer from 0 to 255';
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_MULTICAST_GROUPS,
+  isMulticastAddress,
+  parseGroups,
+  validateListenerMulticast,
+  validateForwarderMulticast
+};
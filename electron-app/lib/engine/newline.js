@@ -0,0 +1,67 @@
+// Newline-delimited framing for OSC over TCP, for debugging with tools like
+// netcat. A packet containing a 0x0A byte (an int32 of 10, say) is split
+// in two, so this is not safe for real traffic.
+
+const NEWLINE = 0x0a;
+
+/**
+ * Terminate a packet with a newline
+ * @param {Buffer} data - Raw OSC packet
+ * @returns {Buffer} Newline-terminated packet
+ */
+function encode(data) {
+  return Buffer.concat([data, Buffer.from([NEWLINE])]);
+}
+
+/**
+ * Streaming newline decoder. Feed it chunks from a socket and it returns
+ * every complete line; empty lines are skipped.
+ */
+class NewlineDecoder {
+  /**
+   * @param {number} maxSize - Discard lines longer than this many bytes
+   */
+  constructor(maxSize = 8192) {
+    this.maxSize = maxSize;
+    this.reset();
+  }
+
+  /**
+   * Decode a chunk of bytes
+   * @param {Buffer} chunk - Bytes received from the socket
+   * @returns {Array<Buffer>} Complete packets found in this chunk
+   */
+  decode(chunk) {
+    const packets = [];
+    let start = 0;
+    let end;
+
+    while ((end = chunk.indexOf(NEWLINE, start)) !== -1) {
+      const line = this.take(chunk.subarray(start, end));
+      if (line && line.length > 0) packets.push(line);
+      this.reset();
+      start = end + 1;
+    }
+    this.take(chunk.subarray(start));
+
+    return packets;
+  }
+
+  // Add bytes to the current line; returns the line, or null once too long
+  take(bytes) {
+    if (!this.overflow && this.buffer.length + bytes.length > this.maxSize) {
+      this.overflow = true;
+      this.buffer = Buffer.alloc(0);
+    }
+    if (this.overflow) return null;
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, bytes]) : Buffer.from(bytes);
+    return this.buffer;
+  }
+
+  reset() {
+    this.buffer = Buffer.alloc(0);
+    this.overflow = false; // The current line is too long and discarded
+  }
+}
+
+module.exports = { encode, NewlineDecoder, NEWLINE };
@@ -0,0 +1,67 @@
+const Engine = require('./engine');
+const MultiProxy = require('./multi-proxy');
+const protocol = require('./protocol');
+
+/**
+ * Runs the JavaScript forwarding engine inside the Electron main process.
+ * Reads the same listeners/forwarders tables as the Ruby proxy and speaks
+ * the same protocol as RubyEngine, minus the JSON serialization, so
+ * main.js can treat them alike.
+ */
+class NodeEngine extends Engine {
+  /**
+   * The engine starts idle; listeners are started with 'start-listener'.
+   * @param {Object} options
+   * @param {ProxyDatabase} options.db - Open database
+   */
+  constructor({ db }) {
+    super('node');
+    this.finished = false;
+    this.started = null;
+    this.proxy = new MultiProxy(db, { autostart: false });
+
+    this.proxy.on('message', (message) => this.receive(message));
+  }
+
+  start() {
+    this.started = this.proxy.start()
+      .then((started) => {
+        if (!started) this.finish(1);
+        return started;
+      })
+      .catch((err) => {
+        this.receive(protocol.message('error', { message: `Failed to start: ${err.message}` }));
+        this.finish(1);
+        return false;
+      });
+  }
+
+  stop() {
+    this.finish(0);
+  }
+
+  /**
+   * Execute a command once the proxy has finished starting
+   * @param {Object} command - Protocol command
+   */
+  sendCommand(command) {
+    Promise.resolve(this.started)
+      .then((started) => {
+        if (!started || this.finished) {
+          return protocol.ack(command.id, 'Engine is not running');
+        }
+        return this.proxy.handleCommand(command);
+      })
+      .then((ack) => this.receive(ack));
+  }
+
+  finish(code) {
+    if (this.finished) return;
+    this.finished = true;
+    this.proxy.stop();
+    // Report asynchronously, like a child process 'close' event
+    setImmediate(() => this.exited(code));
+  }
+}
+
+module.exports = NodeEngine;
@@ -0,0 +1,98 @@
+// Line-delimited JSON protocol between the main process and an engine
+//
+// Engine → main: one message per line, always { v, type, ... }
+//   metrics          - { timestamp, aggregate, listeners }
+//   log              - { level, message }
+//   forwarder-state  - { listener_id, forwarder_id, name, connected }
+//   connection-event - { listener_id, forwarder_id, name, event, reason, attempt }
+//                      event: connected, disconnected, connect-failed or closed
+//   message-trace    - { listener_id, listener_name, timestamp, source, data, deliveries }
+//   error            - { message, request_id? }
+//   ack              - { request_id, ok, error? }
+//
+// Main → engine: { v, id, command, ...params }
+//   start-listener   - { listener_id }
+//   stop-listener    - { listener_id }
+//   reload-listener  - { listener_id } apply the saved configuration to a running listener
+//   set-tracing      - { enabled }
+//
+// The Ruby side lives in lib/osc_proxy/protocol.rb; keep both in sync.
+
+const PROTOCOL_VERSION = 1;
+
+const MESSAGE_TYPES = ['metrics', 'log', 'forwarder-state', 'connection-event', 'message-trace', 'error', 'ack'];
+
+const COMMANDS = ['start-listener', 'stop-listener', 'reload-listener', 'set-tracing'];
+
+/**
+ * Build an engine → main message
+ * @param {string} type - One of MESSAGE_TYPES
+ * @param {Object} fields - Message payload
+ * @returns {Object} Protocol message
+ */
+function message(type, fields = {}) {
+  return { v: PROTOCOL_VERSION, type, ...fields };
+}
+
+/**
+ * Build a main → engine command
+ * @param {string} id - Request ID echoed back in the ack
+ * @param {string} command - One of COMMANDS
+ * @param {Object} params - Command parameters
+ * @returns {Object} Protocol command
+ */
+function command(id, command, params = {}) {
+  return { v: PROTOCOL_VERSION, id, command, ...params };
+}
+
+/**
+ * Acknowledge (or reject) a command
+ * @param {string|null} requestId - ID of the command being answered
+ * @param {string|null} error - Rejection reason, or null on success
+ * @returns {Object} Ack message
+ */
+function ack(requestId, error = null) {
+  return error
+    ? message('ack', { request_id: requestId, ok: false, error })
+    : message('ack', { request_id: requestId, ok: true });
+}
+
+/**
+ * Serialize a message or command as one line
+ * @param {Object} msg - Protocol message
+ * @returns {string} JSON line including the trailing newline
+ */
+function encode(msg) {
+  return `${JSON.stringify(msg)}\n`;
+}
+
+/**
+ * Parse one line from an engine
+ * @param {string} line - Line without the trailing newline
+ * @returns {Object|null} Protocol message, or null if the line is not one
+ */
+function decode(line) {
+  let msg;
+  try {
+    msg = JSON.parse(line);
+  } catch (e) {
+    return null;
+  }
+
+  if (!msg || typeof msg !== 'object' || typeof msg.v !== 'number' || !MESSAGE_TYPES.includes(msg.type)) {
+    return null;
+  }
+
+  return msg;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  COMMANDS,
+  message,
+  command,
+  ack,
+  encode,
+  decode
+};
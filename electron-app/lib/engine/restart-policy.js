@@ -0,0 +1,57 @@
+/**
+ * Restart delays for a crashed engine: exponential backoff with a
+ * crash-loop breaker.
+ *
+ * Only crashes within the last `window` ms count, so once the engine has
+ * stayed up for a while the delay falls back to `initialDelay`. More than
+ * `maxCrashes` crashes within the window trips the breaker.
+ */
+class RestartPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.initialDelay - Delay before the first restart (ms)
+   * @param {number} options.maxDelay - Upper bound for the delay (ms)
+   * @param {number} options.multiplier - Backoff factor per crash
+   * @param {number} options.maxCrashes - Crashes tolerated within the window
+   * @param {number} options.window - Crash counting window (ms)
+   */
+  constructor({ initialDelay = 1000, maxDelay = 30000, multiplier = 2, maxCrashes = 5, window = 60000 } = {}) {
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.multiplier = multiplier;
+    this.maxCrashes = maxCrashes;
+    this.window = window;
+    this.crashes = [];
+  }
+
+  /**
+   * Record a crash and decide when to restart
+   * @param {number} now - Crash time (ms since epoch)
+   * @returns {number|null} Delay before restarting, or null to give up
+   */
+  recordCrash(now = Date.now()) {
+    this.crashes = this.crashes.filter(time => now - time < this.window);
+    this.crashes.push(now);
+
+    if (this.crashes.length > this.maxCrashes) {
+      return null;
+    }
+
+    const delay = this.initialDelay * (this.multiplier ** (this.crashes.length - 1));
+    return Math.min(delay, this.maxDelay);
+  }
+
+  /**
+   * Number of crashes within the current window
+   * @returns {number} Crash count
+   */
+  get recentCrashes() {
+    return this.crashes.length;
+  }
+
+  reset() {
+    this.crashes = [];
+  }
+}
+
+module.exports = RestartPolicy;
@@ -0,0 +1,139 @@
+const { spawn } = require('child_process');
+const Engine = require('./engine');
+const protocol = require('./protocol');
+
+/**
+ * Runs the Ruby proxy (bin/osc-proxy) as a child process.
+ *
+ * Protocol messages arrive as JSON lines on the child's stdout; commands
+ * are written to its stdin. Anything else on stdout/stderr is reported
+ * as a 'log' message.
+ */
+class RubyEngine extends Engine {
+  /**
+   * The proxy starts idle (--idle); listeners are started with 'start-listener'.
+   * @param {Object} options
+   * @param {string} options.proxyPath - Path to bin/osc-proxy
+   * @param {string} options.dbPath - Path to proxy.db
+   */
+  constructor({ proxyPath, dbPath }) {
+    super('ruby');
+    this.proxyPath = proxyPath;
+    this.dbPath = dbPath;
+    this.process = null;
+  }
+
+  start() {
+    const args = ['--database', this.dbPath, '--idle', '--json'];
+
+    this.receive(protocol.message('log', { level: 'info', message: `Starting Ruby proxy: ${this.proxyPath}` }));
+
+    this.process = spawn('ruby', [this.proxyPath, ...args], {
+      stdio: ['pipe', 'pipe', 'pipe']  // Enable stdin for sending commands
+    });
+
+    let buffer = '';
+    this.process.stdout.on('data', (data) => {
+      buffer += data.toString();
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop(); // Keep incomplete line in buffer
+
+      lines.forEach(line => {
+        line = line.trim();
+        if (!line) return;
+
+        const message = protocol.decode(line);
+        if (!message) {
+          this.receive(protocol.message('log', { level: 'info', message: line }));
+          return;
+        }
+
+        if (message.type === 'message-trace') {
+          message.data = Buffer.from(message.data, 'base64');
+        }
+        this.receive(message);
+      });
+    });
+
+    this.process.stderr.on('data', (data) => {
+      this.receive(protocol.message('log', { level: 'error', message: data.toString() }));
+    });
+
+    this.process.on('close', (code) => {
+      this.process = null;
+      this.exited(code);
+    });
+
+    this.process.on('error', (err) => {
+      this.process = null;
+      this.receive(protocol.message('error', { message: `Failed to start: ${err.message}` }));
+      this.exited(null);
+    });
+  }
+
+  /**
+   * The Ruby proxy forwards every message unchanged and unthrottled to every
+   * forwarder, and drops messages for disconnected ones
+   * @param {Object} listener - Listener row with nested forwarders
+   * @returns {Array<string>} Descriptions of the ignored features
+   */
+  unsupportedFeatures(listener) {
+    const features = [];
+    const routed = listener.forwarders.filter(f => f.enabled && f.routes && f.routes.length > 0);
+    if (routed.length > 0) {
+      features.push(`routing rules (${routed.map(f => f.name).join(', ')})`);
+    }
+    const rewritten = listener.forwarders.filter(f => f.enabled && f.rewrites && f.rewrites.length > 0);
+    if (rewritten.length > 0) {
+      features.push(`rewrite rules (${rewritten.map(f => f.name).join(', ')})`);
+    }
+    const throttled = listener.forwarders.filter(f => f.enabled && f.throttles && f.throttles.length > 0).map(f => f.name);
+    if (listener.throttles && listener.throttles.length > 0) throttled.unshift(listener.name);
+    if (throttled.length > 0) {
+      features.push(`throttle rules (${throttled.join(', ')})`);
+    }
+    const buffered = listener.forwarders.filter(f => f.enabled && f.disconnect_policy && f.disconnect_policy !== 'drop');
+    if (buffered.length > 0) {
+      features.push(`disconnect buffering (${buffered.map(f => f.name).join(', ')})`);
+    }
+    const websocket = listener.forwarders.filter(f => f.enabled && f.protocol === 'ws');
+    if (websocket.length > 0) {
+      features.push(`WebSocket forwarders (${websocket.map(f => f.name).join(', ')})`);
+    }
+    // The Ruby engine forwards bundles whole, as they arrive
+    const bundled = listener.forwarders.filter(f => f.enabled && f.rebundle).map(f => f.name);
+    if (listener.schedule_bundles) bundled.unshift(listener.name);
+    if (bundled.length > 0) {
+      features.push(`bundle scheduling and re-bundling (${bundled.join(', ')})`);
+    }
+    return features;
+  }
+
+  /**
+   * Write a command to the Ruby proxy's stdin
+   * @param {Object} command - Protocol command
+   */
+  sendCommand(command) {
+    if (!this.process) {
+      this.receive(protocol.ack(command.id, 'Engine is not running'));
+      return;
+    }
+    this.process.stdin.write(protocol.encode(command));
+  }
+
+  stop() {
+    if (!this.process) return;
+
+    const child = this.process;
+    child.kill('SIGTERM');
+
+    setTimeout(() => {
+      if (this.process === child) {
+        child.kill('SIGKILL');
+      }
+    }, 5000);
+  }
+}
+
+module.exports = RubyEngine;
@@ -0,0 +1,89 @@
+// SLIP framing (RFC 1055) for OSC over TCP
+
+const END = 0xc0;
+const ESC = 0xdb;
+const ESC_END = 0xdc;
+const ESC_ESC = 0xdd;
+
+/**
+ * Frame a packet with SLIP, escaping END/ESC bytes in the payload.
+ * Uses a leading and trailing END byte (double-END) by default, as
+ * expected by Lightkey; single-END (OSC 1.1) only terminates the packet.
+ * @param {Buffer} data - Raw OSC packet
+ * @param {boolean} doubleEnd - Also start the packet with an END byte
+ * @returns {Buffer} SLIP-framed packet
+ */
+function encode(data, doubleEnd = true) {
+  const out = doubleEnd ? [END] : [];
+  for (const byte of data) {
+    if (byte === END) {
+      out.push(ESC, ESC_END);
+    } else if (byte === ESC) {
+      out.push(ESC, ESC_ESC);
+    } else {
+      out.push(byte);
+    }
+  }
+  out.push(END);
+  return Buffer.from(out);
+}
+
+/**
+ * Streaming SLIP decoder. Feed it chunks from a socket and it returns
+ * every complete packet. Works with both single- and double-END framing.
+ */
+class SlipDecoder {
+  /**
+   * @param {number} maxSize - Discard frames larger than this many bytes
+   */
+  constructor(maxSize = 8192) {
+    this.maxSize = maxSize;
+    this.frame = [];
+    this.escaped = false;
+    this.overflow = false;
+  }
+
+  /**
+   * Decode a chunk of bytes
+   * @param {Buffer} chunk - Bytes received from the socket
+   * @returns {Array<Buffer>} Complete packets found in this chunk
+   */
+  decode(chunk) {
+    const packets = [];
+
+    for (const byte of chunk) {
+      if (byte === END) {
+        if (this.frame.length > 0 && !this.overflow) {
+          packets.push(Buffer.from(this.frame));
+        }
+        this.reset();
+        continue;
+      }
+
+      let value = byte;
+      if (this.escaped) {
+        value = byte === ESC_END ? END : byte === ESC_ESC ? ESC : byte;
+        this.escaped = false;
+      } else if (byte === ESC) {
+        this.escaped = true;
+        continue;
+      }
+
+      if (this.frame.length >= this.maxSize) {
+        this.overflow = true;
+      } else {
+        this.frame.push(value);
+      }
+    }
+
+    return packets;
+  }
+
+  reset() {
+    this.frame = [];
+    this.escaped = false;
+    this.overflow = false;
+  }
+}
+
+module.exports = { encode, SlipDecoder, END, ESC, ESC_END, ESC_ESC };
@@ -0,0 +1,121 @@
+const net = require('net');
+const Forwarder = require('./forwarder');
+const { encodeFrame } = require('./framing');
+
+// Reconnect backoff, matching the Ruby engine's ListenerProxy defaults
+const RECONNECT_INITIAL_DELAY = 100;
+const RECONNECT_MAX_DELAY = 5000;
+const RECONNECT_BACKOFF_MULTIPLIER = 2;
+
+/**
+ * TCP forwarder. Sends OSC packets framed as configured (see framing.js,
+ * SLIP by default) and reconnects with exponential backoff whenever the
+ * connection drops.
+ */
+class TCPConnection extends Forwarder {
+  constructor(config, logger) {
+    super(config, logger);
+    this.socket = null;
+    this.closed = false;
+    this.reconnectTimer = null;
+    this.currentDelay = RECONNECT_INITIAL_DELAY;
+  }
+
+  connect() {
+    this.closed = false;
+    this.openSocket();
+  }
+
+  openSocket() {
+    const socket = new net.Socket();
+    const timeoutMs = (this.config.connect_timeout || 5) * 1000;
+    let lastError = null;
+    this.socket = socket;
+
+    socket.setTimeout(timeoutMs);
+
+    socket.once('connect', () => {
+      socket.setTimeout(0);
+      if (this.config.keepalive) {
+        socket.setKeepAlive(true, (this.config.keepalive_interval || 10) * 1000);
+      }
+      if (this.config.nodelay) {
+        socket.setNoDelay(true);
+      }
+      this.currentDelay = RECONNECT_INITIAL_DELAY;
+      this.logger.log('info', `${this.name}: connected to ${this.host}:${this.port}`);
+      this.setConnected(true);
+    });
+
+    socket.on('timeout', () => {
+      socket.destroy(new Error(`Connection timeout to ${this.host}:${this.port}`));
+    });
+
+    socket.on('error', (err) => {
+      lastError = err.message;
+      if (this.connected) {
+        this.logger.log('error', `${this.name}: ${err.message}`);
+      }
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      const reason = lastError || 'Connection closed by remote host';
+      if (this.connected) {
+        this.setConnected(false, reason);
+      } else {
+        this.recordConnectFailure(reason);
+      }
+      this.scheduleReconnect();
+    });
+
+    socket.connect(this.port, this.host);
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.closed) this.openSocket();
+    }, this.currentDelay);
+
+    this.currentDelay = Math.min(this.currentDelay * RECONNECT_BACKOFF_MULTIPLIER, RECONNECT_MAX_DELAY);
+  }
+
+  /**
+   * Send one OSC packet
+   * @param {Buffer} data - Raw OSC packet
+   * @param {number} latencyMs - Latency to record for this send
+   * @param {number} messages - Messages in the packet (more for a bundle)
+   * @returns {boolean} True if the packet was written to the socket
+   */
+  send(data, latencyMs = 0, messages = 1) {
+    if (!this.connected || !this.socket) return false;
+
+    try {
+      this.socket.write(encodeFrame(data, this.config.framing));
+      this.recordSent(latencyMs, messages);
+      return true;
+    } catch (err) {
+      this.recordFailure();
+      this.socket.destroy(err);
+      return false;
+    }
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.destroy();
+    }
+    this.markClosed();
+  }
+}
+
+module.exports = TCPConnection;
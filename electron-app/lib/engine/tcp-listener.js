@@ -0,0 +1,80 @@
+const net = require('net');
+const EventEmitter = require('events');
+const { createDecoder } = require('./framing');
+
+/**
+ * Accepts TCP connections and parses OSC packets framed as configured
+ * (see framing.js, SLIP by default).
+ * Mirrors the UDPListener API: emits 'message' (data, source).
+ */
+class TCPListener extends EventEmitter {
+  constructor({ port, bind, maxSize, framing, logger }) {
+    super();
+    this.port = port;
+    this.bind = bind || '0.0.0.0';
+    this.maxSize = maxSize || 8192;
+    this.framing = framing;
+    this.logger = logger;
+    this.server = null;
+    this.clients = new Set();
+  }
+
+  /**
+   * Start accepting connections
+   * @returns {Promise<void>} Resolves once listening
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => this.handleClient(socket));
+
+      const onStartError = (err) => {
+        server.close();
+        reject(new Error(`Failed to start TCP listener: ${err.message}`));
+      };
+
+      server.once('error', onStartError);
+
+      server.listen(this.port, this.bind, () => {
+        server.removeListener('error', onStartError);
+        server.on('error', (err) => {
+          this.logger.log('error', `TCP listener error: ${err.message}`);
+        });
+        this.server = server;
+        this.logger.log('info', `TCP listener started on ${this.bind}:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  handleClient(socket) {
+    const source = { address: socket.remoteAddress, port: socket.remotePort };
+    const decoder = createDecoder(this.framing, this.maxSize);
+
+    this.clients.add(socket);
+    this.logger.log('info', `TCP client connected from ${source.address}`);
+
+    socket.on('data', (chunk) => {
+      decoder.decode(chunk).forEach(packet => this.emit('message', packet, source));
+    });
+
+    socket.on('error', () => {
+      // 'close' follows and does the cleanup
+    });
+
+    socket.on('close', () => {
+      this.clients.delete(socket);
+      this.logger.log('info', 'TCP client disconnected');
+    });
+  }
+
+  stop() {
+    this.clients.forEach(socket => socket.destroy());
+    this.clients.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+module.exports = TCPListener;
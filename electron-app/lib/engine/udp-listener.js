@@ -0,0 +1,80 @@
+const dgram = require('dgram');
+const net = require('net');
+const EventEmitter = require('events');
+
+/**
+ * Receives OSC packets on a UDP port, optionally joining multicast groups
+ * (see multicast.js). Emits 'message' (data, source) for every datagram.
+ */
+class UDPListener extends EventEmitter {
+  constructor({ port, bind, maxSize, multicastGroups, multicastInterface, logger }) {
+    super();
+    this.port = port;
+    this.bind = bind || '0.0.0.0';
+    this.maxSize = maxSize || 8192;
+    this.multicastGroups = multicastGroups || [];
+    this.multicastInterface = multicastInterface || undefined;
+    this.logger = logger;
+    this.socket = null;
+  }
+
+  /**
+   * Bind the socket
+   * @returns {Promise<void>} Resolves once listening
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const type = net.isIPv6(this.bind) ? 'udp6' : 'udp4';
+      // Other multicast receivers on this machine may use the same port
+      const socket = dgram.createSocket({ type, reuseAddr: this.multicastGroups.length > 0 });
+
+      const onStartError = (err) => {
+        socket.close();
+        reject(new Error(`Failed to start UDP listener: ${err.message}`));
+      };
+
+      socket.once('error', onStartError);
+
+      socket.on('message', (msg, rinfo) => {
+        // Match the Ruby listener, which reads at most max_message_size bytes
+        const data = msg.length > this.maxSize ? msg.subarray(0, this.maxSize) : msg;
+        this.emit('message', data, { address: rinfo.address, port: rinfo.port });
+      });
+
+      socket.bind(this.port, this.bind, () => {
+        try {
+          this.joinGroups(socket);
+        } catch (err) {
+          onStartError(err);
+          return;
+        }
+        socket.removeListener('error', onStartError);
+        socket.on('error', (err) => {
+          this.logger.log('error', `UDP listener error: ${err.message}`);
+        });
+        this.socket = socket;
+        this.logger.log('info', `UDP listener started on ${this.bind}:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  joinGroups(socket) {
+    this.multicastGroups.forEach(group => {
+      try {
+        socket.addMembership(group, this.multicastInterface);
+      } catch (err) {
+        throw new Error(`cannot join multicast group ${group}: ${err.message}`);
+      }
+      this.logger.log('info', `UDP listener joined multicast group ${group}${this.multicastInterface ? ` on ${this.multicastInterface}` : ''}`);
+    });
+  }
+
+  stop() {
+    if (!this.socket) return;
+    this.socket.close();
+    this.socket = null;
+  }
+}
+
+module.exports = UDPListener;
@@ -0,0 +1,132 @@
+const dgram = require('dgram');
+const net = require('net');
+const Forwarder = require('./forwarder');
+const { isMulticastAddress } = require('./multicast');
+
+// Retry backoff when the destination cannot be resolved, as for TCP
+const RECONNECT_INITIAL_DELAY = 100;
+const RECONNECT_MAX_DELAY = 5000;
+const RECONNECT_BACKOFF_MULTIPLIER = 2;
+
+/**
+ * UDP forwarder. UDP is connectionless, but the socket is "connected" to
+ * its destination (like the Ruby UDPSender) so sends skip address lookup.
+ * Send errors are counted as failures. Broadcast and multicast options
+ * (see multicast.js) are set after binding, before connecting, since a
+ * broadcast destination cannot be connected to without them. If the
+ * destination cannot be resolved, connecting is retried with backoff.
+ */
+class UDPSender extends Forwarder {
+  constructor(config, logger) {
+    super(config, logger);
+    this.socket = null;
+    this.closed = false;
+    this.reconnectTimer = null;
+    this.currentDelay = RECONNECT_INITIAL_DELAY;
+  }
+
+  connect() {
+    this.closed = false;
+    this.openSocket();
+  }
+
+  openSocket() {
+    const type = net.isIPv6(this.host) ? 'udp6' : 'udp4';
+    const socket = dgram.createSocket(type);
+    this.socket = socket;
+
+    socket.on('error', (err) => {
+      if (this.socket !== socket) return;
+      if (!this.connected) {
+        this.connectFailed(socket, err);
+        return;
+      }
+      this.logger.log('error', `UDP send failed to ${this.host}:${this.port}: ${err.message}`);
+    });
+
+    socket.bind(() => {
+      if (this.socket !== socket) return;
+      try {
+        this.applySocketOptions(socket);
+      } catch (err) {
+        this.connectFailed(socket, err);
+        return;
+      }
+      socket.connect(this.port, this.host, (err) => {
+        if (this.socket !== socket) return;
+        // Address lookup failed, so the socket never connected
+        if (err) {
+          this.connectFailed(socket, err);
+          return;
+        }
+        this.currentDelay = RECONNECT_INITIAL_DELAY;
+        this.logger.log('info', `UDP sender ready: ${this.host}:${this.port}`);
+        this.setConnected(true);
+      });
+    });
+  }
+
+  connectFailed(socket, err) {
+    this.logger.log('error', `UDP sender to ${this.host}:${this.port} failed: ${err.message}`);
+    this.socket = null;
+    socket.close();
+    this.recordConnectFailure(err.message);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.closed) this.openSocket();
+    }, this.currentDelay);
+
+    this.currentDelay = Math.min(this.currentDelay * RECONNECT_BACKOFF_MULTIPLIER, RECONNECT_MAX_DELAY);
+  }
+
+  applySocketOptions(socket) {
+    if (this.config.broadcast) socket.setBroadcast(true);
+    if (isMulticastAddress(this.host)) {
+      socket.setMulticastTTL(this.config.multicast_ttl ?? 1);
+      socket.setMulticastLoopback(Boolean(this.config.multicast_loopback));
+    }
+  }
+
+  /**
+   * Send one OSC packet (raw, no framing)
+   * @param {Buffer} data - Raw OSC packet
+   * @param {number} latencyMs - Latency to record for this send
+   * @param {number} messages - Messages in the packet (more for a bundle)
+   * @returns {boolean} True if the packet was handed to the socket
+   */
+  send(data, latencyMs = 0, messages = 1) {
+    if (!this.connected || !this.socket) return false;
+
+    try {
+      this.socket.send(data, (err) => {
+        if (err) this.recordFailure();
+      });
+    } catch (err) {
+      this.logger.log('error', `UDP send failed to ${this.host}:${this.port}: ${err.message}`);
+      this.recordFailure();
+      return false;
+    }
+    this.recordSent(latencyMs, messages);
+    return true;
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.markClosed();
+  }
+}
+
+module.exports = UDPSender;
@@ -0,0 +1,107 @@
+const WebSocket = require('ws');
+const Forwarder = require('./forwarder');
+
+// Reconnect backoff, as for TCP forwarders
+const RECONNECT_INITIAL_DELAY = 100;
+const RECONNECT_MAX_DELAY = 5000;
+const RECONNECT_BACKOFF_MULTIPLIER = 2;
+
+/**
+ * WebSocket forwarder. Connects to ws://host:port/ and sends each OSC
+ * packet as one binary frame (no framing needed), reconnecting with
+ * exponential backoff whenever the connection drops.
+ */
+class WSConnection extends Forwarder {
+  constructor(config, logger) {
+    super(config, logger);
+    this.socket = null;
+    this.closed = false;
+    this.reconnectTimer = null;
+    this.currentDelay = RECONNECT_INITIAL_DELAY;
+  }
+
+  get url() {
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    return `ws://${host}:${this.port}/`;
+  }
+
+  connect() {
+    this.closed = false;
+    this.openSocket();
+  }
+
+  openSocket() {
+    const socket = new WebSocket(this.url, {
+      handshakeTimeout: (this.config.connect_timeout || 5) * 1000
+    });
+    let lastError = null;
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.currentDelay = RECONNECT_INITIAL_DELAY;
+      this.logger.log('info', `${this.name}: connected to ${this.url}`);
+      this.setConnected(true);
+    });
+
+    socket.on('error', (err) => {
+      lastError = err.message;
+      if (this.connected) {
+        this.logger.log('error', `${this.name}: ${err.message}`);
+      }
+    });
+
+    socket.on('close', (code, reason) => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      const closeReason = lastError || (reason.length > 0 ? reason.toString() : `Connection closed by remote host (${code})`);
+      if (this.connected) {
+        this.setConnected(false, closeReason);
+      } else {
+        this.recordConnectFailure(closeReason);
+      }
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.closed) this.openSocket();
+    }, this.currentDelay);
+
+    this.currentDelay = Math.min(this.currentDelay * RECONNECT_BACKOFF_MULTIPLIER, RECONNECT_MAX_DELAY);
+  }
+
+  /**
+   * Send one OSC packet as a binary frame
+   * @param {Buffer} data - Raw OSC packet
+   * @param {number} latencyMs - Latency to record for this send
+   * @param {number} messages - Messages in the packet (more for a bundle)
+   * @returns {boolean} True if the frame was queued on the socket
+   */
+  send(data, latencyMs = 0, messages = 1) {
+    if (!this.connected || !this.socket || this.socket.readyState !== WebSocket.OPEN) return false;
+
+    this.socket.send(data, { binary: true }, (err) => {
+      if (err) this.recordFailure();
+    });
+    this.recordSent(latencyMs, messages);
+    return true;
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.terminate();
+    }
+    this.markClosed();
+  }
+}
+
+module.exports = WSConnection;
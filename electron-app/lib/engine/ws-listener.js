@@ -0,0 +1,87 @@
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+
+/**
+ * Accepts WebSocket connections (on any path) and takes every binary
+ * frame as one OSC packet, as browser OSC libraries send them. Text
+ * frames are not OSC and are ignored. Mirrors the UDPListener API: emits
+ * 'message' (data, source).
+ */
+class WSListener extends EventEmitter {
+  constructor({ port, bind, maxSize, logger }) {
+    super();
+    this.port = port;
+    this.bind = bind || '0.0.0.0';
+    this.maxSize = maxSize || 8192;
+    this.logger = logger;
+    this.server = null;
+  }
+
+  /**
+   * Start accepting connections
+   * @returns {Promise<void>} Resolves once listening
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      // Larger frames close the client's connection (code 1009)
+      const server = new WebSocketServer({ host: this.bind, port: this.port, maxPayload: this.maxSize });
+
+      const onStartError = (err) => {
+        server.close();
+        reject(new Error(`Failed to start WebSocket listener: ${err.message}`));
+      };
+
+      server.once('error', onStartError);
+
+      server.once('listening', () => {
+        server.removeListener('error', onStartError);
+        server.on('error', (err) => {
+          this.logger.log('error', `WebSocket listener error: ${err.message}`);
+        });
+        server.on('connection', (socket, request) => this.handleClient(socket, request));
+        this.server = server;
+        this.logger.log('info', `WebSocket listener started on ${this.bind}:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  handleClient(socket, request) {
+    const source = { address: request.socket.remoteAddress, port: request.socket.remotePort };
+    let warned = false;
+
+    this.logger.log('info', `WebSocket client connected from ${source.address}`);
+
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) {
+        this.emit('message', toBuffer(data), source);
+      } else if (!warned) {
+        warned = true;
+        this.logger.log('warn', `WebSocket client ${source.address} sent text frames; only binary OSC frames are forwarded`);
+      }
+    });
+
+    socket.on('error', (err) => {
+      this.logger.log('error', `WebSocket client ${source.address}: ${err.message}`);
+    });
+
+    socket.on('close', () => {
+      this.logger.log('info', 'WebSocket client disconnected');
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.clients.forEach(socket => socket.terminate());
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+// Fragmented frames arrive as a list of buffers
+function toBuffer(data) {
+  return Array.isArray(data) ? Buffer.concat(data) : Buffer.from(data);
+}
+
+module.exports = WSListener;
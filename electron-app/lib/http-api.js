@@ -0,0 +1,340 @@
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+
+/**
+ * Local HTTP API for remote control and monitoring (Bitfocus Companion,
+ * stage-manager scripts)
+ *
+ * Off unless enabled in Settings. Every route calls one of the app's IPC
+ * handlers (see main.js), so a request does exactly what the matching
+ * button does, and answers with that handler's result as JSON:
+ * { success: true, data } with status 200, or { success: false, error }
+ * with status 400 (404 when the listener or forwarder in the path does
+ * not exist). Requests must carry the API token:
+ *
+ *   curl -H "Authorization: Bearer $TOKEN" http://127.0.0.1:9180/api/listeners
+ *
+ * Request bodies (POST) are JSON; ids in paths are listener/forwarder IDs.
+ */
+
+// Settings keys, as strings in the settings table
+const HTTP_API_SETTINGS = {
+  enabled: { key: 'http_api_enabled', default: false },
+  bindAddress: { key: 'http_api_bind_address', default: '127.0.0.1' },
+  port: { key: 'http_api_port', default: 9180 },
+  token: { key: 'http_api_token', default: '' }
+};
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+const id = ({ params }) => [params.id];
+const numberOr = (value, fallback) => (value === undefined ? fallback : Number(value));
+
+// Method, path and the IPC channel it calls, with the handler arguments
+// taken from the path parameters, query string and body. notFound names
+// what the path ID refers to (a key of FIND); an unknown ID is answered
+// with 404 before the handler is called.
+const ROUTES = [
+  { method: 'GET', path: '/api/state', channel: 'get-proxy-state' },
+  { method: 'GET', path: '/api/listener-states', channel: 'get-listener-states' },
+  { method: 'POST', path: '/api/start', channel: 'start-proxy' },
+  { method: 'POST', path: '/api/stop', channel: 'stop-proxy' },
+  { method: 'GET', path: '/api/listeners', channel: 'db-get-listeners' },
+  { method: 'GET', path: '/api/listeners/:id', channel: 'db-get-listener', args: id, notFound: 'Listener' },
+  { method: 'POST', path: '/api/listeners/:id/start', channel: 'start-listener', args: id, notFound: 'Listener' },
+  { method: 'POST', path: '/api/listeners/:id/stop', channel: 'stop-listener', args: id, notFound: 'Listener' },
+  {
+    method: 'GET',
+    path: '/api/listeners/:id/metrics',
+    channel: 'db-get-metrics-history',
+    args: ({ params, query }) => [params.id, numberOr(query.limit, 60)],
+    notFound: 'Listener'
+  },
+  { method: 'GET', path: '/api/listeners/:id/forwarders', channel: 'db-get-forwarders', args: id, notFound: 'Listener' },
+  { method: 'GET', path: '/api/forwarders/:id', channel: 'db-get-forwarder', args: id, notFound: 'Forwarder' },
+  {
+    method: 'POST',
+    path: '/api/forwarders/:id/toggle',
+    channel: 'db-toggle-forwarder',
+    args: id,
+    notFound: 'Forwarder'
+  },
+  {
+    method: 'GET',
+    path: '/api/forwarders/:id/metrics',
+    channel: 'db-get-forwarder-metrics',
+    args: ({ params, query }) => [params.id, ...timeRange(query), query.resolution || 'raw'],
+    notFound: 'Forwarder'
+  },
+  {
+    // subject: aggregate, listener or forwarder (with id)
+    method: 'GET',
+    path: '/api/metrics/history',
+    channel: 'get-metrics-range',
+    args: ({ query }) => [{ type: query.subject || 'aggregate', id: numberOr(query.id, null) }, ...timeRange(query)]
+  },
+  { method: 'GET', path: '/api/alerts', channel: 'get-active-alerts' },
+  {
+    // { message: { address, args }, target: { type: 'listener'|'forwarder', id } }
+    method: 'POST',
+    path: '/api/test-message',
+    channel: 'send-test-message',
+    args: ({ body }) => [body.message, body.target || {}]
+  }
+];
+
+// Database lookups for what a path ID can refer to
+const FIND = {
+  Listener: (db, id) => db.getListener(id),
+  Forwarder: (db, id) => db.getForwarder(id)
+};
+
+// ?start=&end= as ISO times or ms; the last hour by default
+function timeRange(query) {
+  const end = query.end ? parseTime('end', query.end) : Date.now();
+  const start = query.start ? parseTime('start', query.start) : end - 60 * 60 * 1000;
+  return [start, end];
+}
+
+function parseTime(name, value) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw Object.assign(new Error(`Invalid ${name} time: ${value}`), { status: 400 });
+  }
+  return time;
+}
+
+/**
+ * Read the API settings
+ * @param {ProxyDatabase} db - Database instance
+ * @returns {Object} { enabled, bindAddress, port, token }
+ */
+function getHttpApiConfig(db) {
+  const config = {};
+  Object.entries(HTTP_API_SETTINGS).forEach(([name, setting]) => {
+    config[name] = db.getSetting(setting.key, null) ?? setting.default;
+  });
+  config.enabled = config.enabled === true || config.enabled === 'true';
+  config.port = Number(config.port);
+  return config;
+}
+
+/**
+ * Validate the API bind address and port
+ * @param {Object} config - { bindAddress, port }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateHttpApiConfig(config) {
+  if (!net.isIP(config.bindAddress || '')) return 'Bind address must be an IP address';
+  if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+    return 'Port must be an integer from 1 to 65535';
+  }
+  return null;
+}
+
+/**
+ * A new random API token
+ * @returns {string} Token
+ */
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Compare in constant time, so the token cannot be guessed byte by byte
+function tokenMatches(header, token) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match || !token) return false;
+  const given = crypto.createHash('sha256').update(match[1]).digest();
+  return crypto.timingSafeEqual(given, crypto.createHash('sha256').update(token).digest());
+}
+
+/**
+ * Find the route for a request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @returns {{route: Object|null, params: Object, pathKnown: boolean}}
+ *   Matching route, and whether the path exists for another method
+ */
+function matchRoute(method, pathname) {
+  const parts = pathname.replace(/\/+$/, '').split('/');
+  let pathKnown = false;
+
+  for (const route of ROUTES) {
+    const routeParts = route.path.split('/');
+    if (routeParts.length !== parts.length) continue;
+
+    const params = {};
+    const matches = routeParts.every((part, i) => {
+      if (!part.startsWith(':')) return part === parts[i];
+      if (!/^\d+$/.test(parts[i])) return false;
+      params[part.slice(1)] = Number(parts[i]);
+      return true;
+    });
+    if (!matches) continue;
+    if (route.method === method) return { route, params, pathKnown: true };
+    pathKnown = true;
+  }
+  return { route: null, params: {}, pathKnown };
+}
+
+class HttpApiServer {
+  /**
+   * @param {Function} invoke - (channel, ...args) => handler result, calls
+   *   the IPC handler registered for a channel
+   * @param {ProxyDatabase} db - Database, to check that path IDs exist
+   */
+  constructor(invoke, db) {
+    this.invoke = invoke;
+    this.db = db;
+    this.server = null;
+    this.config = null;
+  }
+
+  get running() {
+    return this.server !== null;
+  }
+
+  get url() {
+    if (!this.config) return null;
+    const host = net.isIPv6(this.config.bindAddress) ? `[${this.config.bindAddress}]` : this.config.bindAddress;
+    return `http://${host}:${this.config.port}/api`;
+  }
+
+  /**
+   * Start serving
+   * @param {Object} config - { bindAddress, port, token }
+   * @returns {Promise<void>} Resolves once listening
+   * @throws {Error} If the address cannot be bound
+   */
+  start(config) {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => {
+        this.handleRequest(req, res, config.token).catch((err) => {
+          respond(res, 500, { success: false, error: err.message });
+        });
+      });
+
+      server.once('error', (err) => {
+        reject(new Error(`Failed to start HTTP API on ${config.bindAddress}:${config.port}: ${err.message}`));
+      });
+
+      server.listen(config.port, config.bindAddress, () => {
+        this.server = server;
+        this.config = config;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop serving; open connections are closed
+   * @returns {Promise<void>} Resolves once closed
+   */
+  stop() {
+    const server = this.server;
+    this.server = null;
+    if (!server) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  async handleRequest(req, res, token) {
+    if (!tokenMatches(req.headers.authorization, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      respond(res, 401, { success: false, error: 'Missing or wrong API token' });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const { route, params, pathKnown } = matchRoute(req.method, url.pathname);
+    if (!route) {
+      respond(res, pathKnown ? 405 : 404, { success: false, error: pathKnown ? 'Method not allowed' : 'Not found' });
+      return;
+    }
+
+    let body = {};
+    if (req.method === 'POST') {
+      try {
+        body = await readBody(req);
+      } catch (err) {
+        respond(res, err.status || 400, { success: false, error: err.message });
+        return;
+      }
+    }
+
+    const query = Object.fromEntries(url.searchParams);
+    let args;
+    try {
+      args = route.args ? route.args({ params, query, body }) : [];
+    } catch (err) {
+      respond(res, err.status || 400, { success: false, error: err.message });
+      return;
+    }
+
+    // Checked here so a handler never acts on an unknown ID (starting a
+    // listener would otherwise start the engine first)
+    if (route.notFound && !FIND[route.notFound](this.db, params.id)) {
+      respond(res, 404, { success: false, error: `${route.notFound} ${params.id} not found` });
+      return;
+    }
+    const result = await this.invoke(route.channel, ...args);
+
+    // A few handlers return their data as it is
+    const response = result && typeof result.success === 'boolean' ? result : { success: true, data: result };
+    respond(res, response.success ? 200 : 400, response);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // The rest is read and discarded so the response can be sent
+      if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        return;
+      }
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('Expected a JSON object');
+        resolve(body);
+      } catch (err) {
+        reject(new Error(`Invalid JSON body: ${err.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function respond(res, status, payload) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(`${JSON.stringify(payload)}\n`);
+}
+
+module.exports = {
+  HTTP_API_SETTINGS,
+  ROUTES,
+  getHttpApiConfig,
+  validateHttpApiConfig,
+  generateToken,
+  matchRoute,
+  HttpApiServer
+};
@@ -0,0 +1,89 @@
+// Formats engine message traces for the Message Inspector window
+
+const osc = require('./osc');
+
+/**
+ * Turn a raw engine trace into a plain, IPC-safe inspector entry
+ * @param {Object} trace - { listener_id, listener_name, timestamp, source, data, deliveries }
+ * @returns {Object} Inspector entry with decoded packet and hex dump
+ */
+function describeTrace(trace) {
+  const data = trace.data;
+  const entry = {
+    timestamp: trace.timestamp,
+    listenerId: trace.listener_id,
+    listenerName: trace.listener_name,
+    source: trace.source ? `${trace.source.address}:${trace.source.port}` : '',
+    size: data.length,
+    hex: hexDump(data),
+    packet: null,
+    error: null,
+    deliveries: trace.deliveries || []
+  };
+
+  try {
+    entry.packet = describePacket(osc.decodePacket(data));
+  } catch (err) {
+    entry.error = err.message;
+  }
+
+  return entry;
+}
+
+function describePacket(packet) {
+  if (packet.type === 'bundle') {
+    return {
+      type: 'bundle',
+      timetag: describeTimetag(packet.timetag),
+      elements: packet.elements.map(describePacket)
+    };
+  }
+
+  return {
+    type: 'message',
+    address: packet.address,
+    typeTags: `,${packet.typeTags}`,
+    args: packet.args.map(describeArgument)
+  };
+}
+
+function describeArgument(arg) {
+  switch (arg.type) {
+    case 'b':
+    case 'm':
+      return { type: arg.type, value: arg.value.toString('hex') };
+    case 'h':
+      return { type: 'h', value: arg.value.toString() };
+    case 't':
+      return { type: 't', value: describeTimetag(arg.value) };
+    case 'I':
+      return { type: 'I', value: 'Infinitum' };
+    case '[':
+      return { type: '[', value: arg.value.map(describeArgument) };
+    default:
+      return { type: arg.type, value: arg.value };
+  }
+}
+
+function describeTimetag(timetag) {
+  const date = osc.timetagToDate(timetag);
+  return date ? date.toISOString() : 'immediately';
+}
+
+/**
+ * Classic 16-bytes-per-line hex dump with ASCII column
+ * @param {Buffer} data - Bytes to dump
+ * @returns {string} Hex dump
+ */
+function hexDump(data) {
+  const lines = [];
+  for (let offset = 0; offset < data.length; offset += 16) {
+    const row = data.subarray(offset, offset + 16);
+    const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = Array.from(row, byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(4, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { describeTrace, hexDump };
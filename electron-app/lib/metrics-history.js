@@ -0,0 +1,147 @@
+/**
+ * Metrics history for the History view
+ *
+ * Chooses which resolution to read for a time range (per-second samples
+ * for short recent ranges, minute or hour averages otherwise) and collects
+ * the annotations drawn on the charts: engine crashes and restarts, and
+ * forwarder outages (runs of samples where the forwarder was not
+ * connected).
+ */
+
+const { getRetention } = require('./metrics-recorder');
+
+const HOUR = 60 * 60 * 1000;
+
+const RESOLUTIONS = {
+  raw: { bucketMs: 1000, label: 'per second' },
+  minute: { bucketMs: 60 * 1000, label: 'per minute' },
+  hour: { bucketMs: HOUR, label: 'per hour' }
+};
+
+// Longest range read from each resolution (keeps charts to a few thousand points)
+const MAX_SPAN = {
+  raw: HOUR,
+  minute: 7 * 24 * HOUR
+};
+
+/**
+ * Pick the finest resolution that still has data for the whole range
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Object} retention - { rawHours, minuteDays, hourDays }
+ * @param {Date} now - Current time
+ * @returns {string} 'raw', 'minute' or 'hour'
+ */
+function chooseResolution(start, end, retention, now = new Date()) {
+  const span = end - start;
+  const age = now - start;
+
+  if (span <= MAX_SPAN.raw && age <= retention.rawHours * HOUR) return 'raw';
+  if (span <= MAX_SPAN.minute && age <= retention.minuteDays * 24 * HOUR) return 'minute';
+  return 'hour';
+}
+
+/**
+ * Find the outages in a forwarder's samples
+ *
+ * Consecutive samples with the forwarder not (or not always) connected
+ * make one outage; a gap in the samples (proxy stopped) ends it.
+ *
+ * @param {Array} samples - Forwarder metrics rows, oldest first
+ * @param {number} bucketMs - Length of one sample
+ * @returns {Array} { start, end, seconds } with ISO start/end and the
+ *   approximate time disconnected
+ */
+function findOutages(samples, bucketMs) {
+  const outages = [];
+  let current = null;
+  let previousTime = null;
+
+  samples.forEach(sample => {
+    const time = Date.parse(sample.timestamp);
+    const contiguous = previousTime !== null && time - previousTime <= bucketMs * 2;
+    previousTime = time;
+
+    if (sample.connected === null || sample.connected >= 1) {
+      current = null;
+      return;
+    }
+
+    if (!current || !contiguous) {
+      current = { start: sample.timestamp, end: null, seconds: 0 };
+      outages.push(current);
+    }
+    current.end = new Date(time + bucketMs).toISOString();
+    current.seconds += (1 - sample.connected) * sample.samples;
+  });
+
+  outages.forEach(outage => { outage.seconds = Math.round(outage.seconds); });
+  return outages;
+}
+
+// Forwarders whose outages are shown for a subject
+function subjectForwarders(db, subject) {
+  if (subject.type === 'forwarder') {
+    const forwarder = db.getForwarder(subject.id);
+    return forwarder ? [forwarder] : [];
+  }
+  if (subject.type === 'listener') {
+    const listener = db.getListener(subject.id);
+    return listener ? listener.forwarders : [];
+  }
+  return db.getAllListeners().flatMap(listener => listener.forwarders);
+}
+
+/**
+ * Load the samples and annotations for one chart subject
+ * @param {ProxyDatabase} db - Database instance
+ * @param {Object} subject - { type: 'aggregate'|'listener'|'forwarder', id }
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Date} now - Current time
+ * @returns {Object} { resolution, bucketMs, label, samples, annotations }
+ */
+function loadHistory(db, subject, start, end, now = new Date()) {
+  const resolution = chooseResolution(start, end, getRetention(db), now);
+  const { bucketMs, label } = RESOLUTIONS[resolution];
+
+  const forwarderSamples = new Map();
+  const readForwarder = id => {
+    if (!forwarderSamples.has(id)) {
+      forwarderSamples.set(id, db.getForwarderMetricsInRange(id, start, end, resolution));
+    }
+    return forwarderSamples.get(id);
+  };
+
+  const samples = subject.type === 'forwarder'
+    ? readForwarder(subject.id)
+    : db.getMetricsInRange(subject.type === 'listener' ? subject.id : null, start, end, resolution);
+
+  const annotations = db.getEngineEventsInRange(start, end).map(event => ({
+    type: event.event,
+    start: event.timestamp,
+    end: null,
+    message: event.message
+  }));
+
+  subjectForwarders(db, subject).forEach(forwarder => {
+    findOutages(readForwarder(forwarder.id), bucketMs).forEach(outage => {
+      annotations.push({
+        type: 'disconnected',
+        start: outage.start,
+        end: outage.end,
+        message: `${forwarder.name} disconnected for about ${outage.seconds}s`
+      });
+    });
+  });
+
+  annotations.sort((a, b) => a.start.localeCompare(b.start));
+  return { resolution, bucketMs, label, samples, annotations };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  chooseResolution,
+  findOutages,
+  loadHistory
+};
@@ -0,0 +1,180 @@
+/**
+ * Metrics history recorder
+ *
+ * Persists the engine's metrics updates (about one per second) for the
+ * aggregate, each listener and each forwarder. The engine reports counters
+ * since each listener started; rows store the counts during the sample,
+ * so a listener restart (counters going back down) is not a negative spike.
+ * Samples are written in batches, and a periodic maintenance pass
+ * downsamples older data into minute and hour rollups and deletes what is
+ * past the retention configured in settings.
+ */
+
+const RETENTION_SETTINGS = {
+  rawHours: { key: 'metrics_retention_raw_hours', default: 6, min: 1 },
+  minuteDays: { key: 'metrics_retention_minute_days', default: 14, min: 1 },
+  hourDays: { key: 'metrics_retention_hour_days', default: 365, min: 1 }
+};
+
+const LISTENER_COUNTERS = ['total', 'forwarded', 'dropped'];
+const FORWARDER_COUNTERS = ['forwarded', 'dropped', 'failed', 'filtered'];
+
+/**
+ * Read the retention settings
+ * @param {ProxyDatabase} db - Database instance
+ * @returns {Object} { rawHours, minuteDays, hourDays }
+ */
+function getRetention(db) {
+  const retention = {};
+  Object.entries(RETENTION_SETTINGS).forEach(([name, setting]) => {
+    const value = Number(db.getSetting(setting.key, null));
+    retention[name] = Number.isFinite(value) && value >= setting.min ? value : setting.default;
+  });
+  return retention;
+}
+
+class MetricsRecorder {
+  /**
+   * @param {ProxyDatabase} db - Database instance
+   * @param {Object} options
+   * @param {number} options.flushInterval - Milliseconds between batch writes
+   * @param {number} options.maintenanceInterval - Milliseconds between rollup/retention passes
+   * @param {Function} options.onError - Called with errors from timer-driven writes
+   */
+  constructor(db, { flushInterval = 5000, maintenanceInterval = 60000, onError = () => {} } = {}) {
+    this.db = db;
+    this.flushInterval = flushInterval;
+    this.maintenanceInterval = maintenanceInterval;
+    this.onError = onError;
+    this.pending = { listeners: [], forwarders: [] };
+    this.counters = new Map();
+    this.timers = [];
+  }
+
+  start() {
+    if (this.timers.length > 0) return;
+    this.timers.push(setInterval(() => this.guard(() => this.flush()), this.flushInterval));
+    this.timers.push(setInterval(() => this.guard(() => this.maintain()), this.maintenanceInterval));
+  }
+
+  /**
+   * Stop the timers and write what is still pending
+   */
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.guard(() => this.flush());
+  }
+
+  guard(fn) {
+    try {
+      fn();
+    } catch (err) {
+      this.onError(err);
+    }
+  }
+
+  /**
+   * Forget the last counters (the engine exited, so all counters restart)
+   */
+  reset() {
+    this.counters.clear();
+  }
+
+  // Counts since the previous sample for the given key
+  deltas(key, source, fields) {
+    const previous = this.counters.get(key) || {};
+    const current = {};
+    const deltas = {};
+    fields.forEach(field => {
+      const value = source[field] || 0;
+      const before = previous[field];
+      current[field] = value;
+      // First sample, or the counter restarted
+      deltas[field] = before === undefined || value < before ? value : value - before;
+    });
+    this.counters.set(key, current);
+    return deltas;
+  }
+
+  /**
+   * Queue one metrics update (the 'metrics-update' payload)
+   * @param {Object} payload - { timestamp, aggregate, listeners }
+   */
+  record(payload) {
+    const timestamp = new Date(payload.timestamp || Date.now()).toISOString();
+    const aggregate = { total: 0, forwarded: 0, dropped: 0 };
+
+    (payload.listeners || []).forEach(listener => {
+      const counts = this.deltas(`listener:${listener.id}`, listener, LISTENER_COUNTERS);
+      LISTENER_COUNTERS.forEach(field => { aggregate[field] += counts[field]; });
+
+      this.pending.listeners.push({
+        listenerId: listener.id,
+        metrics: {
+          timestamp,
+          rate: listener.rate,
+          avgRate: listener.avg_rate,
+          peakRate: listener.peak_rate,
+          latency: listener.latency,
+          ...counts,
+          lossPct: counts.total > 0 ? Math.round(counts.dropped * 10000 / counts.total) / 100 : 0
+        }
+      });
+
+      (listener.forwarders || []).forEach(forwarder => {
+        this.pending.forwarders.push({
+          forwarderId: forwarder.id,
+          metrics: {
+            timestamp,
+            connected: forwarder.connected,
+            latency: forwarder.latency,
+            ...this.deltas(`forwarder:${forwarder.id}`, forwarder, FORWARDER_COUNTERS)
+          }
+        });
+      });
+    });
+
+    const totals = payload.aggregate || {};
+    this.pending.listeners.push({
+      listenerId: null,
+      metrics: {
+        timestamp,
+        rate: totals.rate,
+        avgRate: totals.avgRate,
+        peakRate: totals.peakRate,
+        latency: totals.latency,
+        ...aggregate,
+        lossPct: aggregate.total > 0 ? Math.round(aggregate.dropped * 10000 / aggregate.total) / 100 : 0
+      }
+    });
+  }
+
+  /**
+   * Write the queued samples
+   */
+  flush() {
+    const { listeners, forwarders } = this.pending;
+    if (listeners.length === 0 && forwarders.length === 0) return;
+    this.pending = { listeners: [], forwarders: [] };
+    this.db.recordMetricsBatch(listeners, forwarders);
+  }
+
+  /**
+   * Roll up completed minutes and hours, then apply retention
+   * @param {Date} now - Current time
+   * @returns {Object} { created: {minute, hour}, deleted }
+   */
+  maintain(now = new Date()) {
+    this.flush();
+    const created = this.db.rollupMetrics(now);
+    const deleted = this.db.pruneMetrics(getRetention(this.db), now);
+    return { created, deleted };
+  }
+}
+
+module.exports = {
+  RETENTION_SETTINGS,
+  getRetention,
+  MetricsRecorder
+};
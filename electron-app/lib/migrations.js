@@ -0,0 +1,621 @@
+/**
+ * Schema migrations for ProxyDatabase
+ *
+ * The schema_version table records every applied migration. Migrations
+ * run in version order, each in its own transaction, and are never edited
+ * once released: change the schema by appending a new migration.
+ *
+ * Databases created before versioning existed have no schema_version
+ * table and start at version 0. The early migrations use CREATE ... IF NOT
+ * EXISTS so they are no-ops for the tables such databases already have.
+ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'listeners, forwarders and metrics history',
+    up(db) {
+      // The first release called listeners "transmitters" and forwarders "receivers"
+      if (tableExists(db, 'transmitters') && !tableExists(db, 'listeners')) {
+        db.exec(`
+          ALTER TABLE transmitters RENAME TO listeners;
+          ALTER TABLE receivers RENAME TO forwarders;
+          ALTER TABLE forwarders RENAME COLUMN transmitter_id TO listener_id;
+          ALTER TABLE metrics_history RENAME COLUMN transmitter_id TO listener_id;
+          DROP INDEX IF EXISTS idx_metrics_transmitter;
+        `);
+      }
+
+      db.exec(`
+        -- Listeners (sources of OSC messages)
+        CREATE TABLE IF NOT EXISTS listeners (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          enabled BOOLEAN DEFAULT 1,
+          protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp')),
+          bind_address TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          max_message_size INTEGER DEFAULT 8192,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Forwarders (destinations for OSC messages)
+        CREATE TABLE IF NOT EXISTS forwarders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          listener_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          enabled BOOLEAN DEFAULT 1,
+          protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp')),
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          keepalive BOOLEAN DEFAULT 1,
+          keepalive_interval INTEGER DEFAULT 10,
+          nodelay BOOLEAN DEFAULT 1,
+          connect_timeout INTEGER DEFAULT 5,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE CASCADE
+        );
+
+        -- Metrics history (for visualization)
+        CREATE TABLE IF NOT EXISTS metrics_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          listener_id INTEGER,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          rate REAL,
+          avg_rate REAL,
+          peak_rate REAL,
+          latency REAL,
+          total INTEGER,
+          forwarded INTEGER,
+          dropped INTEGER,
+          loss_pct REAL,
+          FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_metrics_timestamp ON metrics_history(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_metrics_listener ON metrics_history(listener_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'settings',
+    up(db) {
+      db.exec(`
+        -- Application settings (key/value)
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'engine events',
+    up(db) {
+      db.exec(`
+        -- Engine supervision journal (crashes and automatic restarts)
+        CREATE TABLE IF NOT EXISTS engine_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT NOT NULL,
+          event TEXT NOT NULL CHECK(event IN ('crashed', 'restarted', 'gave-up')),
+          engine TEXT,
+          exit_code INTEGER,
+          message TEXT,
+          stderr TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_engine_events_timestamp ON engine_events(timestamp);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'forwarder routing rules',
+    up(db) {
+      db.exec(`
+        -- Routing rules (OSC address patterns a forwarder includes/excludes)
+        CREATE TABLE IF NOT EXISTS forwarder_routes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          forwarder_id INTEGER NOT NULL,
+          action TEXT NOT NULL CHECK(action IN ('include', 'exclude')),
+          pattern TEXT NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (forwarder_id) REFERENCES forwarders(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_forwarder_routes_forwarder ON forwarder_routes(forwarder_id);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'forwarder rewrite rules',
+    up(db) {
+      db.exec(`
+        -- Rewrite rules (address mapping and argument transformation per forwarder)
+        CREATE TABLE IF NOT EXISTS forwarder_rewrites (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          forwarder_id INTEGER NOT NULL,
+          pattern TEXT NOT NULL,
+          target TEXT NOT NULL,
+          args TEXT,
+          position INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (forwarder_id) REFERENCES forwarders(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_forwarder_rewrites_forwarder ON forwarder_rewrites(forwarder_id);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'show profiles',
+    up(db) {
+      // Existing listeners move into a "Default" profile. Listener names are
+      // unique per profile, so the listeners table is rebuilt without its
+      // UNIQUE(name) constraint (forwarders and metrics_history reference it
+      // by name and follow the rename).
+      db.exec(`
+        -- Show profiles (named sets of listeners; exactly one is active)
+        CREATE TABLE profiles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          active BOOLEAN NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO profiles (id, name, active) VALUES (1, 'Default', 1);
+
+        CREATE TABLE listeners_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          profile_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          enabled BOOLEAN DEFAULT 1,
+          protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp')),
+          bind_address TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          max_message_size INTEGER DEFAULT 8192,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (profile_id, name),
+          FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE
+        );
+
+        INSERT INTO listeners_new (id, profile_id, name, enabled, protocol, bind_address, port,
+                                   max_message_size, created_at, updated_at)
+        SELECT id, 1, name, enabled, protocol, bind_address, port,
+               max_message_size, created_at, updated_at
+        FROM listeners;
+
+        DROP TABLE listeners;
+        ALTER TABLE listeners_new RENAME TO listeners;
+
+        CREATE INDEX idx_listeners_profile ON listeners(profile_id);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'metrics rollups and forwarder metrics',
+    up(db) {
+      // Adds resolution and samples to metrics_history, and creates
+      // forwarder_metrics_history with the same two columns. Each engine
+      // metrics update (about one a second) is a 'raw' row; raw rows are
+      // rolled up into 'minute' rows and minute rows into 'hour' rows, and
+      // samples counts the raw rows a row stands for. The counters (total,
+      // forwarded, dropped, failed, filtered) are counts during the sample,
+      // not totals since the listener started; a forwarder's connected is
+      // the fraction of its samples it was connected.
+      db.exec(`
+        ALTER TABLE metrics_history ADD COLUMN resolution TEXT NOT NULL DEFAULT 'raw'
+          CHECK(resolution IN ('raw', 'minute', 'hour'));
+        ALTER TABLE metrics_history ADD COLUMN samples INTEGER NOT NULL DEFAULT 1;
+
+        CREATE INDEX idx_metrics_resolution ON metrics_history(resolution, timestamp);
+
+        -- Per-forwarder metrics history (same resolutions as metrics_history)
+        CREATE TABLE forwarder_metrics_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          forwarder_id INTEGER NOT NULL,
+          timestamp TEXT NOT NULL,
+          resolution TEXT NOT NULL DEFAULT 'raw' CHECK(resolution IN ('raw', 'minute', 'hour')),
+          samples INTEGER NOT NULL DEFAULT 1,
+          connected REAL,
+          latency REAL,
+          forwarded INTEGER,
+          dropped INTEGER,
+          failed INTEGER,
+          filtered INTEGER,
+          FOREIGN KEY (forwarder_id) REFERENCES forwarders(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_forwarder_metrics_forwarder ON forwarder_metrics_history(forwarder_id, resolution, timestamp);
+        CREATE INDEX idx_forwarder_metrics_resolution ON forwarder_metrics_history(resolution, timestamp);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'forwarder connection events',
+    up(db) {
+      // Journal of forwarder connections. 'closed' means closed on purpose
+      // (listener stopped, forwarder removed). attempt is the attempt number
+      // on 'connect-failed' rows; the connected/closed row that ends an
+      // outage has its length in outage_ms and the failed attempts in attempt.
+      db.exec(`
+        CREATE TABLE connection_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          forwarder_id INTEGER NOT NULL,
+          timestamp TEXT NOT NULL,
+          event TEXT NOT NULL CHECK(event IN ('connected', 'disconnected', 'connect-failed', 'closed')),
+          reason TEXT,
+          attempt INTEGER,
+          outage_ms INTEGER,
+          FOREIGN KEY (forwarder_id) REFERENCES forwarders(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_connection_events_forwarder ON connection_events(forwarder_id, timestamp);
+        CREATE INDEX idx_connection_events_timestamp ON connection_events(timestamp);
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'alert rules',
+    up(db) {
+      // A rule without listener_id/forwarder_id watches every listener (or
+      // forwarder) that is running. threshold is only used by 'loss-above'.
+      db.exec(`
+        CREATE TABLE alert_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL CHECK(type IN ('forwarder-disconnected', 'loss-above', 'rate-zero')),
+          listener_id INTEGER,
+          forwarder_id INTEGER,
+          threshold REAL,
+          duration INTEGER NOT NULL DEFAULT 10,
+          sound TEXT NOT NULL DEFAULT 'chime' CHECK(sound IN ('none', 'chime', 'alarm')),
+          notify INTEGER NOT NULL DEFAULT 1,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE CASCADE,
+          FOREIGN KEY (forwarder_id) REFERENCES forwarders(id) ON DELETE CASCADE
+        );
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'recorded sessions',
+    up(db) {
+      // The messages are in the session file (in the sessions folder next to
+      // proxy.db); this is the index. listener_name is kept so a session
+      // still says where it came from after the listener is deleted.
+      // ended_at is NULL while recording.
+      db.exec(`
+        CREATE TABLE sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          listener_id INTEGER,
+          listener_name TEXT NOT NULL,
+          file TEXT NOT NULL UNIQUE,
+          started_at TEXT NOT NULL,
+          ended_at TEXT,
+          message_count INTEGER NOT NULL DEFAULT 0,
+          bytes INTEGER NOT NULL DEFAULT 0,
+          duration_ms INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE SET NULL
+        );
+
+        CREATE INDEX idx_sessions_started ON sessions(started_at);
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'test sender',
+    up(db) {
+      // Arguments are stored as JSON, as entered in the composer. History
+      // rows keep the target's name so they still read after it is deleted.
+      db.exec(`
+        CREATE TABLE test_message_favorites (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          address TEXT NOT NULL,
+          args TEXT NOT NULL DEFAULT '[]',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE test_message_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          address TEXT NOT NULL,
+          args TEXT NOT NULL DEFAULT '[]',
+          target_type TEXT NOT NULL CHECK(target_type IN ('listener', 'forwarder')),
+          target_id INTEGER NOT NULL,
+          target_name TEXT NOT NULL,
+          error TEXT,
+          sent_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'forwarder disconnect policies',
+    up(db) {
+      // What a forwarder does with messages while it is disconnected:
+      // 'drop' them, 'buffer' the last buffer_size messages for up to
+      // buffer_ttl seconds, or keep only the 'latest' message per address
+      db.exec(`
+        ALTER TABLE forwarders ADD COLUMN disconnect_policy TEXT NOT NULL DEFAULT 'drop'
+          CHECK(disconnect_policy IN ('drop', 'buffer', 'latest'));
+        ALTER TABLE forwarders ADD COLUMN buffer_size INTEGER NOT NULL DEFAULT 100;
+        ALTER TABLE forwarders ADD COLUMN buffer_ttl INTEGER NOT NULL DEFAULT 10;
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'throttle rules',
+    up(db) {
+      // Per-address rate limits (lib/throttle.js); max_rate is in messages
+      // per second and unused for exempt rules. A listener's rules apply to
+      // all its forwarders, after their own.
+      db.exec(`
+        CREATE TABLE listener_throttles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          listener_id INTEGER NOT NULL,
+          action TEXT NOT NULL CHECK(action IN ('limit', 'exempt')),
+          pattern TEXT NOT NULL,
+          max_rate REAL,
+          position INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE forwarder_throttles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          forwarder_id INTEGER NOT NULL,
+          action TEXT NOT NULL CHECK(action IN ('limit', 'exempt')),
+          pattern TEXT NOT NULL,
+          max_rate REAL,
+          position INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (forwarder_id) REFERENCES forwarders(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_listener_throttles_listener ON listener_throttles(listener_id);
+        CREATE INDEX idx_forwarder_throttles_forwarder ON forwarder_throttles(forwarder_id);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'bundle handling',
+    up(db) {
+      // Bundles are unpacked and their messages routed one by one;
+      // rebundle sends a forwarder's messages from a bundle as one bundle
+      // again. Listeners with schedule_bundles hold bundles timed in the
+      // future until they are due, up to max_lookahead seconds ahead.
+      db.exec(`
+        ALTER TABLE listeners ADD COLUMN schedule_bundles BOOLEAN NOT NULL DEFAULT 0;
+        ALTER TABLE listeners ADD COLUMN max_lookahead INTEGER NOT NULL DEFAULT 10;
+        ALTER TABLE forwarders ADD COLUMN rebundle BOOLEAN NOT NULL DEFAULT 0;
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'tcp framing',
+    up(db) {
+      // How packets are delimited on TCP streams (lib/engine/framing.js);
+      // unused for UDP. Double-END SLIP is what both engines always used.
+      const framing = `TEXT NOT NULL DEFAULT 'slip-double'
+        CHECK(framing IN ('slip-double', 'slip-single', 'length-prefix', 'newline'))`;
+      db.exec(`
+        ALTER TABLE listeners ADD COLUMN framing ${framing};
+        ALTER TABLE forwarders ADD COLUMN framing ${framing};
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'websocket protocol',
+    up(db) {
+      // 'ws' listeners and forwarders (binary OSC frames over WebSocket).
+      // SQLite cannot alter a CHECK constraint, so both tables are rebuilt
+      // with the same columns; the tables referencing them follow by name.
+      db.exec(`
+        CREATE TABLE listeners_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          profile_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          enabled BOOLEAN DEFAULT 1,
+          protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp', 'ws')),
+          bind_address TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          max_message_size INTEGER DEFAULT 8192,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          schedule_bundles BOOLEAN NOT NULL DEFAULT 0,
+          max_lookahead INTEGER NOT NULL DEFAULT 10,
+          framing TEXT NOT NULL DEFAULT 'slip-double'
+            CHECK(framing IN ('slip-double', 'slip-single', 'length-prefix', 'newline')),
+          UNIQUE (profile_id, name),
+          FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE
+        );
+
+        INSERT INTO listeners_new (id, profile_id, name, enabled, protocol, bind_address, port,
+                                   max_message_size, created_at, updated_at,
+                                   schedule_bundles, max_lookahead, framing)
+        SELECT id, profile_id, name, enabled, protocol, bind_address, port,
+               max_message_size, created_at, updated_at,
+               schedule_bundles, max_lookahead, framing
+        FROM listeners;
+
+        DROP TABLE listeners;
+        ALTER TABLE listeners_new RENAME TO listeners;
+
+        CREATE INDEX idx_listeners_profile ON listeners(profile_id);
+
+        CREATE TABLE forwarders_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          listener_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          enabled BOOLEAN DEFAULT 1,
+          protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp', 'ws')),
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          keepalive BOOLEAN DEFAULT 1,
+          keepalive_interval INTEGER DEFAULT 10,
+          nodelay BOOLEAN DEFAULT 1,
+          connect_timeout INTEGER DEFAULT 5,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          disconnect_policy TEXT NOT NULL DEFAULT 'drop'
+            CHECK(disconnect_policy IN ('drop', 'buffer', 'latest')),
+          buffer_size INTEGER NOT NULL DEFAULT 100,
+          buffer_ttl INTEGER NOT NULL DEFAULT 10,
+          rebundle BOOLEAN NOT NULL DEFAULT 0,
+          framing TEXT NOT NULL DEFAULT 'slip-double'
+            CHECK(framing IN ('slip-double', 'slip-single', 'length-prefix', 'newline')),
+          FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE CASCADE
+        );
+
+        INSERT INTO forwarders_new (id, listener_id, name, enabled, protocol, host, port,
+                                    keepalive, keepalive_interval, nodelay, connect_timeout,
+                                    created_at, updated_at, disconnect_policy, buffer_size,
+                                    buffer_ttl, rebundle, framing)
+        SELECT id, listener_id, name, enabled, protocol, host, port,
+               keepalive, keepalive_interval, nodelay, connect_timeout,
+               created_at, updated_at, disconnect_policy, buffer_size,
+               buffer_ttl, rebundle, framing
+        FROM forwarders;
+
+        DROP TABLE forwarders;
+        ALTER TABLE forwarders_new RENAME TO forwarders;
+      `);
+    }
+  },
+  {
+    version: 17,
+    name: 'multicast and broadcast',
+    up(db) {
+      // UDP only (lib/engine/multicast.js). Groups are a comma-separated
+      // list; an empty interface leaves the choice to the OS.
+      db.exec(`
+        ALTER TABLE listeners ADD COLUMN multicast_groups TEXT NOT NULL DEFAULT '';
+        ALTER TABLE listeners ADD COLUMN multicast_interface TEXT NOT NULL DEFAULT '';
+        ALTER TABLE forwarders ADD COLUMN broadcast BOOLEAN NOT NULL DEFAULT 0;
+        ALTER TABLE forwarders ADD COLUMN multicast_ttl INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE forwarders ADD COLUMN multicast_loopback BOOLEAN NOT NULL DEFAULT 0;
+      `);
+    }
+  }
+];
+
+function tableExists(db, name) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?
+  `).get(name));
+}
+
+/**
+ * Whether the database has any tables yet (a brand new file has none)
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {boolean} True if the database is empty
+ */
+function isEmpty(db) {
+  return !db.prepare(`
+    SELECT 1 FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+  `).get();
+}
+
+/**
+ * Current schema version (0 for databases from before versioning)
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {number} Highest applied migration
+ */
+function currentVersion(db) {
+  if (!tableExists(db, 'schema_version')) return 0;
+  const row = db.prepare('SELECT MAX(version) AS version FROM schema_version').get();
+  return row.version || 0;
+}
+
+/**
+ * Migrations not yet applied, in order
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Array} migrations - Migration list
+ * @returns {Array} Pending migrations
+ */
+function pendingMigrations(db, migrations = MIGRATIONS) {
+  const version = currentVersion(db);
+  return migrations
+    .filter(migration => migration.version > version)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ *
+ * Foreign key enforcement is switched off while migrating so migrations can
+ * rebuild tables; each migration must leave no foreign key violations.
+ *
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Array} migrations - Migration list
+ * @param {Object} options
+ * @param {number} options.to - Stop after this version
+ * @returns {{from: number, to: number}} Versions before and after
+ * @throws {Error} If a migration fails; it is rolled back, earlier ones stay applied
+ */
+function runMigrations(db, migrations = MIGRATIONS, { to = Infinity } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  const from = currentVersion(db);
+  const pending = pendingMigrations(db, migrations).filter(migration => migration.version <= to);
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+
+  try {
+    pending.forEach(migration => {
+      try {
+        db.transaction(() => {
+          migration.up(db);
+
+          const violations = db.pragma('foreign_key_check');
+          if (violations.length > 0) {
+            throw new Error(`${violations.length} foreign key violation(s) in ${violations[0].table}`);
+          }
+
+          db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)')
+            .run(migration.version, migration.name);
+        })();
+      } catch (err) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+      }
+    });
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+
+  return { from, to: currentVersion(db) };
+}
+
+module.exports = {
+  MIGRATIONS,
+  isEmpty,
+  currentVersion,
+  pendingMigrations,
+  runMigrations
+};
@@ -0,0 +1,616 @@
+/**
+ * OSC 1.0/1.1 packet decoding/encoding for the Electron side (inspector,
+ * tracing, rewriting, the test sender and session replay)
+ *
+ * Arguments are { type, value } with the OSC type tag as type:
+ *
+ *   i  int32 (number)          f  float32 (number)       s  string
+ *   S  symbol (string)         b  blob (Buffer)          h  int64 (BigInt)
+ *   t  timetag                 d  float64 (number)       c  char (string)
+ *   r  RGBA color (uint32)     m  MIDI (4-byte Buffer)   T  true
+ *   F  false                   N  nil                    I  impulse/infinitum
+ *   [  array (value is an array of arguments)
+ *
+ * Timetags are { seconds, fraction } (NTP); IMMEDIATELY is the special
+ * value 1.
+ *
+ * Decoding is lenient by default, accepting what real-world senders
+ * produce: a missing type tag string (optional in OSC 1.0), non-zero
+ * padding, bytes after the last argument, packets that are not a multiple
+ * of 4 bytes long, empty bundle elements and an array left open at the
+ * end of the type tags. With { strict: true } all of these are errors, as
+ * are invalid address characters and a nested bundle timed before the
+ * bundle that contains it (OSC 1.1). Data that cannot be decoded at all
+ * (truncated arguments, unknown type tags) is an error in both modes.
+ *
+ * Framing for stream transports is in engine/framing.js (SLIP,
+ * length-prefix and newline).
+ */
+
+const BUNDLE_TAG = '#bundle';
+
+// Seconds between the NTP epoch (1900) and the Unix epoch (1970)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+// The timetag for "immediately"
+const IMMEDIATELY = Object.freeze({ seconds: 0, fraction: 1 });
+
+const INT32_MIN = -0x80000000;
+const INT32_MAX = 0x7fffffff;
+
+// Characters an OSC address cannot contain (strict mode)
+const INVALID_ADDRESS_CHARS = /[\x00-\x20#\x7f]/;
+
+/**
+ * Read a null-terminated, 4-byte padded OSC string
+ * @param {Buffer} buf - Packet
+ * @param {number} offset - Start offset
+ * @param {boolean} strict - Require the padding to be null bytes within the packet
+ * @returns {{value: string, offset: number}} String and offset after padding
+ */
+function readString(buf, offset, strict = false) {
+  const end = buf.indexOf(0, offset);
+  if (end === -1) {
+    throw new Error(`Unterminated string at byte ${offset}`);
+  }
+  const value = buf.toString('utf8', offset, end);
+  const next = pad4(end + 1);
+
+  if (strict) {
+    if (next > buf.length) {
+      throw new Error(`String at byte ${offset} is not padded to 4 bytes`);
+    }
+    for (let i = end + 1; i < next; i++) {
+      if (buf[i] !== 0) throw new Error(`Non-zero padding after string at byte ${offset}`);
+    }
+  }
+
+  return { value, offset: next };
+}
+
+function readBlob(buf, offset, strict = false) {
+  const size = readInt32(buf, offset);
+  const start = offset + 4;
+  if (size < 0 || start + size > buf.length) {
+    throw new Error(`Blob of ${size} bytes overruns packet at byte ${offset}`);
+  }
+
+  const next = pad4(start + size);
+  if (strict) {
+    if (next > buf.length) {
+      throw new Error(`Blob at byte ${offset} is not padded to 4 bytes`);
+    }
+    for (let i = start + size; i < next; i++) {
+      if (buf[i] !== 0) throw new Error(`Non-zero padding after blob at byte ${offset}`);
+    }
+  }
+
+  return { value: buf.subarray(start, start + size), offset: next };
+}
+
+function readInt32(buf, offset) {
+  ensureBytes(buf, offset, 4);
+  return buf.readInt32BE(offset);
+}
+
+function readTimetag(buf, offset) {
+  ensureBytes(buf, offset, 8);
+  return {
+    seconds: buf.readUInt32BE(offset),
+    fraction: buf.readUInt32BE(offset + 4)
+  };
+}
+
+function ensureBytes(buf, offset, count) {
+  if (offset + count > buf.length) {
+    throw new Error(`Expected ${count} bytes at byte ${offset}, packet has ${buf.length}`);
+  }
+}
+
+function pad4(n) {
+  return (n + 3) & ~3;
+}
+
+/**
+ * Convert an OSC timetag to a JS Date (null for "immediately")
+ * @param {{seconds: number, fraction: number}} timetag
+ * @returns {Date|null} Date, or null for the special value 1
+ */
+function timetagToDate(timetag) {
+  if (isImmediate(timetag)) return null;
+  const ms = (timetag.seconds - NTP_EPOCH_OFFSET) * 1000 + (timetag.fraction / 0x100000000) * 1000;
+  return new Date(ms);
+}
+
+/**
+ * Convert a JS Date to an OSC timetag
+ * @param {Date} date - Time
+ * @returns {{seconds: number, fraction: number}} Timetag
+ */
+function dateToTimetag(date) {
+  const ms = date.getTime();
+  const seconds = Math.floor(ms / 1000);
+  return {
+    seconds: seconds + NTP_EPOCH_OFFSET,
+    fraction: Math.floor(((ms - seconds * 1000) / 1000) * 0x100000000)
+  };
+}
+
+function isImmediate(timetag) {
+  return timetag.seconds === 0 && timetag.fraction === 1;
+}
+
+/**
+ * Compare two timetags
+ * @returns {number} Negative if a is earlier than b, 0 if equal, positive if later
+ */
+function compareTimetags(a, b) {
+  return a.seconds !== b.seconds ? a.seconds - b.seconds : a.fraction - b.fraction;
+}
+
+/**
+ * Normalize a timetag given as a Date, a timetag object or null
+ * @param {Date|Object|null} value - Time (null or undefined for "immediately")
+ * @returns {{seconds: number, fraction: number}} Timetag
+ * @throws {Error} If the value is not a time
+ */
+function toTimetag(value) {
+  if (value === null || value === undefined) return IMMEDIATELY;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new Error('Invalid date for timetag');
+    return dateToTimetag(value);
+  }
+  if (isUint32(value.seconds) && isUint32(value.fraction)) return value;
+  throw new Error('Timetag must be a Date or { seconds, fraction }');
+}
+
+function isUint32(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+}
+
+/**
+ * Decode the arguments described by a type tag string
+ * @param {Buffer} buf - Packet
+ * @param {string} typeTags - Type tags without the leading comma
+ * @param {number} offset - Offset of the first argument
+ * @param {boolean} strict - Strict mode
+ * @returns {{args: Array<{type: string, value: *}>, offset: number}} Typed arguments and offset after them
+ */
+function readArguments(buf, typeTags, offset, strict = false) {
+  const args = [];
+  const stack = [args];
+
+  for (const tag of typeTags) {
+    const target = stack[stack.length - 1];
+    let result;
+
+    switch (tag) {
+      case 'i':
+        target.push({ type: 'i', value: readInt32(buf, offset) });
+        offset += 4;
+        break;
+      case 'f':
+        ensureBytes(buf, offset, 4);
+        target.push({ type: 'f', value: buf.readFloatBE(offset) });
+        offset += 4;
+        break;
+      case 's':
+      case 'S':
+        result = readString(buf, offset, strict);
+        target.push({ type: tag, value: result.value });
+        offset = result.offset;
+        break;
+      case 'b':
+        result = readBlob(buf, offset, strict);
+        target.push({ type: 'b', value: result.value });
+        offset = result.offset;
+        break;
+      case 'h':
+        ensureBytes(buf, offset, 8);
+        target.push({ type: 'h', value: buf.readBigInt64BE(offset) });
+        offset += 8;
+        break;
+      case 't':
+        target.push({ type: 't', value: readTimetag(buf, offset) });
+        offset += 8;
+        break;
+      case 'd':
+        ensureBytes(buf, offset, 8);
+        target.push({ type: 'd', value: buf.readDoubleBE(offset) });
+        offset += 8;
+        break;
+      case 'c':
+        target.push({ type: 'c', value: String.fromCharCode(readInt32(buf, offset)) });
+        offset += 4;
+        break;
+      case 'r':
+        ensureBytes(buf, offset, 4);
+        target.push({ type: 'r', value: buf.readUInt32BE(offset) });
+        offset += 4;
+        break;
+      case 'm':
+        ensureBytes(buf, offset, 4);
+        target.push({ type: 'm', value: buf.subarray(offset, offset + 4) });
+        offset += 4;
+        break;
+      case 'T':
+        target.push({ type: 'T', value: true });
+        break;
+      case 'F':
+        target.push({ type: 'F', value: false });
+        break;
+      case 'N':
+        target.push({ type: 'N', value: null });
+        break;
+      case 'I':
+        target.push({ type: 'I', value: Infinity });
+        break;
+      case '[': {
+        const array = [];
+        target.push({ type: '[', value: array });
+        stack.push(array);
+        break;
+      }
+      case ']':
+        if (stack.length === 1) throw new Error('Unbalanced "]" in type tags');
+        stack.pop();
+        break;
+      default:
+        throw new Error(`Unknown type tag '${tag}'`);
+    }
+  }
+
+  if (strict && stack.length > 1) {
+    throw new Error('Unbalanced "[" in type tags');
+  }
+
+  return { args, offset };
+}
+
+/**
+ * Decode an OSC message
+ * @param {Buffer} buf - Packet
+ * @param {Object} options
+ * @param {boolean} options.strict - Reject malformed packets lenient mode accepts
+ * @returns {{address: string, typeTags: string, args: Array}} Message
+ */
+function decodeMessage(buf, { strict = false } = {}) {
+  if (strict && buf.length % 4 !== 0) {
+    throw new Error(`Packet of ${buf.length} bytes is not a multiple of 4`);
+  }
+
+  const address = readString(buf, 0, strict);
+  if (!address.value.startsWith('/')) {
+    throw new Error(`Invalid OSC address '${address.value}'`);
+  }
+  if (strict && INVALID_ADDRESS_CHARS.test(address.value)) {
+    throw new Error(`Invalid character in OSC address '${address.value}'`);
+  }
+
+  // Type tag string is optional in very old OSC implementations
+  if (address.offset >= buf.length || buf[address.offset] !== 0x2c) {
+    if (strict) throw new Error('Missing type tag string');
+    return { address: address.value, typeTags: '', args: [] };
+  }
+
+  const tags = readString(buf, address.offset, strict);
+  const typeTags = tags.value.slice(1);
+  const { args, offset } = readArguments(buf, typeTags, tags.offset, strict);
+
+  if (strict && offset !== buf.length) {
+    throw new Error(`${buf.length - offset} unexpected byte(s) after the arguments`);
+  }
+
+  return {
+    address: address.value,
+    typeTags,
+    args
+  };
+}
+
+/**
+ * Decode an OSC bundle (elements may themselves be bundles)
+ * @param {Buffer} buf - Packet starting with "#bundle"
+ * @param {Object} options
+ * @param {boolean} options.strict - Reject malformed packets lenient mode accepts
+ * @returns {{timetag: Object, elements: Array}} Bundle
+ */
+function decodeBundle(buf, { strict = false } = {}) {
+  const tag = readString(buf, 0, strict);
+  if (tag.value !== BUNDLE_TAG) {
+    throw new Error('Not a bundle');
+  }
+
+  const timetag = readTimetag(buf, tag.offset);
+  const elements = [];
+  let offset = tag.offset + 8;
+
+  while (offset < buf.length) {
+    const size = readInt32(buf, offset);
+    const start = offset + 4;
+    if (size < 0 || start + size > buf.length) {
+      throw new Error(`Bundle element of ${size} bytes overruns packet at byte ${offset}`);
+    }
+    if (size === 0 || (strict && size % 4 !== 0)) {
+      if (strict) throw new Error(`Bundle element of ${size} bytes at byte ${offset}`);
+      offset = start + size;
+      continue;
+    }
+
+    const element = decodePacket(buf.subarray(start, start + size), { strict });
+    if (strict && element.type === 'bundle' && !isImmediate(element.timetag) &&
+        compareTimetags(element.timetag, timetag) < 0) {
+      throw new Error('Nested bundle is timed before the bundle containing it');
+    }
+    elements.push(element);
+    offset = start + size;
+  }
+
+  return { timetag, elements };
+}
+
+/**
+ * Decode any OSC packet (message or bundle)
+ * @param {Buffer} buf - Packet
+ * @param {Object} options
+ * @param {boolean} options.strict - Reject malformed packets lenient mode accepts
+ * @returns {Object} { type: 'message', ... } or { type: 'bundle', ... }
+ */
+function decodePacket(buf, options = {}) {
+  if (isBundle(buf)) {
+    return { type: 'bundle', ...decodeBundle(buf, options) };
+  }
+  return { type: 'message', ...decodeMessage(buf, options) };
+}
+
+function isBundle(buf) {
+  return buf.length >= 8 && buf.toString('latin1', 0, 8) === `${BUNDLE_TAG}\0`;
+}
+
+/**
+ * Read only the address of a message, without decoding arguments
+ * @param {Buffer} buf - Packet
+ * @returns {string|null} Address, or null for bundles and invalid packets
+ */
+function readAddress(buf) {
+  if (buf.length === 0 || buf[0] !== 0x2f) return null;
+  const end = buf.indexOf(0);
+  return end === -1 ? null : buf.toString('utf8', 0, end);
+}
+
+/**
+ * Collect the addresses of a packet without decoding arguments, walking
+ * into (nested) bundles
+ * @param {Buffer} buf - Packet
+ * @returns {Array<string>} Addresses; empty if the packet is invalid
+ */
+function readAddresses(buf) {
+  if (!isBundle(buf)) {
+    const address = readAddress(buf);
+    return address ? [address] : [];
+  }
+
+  const addresses = [];
+  let offset = 16; // "#bundle\0" + timetag
+  while (offset + 4 <= buf.length) {
+    const size = buf.readInt32BE(offset);
+    const start = offset + 4;
+    if (size <= 0 || start + size > buf.length) break;
+    addresses.push(...readAddresses(buf.subarray(start, start + size)));
+    offset = start + size;
+  }
+  return addresses;
+}
+
+/**
+ * Split a packet into its messages without decoding arguments, walking
+ * into (nested) bundles. Each message gets the timetag it is due at: its
+ * own bundle's, or the enclosing bundle's when its own is "immediately" or
+ * earlier (OSC 1.1 does not allow a nested bundle before its parent).
+ * Empty elements are skipped and the walk stops at an element that does
+ * not fit the packet, as in lenient decoding.
+ * @param {Buffer} buf - Packet
+ * @param {Object} timetag - Timetag of the enclosing bundle
+ * @returns {Array<{address: string, data: Buffer, timetag: Object}>} Messages in packet order
+ */
+function unpackBundle(buf, timetag = IMMEDIATELY) {
+  if (!isBundle(buf)) {
+    const address = readAddress(buf);
+    return address ? [{ address, data: buf, timetag }] : [];
+  }
+  if (buf.length < 16) return [];
+
+  let own = readTimetag(buf, 8);
+  if (isImmediate(own) || (!isImmediate(timetag) && compareTimetags(own, timetag) < 0)) own = timetag;
+
+  const messages = [];
+  let offset = 16;
+  while (offset + 4 <= buf.length) {
+    const size = buf.readInt32BE(offset);
+    const start = offset + 4;
+    if (size < 0 || start + size > buf.length) break;
+    if (size > 0) messages.push(...unpackBundle(buf.subarray(start, start + size), own));
+    offset = start + size;
+  }
+  return messages;
+}
+
+/**
+ * Encode a string as null-terminated and padded to 4 bytes
+ * @param {string} value - String
+ * @returns {Buffer} Encoded string
+ */
+function encodeString(value) {
+  if (typeof value !== 'string') throw new Error(`Expected a string, got ${typeof value}`);
+  const bytes = Buffer.from(value, 'utf8');
+  if (bytes.includes(0)) throw new Error('Strings cannot contain null characters');
+  const buf = Buffer.alloc(pad4(bytes.length + 1));
+  bytes.copy(buf);
+  return buf;
+}
+
+function encodeBlob(value) {
+  if (!Buffer.isBuffer(value) && !(value instanceof Uint8Array)) throw new Error('Blob value must be a Buffer');
+  const size = Buffer.alloc(4);
+  size.writeInt32BE(value.length);
+  return Buffer.concat([size, value, Buffer.alloc(pad4(value.length) - value.length)]);
+}
+
+function expectNumber(type, value) {
+  if (typeof value !== 'number') throw new Error(`'${type}' value must be a number`);
+}
+
+/**
+ * Encode typed arguments, as returned by decodeMessage
+ * @param {Array<{type: string, value: *}>} args - Typed arguments
+ * @returns {{typeTags: string, data: Buffer}} Type tags and argument data
+ * @throws {Error} If a type tag is unknown or a value does not fit its type
+ */
+function encodeArguments(args) {
+  let typeTags = '';
+  const chunks = [];
+
+  args.forEach(({ type, value }) => {
+    let buf;
+    switch (type) {
+      case 'i':
+        if (!Number.isInteger(value) || value < INT32_MIN || value > INT32_MAX) {
+          throw new Error(`'i' value must be a 32-bit integer, got ${value}`);
+        }
+        buf = Buffer.alloc(4);
+        buf.writeInt32BE(value);
+        break;
+      case 'f':
+        expectNumber(type, value);
+        buf = Buffer.alloc(4);
+        buf.writeFloatBE(value);
+        break;
+      case 's':
+      case 'S':
+        buf = encodeString(value);
+        break;
+      case 'b':
+        buf = encodeBlob(value);
+        break;
+      case 'h':
+        buf = Buffer.alloc(8);
+        buf.writeBigInt64BE(BigInt(value));
+        break;
+      case 't': {
+        const timetag = toTimetag(value);
+        buf = Buffer.alloc(8);
+        buf.writeUInt32BE(timetag.seconds);
+        buf.writeUInt32BE(timetag.fraction, 4);
+        break;
+      }
+      case 'd':
+        expectNumber(type, value);
+        buf = Buffer.alloc(8);
+        buf.writeDoubleBE(value);
+        break;
+      case 'c':
+        if (typeof value !== 'string' || value.length === 0) throw new Error("'c' value must be a character");
+        buf = Buffer.alloc(4);
+        buf.writeInt32BE(value.charCodeAt(0));
+        break;
+      case 'r':
+        if (!isUint32(value)) throw new Error("'r' value must be a 32-bit RGBA color");
+        buf = Buffer.alloc(4);
+        buf.writeUInt32BE(value);
+        break;
+      case 'm':
+        buf = Buffer.from(value);
+        if (buf.length !== 4) throw new Error("'m' value must be 4 MIDI bytes");
+        break;
+      case 'T':
+      case 'F':
+      case 'N':
+      case 'I':
+        break;
+      case '[': {
+        if (!Array.isArray(value)) throw new Error("'[' value must be an array of arguments");
+        const inner = encodeArguments(value);
+        typeTags += `[${inner.typeTags}]`;
+        chunks.push(inner.data);
+        return;
+      }
+      default:
+        throw new Error(`Unknown type tag '${type}'`);
+    }
+
+    typeTags += type;
+    if (buf) chunks.push(buf);
+  });
+
+  return { typeTags, data: Buffer.concat(chunks) };
+}
+
+/**
+ * Encode an OSC message
+ * @param {string} address - OSC address
+ * @param {Array<{type: string, value: *}>} args - Typed arguments
+ * @returns {Buffer} Packet
+ * @throws {Error} If the address or an argument is invalid
+ */
+function encodeMessage(address, args = []) {
+  if (typeof address !== 'string' || !address.startsWith('/')) {
+    throw new Error(`Invalid OSC address '${address}'`);
+  }
+  const { typeTags, data } = encodeArguments(args);
+  return Buffer.concat([encodeString(address), encodeString(`,${typeTags}`), data]);
+}
+
+/**
+ * Encode an OSC bundle
+ * @param {Date|Object|null} timetag - When to apply the bundle (null for immediately)
+ * @param {Array<Buffer|Object>} elements - Encoded packets, or packets as returned by decodePacket
+ * @returns {Buffer} Packet
+ * @throws {Error} If an element is invalid
+ */
+function encodeBundle(timetag, elements = []) {
+  const { seconds, fraction } = toTimetag(timetag);
+  const header = Buffer.alloc(16);
+  header.write(`${BUNDLE_TAG}\0`, 0, 'latin1');
+  header.writeUInt32BE(seconds, 8);
+  header.writeUInt32BE(fraction, 12);
+
+  const chunks = [header];
+  elements.forEach(element => {
+    const data = Buffer.isBuffer(element) ? element : encodePacket(element);
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(data.length);
+    chunks.push(size, data);
+  });
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Encode a packet as returned by decodePacket, so decoded packets can be
+ * changed and sent on
+ * @param {Object} packet - { type: 'message', address, args } or { type: 'bundle', timetag, elements }
+ * @returns {Buffer} Packet
+ * @throws {Error} If the packet is invalid
+ */
+function encodePacket(packet) {
+  if (packet.type === 'bundle') return encodeBundle(packet.timetag, packet.elements);
+  if (packet.type === 'message') return encodeMessage(packet.address, packet.args);
+  throw new Error(`Unknown packet type '${packet.type}'`);
+}
+
+module.exports = {
+  IMMEDIATELY,
+  decodePacket,
+  decodeMessage,
+  decodeBundle,
+  isBundle,
+  readAddress,
+  readAddresses,
+  unpackBundle,
+  encodeMessage,
+  encodeBundle,
+  encodePacket,
+  timetagToDate,
+  dateToTimetag,
+  compareTimetags
+};
@@ -0,0 +1,103 @@
+/**
+ * Show profile switching
+ *
+ * Describes what changes on the network when another profile becomes
+ * active: which listening ports close and open, and which forwarding
+ * destinations stop and start receiving messages. Both sides are the
+ * enabled listeners (with their enabled forwarders) of each profile.
+ */
+
+function listenerEndpoint(listener) {
+  return `${listener.protocol.toUpperCase()} ${listener.bind_address}:${listener.port}`;
+}
+
+function forwarderEndpoint(forwarder) {
+  return `${forwarder.protocol.toUpperCase()} ${forwarder.host}:${forwarder.port}`;
+}
+
+function addEndpoint(map, endpoint, name) {
+  if (!map.has(endpoint)) map.set(endpoint, []);
+  map.get(endpoint).push(name);
+}
+
+// Endpoint -> names of the listeners/forwarders using it
+function collectEndpoints(listeners) {
+  const ports = new Map();
+  const destinations = new Map();
+
+  listeners.filter(listener => listener.enabled).forEach(listener => {
+    addEndpoint(ports, listenerEndpoint(listener), listener.name);
+    listener.forwarders.filter(forwarder => forwarder.enabled).forEach(forwarder => {
+      addEndpoint(destinations, forwarderEndpoint(forwarder), `${listener.name} → ${forwarder.name}`);
+    });
+  });
+
+  return { ports, destinations };
+}
+
+function difference(a, b) {
+  return [...a.keys()]
+    .filter(endpoint => !b.has(endpoint))
+    .map(endpoint => ({ endpoint, names: a.get(endpoint) }));
+}
+
+function countShared(a, b) {
+  return [...a.keys()].filter(endpoint => b.has(endpoint)).length;
+}
+
+/**
+ * Compare the endpoints of two profiles
+ * @param {Array} fromListeners - Listeners of the active profile
+ * @param {Array} toListeners - Listeners of the profile being switched to
+ * @returns {Object} { ports: {closed, opened, kept}, destinations: {removed, added, kept} };
+ *   closed/opened/removed/added are lists of { endpoint, names }, kept is a count
+ */
+function describeProfileSwitch(fromListeners, toListeners) {
+  const from = collectEndpoints(fromListeners);
+  const to = collectEndpoints(toListeners);
+
+  return {
+    ports: {
+      closed: difference(from.ports, to.ports),
+      opened: difference(to.ports, from.ports),
+      kept: countShared(from.ports, to.ports)
+    },
+    destinations: {
+      removed: difference(from.destinations, to.destinations),
+      added: difference(to.destinations, from.destinations),
+      kept: countShared(from.destinations, to.destinations)
+    }
+  };
+}
+
+/**
+ * Format a profile switch for a confirmation dialog
+ * @param {Object} change - Result of describeProfileSwitch
+ * @returns {Array<string>} Lines of text
+ */
+function formatProfileSwitch(change) {
+  const lines = [];
+  const section = (title, entries) => {
+    if (entries.length === 0) return;
+    lines.push(`${title}:`);
+    entries.forEach(({ endpoint, names }) => lines.push(`  ${endpoint} (${names.join(', ')})`));
+  };
+
+  section('Ports closed', change.ports.closed);
+  section('Ports opened', change.ports.opened);
+  section('Destinations removed', change.destinations.removed);
+  section('Destinations added', change.destinations.added);
+
+  if (lines.length === 0) {
+    lines.push('No ports or destinations change.');
+  }
+  if (change.ports.kept > 0 || change.destinations.kept > 0) {
+    lines.push(`Unchanged: ${change.ports.kept} port(s), ${change.destinations.kept} destination(s)`);
+  }
+  return lines;
+}
+
+module.exports = {
+  describeProfileSwitch,
+  formatProfileSwitch
+};
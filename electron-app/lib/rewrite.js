@@ -0,0 +1,320 @@
+/**
+ * Address rewriting and argument transformation for forwarders
+ *
+ * A rewrite rule is { pattern, target, args }:
+ *   pattern  OSC address pattern; each wildcard is a capture ($1, $2, ...)
+ *   target   New address; $N inserts capture N, e.g. "/cue/$1/fire"
+ *   args     Optional argument map, e.g. "$2, $1(0..1->0..255):i"
+ *            Lists the outgoing arguments by source position, so arguments
+ *            can be reordered or dropped. Each entry may scale a numeric
+ *            value from one range to another (clamped to the target range)
+ *            and cast it to i, f, d or s; scaling happens before the cast.
+ *            Empty means the arguments pass through unchanged.
+ *
+ * A forwarder's rules are tried in order and the first matching rule is
+ * applied. Messages no rule matches are forwarded unchanged.
+ */
+
+const osc = require('./osc');
+const { compilePattern, captureCount } = require('./address-pattern');
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+const ARG_ENTRY = new RegExp(
+  `^\\$(\\d+)(?:\\(\\s*${NUMBER}\\s*\\.\\.\\s*${NUMBER}\\s*->\\s*${NUMBER}\\s*\\.\\.\\s*${NUMBER}\\s*\\))?(?::([a-zA-Z]))?$`
+);
+
+const CAST_TYPES = ['i', 'f', 'd', 's'];
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+/**
+ * Parse an argument map
+ * @param {string|null} text - e.g. "$2, $1(0..1->0..255):i"
+ * @returns {Array|null} Entries { index, scale, type }, or null to pass arguments through
+ * @throws {Error} If the map is malformed
+ */
+function parseArgMap(text) {
+  if (!text || !text.trim()) return null;
+
+  return text.split(',').map(item => {
+    const entry = item.trim();
+    const match = ARG_ENTRY.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid argument "${entry}" (expected e.g. $1, $1:i or $1(0..1->0..255):i)`);
+    }
+
+    const index = parseInt(match[1], 10);
+    if (index < 1) {
+      throw new Error(`Argument positions start at $1 ("${entry}")`);
+    }
+
+    let scale = null;
+    if (match[2] !== undefined) {
+      scale = {
+        inMin: parseFloat(match[2]),
+        inMax: parseFloat(match[3]),
+        outMin: parseFloat(match[4]),
+        outMax: parseFloat(match[5])
+      };
+      if (scale.inMin === scale.inMax) {
+        throw new Error(`Empty input range in "${entry}"`);
+      }
+    }
+
+    const type = match[6] || null;
+    if (type && !CAST_TYPES.includes(type)) {
+      throw new Error(`Cannot cast to '${type}' in "${entry}" (use ${CAST_TYPES.join(', ')})`);
+    }
+
+    return { index, scale, type };
+  });
+}
+
+/**
+ * Compile a rewrite rule
+ * @param {{pattern: string, target: string, args: string|null}} rule - Rewrite rule
+ * @returns {Object} Compiled rule
+ * @throws {Error} If any part of the rule is invalid
+ */
+function compileRule(rule) {
+  const regex = compilePattern(rule.pattern);
+  const captures = captureCount(rule.pattern);
+
+  if (typeof rule.target !== 'string' || !rule.target.startsWith('/')) {
+    throw new Error('Target address must start with /');
+  }
+  if (/[\s#*?[\]{},]/.test(rule.target.replace(/\$\d+/g, ''))) {
+    throw new Error('Target address cannot contain spaces, # or pattern characters');
+  }
+
+  (rule.target.match(/\$\d+/g) || []).forEach(ref => {
+    const n = parseInt(ref.slice(1), 10);
+    if (n < 1 || n > captures) {
+      throw new Error(`${ref} does not refer to a wildcard in ${rule.pattern} (${captures} available)`);
+    }
+  });
+
+  return { regex, target: rule.target, argMap: parseArgMap(rule.args) };
+}
+
+/**
+ * Validate a rewrite rule
+ * @param {Object} rule - Rewrite rule
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+function validateRule(rule) {
+  try {
+    compileRule(rule);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function toNumber(arg) {
+  if (arg.type === 'T' || arg.type === 'F') return arg.value ? 1 : 0;
+  if (arg.type === 'h') return Number(arg.value);
+  const value = Number(arg.value);
+  if (arg.value === null || typeof arg.value === 'object' || Number.isNaN(value)) {
+    throw new Error(`Argument of type '${arg.type}' is not numeric`);
+  }
+  return value;
+}
+
+function scaleValue(value, { inMin, inMax, outMin, outMax }) {
+  const scaled = outMin + (value - inMin) * (outMax - outMin) / (inMax - inMin);
+  return Math.min(Math.max(scaled, Math.min(outMin, outMax)), Math.max(outMin, outMax));
+}
+
+function castValue(value, type) {
+  switch (type) {
+    case 'i':
+      return { type, value: Math.min(Math.max(Math.round(value), INT32_MIN), INT32_MAX) };
+    case 'f':
+    case 'd':
+      return { type, value };
+    case 's':
+      return { type, value: String(value) };
+    default:
+      throw new Error(`Cannot cast to '${type}'`);
+  }
+}
+
+/**
+ * Build one outgoing argument
+ * @param {Array} args - Incoming typed arguments
+ * @param {Object} entry - Argument map entry
+ * @returns {{type: string, value: *}} Outgoing argument
+ */
+function mapArgument(args, entry) {
+  const arg = args[entry.index - 1];
+  if (!arg) {
+    throw new Error(`Message has no argument $${entry.index}`);
+  }
+
+  if (!entry.scale && !entry.type) return arg;
+
+  if (!entry.scale) {
+    return entry.type === 's' && (arg.type === 's' || arg.type === 'S')
+      ? { type: 's', value: arg.value }
+      : castValue(toNumber(arg), entry.type);
+  }
+
+  const value = scaleValue(toNumber(arg), entry.scale);
+  // Without a cast the argument keeps its type (ints are rounded)
+  const type = entry.type || (['i', 'f', 'd'].includes(arg.type) ? arg.type : 'f');
+  return castValue(value, type);
+}
+
+/**
+ * Apply a compiled rule to a decoded message
+ * @param {Object} compiled - Rule from compileRule
+ * @param {{address: string, args: Array}} message - Decoded message
+ * @returns {{address: string, args: Array}|null} Rewritten message, or null if the rule does not match
+ * @throws {Error} If the message lacks an argument the map refers to
+ */
+function applyRule(compiled, message) {
+  const match = compiled.regex.exec(message.address);
+  if (!match) return null;
+
+  const address = compiled.target.replace(/\$(\d+)/g, (ref, n) => match[parseInt(n, 10)]);
+  const args = compiled.argMap
+    ? compiled.argMap.map(entry => mapArgument(message.args, entry))
+    : message.args;
+
+  return { address, args };
+}
+
+/**
+ * Rewrite one message packet with the first matching rule
+ * @param {Array} compiled - Compiled rules
+ * @param {Buffer} buf - Message packet
+ * @returns {Buffer} Rewritten packet, or the original if no rule applies
+ */
+function rewriteMessage(compiled, buf) {
+  const address = osc.readAddress(buf);
+  if (!address) return buf;
+
+  const rule = compiled.find(candidate => candidate.regex.test(address));
+  if (!rule) return buf;
+
+  // Malformed messages and missing arguments are forwarded unchanged
+  try {
+    const rewritten = applyRule(rule, osc.decodeMessage(buf));
+    return osc.encodeMessage(rewritten.address, rewritten.args);
+  } catch (err) {
+    return buf;
+  }
+}
+
+/**
+ * Rewrite a packet, including every message inside (nested) bundles
+ * @param {Array} compiled - Compiled rules
+ * @param {Buffer} buf - Packet
+ * @returns {Buffer} Rewritten packet
+ */
+function rewritePacket(compiled, buf) {
+  if (!osc.isBundle(buf)) return rewriteMessage(compiled, buf);
+
+  const chunks = [buf.subarray(0, 16)]; // "#bundle\0" + timetag
+  let offset = 16;
+  while (offset + 4 <= buf.length) {
+    const size = buf.readInt32BE(offset);
+    const start = offset + 4;
+    if (size <= 0 || start + size > buf.length) return buf;
+
+    const element = rewritePacket(compiled, buf.subarray(start, start + size));
+    const header = Buffer.alloc(4);
+    header.writeInt32BE(element.length);
+    chunks.push(header, element);
+    offset = start + size;
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Build a packet rewriter from a forwarder's rewrite rules
+ * @param {Array} rules - Rewrite rules ({ pattern, target, args })
+ * @returns {Function|null} (Buffer) => Buffer, or null if there are no rules
+ */
+function createRewriter(rules) {
+  if (!rules || rules.length === 0) return null;
+
+  const compiled = rules.map(compileRule);
+  return (buf) => rewritePacket(compiled, buf);
+}
+
+/**
+ * Parse a sample message typed by the user, e.g. '/track/3/go 0.5 7 "name" true'
+ * Numbers with a decimal point are floats, other numbers ints; true/false
+ * and nil become T/F/N; everything else is a string.
+ * @param {string} text - Sample message
+ * @returns {{address: string, args: Array}} Message
+ */
+function parseSample(text) {
+  const tokens = (text || '').match(/"[^"]*"|'[^']*'|\S+/g) || [];
+  const address = tokens.shift();
+  if (!address || !address.startsWith('/')) {
+    throw new Error('Sample message must start with an address, e.g. /track/3/go 0.5');
+  }
+
+  const args = tokens.map(token => {
+    if (/^(["']).*\1$/.test(token)) return { type: 's', value: token.slice(1, -1) };
+    if (/^-?\d+$/.test(token)) return { type: 'i', value: parseInt(token, 10) };
+    if (/^-?\d*\.\d+$|^-?\d+\.\d*$/.test(token)) return { type: 'f', value: parseFloat(token) };
+    if (token === 'true') return { type: 'T', value: true };
+    if (token === 'false') return { type: 'F', value: false };
+    if (token === 'nil') return { type: 'N', value: null };
+    return { type: 's', value: token };
+  });
+
+  return { address, args };
+}
+
+/**
+ * Format a decoded message for display, e.g. '/cue/3/fire i:127 s:"go"'
+ * @param {{address: string, args: Array}} message - Message
+ * @returns {string} One-line representation
+ */
+function formatMessage(message) {
+  const args = message.args.map(arg => {
+    if (arg.type === 's' || arg.type === 'S') return `${arg.type}:"${arg.value}"`;
+    if (arg.type === 'T' || arg.type === 'F' || arg.type === 'N' || arg.type === 'I') return arg.type;
+    return `${arg.type}:${arg.value}`;
+  });
+  return [message.address, ...args].join(' ');
+}
+
+/**
+ * Try a rule against a sample message (for the settings preview).
+ * The sample goes through the same encode/decode path as live traffic.
+ * @param {Object} rule - Rewrite rule
+ * @param {string} sample - Sample message text (see parseSample)
+ * @returns {{matched: boolean, input: string, output: string|null}} Preview
+ * @throws {Error} If the rule or the sample is invalid, or the rule cannot be applied
+ */
+function previewRewrite(rule, sample) {
+  const compiled = compileRule(rule);
+  const { address, args } = parseSample(sample);
+  const message = osc.decodeMessage(osc.encodeMessage(address, args));
+  const rewritten = applyRule(compiled, message);
+
+  if (!rewritten) {
+    return { matched: false, input: formatMessage(message), output: null };
+  }
+
+  const output = osc.decodeMessage(osc.encodeMessage(rewritten.address, rewritten.args));
+  return { matched: true, input: formatMessage(message), output: formatMessage(output) };
+}
+
+module.exports = {
+  parseArgMap,
+  compileRule,
+  validateRule,
+  applyRule,
+  createRewriter,
+  parseSample,
+  formatMessage,
+  previewRewrite
+};
@@ -0,0 +1,226 @@
+/**
+ * Replays a recorded session through a forwarder
+ *
+ * The player opens its own connection with the forwarder's settings (the
+ * running engine is not involved, so sessions can be replayed with the
+ * proxy stopped) and applies the forwarder's routing and rewrite rules, so
+ * the destination receives what it would have received live. Playback
+ * keeps the recorded timing, scaled by the speed, or sends one packet per
+ * step.
+ */
+
+const EventEmitter = require('events');
+const TCPConnection = require('./engine/tcp-connection');
+const UDPSender = require('./engine/udp-sender');
+const WSConnection = require('./engine/ws-connection');
+const { readAddresses } = require('./osc');
+
+// Progress events while playing are limited to this interval
+const PROGRESS_INTERVAL = 200;
+
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 10;
+
+/**
+ * Connect a sender for a forwarder's settings
+ * @param {Object} config - Forwarder row (with routes and rewrites)
+ * @param {Object} logger - Logger ({ log(level, message) })
+ * @returns {Promise<Forwarder>} Connected sender
+ * @throws {Error} If it does not connect within the forwarder's connect timeout
+ */
+function openSender(config, logger) {
+  const Sender = { udp: UDPSender, ws: WSConnection }[config.protocol] || TCPConnection;
+  const sender = new Sender(config, logger);
+  const timeoutMs = (config.connect_timeout || 5) * 1000;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      sender.removeAllListeners('connected');
+      sender.close();
+      reject(new Error(`Could not connect to ${config.host}:${config.port}`));
+    }, timeoutMs);
+
+    sender.once('connected', () => {
+      clearTimeout(timer);
+      resolve(sender);
+    });
+    sender.connect();
+  });
+}
+
+/**
+ * Events:
+ *   'progress' - (status) while playing, and on every state change
+ */
+class SessionPlayer extends EventEmitter {
+  /**
+   * @param {Object} session - readSession() result ({ header, messages })
+   * @param {Forwarder} sender - Connected sender
+   * @param {Object} options
+   * @param {number} options.speed - Playback speed (1 = as recorded)
+   */
+  constructor(session, sender, { speed = 1 } = {}) {
+    super();
+    this.messages = session.messages;
+    this.sender = sender;
+    this.speed = clampSpeed(speed);
+    this.state = 'ready';
+    this.index = 0; // Next packet to send
+    this.position = 0; // Session time (ms) of the playback position
+    this.anchor = null; // { wall, position } while playing
+    this.timer = null;
+    this.lastProgress = 0;
+    this.counts = { sent: 0, filtered: 0, failed: 0 };
+  }
+
+  get duration() {
+    return this.messages.length > 0 ? this.messages[this.messages.length - 1].t : 0;
+  }
+
+  /**
+   * Play from the current position (from the start once finished)
+   */
+  play() {
+    if (this.state === 'playing' || this.state === 'stopped') return;
+    if (this.state === 'finished') this.rewind();
+
+    this.state = 'playing';
+    this.anchor = { wall: Date.now(), position: this.position };
+    this.emitProgress(true);
+    this.schedule();
+  }
+
+  pause() {
+    if (this.state !== 'playing') return;
+    this.position = this.currentPosition();
+    this.anchor = null;
+    clearTimeout(this.timer);
+    this.state = 'paused';
+    this.emitProgress(true);
+  }
+
+  /**
+   * Send the next packet and stay paused
+   */
+  step() {
+    if (this.state === 'stopped') return;
+    if (this.state === 'playing') this.pause();
+    if (this.state === 'finished') this.rewind();
+
+    const message = this.messages[this.index];
+    if (message) {
+      this.send(message);
+      this.index += 1;
+      this.position = message.t;
+    }
+
+    this.state = this.index >= this.messages.length ? 'finished' : 'paused';
+    this.emitProgress(true);
+  }
+
+  /**
+   * Change the speed (takes effect immediately while playing)
+   * @param {number} speed - Playback speed
+   */
+  setSpeed(speed) {
+    if (this.state === 'playing') {
+      this.position = this.currentPosition();
+      this.anchor = { wall: Date.now(), position: this.position };
+    }
+    this.speed = clampSpeed(speed);
+    if (this.state === 'playing') this.schedule();
+    this.emitProgress(true);
+  }
+
+  /**
+   * Stop playback and close the connection
+   */
+  stop() {
+    if (this.state === 'stopped') return;
+    clearTimeout(this.timer);
+    this.state = 'stopped';
+    this.sender.close();
+    this.emitProgress(true);
+  }
+
+  rewind() {
+    this.index = 0;
+    this.position = 0;
+    this.counts = { sent: 0, filtered: 0, failed: 0 };
+  }
+
+  currentPosition() {
+    if (!this.anchor) return this.position;
+    return this.anchor.position + (Date.now() - this.anchor.wall) * this.speed;
+  }
+
+  // Send everything that is due, then wait for the next packet
+  schedule() {
+    clearTimeout(this.timer);
+    if (this.state !== 'playing') return;
+
+    const now = this.currentPosition();
+    while (this.index < this.messages.length && this.messages[this.index].t <= now) {
+      this.send(this.messages[this.index]);
+      this.index += 1;
+    }
+    this.position = now;
+
+    if (this.index >= this.messages.length) {
+      this.position = this.duration;
+      this.anchor = null;
+      this.state = 'finished';
+      this.emitProgress(true);
+      return;
+    }
+
+    this.emitProgress(false);
+    const wait = (this.messages[this.index].t - now) / this.speed;
+    this.timer = setTimeout(() => this.schedule(), Math.max(0, wait));
+  }
+
+  send(message) {
+    const sender = this.sender;
+    if (sender.hasRoutes && !sender.accepts(readAddresses(message.data))) {
+      this.counts.filtered += 1;
+    } else if (sender.connected && sender.send(sender.rewrite(message.data), 0)) {
+      this.counts.sent += 1;
+    } else {
+      this.counts.failed += 1;
+    }
+  }
+
+  emitProgress(force) {
+    const now = Date.now();
+    if (!force && now - this.lastProgress < PROGRESS_INTERVAL) return;
+    this.lastProgress = now;
+    this.emit('progress', this.status());
+  }
+
+  /**
+   * Playback status for the dashboard
+   * @returns {Object} { state, index, total, position_ms, duration_ms, speed, sent, filtered, failed }
+   */
+  status() {
+    return {
+      state: this.state,
+      index: this.index,
+      total: this.messages.length,
+      position_ms: Math.round(Math.min(this.currentPosition(), this.duration)),
+      duration_ms: this.duration,
+      speed: this.speed,
+      ...this.counts
+    };
+  }
+}
+
+function clampSpeed(speed) {
+  const value = Number(speed);
+  if (!Number.isFinite(value)) return 1;
+  return Math.min(MAX_SPEED, Math.max(MIN_SPEED, value));
+}
+
+module.exports = {
+  openSender,
+  SessionPlayer
+};
@@ -0,0 +1,239 @@
+/**
+ * Records everything a listener receives to a session file
+ *
+ * Session files live in the sessions folder next to proxy.db and are JSON
+ * lines: a header, then one line per received packet with its time since
+ * the recording started, its source and the packet itself (base64):
+ *
+ *   {"format":"osc-proxy-session","version":1,"listener":{...},"started_at":"..."}
+ *   {"t":0,"src":"192.168.1.20:53000","data":"L2N1ZS8xL2dvAAAALAAAAA=="}
+ *
+ * Packets come from the engines' message traces, so recording works with
+ * both engines. A file cut short by a crash is still readable up to its
+ * last complete line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_FORMAT = 'osc-proxy-session';
+const SESSION_VERSION = 1;
+
+function fileSafe(text) {
+  return String(text).replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'listener';
+}
+
+class SessionRecorder {
+  /**
+   * @param {ProxyDatabase} db - Database instance (session index)
+   * @param {string} directory - Folder for the session files
+   */
+  constructor(db, directory) {
+    this.db = db;
+    this.directory = directory;
+    this.recordings = new Map(); // Listener ID -> { session, fd, startedAt, messages, bytes }
+  }
+
+  /**
+   * Start recording a listener
+   * @param {Object} listener - Listener row
+   * @param {string|null} name - Session name (defaults to listener name and time)
+   * @returns {Object} The new session
+   * @throws {Error} If the listener is already being recorded
+   */
+  start(listener, name = null) {
+    if (this.recordings.has(listener.id)) {
+      throw new Error(`${listener.name} is already being recorded`);
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const startedAt = new Date();
+    const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+    const file = path.join(this.directory, `${stamp}-${fileSafe(listener.name)}.jsonl`);
+
+    const header = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      listener: {
+        id: listener.id,
+        name: listener.name,
+        protocol: listener.protocol,
+        bind_address: listener.bind_address,
+        port: listener.port
+      },
+      started_at: startedAt.toISOString()
+    };
+    fs.writeFileSync(file, `${JSON.stringify(header)}\n`, { flag: 'wx' });
+
+    const session = this.db.createSession({
+      name: name || `${listener.name} ${startedAt.toLocaleString()}`,
+      listenerId: listener.id,
+      listenerName: listener.name,
+      file,
+      startedAt: header.started_at
+    });
+
+    this.recordings.set(listener.id, {
+      session,
+      fd: fs.openSync(file, 'a'),
+      startedAt: startedAt.getTime(),
+      messages: 0,
+      bytes: 0
+    });
+
+    return session;
+  }
+
+  /**
+   * Append a traced packet if its listener is being recorded
+   * @param {Object} trace - message-trace payload ({ listener_id, timestamp, source, data })
+   * @returns {boolean} True if the packet was recorded
+   */
+  record(trace) {
+    const recording = this.recordings.get(trace.listener_id);
+    if (!recording) return false;
+
+    const line = {
+      t: Math.max(0, trace.timestamp - recording.startedAt),
+      src: trace.source ? `${trace.source.address}:${trace.source.port}` : null,
+      data: trace.data.toString('base64')
+    };
+    // Written straight through so a crash loses nothing already received
+    fs.writeSync(recording.fd, `${JSON.stringify(line)}\n`);
+    recording.messages += 1;
+    recording.bytes += trace.data.length;
+    return true;
+  }
+
+  /**
+   * Stop recording a listener and complete its session in the index
+   * @param {number} listenerId - Listener ID
+   * @returns {Object|null} The finished session, or null if not recording
+   */
+  stop(listenerId) {
+    const recording = this.recordings.get(listenerId);
+    if (!recording) return null;
+
+    this.recordings.delete(listenerId);
+    fs.closeSync(recording.fd);
+
+    const endedAt = Date.now();
+    return this.db.finishSession(recording.session.id, {
+      endedAt: new Date(endedAt).toISOString(),
+      messageCount: recording.messages,
+      bytes: recording.bytes,
+      durationMs: endedAt - recording.startedAt
+    });
+  }
+
+  /**
+   * Stop every recording
+   * @returns {Array} The finished sessions
+   */
+  stopAll() {
+    return this.listenerIds.map(listenerId => this.stop(listenerId)).filter(Boolean);
+  }
+
+  get active() {
+    return this.recordings.size > 0;
+  }
+
+  get listenerIds() {
+    return [...this.recordings.keys()];
+  }
+
+  /**
+   * Recordings in progress, for the listener cards
+   * @returns {Object} Listener ID -> { session_id, name, started_at, messages, bytes }
+   */
+  snapshot() {
+    const states = {};
+    this.recordings.forEach((recording, listenerId) => {
+      states[listenerId] = {
+        session_id: recording.session.id,
+        name: recording.session.name,
+        started_at: recording.session.started_at,
+        messages: recording.messages,
+        bytes: recording.bytes
+      };
+    });
+    return states;
+  }
+}
+
+/**
+ * Read a session file
+ * @param {string} file - Session file path
+ * @returns {Object} { header, messages } with messages as { t, src, data: Buffer }
+ * @throws {Error} If the file is not a session file
+ */
+function readSession(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (err) {
+    header = null;
+  }
+  if (!header || header.format !== SESSION_FORMAT) {
+    throw new Error(`${path.basename(file)} is not a recorded session`);
+  }
+  if (header.version > SESSION_VERSION) {
+    throw new Error(`${path.basename(file)} was recorded by a newer version (format ${header.version})`);
+  }
+
+  const messages = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (err) {
+      // The last line of a recording that was cut short
+      break;
+    }
+    messages.push({ t: entry.t, src: entry.src, data: Buffer.from(entry.data, 'base64') });
+  }
+
+  // Traces can arrive slightly out of order; playback needs them in time order
+  messages.sort((a, b) => a.t - b.t);
+  return { header, messages };
+}
+
+/**
+ * Complete the index entries of recordings the app did not get to finish
+ * (it quit or crashed while recording), from what is in their files
+ * @param {ProxyDatabase} db - Database instance
+ * @returns {number} Number of sessions completed
+ */
+function recoverSessions(db) {
+  const unfinished = db.getSessions().filter(session => !session.ended_at);
+
+  unfinished.forEach(session => {
+    let messages = [];
+    try {
+      ({ messages } = readSession(session.file));
+    } catch (err) {
+      // Missing or unreadable file: keep the entry, empty
+    }
+
+    const durationMs = messages.length > 0 ? messages[messages.length - 1].t : 0;
+    db.finishSession(session.id, {
+      endedAt: new Date(Date.parse(session.started_at) + durationMs).toISOString(),
+      messageCount: messages.length,
+      bytes: messages.reduce((sum, message) => sum + message.data.length, 0),
+      durationMs
+    });
+  });
+
+  return unfinished.length;
+}
+
+module.exports = {
+  SESSION_FORMAT,
+  SessionRecorder,
+  readSession,
+  recoverSessions
+};
@@ -0,0 +1,269 @@
+/**
+ * Test messages composed in the app (Settings → Test Sender)
+ *
+ * Arguments are kept as typed in the composer, { type, value } with the
+ * value as text, so favorites and history show them as they were entered.
+ * They are converted to OSC arguments when the message is sent:
+ *
+ *   i  32-bit integer      f  32-bit float       s  string
+ *   b  blob (hex bytes)    T  true               F  false
+ *   N  nil                 t  timetag: "now", "immediately", "+seconds"
+ *                             from now or a date and time
+ *
+ * A message goes to a listener's port (through the proxy, as a console
+ * would send it) or straight to a forwarder's destination, unchanged.
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const WebSocket = require('ws');
+const { encodeFrame } = require('./engine/framing');
+const { isMulticastAddress } = require('./engine/multicast');
+const { encodeMessage, dateToTimetag } = require('./osc');
+
+const TEST_ARG_TYPES = {
+  i: 'Integer',
+  f: 'Float',
+  s: 'String',
+  b: 'Blob',
+  T: 'True',
+  F: 'False',
+  N: 'Nil',
+  t: 'Timetag'
+};
+
+// Types that take no value
+const VALUELESS_TYPES = ['T', 'F', 'N'];
+
+// Sent messages kept in the history
+const HISTORY_LIMIT = 50;
+
+// How long a TCP send may take to connect and flush
+const SEND_TIMEOUT = 5000;
+
+const INT32_MIN = -0x80000000;
+const INT32_MAX = 0x7fffffff;
+
+/**
+ * Convert a composed argument to an OSC argument
+ * @param {{type: string, value: string}} arg - Argument as entered
+ * @param {Date} now - Time that "now" and relative timetags refer to
+ * @returns {{type: string, value: *}} OSC argument (for encodeMessage)
+ * @throws {Error} If the value does not fit the type
+ */
+function parseTestArgument(arg, now = new Date()) {
+  const type = arg.type;
+  const text = arg.value === undefined || arg.value === null ? '' : String(arg.value).trim();
+
+  switch (type) {
+    case 'i': {
+      const value = Number(text);
+      if (text === '' || !Number.isInteger(value) || value < INT32_MIN || value > INT32_MAX) {
+        throw new Error(`"${text}" is not a 32-bit integer`);
+      }
+      return { type, value };
+    }
+    case 'f': {
+      const value = Number(text);
+      if (text === '' || !Number.isFinite(value)) throw new Error(`"${text}" is not a number`);
+      return { type, value };
+    }
+    case 's':
+      // Strings are sent as entered, spaces included
+      return { type, value: arg.value === undefined || arg.value === null ? '' : String(arg.value) };
+    case 'b': {
+      const hex = text.replace(/^0x/i, '').replace(/[\s:]/g, '');
+      if (!/^([0-9a-fA-F]{2})*$/.test(hex)) throw new Error(`"${text}" is not hex bytes (e.g. 01 ff a0)`);
+      return { type, value: Buffer.from(hex, 'hex') };
+    }
+    case 'T':
+    case 'F':
+    case 'N':
+      return { type, value: null };
+    case 't':
+      return { type, value: parseTimetag(text, now) };
+    default:
+      throw new Error(`unknown argument type "${type}"`);
+  }
+}
+
+function parseTimetag(text, now) {
+  if (text === '' || text.toLowerCase() === 'now') return dateToTimetag(now);
+  if (text.toLowerCase() === 'immediately') return { seconds: 0, fraction: 1 };
+
+  if (text.startsWith('+')) {
+    const seconds = Number(text.slice(1));
+    if (!Number.isFinite(seconds)) throw new Error(`"${text}" is not a number of seconds`);
+    return dateToTimetag(new Date(now.getTime() + seconds * 1000));
+  }
+
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) throw new Error(`"${text}" is not a timetag (now, immediately, +seconds or a date)`);
+  return dateToTimetag(new Date(time));
+}
+
+/**
+ * Validate a composed message
+ * @param {Object} message - { address, args }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTestMessage(message) {
+  const address = message.address === undefined || message.address === null ? '' : String(message.address).trim();
+  if (!address.startsWith('/')) return 'address must start with /';
+  if (/\s/.test(address)) return 'address cannot contain spaces';
+
+  if (!Array.isArray(message.args)) return 'arguments must be a list';
+  for (let i = 0; i < message.args.length; i++) {
+    try {
+      parseTestArgument(message.args[i]);
+    } catch (err) {
+      return `argument ${i + 1}: ${err.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Encode a composed message
+ * @param {Object} message - { address, args }
+ * @param {Date} now - Time for "now" and relative timetags
+ * @returns {Buffer} OSC packet
+ * @throws {Error} If the message is invalid
+ */
+function buildTestPacket(message, now = new Date()) {
+  const error = validateTestMessage(message);
+  if (error) throw new Error(error);
+
+  return encodeMessage(String(message.address).trim(), message.args.map(arg => parseTestArgument(arg, now)));
+}
+
+/**
+ * Format a composed message as one line, for logs and the history
+ * @param {Object} message - { address, args }
+ * @returns {string} e.g. /cue/1/go 1 0.5 "go" T
+ */
+function describeTestMessage(message) {
+  const args = message.args.map(({ type, value }) => {
+    if (VALUELESS_TYPES.includes(type)) return type;
+    if (type === 's') return JSON.stringify(String(value));
+    if (type === 'b') return `<${String(value).trim()}>`;
+    if (type === 't') return `@${String(value).trim() || 'now'}`;
+    return String(value).trim();
+  });
+  return [String(message.address).trim(), ...args].join(' ');
+}
+
+// Listeners bound to every interface are reached on loopback
+function localHost(bindAddress) {
+  if (!bindAddress || bindAddress === '0.0.0.0') return '127.0.0.1';
+  if (bindAddress === '::') return '::1';
+  return bindAddress;
+}
+
+/**
+ * Where a test message to a listener is sent
+ * @param {Object} listener - Listener row
+ * @returns {Object} { protocol, host, port, framing, name }
+ */
+function listenerTarget(listener) {
+  return {
+    protocol: listener.protocol,
+    host: localHost(listener.bind_address),
+    port: listener.port,
+    framing: listener.framing,
+    name: listener.name
+  };
+}
+
+/**
+ * Where a test message to a forwarder is sent
+ * @param {Object} forwarder - Forwarder row
+ * @returns {Object} { protocol, host, port, framing, broadcast, multicast_ttl, multicast_loopback, name }
+ */
+function forwarderTarget(forwarder) {
+  return {
+    protocol: forwarder.protocol,
+    host: forwarder.host,
+    port: forwarder.port,
+    framing: forwarder.framing,
+    broadcast: forwarder.broadcast,
+    multicast_ttl: forwarder.multicast_ttl,
+    multicast_loopback: forwarder.multicast_loopback,
+    name: forwarder.name
+  };
+}
+
+/**
+ * Send one packet on a connection of its own (framed over TCP as the
+ * target listener or forwarder is configured, one binary frame over
+ * WebSocket, with the forwarder's broadcast and multicast options over UDP)
+ * @param {Object} target - { protocol, host, port, framing, broadcast, multicast_ttl, multicast_loopback }
+ * @param {Buffer} packet - OSC packet
+ * @returns {Promise<void>} Resolves once the packet is handed off
+ * @throws {Error} If the destination cannot be reached
+ */
+function sendTestPacket(target, packet) {
+  if (target.protocol === 'udp') {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(target.host) ? 'udp6' : 'udp4');
+      socket.once('error', (err) => {
+        socket.close();
+        reject(err);
+      });
+      socket.bind(() => {
+        if (target.broadcast) socket.setBroadcast(true);
+        if (isMulticastAddress(target.host)) {
+          socket.setMulticastTTL(target.multicast_ttl ?? 1);
+          socket.setMulticastLoopback(Boolean(target.multicast_loopback));
+        }
+        socket.send(packet, target.port, target.host, (err) => {
+          socket.close();
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    });
+  }
+
+  if (target.protocol === 'ws') {
+    return new Promise((resolve, reject) => {
+      const host = net.isIPv6(target.host) ? `[${target.host}]` : target.host;
+      const socket = new WebSocket(`ws://${host}:${target.port}/`, { handshakeTimeout: SEND_TIMEOUT });
+      socket.once('error', reject);
+      socket.once('open', () => {
+        socket.send(packet, { binary: true }, (err) => {
+          socket.close();
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: target.host, port: target.port });
+    socket.setTimeout(SEND_TIMEOUT, () => {
+      socket.destroy(new Error(`Timed out sending to ${target.host}:${target.port}`));
+    });
+    socket.once('error', reject);
+    socket.once('connect', () => {
+      socket.end(encodeFrame(packet, target.framing), () => {
+        socket.destroy();
+        resolve();
+      });
+    });
+  });
+}
+
+module.exports = {
+  TEST_ARG_TYPES,
+  HISTORY_LIMIT,
+  parseTestArgument,
+  validateTestMessage,
+  buildTestPacket,
+  describeTestMessage,
+  listenerTarget,
+  forwarderTarget,
+  sendTestPacket
+};
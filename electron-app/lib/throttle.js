@@ -0,0 +1,163 @@
+/**
+ * Per-address rate limiting for high-frequency streams (faders, XY pads)
+ *
+ * Throttle rules are { action, pattern, max_rate } with OSC address
+ * patterns (see address-pattern.js), checked in order against the address
+ * as received; the first match decides:
+ *
+ *   limit   At most max_rate messages per second per matching address.
+ *           A message arriving too soon is held until the address may send
+ *           again; if another arrives meanwhile it replaces the held one
+ *           (coalesced), so the destination always ends on the latest value.
+ *   exempt  Never throttled, for discrete addresses like /cue/go that must
+ *           not be coalesced.
+ *
+ * Addresses matching no rule, and packets without a readable address, are
+ * not throttled (bundles are unpacked first, see Forwarder.forwardMessages). A forwarder
+ * uses its own rules first, then its listener's.
+ */
+
+const { compilePattern, validatePattern } = require('./address-pattern');
+
+const THROTTLE_ACTIONS = ['limit', 'exempt'];
+const MAX_RATE = 1000;
+
+// Idle addresses are forgotten once this many are tracked
+const MAX_TRACKED_ADDRESSES = 10000;
+
+/**
+ * Validate a throttle rule
+ * @param {Object} rule - { action, pattern, max_rate }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateThrottleRule(rule) {
+  if (!THROTTLE_ACTIONS.includes(rule.action)) return 'action must be limit or exempt';
+  const error = validatePattern(rule.pattern);
+  if (error) return error;
+  if (rule.action === 'limit') {
+    const rate = rule.max_rate;
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0 || rate > MAX_RATE) {
+      return `max_rate must be a number of messages per second above 0, up to ${MAX_RATE}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Rate limiter for one forwarder
+ */
+class Throttle {
+  /**
+   * @param {Array} rules - Throttle rules in evaluation order
+   * @param {Function} deliver - (data) => void, sends a held message
+   */
+  constructor(rules, deliver) {
+    this.rules = rules.map(rule => ({
+      exempt: rule.action === 'exempt',
+      regex: compilePattern(rule.pattern),
+      intervalMs: rule.action === 'limit' ? 1000 / rule.max_rate : 0
+    }));
+    this.deliver = deliver;
+    this.addresses = new Map(); // address -> { sentAt, pending, timer }
+    this.coalescedCount = 0;
+  }
+
+  /**
+   * Decide whether a message may be sent now
+   * @param {string|null} address - Address as received (null if unreadable)
+   * @param {Buffer} data - Packet to send (already rewritten)
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if the message goes out now; false if it is
+   *   held for later (and delivered through the deliver callback)
+   */
+  admit(address, data, now = Date.now()) {
+    if (!address) return true;
+    const rule = this.rules.find(r => r.regex.test(address));
+    if (!rule || rule.exempt) return true;
+
+    let state = this.addresses.get(address);
+    if (!state) {
+      this.forgetIdle();
+      state = { sentAt: -Infinity, pending: null, timer: null };
+      this.addresses.set(address, state);
+    }
+
+    if (state.pending) {
+      state.pending = data;
+      this.coalescedCount += 1;
+      return false;
+    }
+
+    const wait = state.sentAt + rule.intervalMs - now;
+    if (wait <= 0) {
+      state.sentAt = now;
+      return true;
+    }
+
+    state.pending = data;
+    state.timer = setTimeout(() => this.release(state), wait);
+    return false;
+  }
+
+  release(state) {
+    const data = state.pending;
+    state.pending = null;
+    state.timer = null;
+    state.sentAt = Date.now();
+    this.deliver(data);
+  }
+
+  get pendingCount() {
+    let count = 0;
+    this.addresses.forEach(state => { if (state.pending) count += 1; });
+    return count;
+  }
+
+  /**
+   * Send every held message now (when the rules are replaced)
+   */
+  flush() {
+    this.addresses.forEach(state => {
+      if (!state.pending) return;
+      clearTimeout(state.timer);
+      this.release(state);
+    });
+    this.addresses.clear();
+  }
+
+  /**
+   * Discard every held message (when the forwarder closes)
+   * @returns {number} Messages discarded
+   */
+  clear() {
+    const count = this.pendingCount;
+    this.addresses.forEach(state => clearTimeout(state.timer));
+    this.addresses.clear();
+    return count;
+  }
+
+  forgetIdle() {
+    if (this.addresses.size < MAX_TRACKED_ADDRESSES) return;
+    this.addresses.forEach((state, address) => {
+      if (!state.pending) this.addresses.delete(address);
+    });
+  }
+}
+
+/**
+ * Build the throttle for a set of rules
+ * @param {Array} rules - Throttle rules in evaluation order
+ * @param {Function} deliver - (data) => void, sends a held message
+ * @returns {Throttle|null} Throttle, or null if there are no rules
+ */
+function createThrottle(rules, deliver) {
+  if (!rules || rules.length === 0) return null;
+  return new Throttle(rules, deliver);
+}
+
+module.exports = {
+  THROTTLE_ACTIONS,
+  validateThrottleRule,
+  createThrottle,
+  Throttle
+};
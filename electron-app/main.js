@@ -1,9 +1,23 @@
-const { app, BrowserWindow, ipcMain, Menu, Tray } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, Tray, dialog, Notification } = require('electron');
 const path = require('path');
-const { spawn } = require('child_process');
 // const ProxyDatabase = require('./lib/database');
 const fs = require('fs');
 const yaml = require('js-yaml');
+const NodeEngine = require('./lib/engine/node-engine');
+const RubyEngine = require('./lib/engine/ruby-engine');
+const RestartPolicy = require('./lib/engine/restart-policy');
+const { describeTrace } = require('./lib/message-trace');
+const { previewRewrite } = require('./lib/rewrite');
+const { serializeConfig, parseConfig, formatForPath, validateConfig, planImport } = require('./lib/config-io');
+const { describeProfileSwitch, formatProfileSwitch } = require('./lib/profiles');
+const { diffListener } = require('./lib/config-diff');
+const { MetricsRecorder, RETENTION_SETTINGS } = require('./lib/metrics-recorder');
+const { loadHistory } = require('./lib/metrics-history');
+const { AlertMonitor } = require('./lib/alerts');
+const { SessionRecorder, readSession, recoverSessions } = require('./lib/session-recorder');
+const { openSender, SessionPlayer } = require('./lib/session-player');
+const { buildTestPacket, describeTestMessage, listenerTarget, forwarderTarget, sendTestPacket } = require('./lib/test-sender');
+const { HTTP_API_SETTINGS, getHttpApiConfig, validateHttpApiConfig, generateToken, HttpApiServer } = require('./lib/http-api');
 
 // Load database after electron is fully initialized
 let ProxyDatabase = null;
@@ -11,15 +25,43 @@ let ProxyDatabase = null;
 let mainWindow = null;
 let settingsWindow = null;
 let activityLogWindow = null;
+let inspectorWindow = null;
 let tray = null;
-let proxyProcess = null; // Legacy: used for "Start All" / "Stop All"
-let listenerProcesses = new Map(); // Track individual listener processes by ID
+let engine = null; // The one supervised forwarding engine
+let engineStopped = null; // Resolves once a stopping engine has exited
+let listenerStates = new Map(); // Listener ID -> { status, error } for listeners in the engine
+let liveConfigs = new Map(); // Listener ID -> configuration the engine is running it with
+let applyErrors = new Map(); // Listener ID -> why saved changes could not be applied
+let restartTimer = null; // Pending automatic restart after a crash
+const restartPolicy = new RestartPolicy();
 let db = null;
+let metricsRecorder = null; // Persists metrics updates to the database
+const alertMonitor = new AlertMonitor(); // Checks alert rules against the metrics
+let sessionRecorder = null; // Records listeners to session files
+let replay = null; // { player, session, forwarder } for the session being replayed
+const ipcHandlers = new Map(); // Channel -> IPC handler, also called by the HTTP API
+let httpApi = null; // Local HTTP API server, while enabled
+let httpApiError = null; // Why the HTTP API could not start
+
+// Forwarding engine used when no 'engine' setting is stored
+const DEFAULT_ENGINE = 'node';
+
+// Message traces are batched before being sent to the inspector window
+const TRACE_FLUSH_INTERVAL = 100;
+const MAX_PENDING_TRACES = 1000;
+let pendingTraces = [];
+let skippedTraces = 0;
+let traceFlushTimer = null;
 
 // Keep track of proxy state
 let proxyState = {
   running: false,
   connected: false,
+  engine: null,
+  restartAt: null, // Time of the pending automatic restart (ms since epoch)
+  crashLoop: false, // Automatic restarts gave up after repeated crashes
+  startedAt: null, // When Start All last started the proxy (ISO), for the History view
+  stoppedAt: null, // When Stop All last stopped it
   metrics: {
     rate: 0,
     avgRate: 0,
@@ -81,6 +123,26 @@ function showSettings() {
   }
 }
 
+// Show the metrics history view in the main window
+function showHistory() {
+  if (mainWindow) {
+    mainWindow.webContents.send('show-history');
+    mainWindow.focus();
+  }
+}
+
+// Start an import in the main window (file dialog, then preview)
+function showImport() {
+  if (!mainWindow) {
+    createMainWindow();
+    mainWindow.webContents.once('did-finish-load', () => mainWindow.webContents.send('show-import'));
+  } else {
+    mainWindow.webContents.send('show-import');
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
+
 // Legacy function - no longer used, kept for backward compatibility
 function createSettingsWindow() {
   // Now just shows settings in main window instead
@@ -115,6 +177,38 @@ function createActivityLogWindow() {
   });
 }
 
+function createInspectorWindow() {
+  if (inspectorWindow) {
+    inspectorWindow.focus();
+    return;
+  }
+
+  inspectorWindow = new BrowserWindow({
+    width: 1100,
+    height: 700,
+    minWidth: 800,
+    minHeight: 400,
+    title: 'OSC Proxy - Message Inspector',
+    backgroundColor: '#0f172a',
+    titleBarStyle: 'hiddenInset',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    }
+  });
+
+  inspectorWindow.loadFile(path.join(__dirname, 'src', 'inspector.html'));
+
+  // Only pay for per-message tracing while someone is looking
+  updateTracing();
+
+  inspectorWindow.on('closed', () => {
+    inspectorWindow = null;
+    updateTracing();
+  });
+}
+
 function createMenu() {
   const isMac = process.platform === 'darwin';
 
@@ -155,6 +249,21 @@ function createMenu() {
           }
         },
         { type: 'separator' },
+        {
+          label: 'Import...',
+          accelerator: 'CmdOrCtrl+O',
+          click: showImport
+        },
+        {
+          label: 'Export...',
+          accelerator: 'CmdOrCtrl+E',
+          click: () => {
+            exportConfiguration().catch((err) => {
+              dialog.showErrorBox('Export failed', err.message);
+            });
+          }
+        },
+        { type: 'separator' },
         ...(!isMac ? [
           {
             label: 'Settings...',
@@ -174,9 +283,7 @@ function createMenu() {
           label: 'Start',
           accelerator: 'CmdOrCtrl+Shift+S',
           click: () => {
-            if (!proxyState.running) {
-              startProxy();
-            }
+            startProxy();
           },
           enabled: true
         },
@@ -195,13 +302,13 @@ function createMenu() {
           label: 'Restart',
           accelerator: 'CmdOrCtrl+Shift+R',
           click: () => {
-            if (proxyState.running) {
-              stopProxy();
-              setTimeout(() => startProxy(), 1000);
-            } else {
-              startProxy();
-            }
+            stopProxy().then(() => startProxy());
           }
+        },
+        { type: 'separator' },
+        {
+          label: 'Profile',
+          submenu: profileMenuItems()
         }
       ]
     },
@@ -214,6 +321,16 @@ function createMenu() {
           accelerator: 'CmdOrCtrl+L',
           click: createActivityLogWindow
         },
+        {
+          label: 'Message Inspector',
+          accelerator: 'CmdOrCtrl+I',
+          click: createInspectorWindow
+        },
+        {
+          label: 'Metrics History',
+          accelerator: 'CmdOrCtrl+Shift+H',
+          click: showHistory
+        },
         { type: 'separator' },
         { role: 'reload' },
         { role: 'forceReload' },
@@ -263,9 +380,23 @@ function createMenu() {
 }
 
 function createTray() {
-  // Skip tray icon for now - not essential for app functionality
-  console.log('Tray icon creation skipped');
-  return;
+  tray = new Tray(path.join(__dirname, 'assets', 'trayIcon.png'));
+
+  tray.on('click', () => {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    } else {
+      createMainWindow();
+    }
+  });
+
+  updateTrayStatus();
+}
+
+// Rebuilt whenever the proxy state or the profiles change
+function updateTrayMenu() {
+  if (!tray) return;
 
   const contextMenu = Menu.buildFromTemplate([
     {
@@ -290,6 +421,10 @@ function createTray() {
         }
       }
     },
+    {
+      label: 'Profile',
+      submenu: profileMenuItems()
+    },
     { type: 'separator' },
     {
       label: 'Settings',
@@ -304,210 +439,816 @@ function createTray() {
     }
   ]);
 
-  tray.setToolTip('OSC Proxy');
   tray.setContextMenu(contextMenu);
-
-  tray.on('click', () => {
-    if (mainWindow) {
-      mainWindow.show();
-      mainWindow.focus();
-    } else {
-      createMainWindow();
-    }
-  });
-
-  updateTrayStatus();
 }
 
 function updateTrayStatus() {
   if (!tray) return;
 
-  const status = proxyState.running
+  let status = proxyState.running
     ? (proxyState.connected ? 'Running' : 'Starting...')
     : 'Stopped';
+  if (proxyState.restartAt) status = 'Restarting...';
+  if (proxyState.crashLoop) status = 'Crashed';
 
   tray.setToolTip(`OSC Proxy - ${status}`);
+  updateTrayMenu();
 }
 
-function startProxy(configPath = null) {
-  if (proxyProcess) {
-    console.log('Proxy already running');
-    return;
-  }
+function getDatabasePath() {
+  return path.join(app.getPath('userData'), 'proxy.db');
+}
 
-  // Determine Ruby proxy path
-  const isProduction = app.isPackaged;
-  const rubyProxyPath = isProduction
+function getRubyProxyPath() {
+  return app.isPackaged
     ? path.join(process.resourcesPath, 'ruby-proxy', 'bin', 'osc-proxy')
     : path.join(__dirname, '..', 'bin', 'osc-proxy');
+}
+
+// Create the forwarding engine selected in settings ('node' or 'ruby')
+function createEngine() {
+  const engineType = db.getSetting('engine', DEFAULT_ENGINE);
 
-  // Use database for multi-listener mode
-  const dbPath = path.join(app.getPath('userData'), 'proxy.db');
+  if (engineType === 'ruby') {
+    return new RubyEngine({
+      proxyPath: getRubyProxyPath(),
+      dbPath: getDatabasePath()
+    });
+  }
 
-  console.log('Starting Ruby proxy:', rubyProxyPath);
-  console.log('Using database:', dbPath);
+  return new NodeEngine({ db });
+}
 
-  const args = ['--database', dbPath, '--json'];
+/**
+ * Start the engine if it is not running yet. It starts idle; listeners
+ * are started with commands.
+ * @returns {Promise<Engine>} The running engine
+ */
+async function ensureEngine() {
+  // A restart must not overlap with the previous engine still holding ports
+  if (engineStopped) await engineStopped;
+  if (engine) return engine;
 
-  proxyProcess = spawn('ruby', [rubyProxyPath, ...args], {
-    stdio: ['pipe', 'pipe', 'pipe']  // Enable stdin for sending commands
-  });
+  const current = createEngine();
+  engine = current;
+
+  console.log(`Starting ${current.type} engine`);
+  console.log('Using database:', getDatabasePath());
 
   proxyState.running = true;
+  proxyState.engine = current.type;
   updateTrayStatus();
   sendToRenderer('proxy-state-changed', proxyState);
 
-  // Parse JSON output from Ruby proxy
-  let buffer = '';
-  proxyProcess.stdout.on('data', (data) => {
-    buffer += data.toString();
+  current.on('message', (message) => handleEngineMessage(current, message));
 
-    // Try to parse complete JSON lines
-    const lines = buffer.split('\n');
-    buffer = lines.pop(); // Keep incomplete line in buffer
+  current.on('exit', (code) => {
+    console.log(`Engine exited with code ${code}`);
 
-    lines.forEach(line => {
-      line = line.trim();
-      if (!line) return;
+    // Any exit that stopEngine() did not ask for is a crash
+    const crashed = !engineStopped;
+    const activeListeners = [...listenerStates]
+      .filter(([, state]) => state.status === 'running' || state.status === 'starting')
+      .map(([listenerId]) => listenerId);
 
-      try {
-        const metrics = JSON.parse(line);
-        proxyState.metrics = metrics;
+    engine = null;
+    proxyState.running = false;
+    proxyState.connected = false;
+    journalForwardersClosed(activeListeners, crashed ? `Engine exited unexpectedly (code ${code})` : 'Engine stopped');
+    listenerStates.clear();
+    if (metricsRecorder) metricsRecorder.reset();
+    if (alertMonitor.clear()) sendAlerts();
+    if (sessionRecorder) stopRecordings(sessionRecorder.listenerIds);
+    sendListenerStates();
+
+    if (crashed) {
+      handleEngineCrash(current, code, activeListeners);
+    }
 
-        // Update connected state and notify renderer
-        const wasConnected = proxyState.connected;
-        proxyState.connected = true;
+    updateTrayStatus();
+    sendToRenderer('proxy-state-changed', proxyState);
+  });
 
-        updateTrayStatus();
-        sendToRenderer('metrics-update', metrics);
+  current.start();
+  current.setTracing(tracingWanted());
+  return current;
+}
 
-        // Send state change event if this is the first connection
-        if (!wasConnected) {
-          sendToRenderer('proxy-state-changed', proxyState);
-        }
-      } catch (e) {
-        // Not JSON, might be a regular log line
-        console.log('Proxy output:', line);
-        sendToRenderer('proxy-log', { message: line, type: 'info' });
-      }
+/**
+ * Stop the engine and every listener in it
+ * @returns {Promise<void>} Resolves once the engine has exited
+ */
+function stopEngine() {
+  if (!engine) return Promise.resolve();
+
+  if (!engineStopped) {
+    console.log('Stopping engine...');
+    engineStopped = new Promise((resolve) => {
+      engine.once('exit', () => {
+        engineStopped = null;
+        resolve();
+      });
     });
-  });
+    listenerStates.forEach((state) => {
+      state.status = 'stopping';
+    });
+    sendListenerStates();
+    engine.stop();
+  }
 
-  proxyProcess.stderr.on('data', (data) => {
-    console.error('Proxy error:', data.toString());
-    sendToRenderer('proxy-log', { message: data.toString(), type: 'error' });
-  });
+  return engineStopped;
+}
 
-  proxyProcess.on('close', (code) => {
-    console.log(`Proxy process exited with code ${code}`);
-    proxyProcess = null;
-    proxyState.running = false;
-    proxyState.connected = false;
+/**
+ * Restart a crashed engine with backoff, or give up on a crash loop
+ * @param {Engine} crashedEngine - Engine that exited
+ * @param {number|null} code - Exit code
+ * @param {Array<number>} listenerIds - Listeners that were running
+ */
+function handleEngineCrash(crashedEngine, code, listenerIds) {
+  const stderr = crashedEngine.stderrTail.join('\n') || null;
+  const exited = `The ${crashedEngine.type} engine exited unexpectedly (code ${code})`;
+
+  if (listenerIds.length === 0) {
+    recordEngineEvent('crashed', crashedEngine.type, code, `${exited}; no listeners were running`, stderr);
+    return;
+  }
+
+  const delay = restartPolicy.recordCrash();
+
+  if (delay === null) {
+    recordEngineEvent('crashed', crashedEngine.type, code, exited, stderr);
+    recordEngineEvent(
+      'gave-up',
+      crashedEngine.type,
+      null,
+      `Engine crashed ${restartPolicy.recentCrashes} times within ${restartPolicy.window / 1000}s; automatic restart disabled until the next manual start`
+    );
+    proxyState.crashLoop = true;
+    return;
+  }
+
+  recordEngineEvent(
+    'crashed',
+    crashedEngine.type,
+    code,
+    `${exited}; restarting ${listenerIds.length} listener(s) in ${delay / 1000}s`,
+    stderr
+  );
+
+  proxyState.restartAt = Date.now() + delay;
+  restartTimer = setTimeout(() => restartListeners(listenerIds), delay);
+}
+
+/**
+ * Start the listeners that were running when the engine crashed
+ * @param {Array<number>} listenerIds - Listener IDs
+ */
+async function restartListeners(listenerIds) {
+  restartTimer = null;
+  proxyState.restartAt = null;
+
+  const results = await Promise.all(listenerIds.map(listenerId => startListener(listenerId)));
+  const started = results.filter(result => result.ok).length;
+  const failed = results.filter(result => !result.ok).map(result => result.error);
+
+  recordEngineEvent(
+    'restarted',
+    proxyState.engine,
+    null,
+    `Engine restarted; ${started} of ${listenerIds.length} listener(s) running`,
+    failed.length > 0 ? failed.join('\n') : null
+  );
+}
+
+// A manual start or stop takes over from automatic restarts
+function resetSupervision() {
+  clearTimeout(restartTimer);
+  restartTimer = null;
+  restartPolicy.reset();
+
+  if (proxyState.restartAt || proxyState.crashLoop) {
+    proxyState.restartAt = null;
+    proxyState.crashLoop = false;
     updateTrayStatus();
     sendToRenderer('proxy-state-changed', proxyState);
+  }
+}
+
+/**
+ * Journal an engine event and show it on the dashboard
+ * @param {string} event - crashed, restarted or gave-up
+ * @param {string|null} engineType - Engine type
+ * @param {number|null} exitCode - Exit code of a crashed engine
+ * @param {string} message - Summary
+ * @param {string|null} stderr - Last lines of error output
+ */
+function recordEngineEvent(event, engineType, exitCode, message, stderr = null) {
+  console.log(`Engine ${event}: ${message}`);
+
+  const entry = db.recordEngineEvent({ event, engine: engineType, exitCode, message, stderr });
+  sendToRenderer('engine-event', entry);
+  sendToRenderer('proxy-log', { message, type: event === 'restarted' ? 'success' : 'error' });
+}
+
+/**
+ * Add an engine's forwarder connection event to the connection journal
+ * @param {Object} payload - connection-event message
+ */
+function recordConnectionEvent(payload) {
+  try {
+    db.recordConnectionEvent({
+      forwarderId: payload.forwarder_id,
+      event: payload.event,
+      reason: payload.reason || null,
+      attempt: payload.attempt || null
+    });
+  } catch (err) {
+    console.error('Failed to record connection event:', err);
+  }
+}
+
+/**
+ * Journal the forwarders of listeners that went away with the engine as
+ * closed (an engine that is killed or crashes cannot report it)
+ * @param {Array<number>} listenerIds - Listeners that were running
+ * @param {string} reason - Why they closed
+ */
+function journalForwardersClosed(listenerIds, reason) {
+  listenerIds.forEach(listenerId => {
+    const live = liveConfigs.get(listenerId);
+    if (!live) return;
+    live.forwarders.filter(f => f.enabled).forEach(forwarder => {
+      recordConnectionEvent({ forwarder_id: forwarder.id, event: 'closed', reason });
+    });
   });
+}
 
-  proxyProcess.on('error', (err) => {
-    console.error('Failed to start proxy:', err);
-    proxyProcess = null;
-    proxyState.running = false;
-    proxyState.connected = false;
-    updateTrayStatus();
-    sendToRenderer('proxy-log', { message: `Failed to start: ${err.message}`, type: 'error' });
-    sendToRenderer('proxy-state-changed', proxyState);
+// ==================== ALERTS ====================
+
+/**
+ * Check a metrics update against the alert rules and announce new alerts
+ * @param {Object} payload - metrics message
+ */
+function evaluateAlerts(payload) {
+  const { fired, changed } = alertMonitor.evaluate(payload);
+  fired.forEach(announceAlert);
+  if (changed) sendAlerts();
+}
+
+/**
+ * Show a native notification for an alert and let the dashboard play its sound
+ * @param {Object} alert - Alert description (AlertMonitor#describe)
+ */
+function announceAlert(alert) {
+  console.log(`Alert: ${alert.message}`);
+  sendToRenderer('alert-fired', alert);
+  sendToRenderer('proxy-log', { message: `Alert: ${alert.message}`, type: 'error' });
+
+  if (!alert.notify || !Notification.isSupported()) return;
+
+  // The dashboard plays the rule's sound, so the system sound is not needed
+  const notification = new Notification({
+    title: alert.rule_name,
+    body: alert.message,
+    silent: alert.sound !== 'none'
+  });
+  notification.on('click', () => {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
   });
+  notification.show();
 }
 
-function stopProxy() {
-  if (!proxyProcess) return;
+function sendAlerts() {
+  sendToRenderer('alerts-changed', alertMonitor.active());
+}
+
+function reloadAlertRules() {
+  if (alertMonitor.setRules(db.getAlertRules())) sendAlerts();
+}
+
+// ==================== SESSION RECORDING AND REPLAY ====================
+
+/**
+ * Start recording everything a running listener receives
+ * @param {number} listenerId - Listener ID
+ * @param {string|null} name - Session name
+ * @returns {Object} The new session
+ * @throws {Error} If the listener is not running
+ */
+function startRecording(listenerId, name = null) {
+  const state = listenerStates.get(listenerId);
+  const listener = db.getListener(listenerId);
+  if (!listener || !state || state.status !== 'running') {
+    throw new Error('Start the listener before recording it');
+  }
+
+  const session = sessionRecorder.start(listener, name);
+  updateTracing();
+  sendRecordings();
+  sendToRenderer('sessions-changed', db.getSessions());
+  sendToRenderer('proxy-log', { message: `Recording ${listener.name} to "${session.name}"`, type: 'info' });
+  return session;
+}
+
+/**
+ * Finish the recordings of listeners that stopped (or were stopped)
+ * @param {Array<number>} listenerIds - Listener IDs
+ */
+function stopRecordings(listenerIds) {
+  if (!sessionRecorder) return;
+
+  const finished = listenerIds.map(listenerId => sessionRecorder.stop(listenerId)).filter(Boolean);
+  if (finished.length === 0) return;
+
+  updateTracing();
+  sendRecordings();
+  finished.forEach(session => {
+    sendToRenderer('proxy-log', {
+      message: `Recorded "${session.name}": ${session.message_count} message(s) in ${Math.round(session.duration_ms / 1000)}s`,
+      type: 'success'
+    });
+  });
+  sendToRenderer('sessions-changed', db.getSessions());
+}
 
-  console.log('Stopping proxy...');
-  proxyProcess.kill('SIGTERM');
+function sendRecordings() {
+  sendToRenderer('recordings-changed', sessionRecorder.snapshot());
+}
 
-  setTimeout(() => {
-    if (proxyProcess) {
-      proxyProcess.kill('SIGKILL');
+/**
+ * Replay a recorded session through a forwarder
+ * @param {number} sessionId - Session ID
+ * @param {number} forwarderId - Forwarder whose destination and rules are used
+ * @param {Object} options - { speed, stepping } (stepping: wait for step commands)
+ * @returns {Promise<Object>} Replay status
+ */
+async function startReplay(sessionId, forwarderId, { speed = 1, stepping = false } = {}) {
+  const session = db.getSession(sessionId);
+  if (!session) throw new Error(`Session ${sessionId} not found`);
+  if (!session.ended_at) throw new Error(`"${session.name}" is still recording`);
+  const forwarder = db.getForwarder(forwarderId);
+  if (!forwarder) throw new Error(`Forwarder ${forwarderId} not found`);
+
+  stopReplay();
+
+  const recorded = readSession(session.file);
+  const sender = await openSender(forwarder, {
+    log: (level, message) => {
+      if (level === 'error') sendToRenderer('proxy-log', { message: `Replay: ${message}`, type: 'error' });
     }
-  }, 5000);
+  });
+
+  const player = new SessionPlayer(recorded, sender, { speed });
+  replay = { player, session, forwarder };
+  player.on('progress', () => sendReplayStatus());
+  if (stepping) {
+    sendReplayStatus();
+  } else {
+    player.play();
+  }
+
+  sendToRenderer('proxy-log', { message: `Replaying "${session.name}" to ${forwarder.name}`, type: 'info' });
+  return replayStatus();
 }
 
-function startIndividualListener(listenerId) {
-  // Check if this listener is already running
-  if (listenerProcesses.has(listenerId)) {
-    console.log(`Listener ${listenerId} is already running`);
-    return;
+function stopReplay() {
+  if (!replay) return;
+  replay.player.stop();
+  replay = null;
+  sendReplayStatus();
+}
+
+function replayStatus() {
+  if (!replay) return null;
+  return {
+    session_id: replay.session.id,
+    session_name: replay.session.name,
+    forwarder_id: replay.forwarder.id,
+    forwarder_name: replay.forwarder.name,
+    ...replay.player.status()
+  };
+}
+
+function sendReplayStatus() {
+  sendToRenderer('replay-progress', replayStatus());
+}
+
+// ==================== TEST SENDER ====================
+
+/**
+ * Send a message composed in the test sender and add it to the history
+ * @param {Object} message - { address, args } as entered
+ * @param {Object} target - { type: 'listener'|'forwarder', id }
+ * @returns {Promise<Object>} The history entry
+ * @throws {Error} If the message is invalid or could not be sent (a failed
+ *   send is still added to the history, with its error)
+ */
+async function sendTestMessage(message, { type, id }) {
+  let destination;
+  if (type === 'listener') {
+    const listener = db.getListener(id);
+    if (!listener) throw new Error(`Listener ${id} not found`);
+    destination = listenerTarget(listener);
+  } else if (type === 'forwarder') {
+    const forwarder = db.getForwarder(id);
+    if (!forwarder) throw new Error(`Forwarder ${id} not found`);
+    destination = forwarderTarget(forwarder);
+  } else {
+    throw new Error(`Unknown test target: ${type}`);
   }
 
-  const isProduction = app.isPackaged;
-  const rubyProxyPath = isProduction
-    ? path.join(process.resourcesPath, 'ruby-proxy', 'bin', 'osc-proxy')
-    : path.join(__dirname, '..', 'bin', 'osc-proxy');
+  const packet = buildTestPacket(message);
+  const description = describeTestMessage(message);
+  let error = null;
+  try {
+    await sendTestPacket(destination, packet);
+  } catch (err) {
+    error = err.message;
+  }
+
+  const entry = db.addTestHistory({
+    address: message.address,
+    args: message.args,
+    targetType: type,
+    targetId: id,
+    targetName: destination.name,
+    error
+  });
+  sendToRenderer('proxy-log', error
+    ? { message: `Test message to ${destination.name} failed: ${error}`, type: 'error' }
+    : { message: `Test message sent to ${destination.name}: ${description}`, type: 'info' });
+
+  if (error) throw new Error(error);
+  return entry;
+}
+
+// "Start All": every enabled listener, in the one engine
+async function startProxy() {
+  resetSupervision();
+
+  const listeners = db.getEnabledListeners();
+  if (listeners.length === 0) {
+    sendToRenderer('proxy-log', { message: 'No enabled listeners to start', type: 'error' });
+    return [];
+  }
+
+  if (!proxyState.running) {
+    proxyState.startedAt = new Date().toISOString();
+    proxyState.stoppedAt = null;
+  }
+
+  return Promise.all(listeners.map(listener => startListener(listener.id)));
+}
 
-  const dbPath = path.join(app.getPath('userData'), 'proxy.db');
+// "Stop All"
+function stopProxy() {
+  resetSupervision();
+  if (proxyState.running) proxyState.stoppedAt = new Date().toISOString();
+  return stopEngine();
+}
+
+/**
+ * Start one listener in the engine, starting the engine if needed
+ * @param {number|string} listenerId - Listener ID
+ * @returns {Promise<{ok: boolean, error?: string}>} Engine acknowledgement
+ */
+async function startListener(listenerId) {
+  listenerId = Number(listenerId);
+
+  const state = listenerStates.get(listenerId);
+  if (state && (state.status === 'running' || state.status === 'starting')) {
+    return { ok: true };
+  }
+  // Checked before the engine is started for it
+  if (!db.getListener(listenerId)) {
+    return { ok: false, error: `Listener ${listenerId} not found` };
+  }
 
   console.log(`Starting listener ${listenerId}...`);
+  setListenerState(listenerId, 'starting');
 
-  const args = ['--database', dbPath, '--listener', String(listenerId), '--json'];
+  let result;
+  let runningEngine = null;
+  try {
+    runningEngine = await ensureEngine();
+    result = await runningEngine.request('start-listener', { listener_id: listenerId });
+  } catch (error) {
+    result = { ok: false, error: error.message };
+  }
 
-  const listenerProcess = spawn('ruby', [rubyProxyPath, ...args], {
-    stdio: ['ignore', 'pipe', 'pipe']
-  });
+  if (result.ok) {
+    liveConfigs.set(listenerId, db.getListener(listenerId));
+    applyErrors.delete(listenerId);
+  }
+  setListenerState(listenerId, result.ok ? 'running' : 'failed', result.error);
+  if (result.ok) {
+    warnUnsupportedFeatures(runningEngine, listenerId);
+  }
+  return result;
+}
 
-  listenerProcesses.set(listenerId, listenerProcess);
-
-  // Handle JSON metrics output
-  let buffer = '';
-  listenerProcess.stdout.on('data', (data) => {
-    buffer += data.toString();
-    const lines = buffer.split('\n');
-    buffer = lines.pop();
-
-    lines.forEach(line => {
-      line = line.trim();
-      if (!line) return;
-
-      try {
-        const metrics = JSON.parse(line);
-        // Send metrics update with listener-specific data
-        sendToRenderer('metrics-update', metrics);
-      } catch (e) {
-        console.log(`Listener ${listenerId} output:`, line);
-      }
+/**
+ * Tell the user about listener settings the running engine ignores
+ * @param {Engine} runningEngine - Engine the listener was started on
+ * @param {number} listenerId - Listener ID
+ */
+function warnUnsupportedFeatures(runningEngine, listenerId) {
+  const listener = db.getListener(listenerId);
+  if (!listener) return;
+
+  runningEngine.unsupportedFeatures(listener).forEach(feature => {
+    sendToRenderer('proxy-log', {
+      message: `${listener.name}: ${feature} not supported by the ${runningEngine.type} engine, ignored`,
+      type: 'error'
     });
   });
+}
 
-  listenerProcess.stderr.on('data', (data) => {
-    console.error(`Listener ${listenerId} error:`, data.toString());
-  });
+/**
+ * Stop one listener. The engine is stopped with its last listener.
+ * @param {number|string} listenerId - Listener ID
+ * @param {Object} options
+ * @param {boolean} options.keepEngine - Leave the engine running after the last listener
+ * @returns {Promise<{ok: boolean, error?: string}>} Engine acknowledgement
+ */
+async function stopListener(listenerId, { keepEngine = false } = {}) {
+  listenerId = Number(listenerId);
+  liveConfigs.delete(listenerId);
+  applyErrors.delete(listenerId);
+
+  if (!engine) {
+    listenerStates.delete(listenerId);
+    sendListenerStates();
+    return { ok: true };
+  }
 
-  listenerProcess.on('close', (code) => {
-    console.log(`Listener ${listenerId} process exited with code ${code}`);
-    listenerProcesses.delete(listenerId);
-    // Update UI to show listener stopped
-    // We could send a specific event here if needed
+  console.log(`Stopping listener ${listenerId}...`);
+  setListenerState(listenerId, 'stopping');
+
+  const result = await engine.request('stop-listener', { listener_id: listenerId });
+  if (!result.ok) {
+    console.log(`Engine could not stop listener ${listenerId}:`, result.error);
+  }
+
+  // Either way the engine is not running it any more
+  listenerStates.delete(listenerId);
+  sendListenerStates();
+  stopRecordings([listenerId]);
+
+  const active = [...listenerStates.values()].some(s => s.status === 'running' || s.status === 'starting');
+  if (!active && !keepEngine) {
+    stopEngine();
+  }
+
+  return result;
+}
+
+/**
+ * Record a listener's state and push the state map to the renderer
+ * @param {number} listenerId - Listener ID
+ * @param {string} status - starting, running, stopping or failed
+ * @param {string} error - Reason for a failed start
+ */
+function setListenerState(listenerId, status, error = null) {
+  listenerStates.set(listenerId, { status, error });
+  sendListenerStates();
+}
+
+// Listener states keyed by ID; listeners not in the map are stopped
+function listenerStatesSnapshot() {
+  return Object.fromEntries(listenerStates);
+}
+
+function sendListenerStates() {
+  sendToRenderer('listener-states-changed', listenerStatesSnapshot());
+  sendConfigStatus();
+}
+
+/**
+ * Reconcile the state map with what the engine reports running
+ * @param {Array} listeners - Listener metrics from a metrics message
+ */
+function syncListenerStates(listeners) {
+  let changed = false;
+
+  listeners.forEach(listener => {
+    const state = listenerStates.get(listener.id);
+    const running = listener.status === 'running';
+
+    if (running && !state) {
+      liveConfigs.set(listener.id, db.getListener(listener.id));
+      listenerStates.set(listener.id, { status: 'running', error: null });
+      changed = true;
+    } else if (!running && state && state.status === 'running') {
+      listenerStates.set(listener.id, { status: 'failed', error: 'Listener stopped unexpectedly' });
+      changed = true;
+    }
   });
 
-  listenerProcess.on('error', (err) => {
-    console.error(`Failed to start listener ${listenerId}:`, err);
-    listenerProcesses.delete(listenerId);
+  if (changed) sendListenerStates();
+}
+
+/**
+ * Saved changes the engine has not applied, for every running listener
+ * @returns {Object} Listener ID -> { pending: Array<string>, error: string|null }
+ */
+function configStatusSnapshot() {
+  const status = {};
+
+  listenerStates.forEach((state, listenerId) => {
+    const live = liveConfigs.get(listenerId);
+    const saved = db.getListener(listenerId);
+    if (state.status !== 'running' || !live || !saved) return;
+
+    status[listenerId] = {
+      pending: diffListener(live, saved).summary,
+      error: applyErrors.get(listenerId) || null
+    };
   });
+
+  return status;
 }
 
-function stopIndividualListener(listenerId) {
-  const listenerProcess = listenerProcesses.get(listenerId);
-  if (!listenerProcess) {
-    console.log(`Listener ${listenerId} is not running`);
-    return;
+function sendConfigStatus() {
+  sendToRenderer('config-status-changed', configStatusSnapshot());
+}
+
+/**
+ * Apply a listener's saved settings to the running engine. Called after
+ * every settings save; listeners that are not running pick up their
+ * settings when they start.
+ * @param {number|string} listenerId - Listener ID
+ * @returns {Promise<{ok: boolean, error?: string}|null>} Engine acknowledgement, or null if nothing was applied
+ */
+async function applyLiveConfig(listenerId) {
+  listenerId = Number(listenerId);
+
+  const state = listenerStates.get(listenerId);
+  const live = liveConfigs.get(listenerId);
+  if (!engine || !state || state.status !== 'running' || !live) return null;
+
+  const saved = db.getListener(listenerId);
+  if (!saved) {
+    return stopListener(listenerId);
   }
 
-  console.log(`Stopping listener ${listenerId}...`);
-  listenerProcess.kill('SIGTERM');
+  const diff = diffListener(live, saved);
+  if (!diff.changed) {
+    applyErrors.delete(listenerId);
+    sendConfigStatus();
+    return null;
+  }
 
-  setTimeout(() => {
-    if (listenerProcesses.has(listenerId)) {
-      listenerProcesses.get(listenerId).kill('SIGKILL');
+  const runningEngine = engine;
+  const result = await runningEngine.request('reload-listener', { listener_id: listenerId });
+  if (result.ok) {
+    liveConfigs.set(listenerId, saved);
+    applyErrors.delete(listenerId);
+    sendToRenderer('proxy-log', { message: `${saved.name}: applied ${diff.summary.join('; ')}`, type: 'success' });
+    warnUnsupportedFeatures(runningEngine, listenerId);
+  } else {
+    applyErrors.set(listenerId, result.error);
+    sendToRenderer('proxy-log', { message: `${saved.name}: changes not applied: ${result.error}`, type: 'error' });
+  }
+
+  sendConfigStatus();
+  return result;
+}
+
+/**
+ * Follow a listener's enabled flag once it is toggled: a disabled listener
+ * is stopped, and an enabled one started if the proxy is running, as Start
+ * All would have done
+ * @param {Object} listener - Listener as saved
+ * @returns {Promise<{ok: boolean, error?: string}|null>} Engine acknowledgement, or null if nothing changed
+ */
+async function applyEnabledFlag(listener) {
+  const active = listenerStates.has(listener.id);
+  if (!listener.enabled && active) return stopListener(listener.id);
+  if (listener.enabled && !active && proxyState.running) return startListener(listener.id);
+  return applyLiveConfig(listener.id);
+}
+
+/**
+ * Route one protocol message from an engine to its IPC channel
+ * @param {Engine} source - Engine that sent the message
+ * @param {Object} message - Protocol message (see lib/engine/protocol.js)
+ */
+function handleEngineMessage(source, message) {
+  const { v, type, ...payload } = message;
+  const label = `${source.type} engine`;
+
+  switch (type) {
+    case 'metrics': {
+      // Late metrics from an engine that is shutting down are stale
+      if (source !== engine || engineStopped) break;
+
+      proxyState.metrics = payload;
+      syncListenerStates(payload.listeners);
+      if (metricsRecorder) metricsRecorder.record(payload);
+      evaluateAlerts(payload);
+      if (sessionRecorder && sessionRecorder.active) sendRecordings();
+
+      // Update connected state and notify renderer
+      const wasConnected = proxyState.connected;
+      proxyState.connected = true;
+      updateTrayStatus();
+
+      // Send state change event if this is the first connection
+      if (!wasConnected) {
+        sendToRenderer('proxy-state-changed', proxyState);
+      }
+      sendToRenderer('metrics-update', payload);
+      break;
     }
-  }, 5000);
+
+    case 'log':
+      if (payload.level === 'error') {
+        console.error(`${label} error:`, payload.message);
+      } else {
+        console.log(`${label} output:`, payload.message);
+      }
+      sendToRenderer('proxy-log', {
+        message: payload.message,
+        type: ['error', 'success'].includes(payload.level) ? payload.level : 'info'
+      });
+      break;
+
+    case 'forwarder-state':
+      sendToRenderer('forwarder-state', payload);
+      break;
+
+    case 'connection-event':
+      // Also from an engine that is shutting down: its closes end outages
+      recordConnectionEvent(payload);
+      break;
+
+    case 'message-trace':
+      if (sessionRecorder) sessionRecorder.record(payload);
+      queueTrace(payload);
+      break;
+
+    case 'error':
+      console.error(`${label} error:`, payload.message);
+      sendToRenderer('proxy-error', payload);
+      sendToRenderer('proxy-log', { message: payload.message, type: 'error' });
+      break;
+
+    case 'ack':
+      // Resolved by Engine.request(); only rejections are worth reporting
+      if (!payload.ok) {
+        console.log(`${label} rejected request ${payload.request_id}:`, payload.error);
+      }
+      break;
+
+    default:
+      console.log(`${label} sent unknown message type:`, type);
+  }
+}
+
+// Traces feed the Message Inspector and session recordings
+function tracingWanted() {
+  return inspectorWindow !== null || (sessionRecorder !== null && sessionRecorder.active);
+}
+
+function updateTracing() {
+  if (engine) engine.setTracing(tracingWanted());
+
+  if (!inspectorWindow) {
+    pendingTraces = [];
+    skippedTraces = 0;
+  }
+}
+
+function queueTrace(trace) {
+  if (!inspectorWindow) return;
+
+  if (pendingTraces.length >= MAX_PENDING_TRACES) {
+    skippedTraces += 1;
+  } else {
+    pendingTraces.push(trace);
+  }
+
+  if (!traceFlushTimer) {
+    traceFlushTimer = setTimeout(flushTraces, TRACE_FLUSH_INTERVAL);
+  }
+}
+
+function flushTraces() {
+  traceFlushTimer = null;
+  if (!inspectorWindow || inspectorWindow.isDestroyed()) return;
+
+  inspectorWindow.webContents.send('message-trace', {
+    entries: pendingTraces.map(describeTrace),
+    skipped: skippedTraces
+  });
+
+  pendingTraces = [];
+  skippedTraces = 0;
 }
 
 function sendToRenderer(channel, data) {
@@ -523,49 +1264,81 @@ function sendToRenderer(channel, data) {
 }
 
 // IPC handlers
-ipcMain.handle('get-proxy-state', () => {
+/**
+ * Register an IPC handler. The local HTTP API (lib/http-api.js) calls the
+ * same handlers, without a renderer event.
+ * @param {string} channel - IPC channel
+ * @param {Function} handler - (event, ...args) => result
+ */
+function handle(channel, handler) {
+  ipcHandlers.set(channel, handler);
+  ipcMain.handle(channel, handler);
+}
+
+handle('get-proxy-state', () => {
   return proxyState;
 });
 
-ipcMain.handle('start-proxy', (event, configPath) => {
-  startProxy(configPath);
-  return { success: true };
+handle('get-listener-states', () => {
+  return listenerStatesSnapshot();
 });
 
-ipcMain.handle('stop-proxy', () => {
-  stopProxy();
-  return { success: true };
+handle('get-config-status', () => {
+  return configStatusSnapshot();
 });
 
-ipcMain.handle('start-listener', async (event, listenerId) => {
+handle('apply-listener-config', async (event, listenerId) => {
   try {
-    // Start the individual listener process
-    // NOTE: This does NOT modify the database enabled flag
-    // Individual controls are in-memory only
-    startIndividualListener(listenerId);
-
-    return { success: true };
+    const result = await applyLiveConfig(listenerId);
+    return !result || result.ok ? { success: true } : { success: false, error: result.error };
   } catch (error) {
-    console.error(`Failed to start listener ${listenerId}:`, error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('stop-listener', async (event, listenerId) => {
-  try {
-    // Stop the individual listener process
+handle('start-proxy', async () => {
+  const results = await startProxy();
+  const failed = results.filter(result => !result.ok);
+  return failed.length === 0
+    ? { success: true }
+    : { success: false, error: failed.map(result => result.error).join('; ') };
+});
+
+handle('stop-proxy', async () => {
+  await stopProxy();
+  return { success: true };
+});
+
+handle('start-listener', async (event, listenerId) => {
+  try {
+    // Start the listener and wait for the engine to confirm
     // NOTE: This does NOT modify the database enabled flag
     // Individual controls are in-memory only
-    stopIndividualListener(listenerId);
+    resetSupervision();
+    const result = await startListener(listenerId);
 
-    return { success: true };
+    return result.ok ? { success: true } : { success: false, error: result.error };
+  } catch (error) {
+    console.error(`Failed to start listener ${listenerId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+handle('stop-listener', async (event, listenerId) => {
+  try {
+    // Stop the listener and wait for the engine to confirm
+    // NOTE: This does NOT modify the database enabled flag
+    // Individual controls are in-memory only
+    const result = await stopListener(listenerId);
+
+    return result.ok ? { success: true } : { success: false, error: result.error };
   } catch (error) {
     console.error(`Failed to stop listener ${listenerId}:`, error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('open-settings', () => {
+handle('open-settings', () => {
   // Send event to main window to show settings view
   if (mainWindow) {
     mainWindow.webContents.send('show-settings');
@@ -573,12 +1346,17 @@ ipcMain.handle('open-settings', () => {
   return { success: true };
 });
 
-ipcMain.handle('open-activity-log', () => {
+handle('open-activity-log', () => {
   createActivityLogWindow();
   return { success: true };
 });
 
-ipcMain.handle('load-config', async (event, configPath) => {
+handle('open-inspector', () => {
+  createInspectorWindow();
+  return { success: true };
+});
+
+handle('load-config', async (event, configPath) => {
   const fs = require('fs').promises;
   try {
     const content = await fs.readFile(configPath, 'utf8');
@@ -588,7 +1366,7 @@ ipcMain.handle('load-config', async (event, configPath) => {
   }
 });
 
-ipcMain.handle('save-config', async (event, configPath, content) => {
+handle('save-config', async (event, configPath, content) => {
   const fs = require('fs').promises;
   try {
     await fs.writeFile(configPath, content, 'utf8');
@@ -606,11 +1384,22 @@ function initializeDatabase() {
     ProxyDatabase = require('./lib/database');
   }
 
-  const dbPath = path.join(app.getPath('userData'), 'proxy.db');
+  const dbPath = getDatabasePath();
   const oldConfigPath = path.join(__dirname, '..', 'config', 'lightkey.yml');
 
   console.log('Initializing database at:', dbPath);
   db = new ProxyDatabase(dbPath);
+  if (db.migration.from !== db.migration.to) {
+    console.log(`Database schema migrated from version ${db.migration.from} to ${db.migration.to}`);
+  }
+
+  metricsRecorder = new MetricsRecorder(db, {
+    onError: (err) => console.error('Failed to record metrics history:', err)
+  });
+  metricsRecorder.start();
+  alertMonitor.setRules(db.getAlertRules());
+  sessionRecorder = new SessionRecorder(db, path.join(path.dirname(dbPath), 'sessions'));
+  recoverSessions(db);
 
   // Check if database is empty and YAML config exists - auto-migrate
   const listeners = db.getAllListeners();
@@ -632,7 +1421,7 @@ function initializeDatabase() {
 // ==================== DATABASE IPC HANDLERS ====================
 
 // Listener operations
-ipcMain.handle('db-get-listeners', async () => {
+handle('db-get-listeners', async () => {
   try {
     return { success: true, data: db.getAllListeners() };
   } catch (err) {
@@ -640,7 +1429,7 @@ ipcMain.handle('db-get-listeners', async () => {
   }
 });
 
-ipcMain.handle('db-get-listener', async (event, id) => {
+handle('db-get-listener', async (event, id) => {
   try {
     const listener = db.getListener(id);
     return { success: true, data: listener };
@@ -649,7 +1438,7 @@ ipcMain.handle('db-get-listener', async (event, id) => {
   }
 });
 
-ipcMain.handle('db-get-enabled-listeners', async () => {
+handle('db-get-enabled-listeners', async () => {
   try {
     return { success: true, data: db.getEnabledListeners() };
   } catch (err) {
@@ -657,7 +1446,7 @@ ipcMain.handle('db-get-enabled-listeners', async () => {
   }
 });
 
-ipcMain.handle('db-create-listener', async (event, data) => {
+handle('db-create-listener', async (event, data) => {
   try {
     const listener = db.createListener(data);
     return { success: true, data: listener };
@@ -666,17 +1455,21 @@ ipcMain.handle('db-create-listener', async (event, data) => {
   }
 });
 
-ipcMain.handle('db-update-listener', async (event, id, data) => {
+handle('db-update-listener', async (event, id, data) => {
   try {
     const listener = db.updateListener(id, data);
+    await applyLiveConfig(id);
     return { success: true, data: listener };
   } catch (err) {
     return { success: false, error: err.message };
   }
 });
 
-ipcMain.handle('db-delete-listener', async (event, id) => {
+handle('db-delete-listener', async (event, id) => {
   try {
+    if (listenerStates.has(Number(id))) {
+      await stopListener(id);
+    }
     const deleted = db.deleteListener(id);
     return { success: true, data: deleted };
   } catch (err) {
@@ -684,9 +1477,10 @@ ipcMain.handle('db-delete-listener', async (event, id) => {
   }
 });
 
-ipcMain.handle('db-toggle-listener', async (event, id) => {
+handle('db-toggle-listener', async (event, id) => {
   try {
     const listener = db.toggleListener(id);
+    if (listener) await applyEnabledFlag(listener);
     return { success: true, data: listener };
   } catch (err) {
     return { success: false, error: err.message };
@@ -694,7 +1488,7 @@ ipcMain.handle('db-toggle-listener', async (event, id) => {
 });
 
 // Forwarder operations
-ipcMain.handle('db-get-forwarders', async (event, listenerId) => {
+handle('db-get-forwarders', async (event, listenerId) => {
   try {
     const forwarders = db.getForwardersForListener(listenerId);
     return { success: true, data: forwarders };
@@ -703,7 +1497,7 @@ ipcMain.handle('db-get-forwarders', async (event, listenerId) => {
   }
 });
 
-ipcMain.handle('db-get-forwarder', async (event, id) => {
+handle('db-get-forwarder', async (event, id) => {
   try {
     const forwarder = db.getForwarder(id);
     return { success: true, data: forwarder };
@@ -712,44 +1506,59 @@ ipcMain.handle('db-get-forwarder', async (event, id) => {
   }
 });
 
-ipcMain.handle('db-create-forwarder', async (event, listenerId, data) => {
+handle('db-create-forwarder', async (event, listenerId, data) => {
   try {
     const forwarder = db.createForwarder(listenerId, data);
+    await applyLiveConfig(listenerId);
     return { success: true, data: forwarder };
   } catch (err) {
     return { success: false, error: err.message };
   }
 });
 
-ipcMain.handle('db-update-forwarder', async (event, id, data) => {
+handle('db-update-forwarder', async (event, id, data) => {
   try {
     const forwarder = db.updateForwarder(id, data);
+    if (forwarder) await applyLiveConfig(forwarder.listener_id);
     return { success: true, data: forwarder };
   } catch (err) {
     return { success: false, error: err.message };
   }
 });
 
-ipcMain.handle('db-delete-forwarder', async (event, id) => {
+handle('db-delete-forwarder', async (event, id) => {
   try {
+    const forwarder = db.getForwarder(id);
     const deleted = db.deleteForwarder(id);
+    if (forwarder) await applyLiveConfig(forwarder.listener_id);
     return { success: true, data: deleted };
   } catch (err) {
     return { success: false, error: err.message };
   }
 });
 
-ipcMain.handle('db-toggle-forwarder', async (event, id) => {
+handle('db-toggle-forwarder', async (event, id) => {
   try {
     const forwarder = db.toggleForwarder(id);
+    if (forwarder) await applyLiveConfig(forwarder.listener_id);
     return { success: true, data: forwarder };
   } catch (err) {
     return { success: false, error: err.message };
   }
 });
 
+// Rewrite rule preview (settings editor)
+handle('preview-rewrite', async (event, rule, sample) => {
+  try {
+    const preview = previewRewrite(rule, sample);
+    return { success: true, data: preview };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
 // Metrics operations
-ipcMain.handle('db-get-metrics-history', async (event, listenerId, limit) => {
+handle('db-get-metrics-history', async (event, listenerId, limit) => {
   try {
     const metrics = db.getMetricsHistory(listenerId, limit);
     return { success: true, data: metrics };
@@ -758,7 +1567,282 @@ ipcMain.handle('db-get-metrics-history', async (event, listenerId, limit) => {
   }
 });
 
-ipcMain.handle('db-export', async () => {
+handle('get-metrics-range', async (event, subject, startTime, endTime) => {
+  try {
+    const history = loadHistory(db, subject, new Date(startTime), new Date(endTime));
+    return { success: true, data: history };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Forwarder metrics and connection journal
+handle('db-get-forwarder-metrics', async (event, forwarderId, startTime, endTime, resolution) => {
+  try {
+    const metrics = db.getForwarderMetricsInRange(forwarderId, new Date(startTime), new Date(endTime), resolution);
+    return { success: true, data: metrics };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-get-connection-events', async (event, options = {}) => {
+  try {
+    const events = db.getConnectionEvents({
+      ...options,
+      startTime: options.startTime ? new Date(options.startTime) : null,
+      endTime: options.endTime ? new Date(options.endTime) : null
+    });
+    return { success: true, data: events };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-get-connection-stats', async (event, options = {}) => {
+  try {
+    const stats = db.getConnectionStats({
+      ...options,
+      startTime: options.startTime ? new Date(options.startTime) : null,
+      endTime: options.endTime ? new Date(options.endTime) : null
+    });
+    return { success: true, data: stats };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Settings operations
+handle('db-get-engine-events', async (event, limit) => {
+  try {
+    const events = db.getEngineEvents(limit);
+    return { success: true, data: events };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Alert rules
+handle('db-get-alert-rules', async () => {
+  try {
+    return { success: true, data: db.getAlertRules() };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-create-alert-rule', async (event, data) => {
+  try {
+    const rule = db.createAlertRule(data);
+    reloadAlertRules();
+    return { success: true, data: rule };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-update-alert-rule', async (event, id, data) => {
+  try {
+    const rule = db.updateAlertRule(id, data);
+    reloadAlertRules();
+    return { success: true, data: rule };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-delete-alert-rule', async (event, id) => {
+  try {
+    const deleted = db.deleteAlertRule(id);
+    reloadAlertRules();
+    return { success: true, data: deleted };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('get-active-alerts', () => {
+  return alertMonitor.active();
+});
+
+handle('acknowledge-alert', (event, key) => {
+  const acknowledged = alertMonitor.acknowledge(key);
+  if (acknowledged) sendAlerts();
+  return acknowledged;
+});
+
+handle('snooze-alert', (event, key, minutes) => {
+  const snoozed = alertMonitor.snooze(key, Number(minutes));
+  if (snoozed) sendAlerts();
+  return snoozed;
+});
+
+// Session recording and replay
+handle('get-recordings', () => {
+  return sessionRecorder ? sessionRecorder.snapshot() : {};
+});
+
+handle('start-recording', async (event, listenerId, name) => {
+  try {
+    return { success: true, data: startRecording(Number(listenerId), name || null) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('stop-recording', async (event, listenerId) => {
+  try {
+    stopRecordings([Number(listenerId)]);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-get-sessions', async () => {
+  try {
+    return { success: true, data: db.getSessions() };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-rename-session', async (event, id, name) => {
+  try {
+    const session = db.renameSession(id, name);
+    sendToRenderer('sessions-changed', db.getSessions());
+    return { success: true, data: session };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-delete-session', async (event, id) => {
+  try {
+    const session = db.getSession(id);
+    if (!session) return { success: true, data: false };
+    if (!session.ended_at) throw new Error(`"${session.name}" is still recording`);
+    if (replay && replay.session.id === session.id) stopReplay();
+
+    db.deleteSession(id);
+    fs.rmSync(session.file, { force: true });
+    sendToRenderer('sessions-changed', db.getSessions());
+    return { success: true, data: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('get-replay-status', () => {
+  return replayStatus();
+});
+
+handle('start-replay', async (event, sessionId, forwarderId, options) => {
+  try {
+    return { success: true, data: await startReplay(Number(sessionId), Number(forwarderId), options) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('control-replay', async (event, action, value) => {
+  try {
+    if (!replay) throw new Error('Nothing is being replayed');
+
+    switch (action) {
+      case 'play':
+        replay.player.play();
+        break;
+      case 'pause':
+        replay.player.pause();
+        break;
+      case 'step':
+        replay.player.step();
+        break;
+      case 'speed':
+        replay.player.setSpeed(value);
+        break;
+      case 'stop':
+        stopReplay();
+        break;
+      default:
+        throw new Error(`Unknown replay action: ${action}`);
+    }
+    return { success: true, data: replayStatus() };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Test sender
+handle('send-test-message', async (event, message, target) => {
+  try {
+    return { success: true, data: await sendTestMessage(message, { type: target.type, id: Number(target.id) }) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-get-test-favorites', async () => {
+  try {
+    return { success: true, data: db.getTestFavorites() };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-create-test-favorite', async (event, data) => {
+  try {
+    return { success: true, data: db.createTestFavorite(data) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-delete-test-favorite', async (event, id) => {
+  try {
+    return { success: true, data: db.deleteTestFavorite(id) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-get-test-history', async () => {
+  try {
+    return { success: true, data: db.getTestHistory() };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-clear-test-history', async () => {
+  try {
+    return { success: true, data: db.clearTestHistory() };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-get-settings', async () => {
+  try {
+    const defaults = { engine: DEFAULT_ENGINE };
+    Object.values(RETENTION_SETTINGS).forEach(setting => { defaults[setting.key] = String(setting.default); });
+    return { success: true, data: { ...defaults, ...db.getAllSettings() } };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-set-setting', async (event, key, value) => {
+  try {
+    db.setSetting(key, value);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-export', async () => {
   try {
     const data = db.exportToJSON();
     return { success: true, data };
@@ -767,11 +1851,329 @@ ipcMain.handle('db-export', async () => {
   }
 });
 
+// ==================== SHOW PROFILES ====================
+
+// One radio item per profile (Proxy menu and tray)
+function profileMenuItems() {
+  if (!db) return [];
+
+  return db.getProfiles().map(profile => ({
+    label: profile.name,
+    type: 'radio',
+    checked: profile.active,
+    click: () => {
+      switchProfile(profile.id)
+        .catch((err) => dialog.showErrorBox('Could not switch profile', err.message))
+        // Radio items check themselves on click; put the check back if cancelled
+        .finally(updateProfileMenus);
+    }
+  }));
+}
+
+function updateProfileMenus() {
+  createMenu();
+  updateTrayMenu();
+}
+
+// Tell every window and menu that the profile list or active profile changed
+function profilesChanged() {
+  updateProfileMenus();
+  sendToRenderer('profiles-changed', { profiles: db.getProfiles(), active: db.getActiveProfile() });
+}
+
+/**
+ * Switch the active show profile, after the user confirms the port and
+ * destination changes. If any listener is running, the running listeners
+ * are stopped and the new profile's enabled listeners started in the same
+ * engine.
+ * @param {number|string} profileId - Profile to switch to
+ * @returns {Promise<{switched: boolean, profile: Object}>} Active profile afterwards
+ */
+async function switchProfile(profileId) {
+  const current = db.getActiveProfile();
+  const target = db.getProfile(Number(profileId));
+  if (!target) {
+    throw new Error(`Profile ${profileId} not found`);
+  }
+  if (target.id === current.id) {
+    return { switched: false, profile: current };
+  }
+
+  const running = [...listenerStates.values()].some(s => s.status === 'running' || s.status === 'starting');
+  const change = describeProfileSwitch(db.getEnabledListeners(current.id), db.getEnabledListeners(target.id));
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    buttons: ['Switch', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    message: `Switch from "${current.name}" to "${target.name}"?`,
+    detail: [
+      ...formatProfileSwitch(change),
+      '',
+      running
+        ? 'Running listeners are stopped and the enabled listeners of the new profile are started.'
+        : 'The proxy is stopped; nothing is started.'
+    ].join('\n')
+  });
+  if (response !== 0) {
+    return { switched: false, profile: current };
+  }
+
+  // Stop the old profile's listeners but keep the engine for the new ones
+  await Promise.all([...listenerStates.keys()].map(listenerId =>
+    stopListener(listenerId, { keepEngine: true })
+  ));
+
+  db.setActiveProfile(target.id);
+  profilesChanged();
+  sendToRenderer('proxy-log', { message: `Switched to profile "${target.name}"`, type: 'success' });
+
+  if (running) {
+    const results = await startProxy();
+    if (results.length === 0) stopEngine();
+  } else if (engine) {
+    stopEngine();
+  }
+
+  return { switched: true, profile: target };
+}
+
+handle('db-get-profiles', async () => {
+  try {
+    return { success: true, data: { profiles: db.getProfiles(), active: db.getActiveProfile() } };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-create-profile', async (event, name, copyFromId) => {
+  try {
+    const profile = db.createProfile(name, copyFromId);
+    profilesChanged();
+    return { success: true, data: profile };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-rename-profile', async (event, id, name) => {
+  try {
+    const profile = db.renameProfile(id, name);
+    profilesChanged();
+    return { success: true, data: profile };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('db-delete-profile', async (event, id) => {
+  try {
+    const deleted = db.deleteProfile(id);
+    profilesChanged();
+    return { success: true, data: deleted };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('switch-profile', async (event, id) => {
+  try {
+    const result = await switchProfile(id);
+    return { success: true, data: result };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// ==================== CONFIGURATION IMPORT/EXPORT ====================
+
+const CONFIG_FILTERS = [
+  { name: 'JSON', extensions: ['json'] },
+  { name: 'YAML', extensions: ['yml', 'yaml'] }
+];
+
+/**
+ * Ask for a file name and export all listeners and forwarders to it
+ * @returns {Promise<{filePath: string}|null>} Written file, or null if cancelled
+ */
+async function exportConfiguration() {
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Configuration',
+    defaultPath: `osc-proxy-${db.getActiveProfile().name.replace(/[^a-z0-9]+/gi, '-')}-${new Date().toISOString().slice(0, 10)}.json`,
+    filters: CONFIG_FILTERS
+  });
+  if (canceled || !filePath) return null;
+
+  fs.writeFileSync(filePath, serializeConfig(db.getAllListeners(), formatForPath(filePath)));
+  sendToRenderer('proxy-log', { message: `Configuration exported to ${filePath}`, type: 'success' });
+  return { filePath };
+}
+
+/**
+ * Ask for a file to import, then parse and validate it
+ * @returns {Promise<Object|null>} { fileName, listeners, errors }, or null if cancelled
+ */
+async function openImportFile() {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Configuration',
+    properties: ['openFile'],
+    filters: [{ name: 'Configuration', extensions: ['json', 'yml', 'yaml'] }, ...CONFIG_FILTERS]
+  });
+  if (canceled || filePaths.length === 0) return null;
+
+  const filePath = filePaths[0];
+  const doc = parseConfig(fs.readFileSync(filePath, 'utf8'), formatForPath(filePath));
+  return { fileName: path.basename(filePath), ...validateConfig(doc) };
+}
+
+/**
+ * Validate listeners from the renderer again and plan their import
+ * @param {Array} listeners - Listeners from openImportFile
+ * @param {string} mode - Import mode (see lib/config-io.js)
+ * @returns {Object} Import plan
+ */
+function planConfigImport(listeners, mode) {
+  const { listeners: validated, errors } = validateConfig({ listeners });
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return planImport(db.getAllListeners(), validated, mode);
+}
+
+handle('config-export', async () => {
+  try {
+    const result = await exportConfiguration();
+    return { success: true, data: result };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('config-open-import', async () => {
+  try {
+    const result = await openImportFile();
+    return { success: true, data: result };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('config-preview-import', async (event, listeners, mode) => {
+  try {
+    const plan = planConfigImport(listeners, mode);
+    return { success: true, data: plan };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('config-apply-import', async (event, listeners, mode) => {
+  try {
+    const counts = db.importConfig(planConfigImport(listeners, mode));
+    for (const listenerId of [...listenerStates.keys()]) {
+      await applyLiveConfig(listenerId);
+    }
+    const { create, update, delete: removed } = counts.listeners;
+    sendToRenderer('proxy-log', {
+      message: `Configuration imported: ${create} listener(s) added, ${update} updated, ${removed} removed`,
+      type: 'success'
+    });
+    return { success: true, data: counts };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// ==================== HTTP API ====================
+
+/**
+ * Start, restart or stop the local HTTP API to match its settings
+ * @returns {Promise<Object>} Status (see httpApiStatus)
+ */
+async function applyHttpApiConfig() {
+  const config = getHttpApiConfig(db);
+  if (httpApi) {
+    await httpApi.stop();
+    httpApi = null;
+  }
+  httpApiError = null;
+  if (!config.enabled) return httpApiStatus();
+
+  const server = new HttpApiServer((channel, ...args) => ipcHandlers.get(channel)(null, ...args), db);
+  try {
+    await server.start(config);
+    httpApi = server;
+    sendToRenderer('proxy-log', { message: `HTTP API listening on ${server.url}`, type: 'success' });
+  } catch (err) {
+    httpApiError = err.message;
+    console.error(err.message);
+    sendToRenderer('proxy-log', { message: err.message, type: 'error' });
+  }
+  return httpApiStatus();
+}
+
+function httpApiStatus() {
+  const { enabled, bindAddress, port, token } = getHttpApiConfig(db);
+  return {
+    enabled,
+    bindAddress,
+    port,
+    token,
+    running: httpApi !== null,
+    url: httpApi ? httpApi.url : null,
+    error: httpApiError
+  };
+}
+
+handle('get-http-api', async () => {
+  try {
+    return { success: true, data: httpApiStatus() };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('set-http-api', async (event, config) => {
+  try {
+    const { enabled, bindAddress, port } = config;
+    const error = validateHttpApiConfig({ bindAddress, port });
+    if (error) throw new Error(error);
+
+    db.setSetting(HTTP_API_SETTINGS.enabled.key, Boolean(enabled));
+    db.setSetting(HTTP_API_SETTINGS.bindAddress.key, bindAddress);
+    db.setSetting(HTTP_API_SETTINGS.port.key, port);
+    if (!getHttpApiConfig(db).token) db.setSetting(HTTP_API_SETTINGS.token.key, generateToken());
+    return { success: true, data: await applyHttpApiConfig() };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+handle('regenerate-http-api-token', async () => {
+  try {
+    db.setSetting(HTTP_API_SETTINGS.token.key, generateToken());
+    return { success: true, data: await applyHttpApiConfig() };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
 // App lifecycle
 app.whenReady().then(() => {
-  initializeDatabase();
+  try {
+    initializeDatabase();
+  } catch (err) {
+    // A failed schema migration leaves proxy.db as it was; don't run against it
+    console.error('Failed to open database:', err);
+    dialog.showErrorBox('Database upgrade failed', err.message);
+    app.exit(1);
+    return;
+  }
+
   createMainWindow();
   createTray();
+  applyHttpApiConfig();
 
   app.on('activate', () => {
     if (mainWindow) {
@@ -792,4 +2194,8 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   app.isQuitting = true;
   stopProxy();
+  if (metricsRecorder) metricsRecorder.stop();
+  if (sessionRecorder) sessionRecorder.stopAll();
+  stopReplay();
+  if (httpApi) httpApi.stop();
 });
@@ -5,14 +5,18 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // Proxy control
   getProxyState: () => ipcRenderer.invoke('get-proxy-state'),
-  startProxy: (configPath) => ipcRenderer.invoke('start-proxy', configPath),
+  startProxy: () => ipcRenderer.invoke('start-proxy'),
   stopProxy: () => ipcRenderer.invoke('stop-proxy'),
+  getListenerStates: () => ipcRenderer.invoke('get-listener-states'),
   startListener: (listenerId) => ipcRenderer.invoke('start-listener', listenerId),
   stopListener: (listenerId) => ipcRenderer.invoke('stop-listener', listenerId),
+  getConfigStatus: () => ipcRenderer.invoke('get-config-status'),
+  applyListenerConfig: (listenerId) => ipcRenderer.invoke('apply-listener-config', listenerId),
 
   // Settings
   openSettings: () => ipcRenderer.invoke('open-settings'),
   openActivityLog: () => ipcRenderer.invoke('open-activity-log'),
+  openInspector: () => ipcRenderer.invoke('open-inspector'),
   loadConfig: (configPath) => ipcRenderer.invoke('load-config', configPath),
   saveConfig: (configPath, content) => ipcRenderer.invoke('save-config', configPath, content),
 
@@ -32,11 +36,70 @@ contextBridge.exposeInMainWorld('electronAPI', {
   dbUpdateForwarder: (id, data) => ipcRenderer.invoke('db-update-forwarder', id, data),
   dbDeleteForwarder: (id) => ipcRenderer.invoke('db-delete-forwarder', id),
   dbToggleForwarder: (id) => ipcRenderer.invoke('db-toggle-forwarder', id),
+  previewRewrite: (rule, sample) => ipcRenderer.invoke('preview-rewrite', rule, sample),
+
+  // Show profiles
+  dbGetProfiles: () => ipcRenderer.invoke('db-get-profiles'),
+  dbCreateProfile: (name, copyFromId) => ipcRenderer.invoke('db-create-profile', name, copyFromId),
+  dbRenameProfile: (id, name) => ipcRenderer.invoke('db-rename-profile', id, name),
+  dbDeleteProfile: (id) => ipcRenderer.invoke('db-delete-profile', id),
+  switchProfile: (id) => ipcRenderer.invoke('switch-profile', id),
 
   // Database - Metrics
   dbGetMetricsHistory: (transmitterId, limit) => ipcRenderer.invoke('db-get-metrics-history', transmitterId, limit),
+  getMetricsRange: (subject, startTime, endTime) => ipcRenderer.invoke('get-metrics-range', subject, startTime, endTime),
+  dbGetForwarderMetrics: (forwarderId, startTime, endTime, resolution) =>
+    ipcRenderer.invoke('db-get-forwarder-metrics', forwarderId, startTime, endTime, resolution),
+  dbGetConnectionEvents: (options) => ipcRenderer.invoke('db-get-connection-events', options),
+  dbGetConnectionStats: (options) => ipcRenderer.invoke('db-get-connection-stats', options),
   dbExport: () => ipcRenderer.invoke('db-export'),
 
+  // Configuration import/export
+  exportConfig: () => ipcRenderer.invoke('config-export'),
+  openImportFile: () => ipcRenderer.invoke('config-open-import'),
+  previewImport: (listeners, mode) => ipcRenderer.invoke('config-preview-import', listeners, mode),
+  applyImport: (listeners, mode) => ipcRenderer.invoke('config-apply-import', listeners, mode),
+
+  // Database - Settings
+  dbGetSettings: () => ipcRenderer.invoke('db-get-settings'),
+  dbSetSetting: (key, value) => ipcRenderer.invoke('db-set-setting', key, value),
+
+  // HTTP API
+  getHttpApi: () => ipcRenderer.invoke('get-http-api'),
+  setHttpApi: (config) => ipcRenderer.invoke('set-http-api', config),
+  regenerateHttpApiToken: () => ipcRenderer.invoke('regenerate-http-api-token'),
+
+  // Alerts
+  dbGetAlertRules: () => ipcRenderer.invoke('db-get-alert-rules'),
+  dbCreateAlertRule: (data) => ipcRenderer.invoke('db-create-alert-rule', data),
+  dbUpdateAlertRule: (id, data) => ipcRenderer.invoke('db-update-alert-rule', id, data),
+  dbDeleteAlertRule: (id) => ipcRenderer.invoke('db-delete-alert-rule', id),
+  getActiveAlerts: () => ipcRenderer.invoke('get-active-alerts'),
+  acknowledgeAlert: (key) => ipcRenderer.invoke('acknowledge-alert', key),
+  snoozeAlert: (key, minutes) => ipcRenderer.invoke('snooze-alert', key, minutes),
+
+  // Session recording and replay
+  getRecordings: () => ipcRenderer.invoke('get-recordings'),
+  startRecording: (listenerId, name) => ipcRenderer.invoke('start-recording', listenerId, name),
+  stopRecording: (listenerId) => ipcRenderer.invoke('stop-recording', listenerId),
+  dbGetSessions: () => ipcRenderer.invoke('db-get-sessions'),
+  dbRenameSession: (id, name) => ipcRenderer.invoke('db-rename-session', id, name),
+  dbDeleteSession: (id) => ipcRenderer.invoke('db-delete-session', id),
+  getReplayStatus: () => ipcRenderer.invoke('get-replay-status'),
+  startReplay: (sessionId, forwarderId, options) => ipcRenderer.invoke('start-replay', sessionId, forwarderId, options),
+  controlReplay: (action, value) => ipcRenderer.invoke('control-replay', action, value),
+
+  // Test sender
+  sendTestMessage: (message, target) => ipcRenderer.invoke('send-test-message', message, target),
+  dbGetTestFavorites: () => ipcRenderer.invoke('db-get-test-favorites'),
+  dbCreateTestFavorite: (data) => ipcRenderer.invoke('db-create-test-favorite', data),
+  dbDeleteTestFavorite: (id) => ipcRenderer.invoke('db-delete-test-favorite', id),
+  dbGetTestHistory: () => ipcRenderer.invoke('db-get-test-history'),
+  dbClearTestHistory: () => ipcRenderer.invoke('db-clear-test-history'),
+
+  // Database - Engine events
+  dbGetEngineEvents: (limit) => ipcRenderer.invoke('db-get-engine-events', limit),
+
   // Event listeners
   onMetricsUpdate: (callback) => {
     ipcRenderer.on('metrics-update', (event, metrics) => callback(metrics));
@@ -44,12 +107,54 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onProxyStateChanged: (callback) => {
     ipcRenderer.on('proxy-state-changed', (event, state) => callback(state));
   },
+  onListenerStatesChanged: (callback) => {
+    ipcRenderer.on('listener-states-changed', (event, states) => callback(states));
+  },
+  onConfigStatusChanged: (callback) => {
+    ipcRenderer.on('config-status-changed', (event, status) => callback(status));
+  },
   onProxyLog: (callback) => {
     ipcRenderer.on('proxy-log', (event, log) => callback(log));
   },
+  onEngineEvent: (callback) => {
+    ipcRenderer.on('engine-event', (event, engineEvent) => callback(engineEvent));
+  },
+  onForwarderState: (callback) => {
+    ipcRenderer.on('forwarder-state', (event, state) => callback(state));
+  },
+  onProxyError: (callback) => {
+    ipcRenderer.on('proxy-error', (event, error) => callback(error));
+  },
+  onAlertsChanged: (callback) => {
+    ipcRenderer.on('alerts-changed', (event, alerts) => callback(alerts));
+  },
+  onAlertFired: (callback) => {
+    ipcRenderer.on('alert-fired', (event, alert) => callback(alert));
+  },
+  onRecordingsChanged: (callback) => {
+    ipcRenderer.on('recordings-changed', (event, recordings) => callback(recordings));
+  },
+  onSessionsChanged: (callback) => {
+    ipcRenderer.on('sessions-changed', (event, sessions) => callback(sessions));
+  },
+  onReplayProgress: (callback) => {
+    ipcRenderer.on('replay-progress', (event, status) => callback(status));
+  },
+  onMessageTrace: (callback) => {
+    ipcRenderer.on('message-trace', (event, batch) => callback(batch));
+  },
   onShowSettings: (callback) => {
     ipcRenderer.on('show-settings', () => callback());
   },
+  onShowHistory: (callback) => {
+    ipcRenderer.on('show-history', () => callback());
+  },
+  onShowImport: (callback) => {
+    ipcRenderer.on('show-import', () => callback());
+  },
+  onProfilesChanged: (callback) => {
+    ipcRenderer.on('profiles-changed', (event, profiles) => callback(profiles));
+  },
 
   // Remove listeners
   removeMetricsListener: () => {
@@ -58,7 +163,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
   removeStateListener: () => {
     ipcRenderer.removeAllListeners('proxy-state-changed');
   },
+  removeListenerStatesListener: () => {
+    ipcRenderer.removeAllListeners('listener-states-changed');
+  },
   removeLogListener: () => {
     ipcRenderer.removeAllListeners('proxy-log');
+  },
+  removeEngineEventListener: () => {
+    ipcRenderer.removeAllListeners('engine-event');
+  },
+  removeForwarderStateListener: () => {
+    ipcRenderer.removeAllListeners('forwarder-state');
+  },
+  removeErrorListener: () => {
+    ipcRenderer.removeAllListeners('proxy-error');
+  },
+  removeTraceListener: () => {
+    ipcRenderer.removeAllListeners('message-trace');
   }
 });
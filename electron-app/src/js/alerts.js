@@ -0,0 +1,286 @@
+// Alerts: banner for active alerts, alert sounds and the rule list in General settings
+
+const alertBanner = document.getElementById('alert-banner');
+const alertList = document.getElementById('alert-list');
+const alertRulesList = document.getElementById('alert-rules-list');
+const alertRuleForm = document.getElementById('alert-rule-form');
+const alertRuleType = document.getElementById('alert-rule-type');
+const alertRuleScope = document.getElementById('alert-rule-scope');
+const alertRuleThresholdField = document.getElementById('alert-rule-threshold-field');
+
+const ALERT_TYPE_LABELS = {
+  'forwarder-disconnected': 'Forwarder disconnected',
+  'loss-above': 'Loss above threshold',
+  'rate-zero': 'No incoming messages'
+};
+
+const SNOOZE_MINUTES = [5, 15, 60];
+const ALARM_REPEAT_MS = 3000;
+
+let activeAlerts = [];
+let alertRules = [];
+let editingRuleId = null;
+let scopeListeners = []; // Listeners (with forwarders) offered in the rule form
+let alarmTimer = null;
+let audioContext = null;
+
+async function initAlerts() {
+  window.electronAPI.onAlertsChanged(updateAlerts);
+  window.electronAPI.onAlertFired(alert => playAlertSound(alert.sound));
+
+  document.getElementById('btn-add-alert-rule').addEventListener('click', () => openRuleForm(null));
+  document.getElementById('btn-cancel-alert-rule').addEventListener('click', closeRuleForm);
+  document.getElementById('btn-save-alert-rule').addEventListener('click', saveRule);
+  document.getElementById('btn-test-alert-sound').addEventListener('click', () => {
+    playAlertSound(document.getElementById('alert-rule-sound').value);
+  });
+  alertRuleType.addEventListener('change', () => updateRuleForm());
+
+  updateAlerts(await window.electronAPI.getActiveAlerts());
+}
+
+// ==================== ACTIVE ALERTS ====================
+
+function updateAlerts(alerts) {
+  activeAlerts = alerts;
+  renderAlertBanner();
+  updateAlarm();
+}
+
+// Acknowledged and snoozed alerts stay listed, dimmed, until they clear
+function isSilenced(alert) {
+  return alert.acknowledged || alert.snoozed_until !== null;
+}
+
+function renderAlertBanner() {
+  const urgent = activeAlerts.some(alert => !isSilenced(alert));
+  alertBanner.className = `flex-shrink-0 border-b px-6 py-2 ${activeAlerts.length === 0 ? 'hidden' : ''} ${
+    urgent ? 'border-red-800/50 bg-red-900/30' : 'border-proxy-gray-light/30 bg-proxy-gray'
+  }`;
+
+  alertList.innerHTML = '';
+  activeAlerts.forEach(alert => {
+    const silenced = isSilenced(alert);
+    const row = document.createElement('div');
+    row.className = `flex items-center justify-between gap-4 text-sm ${silenced ? 'text-gray-400' : ''}`;
+
+    let status = `since ${formatAlertTime(alert.fired_at)}`;
+    if (alert.acknowledged) status += ' · acknowledged';
+    if (alert.snoozed_until) status += ` · snoozed until ${formatAlertTime(alert.snoozed_until)}`;
+
+    row.innerHTML = `
+      <div class="min-w-0 truncate">
+        <span class="font-semibold ${silenced ? '' : 'text-red-400'}">${escapeHtml(alert.rule_name)}</span>
+        <span class="ml-2">${escapeHtml(alert.message)}</span>
+        <span class="ml-2 text-xs text-gray-400">${status}</span>
+      </div>
+      <div class="flex items-center gap-2 flex-shrink-0">
+        ${alert.acknowledged ? '' : '<button class="btn-ack btn-secondary text-xs px-2 py-1">Acknowledge</button>'}
+        <select class="snooze-select bg-proxy-gray border border-proxy-gray-light rounded px-2 py-1 text-xs focus:outline-none">
+          <option value="">Snooze...</option>
+          ${SNOOZE_MINUTES.map(minutes => `<option value="${minutes}">${minutes < 60 ? `${minutes} min` : `${minutes / 60} hour`}</option>`).join('')}
+        </select>
+      </div>
+    `;
+
+    const btnAck = row.querySelector('.btn-ack');
+    if (btnAck) btnAck.addEventListener('click', () => window.electronAPI.acknowledgeAlert(alert.key));
+    const snooze = row.querySelector('.snooze-select');
+    snooze.addEventListener('change', () => {
+      if (snooze.value) window.electronAPI.snoozeAlert(alert.key, Number(snooze.value));
+    });
+
+    alertList.appendChild(row);
+  });
+}
+
+function formatAlertTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString();
+}
+
+// ==================== SOUNDS ====================
+
+// Alarms repeat while an alarm alert is neither acknowledged nor snoozed
+function updateAlarm() {
+  const ringing = activeAlerts.some(alert => alert.sound === 'alarm' && !isSilenced(alert));
+  if (ringing && !alarmTimer) {
+    alarmTimer = setInterval(() => playAlertSound('alarm'), ALARM_REPEAT_MS);
+  } else if (!ringing && alarmTimer) {
+    clearInterval(alarmTimer);
+    alarmTimer = null;
+  }
+}
+
+/**
+ * Play an alert sound (generated, so no sound files are needed)
+ * @param {string} sound - 'none', 'chime' or 'alarm'
+ */
+function playAlertSound(sound) {
+  if (sound === 'none') return;
+  if (!audioContext) audioContext = new AudioContext();
+
+  const tones = sound === 'alarm'
+    ? [[880, 0], [660, 0.25], [880, 0.5], [660, 0.75]]
+    : [[660, 0], [990, 0.18]];
+  const start = audioContext.currentTime;
+
+  tones.forEach(([frequency, offset]) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = sound === 'alarm' ? 'square' : 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, start + offset);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + offset + 0.22);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start + offset);
+    oscillator.stop(start + offset + 0.24);
+  });
+}
+
+// ==================== RULES (General settings) ====================
+
+// Refresh the rule list when General settings is shown
+window.alertRulesShown = async function alertRulesShown() {
+  const result = await window.electronAPI.dbGetAlertRules();
+  if (!result.success) {
+    showNotification('Failed to load alert rules: ' + result.error, 'error');
+    return;
+  }
+  alertRules = result.data;
+  renderAlertRules();
+};
+
+function describeScope(rule) {
+  if (rule.forwarder_id) return `${rule.listener_name} → ${rule.forwarder_name}`;
+  if (rule.listener_id) return rule.listener_name;
+  return rule.type === 'forwarder-disconnected' ? 'All forwarders' : 'All listeners';
+}
+
+function describeCondition(rule) {
+  if (rule.type === 'loss-above') return `loss above ${rule.threshold}% over ${rule.duration}s`;
+  return `for ${rule.duration}s`;
+}
+
+function renderAlertRules() {
+  alertRulesList.innerHTML = '';
+
+  if (alertRules.length === 0) {
+    alertRulesList.innerHTML = '<div class="text-sm text-gray-500">No alert rules yet</div>';
+    return;
+  }
+
+  alertRules.forEach(rule => {
+    const row = document.createElement('div');
+    row.className = `flex items-center justify-between gap-3 p-3 bg-proxy-gray border border-proxy-gray-light rounded ${rule.enabled ? '' : 'opacity-60'}`;
+    row.innerHTML = `
+      <div class="flex-1 min-w-0">
+        <span class="font-medium">${escapeHtml(rule.name)}</span>
+        ${rule.enabled ? '' : '<span class="ml-2 text-xs text-gray-500">Disabled</span>'}
+        <div class="text-xs text-gray-400">
+          ${ALERT_TYPE_LABELS[rule.type]}: ${escapeHtml(describeScope(rule))}, ${describeCondition(rule)}
+          · sound: ${rule.sound}${rule.notify ? ' · notification' : ''}
+        </div>
+      </div>
+      <div class="flex gap-2 flex-shrink-0">
+        <button class="btn-edit text-xs text-gray-400 hover:text-white">Edit</button>
+        <button class="btn-delete text-xs text-red-400 hover:text-red-300">Delete</button>
+      </div>
+    `;
+
+    row.querySelector('.btn-edit').addEventListener('click', () => openRuleForm(rule));
+    row.querySelector('.btn-delete').addEventListener('click', () => deleteRule(rule));
+    alertRulesList.appendChild(row);
+  });
+}
+
+async function openRuleForm(rule) {
+  editingRuleId = rule ? rule.id : null;
+
+  document.getElementById('alert-rule-name').value = rule ? rule.name : '';
+  alertRuleType.value = rule ? rule.type : 'forwarder-disconnected';
+  document.getElementById('alert-rule-threshold').value = rule && rule.threshold !== null ? rule.threshold : 5;
+  document.getElementById('alert-rule-duration').value = rule ? rule.duration : 10;
+  document.getElementById('alert-rule-sound').value = rule ? rule.sound : 'chime';
+  document.getElementById('alert-rule-notify').checked = rule ? rule.notify : true;
+  document.getElementById('alert-rule-enabled').checked = rule ? rule.enabled : true;
+
+  const result = await window.electronAPI.dbGetListeners();
+  const listeners = result.success ? result.data : [];
+  const scope = rule && rule.forwarder_id ? `f:${rule.forwarder_id}` : rule && rule.listener_id ? `l:${rule.listener_id}` : '';
+  updateRuleForm(listeners, scope);
+
+  alertRuleForm.classList.remove('hidden');
+  document.getElementById('alert-rule-name').focus();
+}
+
+function closeRuleForm() {
+  editingRuleId = null;
+  alertRuleForm.classList.add('hidden');
+}
+
+// Scope choices and fields depend on the alert type
+function updateRuleForm(listeners = scopeListeners, selected = alertRuleScope.value) {
+  scopeListeners = listeners;
+  const forForwarders = alertRuleType.value === 'forwarder-disconnected';
+
+  alertRuleScope.innerHTML = `<option value="">${forForwarders ? 'All forwarders' : 'All listeners'}</option>`;
+  listeners.forEach(listener => {
+    if (!forForwarders) {
+      alertRuleScope.insertAdjacentHTML('beforeend',
+        `<option value="l:${listener.id}">${escapeHtml(listener.name)}</option>`);
+      return;
+    }
+    // Assigned as a property, so quotes in the name stay text
+    const group = document.createElement('optgroup');
+    group.label = listener.name;
+    group.innerHTML = `<option value="l:${listener.id}">All forwarders of ${escapeHtml(listener.name)}</option>` +
+      listener.forwarders.map(forwarder => `<option value="f:${forwarder.id}">${escapeHtml(forwarder.name)}</option>`).join('');
+    alertRuleScope.appendChild(group);
+  });
+  alertRuleScope.value = [...alertRuleScope.options].some(option => option.value === selected) ? selected : '';
+
+  alertRuleThresholdField.classList.toggle('hidden', alertRuleType.value !== 'loss-above');
+  document.getElementById('alert-rule-duration-label').textContent =
+    alertRuleType.value === 'loss-above' ? 'Measured over (seconds)' : 'For (seconds)';
+}
+
+async function saveRule() {
+  const [scopeType, scopeId] = alertRuleScope.value.split(':');
+  const data = {
+    name: document.getElementById('alert-rule-name').value.trim(),
+    type: alertRuleType.value,
+    listener_id: scopeType === 'l' ? Number(scopeId) : null,
+    forwarder_id: scopeType === 'f' ? Number(scopeId) : null,
+    threshold: parseFloat(document.getElementById('alert-rule-threshold').value),
+    duration: parseInt(document.getElementById('alert-rule-duration').value, 10),
+    sound: document.getElementById('alert-rule-sound').value,
+    notify: document.getElementById('alert-rule-notify').checked,
+    enabled: document.getElementById('alert-rule-enabled').checked
+  };
+
+  const result = editingRuleId
+    ? await window.electronAPI.dbUpdateAlertRule(editingRuleId, data)
+    : await window.electronAPI.dbCreateAlertRule(data);
+  if (!result.success) {
+    showNotification('Failed to save alert: ' + result.error, 'error');
+    return;
+  }
+
+  showNotification(`Alert "${data.name}" saved`, 'success');
+  closeRuleForm();
+  await window.alertRulesShown();
+}
+
+async function deleteRule(rule) {
+  if (!confirm(`Delete alert "${rule.name}"?`)) return;
+
+  const result = await window.electronAPI.dbDeleteAlertRule(rule.id);
+  if (!result.success) {
+    showNotification('Failed to delete alert: ' + result.error, 'error');
+    return;
+  }
+  if (editingRuleId === rule.id) closeRuleForm();
+  await window.alertRulesShown();
+}
+
+initAlerts();
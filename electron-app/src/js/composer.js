@@ -0,0 +1,269 @@
+// Test Sender: compose OSC messages and send them to a listener or forwarder
+
+const composerTarget = document.getElementById('composer-target');
+const composerAddress = document.getElementById('composer-address');
+const composerArgs = document.getElementById('composer-args');
+const composerArgsEmpty = document.getElementById('composer-args-empty');
+const composerFavorites = document.getElementById('composer-favorites');
+const composerHistory = document.getElementById('composer-history');
+
+const COMPOSER_ARG_TYPES = {
+  i: { label: 'i · Integer', placeholder: '1' },
+  f: { label: 'f · Float', placeholder: '0.5' },
+  s: { label: 's · String', placeholder: 'text' },
+  b: { label: 'b · Blob', placeholder: '01 ff a0' },
+  T: { label: 'T · True' },
+  F: { label: 'F · False' },
+  N: { label: 'N · Nil' },
+  t: { label: 't · Timetag', placeholder: 'now' }
+};
+
+function initComposer() {
+  document.getElementById('btn-add-composer-arg').addEventListener('click', () => addComposerArg());
+  document.getElementById('btn-send-composer').addEventListener('click', () => sendComposed());
+  document.getElementById('btn-save-composer-favorite').addEventListener('click', saveComposerFavorite);
+  document.getElementById('btn-clear-composer-history').addEventListener('click', clearComposerHistory);
+  composerAddress.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') sendComposed();
+  });
+
+  // Targets come from the active profile
+  window.addEventListener('listeners-changed', () => {
+    if (!document.getElementById('test-sender').classList.contains('hidden')) loadComposerTargets();
+  });
+  updateComposerArgsEmpty();
+}
+
+// Called by settings.js when the Test Sender is opened
+window.testSenderShown = async function() {
+  await Promise.all([loadComposerTargets(), loadComposerFavorites(), loadComposerHistory()]);
+  composerAddress.focus();
+};
+
+async function loadComposerTargets() {
+  const result = await window.electronAPI.dbGetListeners();
+  if (!result.success) return;
+
+  const selected = composerTarget.value;
+  let options = '<optgroup label="Listeners (through the proxy)">';
+  result.data.forEach(listener => {
+    options += `<option value="listener:${listener.id}">${escapeHtml(listener.name)} (${listener.protocol.toUpperCase()} :${listener.port})</option>`;
+  });
+  options += '</optgroup>';
+  composerTarget.innerHTML = options;
+
+  result.data.filter(listener => listener.forwarders.length > 0).forEach(listener => {
+    // The label holds a listener name, so it is set as a property
+    const group = document.createElement('optgroup');
+    group.label = `Forwarders of ${listener.name} (direct)`;
+    group.innerHTML = listener.forwarders.map(fwd =>
+      `<option value="forwarder:${fwd.id}">${escapeHtml(fwd.name)} (${fwd.protocol.toUpperCase()} ${escapeHtml(fwd.host)}:${fwd.port})</option>`
+    ).join('');
+    composerTarget.appendChild(group);
+  });
+  if ([...composerTarget.options].some(option => option.value === selected)) composerTarget.value = selected;
+}
+
+// ==================== ARGUMENTS ====================
+
+function addComposerArg(arg = { type: 'i', value: '' }) {
+  const row = document.createElement('div');
+  row.className = 'composer-arg flex gap-2';
+  row.innerHTML = `
+    <select class="composer-arg-type bg-proxy-gray border border-proxy-gray-light rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-proxy-accent">
+      ${Object.entries(COMPOSER_ARG_TYPES).map(([type, { label }]) => `<option value="${type}">${label}</option>`).join('')}
+    </select>
+    <input type="text" class="composer-arg-value flex-1 bg-proxy-gray border border-proxy-gray-light rounded px-2 py-1 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-proxy-accent">
+    <button class="composer-arg-remove text-xs text-red-400 hover:text-red-300 px-1">Remove</button>
+  `;
+
+  const typeSelect = row.querySelector('.composer-arg-type');
+  const valueInput = row.querySelector('.composer-arg-value');
+  typeSelect.value = arg.type;
+  valueInput.value = arg.value === null || arg.value === undefined ? '' : arg.value;
+
+  // True, false and nil have no value
+  const updateValueField = () => {
+    const { placeholder } = COMPOSER_ARG_TYPES[typeSelect.value];
+    valueInput.disabled = placeholder === undefined;
+    valueInput.classList.toggle('opacity-40', valueInput.disabled);
+    valueInput.placeholder = placeholder || '';
+  };
+  typeSelect.addEventListener('change', updateValueField);
+  updateValueField();
+
+  valueInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') sendComposed();
+  });
+  row.querySelector('.composer-arg-remove').addEventListener('click', () => {
+    row.remove();
+    updateComposerArgsEmpty();
+  });
+
+  composerArgs.appendChild(row);
+  updateComposerArgsEmpty();
+  if (!valueInput.disabled) valueInput.focus();
+}
+
+function updateComposerArgsEmpty() {
+  composerArgsEmpty.classList.toggle('hidden', composerArgs.children.length > 0);
+}
+
+function readComposed() {
+  return {
+    address: composerAddress.value.trim(),
+    args: Array.from(composerArgs.querySelectorAll('.composer-arg')).map(row => {
+      const type = row.querySelector('.composer-arg-type').value;
+      const input = row.querySelector('.composer-arg-value');
+      return { type, value: input.disabled ? null : input.value };
+    })
+  };
+}
+
+// Put a favorite or history entry back in the composer
+function loadComposed(message, target = null) {
+  composerAddress.value = message.address;
+  composerArgs.innerHTML = '';
+  message.args.forEach(arg => addComposerArg(arg));
+  updateComposerArgsEmpty();
+
+  if (target && [...composerTarget.options].some(option => option.value === target)) {
+    composerTarget.value = target;
+  }
+  composerAddress.focus();
+}
+
+function formatComposed(message) {
+  const args = message.args.map(({ type, value }) => {
+    if (!COMPOSER_ARG_TYPES[type] || COMPOSER_ARG_TYPES[type].placeholder === undefined) return type;
+    if (type === 's') return JSON.stringify(String(value));
+    if (type === 'b') return `<${value}>`;
+    if (type === 't') return `@${value || 'now'}`;
+    return value;
+  });
+  return [message.address, ...args].join(' ');
+}
+
+// ==================== SENDING ====================
+
+async function sendComposed(message = readComposed(), targetValue = composerTarget.value) {
+  if (!targetValue) {
+    showNotification('Add a listener or forwarder to send to', 'error');
+    return;
+  }
+
+  const [type, id] = targetValue.split(':');
+  const result = await window.electronAPI.sendTestMessage(message, { type, id: Number(id) });
+  if (result.success) {
+    showNotification(`Sent to ${result.data.target_name}`, 'success');
+  } else {
+    showNotification('Failed to send: ' + result.error, 'error');
+  }
+  await loadComposerHistory();
+}
+
+// ==================== FAVORITES ====================
+
+async function loadComposerFavorites() {
+  const result = await window.electronAPI.dbGetTestFavorites();
+  if (!result.success) return;
+
+  composerFavorites.innerHTML = '';
+  if (result.data.length === 0) {
+    composerFavorites.innerHTML = '<div class="text-gray-500">No favorites yet: compose a message and save it</div>';
+    return;
+  }
+
+  result.data.forEach(favorite => {
+    const row = document.createElement('div');
+    row.className = 'flex items-center justify-between gap-3 p-3 bg-proxy-gray border border-proxy-gray-light rounded';
+    row.innerHTML = `
+      <div class="flex-1 min-w-0">
+        <div class="font-medium truncate">${escapeHtml(favorite.name)}</div>
+        <div class="text-xs text-gray-400 font-mono truncate">${escapeHtml(formatComposed(favorite))}</div>
+      </div>
+      <div class="flex gap-2 flex-shrink-0">
+        <button class="btn-send text-xs text-proxy-accent hover:text-white">Send</button>
+        <button class="btn-load text-xs text-gray-400 hover:text-white">Edit</button>
+        <button class="btn-delete text-xs text-red-400 hover:text-red-300">Delete</button>
+      </div>
+    `;
+
+    row.querySelector('.btn-send').addEventListener('click', () => sendComposed(favorite));
+    row.querySelector('.btn-load').addEventListener('click', () => loadComposed(favorite));
+    row.querySelector('.btn-delete').addEventListener('click', () => deleteComposerFavorite(favorite));
+    composerFavorites.appendChild(row);
+  });
+}
+
+async function saveComposerFavorite() {
+  const message = readComposed();
+  const name = prompt('Favorite name', message.address);
+  if (!name || !name.trim()) return;
+
+  const result = await window.electronAPI.dbCreateTestFavorite({ name: name.trim(), ...message });
+  if (!result.success) {
+    showNotification('Failed to save favorite: ' + result.error, 'error');
+    return;
+  }
+  await loadComposerFavorites();
+}
+
+async function deleteComposerFavorite(favorite) {
+  if (!confirm(`Delete favorite "${favorite.name}"?`)) return;
+
+  const result = await window.electronAPI.dbDeleteTestFavorite(favorite.id);
+  if (!result.success) {
+    showNotification('Failed to delete favorite: ' + result.error, 'error');
+    return;
+  }
+  await loadComposerFavorites();
+}
+
+// ==================== HISTORY ====================
+
+async function loadComposerHistory() {
+  const result = await window.electronAPI.dbGetTestHistory();
+  if (!result.success) return;
+
+  composerHistory.innerHTML = '';
+  if (result.data.length === 0) {
+    composerHistory.innerHTML = '<div class="text-gray-500">Nothing sent yet</div>';
+    return;
+  }
+
+  result.data.forEach(entry => {
+    const target = `${entry.target_type}:${entry.target_id}`;
+    const row = document.createElement('div');
+    row.className = 'flex items-center justify-between gap-3 px-3 py-2 rounded border border-proxy-gray-light/50';
+    row.innerHTML = `
+      <div class="flex-1 min-w-0">
+        <div class="font-mono text-xs truncate">${escapeHtml(formatComposed(entry))}</div>
+        <div class="text-xs text-gray-400">
+          ${new Date(entry.sent_at).toLocaleTimeString()}
+          → ${escapeHtml(entry.target_name)}${entry.target_type === 'forwarder' ? ' (direct)' : ''}
+          ${entry.error ? `· <span class="text-red-400">${escapeHtml(entry.error)}</span>` : ''}
+        </div>
+      </div>
+      <div class="flex gap-2 flex-shrink-0">
+        <button class="btn-send text-xs text-proxy-accent hover:text-white">Resend</button>
+        <button class="btn-load text-xs text-gray-400 hover:text-white">Edit</button>
+      </div>
+    `;
+
+    row.querySelector('.btn-send').addEventListener('click', () => sendComposed(entry, target));
+    row.querySelector('.btn-load').addEventListener('click', () => loadComposed(entry, target));
+    composerHistory.appendChild(row);
+  });
+}
+
+async function clearComposerHistory() {
+  const result = await window.electronAPI.dbClearTestHistory();
+  if (!result.success) {
+    showNotification('Failed to clear history: ' + result.error, 'error');
+    return;
+  }
+  await loadComposerHistory();
+}
+
+initComposer();
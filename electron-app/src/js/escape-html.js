@@ -0,0 +1,15 @@
+// Escaping shared by the renderer scripts; load before them
+
+/**
+ * Escape text for use in HTML, in element content or a quoted attribute
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,521 @@
+// Metrics history: range selection, charts with zoom/pan and event annotations
+
+const historySubject = document.getElementById('history-subject');
+const historyCharts = document.getElementById('history-charts');
+const historyWindowLabel = document.getElementById('history-window');
+const historyCustom = document.getElementById('history-custom');
+const historyCustomStart = document.getElementById('history-custom-start');
+const historyCustomEnd = document.getElementById('history-custom-end');
+const historyConnectionsSection = document.getElementById('history-connections-section');
+const historyConnections = document.getElementById('history-connections');
+const historyEventsSection = document.getElementById('history-events-section');
+const historyEvents = document.getElementById('history-events');
+const btnHistoryShow = document.getElementById('btn-history-show');
+const btnHistoryReset = document.getElementById('btn-history-reset');
+
+const HISTORY_RECENT_MS = 15 * 60 * 1000;
+const HISTORY_REFRESH_INTERVAL = 5000;
+const HISTORY_MIN_SPAN = 30 * 1000;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = { top: 10, right: 12, bottom: 22, left: 52 };
+
+// Forwarder rows have no rate column: use messages forwarded per second
+const HISTORY_CHARTS = [
+  {
+    title: 'Rate',
+    unit: () => 'msg/s',
+    color: '#4ade80',
+    decimals: 1,
+    value: (sample, subject) => subject.type === 'forwarder' ? sample.forwarded / sample.samples : sample.rate
+  },
+  { title: 'Latency', unit: () => 'ms', color: '#60a5fa', decimals: 2, value: sample => sample.latency },
+  { title: 'Forwarded', unit: label => `messages ${label}`, color: '#a78bfa', decimals: 0, value: sample => sample.forwarded },
+  { title: 'Dropped', unit: label => `messages ${label}`, color: '#f87171', decimals: 0, value: sample => sample.dropped }
+];
+
+const HISTORY_ANNOTATIONS = {
+  crashed: { label: 'Engine crashed', color: '#f87171', text: 'text-red-400' },
+  'gave-up': { label: 'Automatic restart disabled', color: '#f87171', text: 'text-red-400' },
+  restarted: { label: 'Engine restarted', color: '#4ade80', text: 'text-green-400' },
+  disconnected: { label: 'Disconnected', color: '#facc15', text: 'text-yellow-400' }
+};
+
+// Selected range (what "Reset Zoom" returns to) and the window on screen
+let historyRange = 'recent';
+let historyView = null; // { start, end } in ms
+let historyZoomed = false;
+let historyData = null;
+let historyVisible = false;
+let historyRefreshTimer = null;
+let historyLoadTimer = null;
+let historyLoadSeq = 0;
+let historyProxyState = null;
+let historyHover = null;
+let historyDrag = null;
+
+function initHistory() {
+  document.querySelectorAll('.history-range').forEach(button => {
+    button.addEventListener('click', () => selectHistoryRange(button.dataset.range));
+  });
+  document.getElementById('btn-history-apply').addEventListener('click', () => selectHistoryRange('custom'));
+  btnHistoryReset.addEventListener('click', resetHistoryZoom);
+  historySubject.addEventListener('change', () => loadHistoryData());
+
+  window.addEventListener('listeners-changed', () => {
+    if (historyVisible) loadHistorySubjects();
+  });
+  window.addEventListener('resize', () => {
+    if (historyVisible) renderHistoryCharts();
+  });
+  window.electronAPI.onProxyStateChanged((state) => {
+    historyProxyState = state;
+    updateShowButton();
+  });
+
+  renderHistoryRangeButtons();
+}
+
+// Called by showView() whenever the visible view changes
+async function historyShown(visible) {
+  historyVisible = visible;
+  clearInterval(historyRefreshTimer);
+  historyRefreshTimer = null;
+  if (!visible) return;
+
+  historyProxyState = await window.electronAPI.getProxyState();
+  updateShowButton();
+  await loadHistorySubjects();
+
+  if (historyRange === 'show' && !historyProxyState.startedAt) historyRange = 'recent';
+  resetHistoryZoom();
+  historyRefreshTimer = setInterval(refreshHistory, HISTORY_REFRESH_INTERVAL);
+}
+
+async function loadHistorySubjects() {
+  const result = await window.electronAPI.dbGetListeners();
+  if (!result.success) return;
+
+  const selected = historySubject.value;
+  historySubject.innerHTML = '<option value="aggregate">All listeners</option>';
+  result.data.forEach(listener => {
+    // Label set through the DOM, so no name can break out of the attribute
+    const group = document.createElement('optgroup');
+    group.label = listener.name;
+    group.innerHTML = `
+      <option value="listener:${listener.id}">${escapeHtml(listener.name)}</option>
+      ${listener.forwarders.map(fwd => `
+        <option value="forwarder:${fwd.id}">${escapeHtml(listener.name)} → ${escapeHtml(fwd.name)}</option>
+      `).join('')}
+    `;
+    historySubject.appendChild(group);
+  });
+
+  const options = [...historySubject.options].map(option => option.value);
+  historySubject.value = options.includes(selected) ? selected : 'aggregate';
+}
+
+function selectedHistorySubject() {
+  const [type, id] = historySubject.value.split(':');
+  return { type, id: id ? Number(id) : null };
+}
+
+function updateShowButton() {
+  const startedAt = historyProxyState && historyProxyState.startedAt;
+  btnHistoryShow.disabled = !startedAt;
+  btnHistoryShow.title = startedAt ? '' : 'Available once the proxy has been started';
+}
+
+// Time window of the selected range, in ms
+function historyRangeWindow() {
+  const now = Date.now();
+
+  if (historyRange === 'show' && historyProxyState && historyProxyState.startedAt) {
+    const end = historyProxyState.running || !historyProxyState.stoppedAt
+      ? now
+      : Date.parse(historyProxyState.stoppedAt);
+    return { start: Date.parse(historyProxyState.startedAt), end };
+  }
+
+  if (historyRange === 'custom') {
+    const start = Date.parse(historyCustomStart.value);
+    const end = Date.parse(historyCustomEnd.value);
+    if (Number.isFinite(start) && Number.isFinite(end) && end > start) {
+      return { start, end };
+    }
+  }
+
+  return { start: now - HISTORY_RECENT_MS, end: now };
+}
+
+function selectHistoryRange(range) {
+  if (range === 'custom' && historyRange !== 'custom' && !historyCustomStart.value) {
+    // Start from the window on screen
+    const { start, end } = historyView || historyRangeWindow();
+    historyCustomStart.value = toDateTimeLocal(start);
+    historyCustomEnd.value = toDateTimeLocal(end);
+  }
+
+  if (range === 'custom' && historyRange === 'custom') {
+    const start = Date.parse(historyCustomStart.value);
+    const end = Date.parse(historyCustomEnd.value);
+    if (!(end > start)) {
+      showNotification('The end of the range must be after its start', 'error');
+      return;
+    }
+  }
+
+  historyRange = range;
+  renderHistoryRangeButtons();
+  resetHistoryZoom();
+}
+
+function renderHistoryRangeButtons() {
+  document.querySelectorAll('.history-range').forEach(button => {
+    const active = button.dataset.range === historyRange;
+    button.className = `history-range px-3 py-2 transition-colors disabled:opacity-40 ${
+      active ? 'bg-proxy-accent text-white' : 'bg-proxy-gray text-gray-300 hover:bg-proxy-gray-light'
+    }`;
+  });
+  historyCustom.classList.toggle('hidden', historyRange !== 'custom');
+}
+
+function resetHistoryZoom() {
+  historyZoomed = false;
+  historyView = historyRangeWindow();
+  btnHistoryReset.classList.add('hidden');
+  loadHistoryData();
+}
+
+function setHistoryView(start, end) {
+  historyView = { start, end };
+  historyZoomed = true;
+  btnHistoryReset.classList.remove('hidden');
+  renderHistoryCharts();
+
+  // Fetch again (possibly at another resolution) once zooming/panning settles
+  clearTimeout(historyLoadTimer);
+  historyLoadTimer = setTimeout(loadHistoryData, 250);
+}
+
+// Relative ranges follow the clock unless the user zoomed or panned
+function refreshHistory() {
+  if (historyZoomed || historyDrag || historyRange === 'custom') return;
+  if (historyRange === 'show' && !(historyProxyState && historyProxyState.running)) return;
+
+  historyView = historyRangeWindow();
+  loadHistoryData();
+}
+
+async function loadHistoryData() {
+  if (!historyView) return;
+
+  const seq = ++historyLoadSeq;
+  const subject = selectedHistorySubject();
+  const startTime = new Date(historyView.start).toISOString();
+  const endTime = new Date(historyView.end).toISOString();
+  const [result, stats] = await Promise.all([
+    window.electronAPI.getMetricsRange(subject, startTime, endTime),
+    window.electronAPI.dbGetConnectionStats({
+      listenerId: subject.type === 'listener' ? subject.id : null,
+      startTime,
+      endTime
+    })
+  ]);
+  // A newer request was made while this one ran
+  if (seq !== historyLoadSeq) return;
+
+  if (!result.success) {
+    showNotification('Failed to load metrics history: ' + result.error, 'error');
+    return;
+  }
+
+  historyData = { ...result.data, subject };
+  renderHistoryCharts();
+  renderHistoryEvents();
+  renderConnectionStats(stats.success ? stats.data : []);
+}
+
+// ==================== CHARTS ====================
+
+function renderHistoryCharts() {
+  if (!historyData || !historyView) return;
+
+  const { start, end } = historyView;
+  historyWindowLabel.textContent =
+    `${formatHistoryTime(start, end - start)} – ${formatHistoryTime(end, end - start)} (${historyData.label})`;
+
+  historyCharts.innerHTML = '';
+  HISTORY_CHARTS.forEach(chart => historyCharts.appendChild(createHistoryChart(chart)));
+  updateHistoryCursor();
+}
+
+function createHistoryChart(chart) {
+  const card = document.createElement('div');
+  card.className = 'metric-card';
+  card.innerHTML = `
+    <div class="flex items-baseline justify-between mb-2">
+      <div>
+        <span class="font-semibold">${chart.title}</span>
+        <span class="text-xs text-gray-400 ml-1">${escapeHtml(chart.unit(historyData.label))}</span>
+      </div>
+      <span class="chart-readout text-xs text-gray-400 font-mono"></span>
+    </div>
+    <div class="chart-area select-none"></div>
+  `;
+
+  const area = card.querySelector('.chart-area');
+  // The card is not in the document yet: size from the charts container less the card padding
+  const width = Math.max(historyCharts.clientWidth - 34, 200);
+  area.innerHTML = buildChartSvg(chart, width);
+  attachChartInteractions(area, width);
+  card.dataset.chart = chart.title;
+  return card;
+}
+
+function buildChartSvg(chart, width) {
+  const { samples, subject, bucketMs, annotations } = historyData;
+  const { start, end } = historyView;
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  const points = samples
+    .map(sample => ({ time: Date.parse(sample.timestamp), value: chart.value(sample, subject) || 0 }))
+    .filter(point => point.time >= start - bucketMs && point.time <= end);
+  const yMax = niceMax(Math.max(0, ...points.map(point => point.value)));
+
+  const x = time => CHART_PADDING.left + ((time - start) / (end - start)) * plotWidth;
+  const y = value => CHART_PADDING.top + plotHeight - (value / yMax) * plotHeight;
+
+  // Break the line where samples are missing (proxy stopped)
+  let path = '';
+  let previous = null;
+  points.forEach(point => {
+    const command = previous === null || point.time - previous > bucketMs * 2.5 ? 'M' : 'L';
+    path += `${command}${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`;
+    previous = point.time;
+  });
+
+  const grid = [0, 0.5, 1].map(fraction => {
+    const value = yMax * fraction;
+    return `
+      <line x1="${CHART_PADDING.left}" x2="${width - CHART_PADDING.right}" y1="${y(value)}" y2="${y(value)}" stroke="#374151" stroke-width="1" />
+      <text x="${CHART_PADDING.left - 6}" y="${y(value) + 3}" text-anchor="end" fill="#9ca3af" font-size="10">${formatNumber(value, chart.decimals && value < 10 ? chart.decimals : 0)}</text>
+    `;
+  }).join('');
+
+  const ticks = timeTicks(start, end, 6).map(time => `
+    <text x="${x(time)}" y="${CHART_HEIGHT - 6}" text-anchor="middle" fill="#9ca3af" font-size="10">${formatHistoryTime(time, end - start)}</text>
+  `).join('');
+
+  const marks = annotations
+    .filter(annotation => Date.parse(annotation.start) <= end && Date.parse(annotation.end || annotation.start) >= start)
+    .map(annotation => {
+      const style = HISTORY_ANNOTATIONS[annotation.type] || HISTORY_ANNOTATIONS.crashed;
+      const from = Math.max(x(Date.parse(annotation.start)), CHART_PADDING.left);
+      const title = `<title>${escapeHtml(`${style.label}: ${annotation.message || ''}`)}</title>`;
+      if (annotation.end) {
+        const to = Math.min(x(Date.parse(annotation.end)), width - CHART_PADDING.right);
+        return `<rect x="${from}" y="${CHART_PADDING.top}" width="${Math.max(to - from, 2)}" height="${plotHeight}" fill="${style.color}" fill-opacity="0.15">${title}</rect>`;
+      }
+      return `<line x1="${from}" x2="${from}" y1="${CHART_PADDING.top}" y2="${CHART_PADDING.top + plotHeight}" stroke="${style.color}" stroke-width="2" stroke-dasharray="4 3">${title}</line>`;
+    }).join('');
+
+  const cursor = `
+    <line class="chart-cursor" y1="${CHART_PADDING.top}" y2="${CHART_PADDING.top + plotHeight}" stroke="#e5e7eb" stroke-width="1" stroke-opacity="0.5" pointer-events="none" visibility="hidden" />
+  `;
+
+  const empty = points.length === 0
+    ? `<text x="${width / 2}" y="${CHART_PADDING.top + plotHeight / 2}" text-anchor="middle" fill="#6b7280" font-size="12">No metrics recorded in this range</text>`
+    : '';
+
+  return `
+    <svg width="${width}" height="${CHART_HEIGHT}" class="cursor-crosshair">
+      ${grid}
+      ${ticks}
+      ${marks}
+      <path d="${path}" fill="none" stroke="${chart.color}" stroke-width="1.5" stroke-linejoin="round" pointer-events="none" />
+      ${cursor}
+      ${empty}
+    </svg>
+  `;
+}
+
+function attachChartInteractions(area, width) {
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const timeAt = (e) => {
+    const offset = e.clientX - area.getBoundingClientRect().left - CHART_PADDING.left;
+    const { start, end } = historyView;
+    return start + (Math.min(Math.max(offset, 0), plotWidth) / plotWidth) * (end - start);
+  };
+
+  area.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const anchor = timeAt(e);
+    const factor = e.deltaY > 0 ? 1.25 : 0.8;
+    const { start, end } = historyView;
+    if ((end - start) * factor < HISTORY_MIN_SPAN) return;
+    setHistoryView(anchor - (anchor - start) * factor, anchor + (end - anchor) * factor);
+  }, { passive: false });
+
+  area.addEventListener('mousedown', (e) => {
+    historyDrag = { x: e.clientX, view: { ...historyView } };
+    const move = (moveEvent) => {
+      const shift = ((historyDrag.x - moveEvent.clientX) / plotWidth) * (historyDrag.view.end - historyDrag.view.start);
+      if (shift !== 0) setHistoryView(historyDrag.view.start + shift, historyDrag.view.end + shift);
+    };
+    const up = () => {
+      historyDrag = null;
+      window.removeEventListener('mousemove', move);
+      window.removeEventListener('mouseup', up);
+    };
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', up);
+  });
+
+  area.addEventListener('dblclick', resetHistoryZoom);
+
+  area.addEventListener('mousemove', (e) => {
+    if (historyDrag) return;
+    historyHover = timeAt(e);
+    updateHistoryCursor();
+  });
+  area.addEventListener('mouseleave', () => {
+    historyHover = null;
+    updateHistoryCursor();
+  });
+}
+
+// Move the cursor on every chart so they stay in line
+function updateHistoryCursor() {
+  historyCharts.querySelectorAll('[data-chart]').forEach(card => {
+    const chart = HISTORY_CHARTS.find(c => c.title === card.dataset.chart);
+    const line = card.querySelector('.chart-cursor');
+    if (historyHover === null) {
+      line.setAttribute('visibility', 'hidden');
+    } else {
+      const plotWidth = Number(card.querySelector('svg').getAttribute('width')) - CHART_PADDING.left - CHART_PADDING.right;
+      const { start, end } = historyView;
+      const position = CHART_PADDING.left + ((historyHover - start) / (end - start)) * plotWidth;
+      line.setAttribute('x1', position);
+      line.setAttribute('x2', position);
+      line.setAttribute('visibility', 'visible');
+    }
+    updateChartReadout(card, chart);
+  });
+}
+
+function updateChartReadout(card, chart) {
+  const readout = card.querySelector('.chart-readout');
+  const sample = historyHover === null ? null : nearestSample(historyHover);
+  if (!sample) {
+    readout.textContent = '';
+    return;
+  }
+
+  const time = Date.parse(sample.timestamp);
+  const value = chart.value(sample, historyData.subject) || 0;
+  readout.textContent = `${formatNumber(value, chart.decimals)} at ${formatHistoryTime(time, historyData.bucketMs)}`;
+}
+
+function nearestSample(time) {
+  const { samples, bucketMs } = historyData;
+  let best = null;
+  samples.forEach(sample => {
+    const distance = Math.abs(Date.parse(sample.timestamp) - time);
+    if (distance <= bucketMs * 2 && (!best || distance < best.distance)) {
+      best = { sample, distance };
+    }
+  });
+  return best && best.sample;
+}
+
+function renderHistoryEvents() {
+  const { annotations } = historyData;
+  historyEventsSection.classList.toggle('hidden', annotations.length === 0);
+
+  historyEvents.innerHTML = annotations.map(annotation => {
+    const style = HISTORY_ANNOTATIONS[annotation.type] || HISTORY_ANNOTATIONS.crashed;
+    return `
+      <div class="flex items-center gap-3">
+        <span class="font-mono text-gray-400">${new Date(annotation.start).toLocaleString('en-US', { hour12: false })}</span>
+        <span class="font-medium ${style.text}">${style.label}</span>
+        <span class="text-gray-300">${escapeHtml(annotation.message || '')}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+// Least stable destinations first (sorted by the database)
+function renderConnectionStats(stats) {
+  const { subject } = historyData;
+  const rows = subject.type === 'forwarder' ? stats.filter(row => row.forwarder_id === subject.id) : stats;
+  historyConnectionsSection.classList.toggle('hidden', rows.length === 0);
+
+  historyConnections.innerHTML = rows.map(row => {
+    const unstable = row.disconnects > 0 || row.failed_attempts > 0;
+    return `
+      <tr class="border-b border-proxy-gray-light/10 last:border-0">
+        <td class="py-2 px-2">
+          <div class="font-medium">${escapeHtml(row.listener_name)} → ${escapeHtml(row.forwarder_name)}</div>
+          <div class="text-gray-500 font-mono">${row.protocol.toUpperCase()} ${escapeHtml(row.host)}:${row.port}</div>
+        </td>
+        <td class="py-2 px-2 text-right font-mono ${row.disconnects > 0 ? 'text-yellow-400' : ''}">${formatNumber(row.disconnects)}</td>
+        <td class="py-2 px-2 text-right font-mono ${row.failed_attempts > 0 ? 'text-red-400' : ''}">${formatNumber(row.failed_attempts)}</td>
+        <td class="py-2 px-2 text-right font-mono">${formatOutage(row.outage_ms)}</td>
+        <td class="py-2 px-2 text-right font-mono">${formatOutage(row.longest_outage_ms)}</td>
+        <td class="py-2 px-2 ${unstable ? 'text-gray-300' : 'text-gray-500'}">${escapeHtml(row.last_reason || '-')}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// ==================== HELPERS ====================
+
+// Round up to 1, 2 or 5 times a power of ten
+function niceMax(value) {
+  if (value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+  return step * magnitude;
+}
+
+function timeTicks(start, end, count) {
+  const steps = [1, 5, 10, 30, 60, 300, 600, 1800, 3600, 7200, 21600, 43200, 86400].map(s => s * 1000);
+  const step = steps.find(s => (end - start) / s <= count) || 7 * 86400 * 1000;
+  const offset = new Date().getTimezoneOffset() * 60 * 1000;
+  const ticks = [];
+  // Align to local time so ticks land on round hours/days
+  for (let time = Math.ceil((start - offset) / step) * step + offset; time <= end; time += step) {
+    ticks.push(time);
+  }
+  return ticks;
+}
+
+function formatHistoryTime(time, span) {
+  const date = new Date(time);
+  const clock = date.toLocaleTimeString('en-US', {
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+    ...(span < 30 * 60 * 1000 ? { second: '2-digit' } : {})
+  });
+  if (span < 24 * 60 * 60 * 1000) return clock;
+  return `${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} ${clock}`;
+}
+
+function formatOutage(ms) {
+  if (!ms) return '-';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+function toDateTimeLocal(time) {
+  const date = new Date(time - new Date(time).getTimezoneOffset() * 60 * 1000);
+  return date.toISOString().slice(0, 16);
+}
+
+window.historyShown = historyShown;
+
+initHistory();
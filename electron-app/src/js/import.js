@@ -0,0 +1,167 @@
+// Configuration import: file dialog, diff preview and apply (File → Import…)
+
+const importModal = document.getElementById('import-modal');
+const importFileName = document.getElementById('import-file-name');
+const importErrors = document.getElementById('import-errors');
+const importWarnings = document.getElementById('import-warnings');
+const importDiff = document.getElementById('import-diff');
+const btnApplyImport = document.getElementById('btn-apply-import');
+const btnCancelImport = document.getElementById('btn-cancel-import');
+
+const IMPORT_ACTIONS = {
+  create: { label: 'Add', color: 'text-green-400' },
+  update: { label: 'Update', color: 'text-yellow-400' },
+  delete: { label: 'Remove', color: 'text-red-400' },
+  unchanged: { label: 'Unchanged', color: 'text-gray-500' }
+};
+
+// Listeners from the opened file (validated by the main process)
+let importListeners = null;
+let importPlan = null;
+
+function initImport() {
+  window.electronAPI.onShowImport(startImport);
+  btnCancelImport.addEventListener('click', hideImport);
+  btnApplyImport.addEventListener('click', applyImport);
+  document.querySelectorAll('input[name="import-mode"]').forEach(input => {
+    input.addEventListener('change', previewImport);
+  });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !importModal.classList.contains('hidden')) {
+      e.stopImmediatePropagation();
+      hideImport();
+    }
+  }, true);
+}
+
+async function startImport() {
+  const result = await window.electronAPI.openImportFile();
+  if (!result.success) {
+    showNotification('Could not read file: ' + result.error, 'error');
+    return;
+  }
+  if (!result.data) return; // Cancelled
+
+  const { fileName, listeners, errors } = result.data;
+  importFileName.textContent = fileName;
+  importListeners = listeners;
+  importPlan = null;
+  importModal.classList.remove('hidden');
+
+  if (errors.length > 0) {
+    showImportMessages(importErrors, errors);
+    showImportMessages(importWarnings, []);
+    importDiff.innerHTML = '';
+    btnApplyImport.disabled = true;
+    return;
+  }
+
+  showImportMessages(importErrors, []);
+  await previewImport();
+}
+
+function selectedImportMode() {
+  return document.querySelector('input[name="import-mode"]:checked').value;
+}
+
+async function previewImport() {
+  if (!importListeners) return;
+
+  const result = await window.electronAPI.previewImport(importListeners, selectedImportMode());
+  if (!result.success) {
+    showImportMessages(importErrors, [result.error]);
+    btnApplyImport.disabled = true;
+    return;
+  }
+
+  importPlan = result.data;
+  showImportMessages(importErrors, []);
+  showImportMessages(importWarnings, importPlan.warnings);
+  renderImportDiff(importPlan);
+
+  const { summary } = importPlan;
+  btnApplyImport.disabled = summary.create + summary.update + summary.delete === 0;
+}
+
+function showImportMessages(container, messages) {
+  container.innerHTML = messages.map(message => `<div>${escapeHtml(message)}</div>`).join('');
+  container.classList.toggle('hidden', messages.length === 0);
+}
+
+function renderImportDiff(plan) {
+  if (plan.listeners.length === 0) {
+    importDiff.innerHTML = '<p class="text-gray-500 text-center py-6">The file has no listeners</p>';
+    return;
+  }
+
+  importDiff.innerHTML = plan.listeners.map(listener => {
+    const action = IMPORT_ACTIONS[listener.action];
+    const forwarders = listener.forwarders
+      .filter(fwd => fwd.action !== 'unchanged')
+      .map(fwd => `
+        <div class="ml-4 mt-1">
+          <span class="${IMPORT_ACTIONS[fwd.action].color}">${IMPORT_ACTIONS[fwd.action].label}</span>
+          forwarder <span class="font-medium">${escapeHtml(fwd.name)}</span>
+          ${formatImportChanges(fwd.changes)}
+        </div>
+      `).join('');
+
+    return `
+      <div class="p-3 bg-proxy-gray border border-proxy-gray-light rounded">
+        <div>
+          <span class="${action.color} font-semibold">${action.label}</span>
+          listener <span class="font-medium">${escapeHtml(listener.name)}</span>
+          ${formatImportTarget(listener)}
+        </div>
+        ${formatImportChanges(listener.changes)}
+        ${forwarders}
+      </div>
+    `;
+  }).join('');
+}
+
+function formatImportTarget(listener) {
+  if (!listener.data) return '';
+  const { protocol, bind_address: bind, port } = listener.data;
+  return `<span class="text-xs text-gray-400 font-mono ml-2">${protocol.toUpperCase()} ${escapeHtml(bind)}:${port}</span>`;
+}
+
+function formatImportChanges(changes) {
+  if (!changes || changes.length === 0) return '';
+  const items = changes.map(change =>
+    `${escapeHtml(change.field)}: <span class="text-gray-500">${escapeHtml(change.from)}</span> → ${escapeHtml(change.to)}`
+  );
+  return `<div class="text-xs text-gray-400 font-mono mt-1">${items.join('<br>')}</div>`;
+}
+
+async function applyImport() {
+  const mode = selectedImportMode();
+  if (mode === 'replace' && importPlan && importPlan.summary.delete > 0 &&
+      !confirm(`Replace the configuration? ${importPlan.summary.delete} listener(s) will be removed.`)) {
+    return;
+  }
+
+  btnApplyImport.disabled = true;
+  const result = await window.electronAPI.applyImport(importListeners, mode);
+  if (!result.success) {
+    showNotification('Import failed: ' + result.error, 'error');
+    btnApplyImport.disabled = false;
+    return;
+  }
+
+  hideImport();
+  showNotification('Configuration imported', 'success');
+  window.dispatchEvent(new CustomEvent('listeners-changed'));
+  if (!document.getElementById('view-settings').classList.contains('hidden') && window.settingsInit) {
+    window.settingsInit();
+  }
+}
+
+function hideImport() {
+  importModal.classList.add('hidden');
+  importListeners = null;
+  importPlan = null;
+}
+
+initImport();
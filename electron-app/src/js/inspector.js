@@ -0,0 +1,203 @@
+// Message Inspector window renderer
+
+const messageList = document.getElementById('message-list');
+const inspectorStatus = document.getElementById('inspector-status');
+const filterAddress = document.getElementById('filter-address');
+const toggleHex = document.getElementById('toggle-hex');
+const btnPause = document.getElementById('btn-pause');
+const btnClear = document.getElementById('btn-clear');
+const btnClose = document.getElementById('btn-close');
+
+const MAX_ENTRIES = 500;
+
+const OUTCOME_COLORS = {
+  forwarded: 'text-green-400',
+  scheduled: 'text-purple-300',
+  throttled: 'text-blue-300',
+  buffered: 'text-blue-400',
+  dropped: 'text-yellow-400',
+  failed: 'text-red-400',
+  filtered: 'text-gray-500'
+};
+
+// State
+let entries = [];
+let paused = false;
+let received = 0;
+let missed = 0;
+
+// Initialize
+function init() {
+  btnPause.addEventListener('click', togglePause);
+  btnClear.addEventListener('click', clearEntries);
+  btnClose.addEventListener('click', () => window.close());
+  filterAddress.addEventListener('input', render);
+  toggleHex.addEventListener('change', render);
+
+  // ESC key to close
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      window.close();
+    }
+  });
+
+  window.electronAPI.onMessageTrace(handleBatch);
+}
+
+function handleBatch(batch) {
+  received += batch.entries.length;
+  missed += batch.skipped;
+
+  if (!paused) {
+    entries = batch.entries.reverse().concat(entries).slice(0, MAX_ENTRIES);
+    render();
+  }
+
+  updateStatus();
+}
+
+function togglePause() {
+  paused = !paused;
+  btnPause.textContent = paused ? 'Resume' : 'Pause';
+  updateStatus();
+}
+
+function clearEntries() {
+  entries = [];
+  received = 0;
+  missed = 0;
+  render();
+  updateStatus();
+}
+
+function updateStatus() {
+  let text = `${received.toLocaleString('en-US')} message(s) received`;
+  if (missed > 0) {
+    text += ` · ${missed.toLocaleString('en-US')} not shown (rate too high)`;
+  }
+  if (paused) {
+    text += ' · paused';
+  }
+  inspectorStatus.textContent = text;
+}
+
+function render() {
+  const filter = filterAddress.value.trim().toLowerCase();
+  const visible = filter ? entries.filter(entry => matchesFilter(entry, filter)) : entries;
+
+  if (visible.length === 0) {
+    const text = entries.length === 0
+      ? 'Messages received by running listeners will appear here'
+      : 'No messages match the filter';
+    messageList.innerHTML = `<tr><td colspan="7" class="text-gray-500 text-center py-8">${text}</td></tr>`;
+    return;
+  }
+
+  messageList.innerHTML = visible.map(renderEntry).join('');
+}
+
+function matchesFilter(entry, filter) {
+  return messageAddresses(entry.packet).some(address => address.toLowerCase().includes(filter));
+}
+
+function messageAddresses(packet) {
+  if (!packet) return [];
+  if (packet.type === 'bundle') {
+    return packet.elements.flatMap(messageAddresses);
+  }
+  return [packet.address];
+}
+
+// A bundle's messages can fare differently: "forwarded (3), filtered (1)"
+function deliveryOutcome(delivery) {
+  const counts = Object.entries(delivery.messages || {});
+  if (counts.length <= 1 && !(counts[0] && counts[0][1] > 1)) return delivery.outcome;
+  return counts.map(([outcome, count]) => `${outcome} (${count})`).join(', ');
+}
+
+function renderEntry(entry) {
+  const time = new Date(entry.timestamp);
+  const timeText = `${time.toLocaleTimeString('en-US', { hour12: false })}.${String(time.getMilliseconds()).padStart(3, '0')}`;
+  const deliveries = entry.deliveries.map(d =>
+    `<span class="${OUTCOME_COLORS[d.outcome] || 'text-gray-400'}">${escapeHtml(d.name)}: ${deliveryOutcome(d)}</span>`
+  ).join('<br>') || '<span class="text-gray-500">no forwarders</span>';
+
+  let html = '';
+  const rows = packetRows(entry);
+
+  rows.forEach((row, index) => {
+    const first = index === 0;
+    html += `
+      <tr class="${first ? 'border-t border-proxy-gray-light/30' : ''} hover:bg-proxy-gray-light/10 align-top">
+        <td class="py-1.5 px-3 font-mono text-gray-400 whitespace-nowrap">${first ? timeText : ''}</td>
+        <td class="py-1.5 px-3">${first ? escapeHtml(entry.listenerName || '') : ''}</td>
+        <td class="py-1.5 px-3 font-mono text-gray-400 whitespace-nowrap">${first ? escapeHtml(entry.source) : ''}</td>
+        <td class="py-1.5 px-3 font-mono ${row.error ? 'text-red-400' : 'text-green-400'}">${escapeHtml(row.address)}</td>
+        <td class="py-1.5 px-3 font-mono text-gray-400">${escapeHtml(row.typeTags)}</td>
+        <td class="py-1.5 px-3 font-mono">${row.args}</td>
+        <td class="py-1.5 px-3 whitespace-nowrap">${first ? deliveries : ''}</td>
+      </tr>
+    `;
+  });
+
+  if (toggleHex.checked) {
+    html += `
+      <tr>
+        <td></td>
+        <td colspan="6" class="pb-2 px-3"><pre class="font-mono text-gray-500 whitespace-pre">${escapeHtml(entry.hex)}</pre></td>
+      </tr>
+    `;
+  }
+
+  return html;
+}
+
+// One table row per message; bundles are flattened with their timetag shown
+function packetRows(entry) {
+  if (!entry.packet) {
+    return [{ address: `Malformed packet (${entry.size} bytes)`, typeTags: '', args: escapeHtml(entry.error || ''), error: true }];
+  }
+
+  const rows = [];
+  const walk = (packet, depth) => {
+    const indent = '&nbsp;&nbsp;'.repeat(depth);
+    if (packet.type === 'bundle') {
+      rows.push({ address: '#bundle', typeTags: '', args: `${indent}timetag ${escapeHtml(packet.timetag)}` });
+      packet.elements.forEach(element => walk(element, depth + 1));
+    } else {
+      rows.push({
+        address: packet.address,
+        typeTags: packet.typeTags,
+        args: indent + packet.args.map(formatArgument).join(' ')
+      });
+    }
+  };
+  walk(entry.packet, 0);
+
+  return rows;
+}
+
+function formatArgument(arg) {
+  let value;
+  switch (arg.type) {
+    case 's':
+    case 'S':
+      value = `"${escapeHtml(arg.value)}"`;
+      break;
+    case '[':
+      return `[${arg.value.map(formatArgument).join(' ')}]`;
+    case 'b':
+      value = `&lt;${arg.value.length / 2} bytes&gt;`;
+      break;
+    default:
+      value = escapeHtml(String(arg.value));
+  }
+  return `<span class="text-gray-500">${arg.type}:</span>${value}`;
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
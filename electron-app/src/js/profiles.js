@@ -0,0 +1,152 @@
+// Show profiles: header switcher and the profile list in General settings
+
+const profileSelect = document.getElementById('profile-select');
+const profilesList = document.getElementById('profiles-list');
+const settingsProfileName = document.getElementById('settings-profile-name');
+const newProfileName = document.getElementById('new-profile-name');
+
+let profiles = [];
+let activeProfile = null;
+
+async function initProfiles() {
+  window.electronAPI.onProfilesChanged(updateProfiles);
+  profileSelect.addEventListener('change', () => switchProfile(Number(profileSelect.value)));
+  document.getElementById('btn-copy-profile').addEventListener('click', () => createProfile(true));
+  document.getElementById('btn-create-profile').addEventListener('click', () => createProfile(false));
+  newProfileName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') createProfile(true);
+  });
+
+  const result = await window.electronAPI.dbGetProfiles();
+  if (result.success) updateProfiles(result.data);
+}
+
+function updateProfiles({ profiles: list, active }) {
+  const switched = activeProfile && activeProfile.id !== active.id;
+  profiles = list;
+  activeProfile = active;
+
+  renderProfileSelect();
+  renderProfilesList();
+  settingsProfileName.textContent = active.name;
+
+  if (switched) {
+    window.dispatchEvent(new CustomEvent('listeners-changed'));
+    if (!document.getElementById('view-settings').classList.contains('hidden') && window.settingsInit) {
+      window.settingsInit();
+    }
+  }
+}
+
+function renderProfileSelect() {
+  profileSelect.innerHTML = profiles.map(profile => `
+    <option value="${profile.id}" ${profile.active ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+  `).join('');
+}
+
+function renderProfilesList() {
+  profilesList.innerHTML = '';
+
+  profiles.forEach(profile => {
+    const row = document.createElement('div');
+    row.className = 'flex items-center justify-between gap-3 p-3 bg-proxy-gray border border-proxy-gray-light rounded';
+    row.innerHTML = `
+      <div class="flex-1 min-w-0">
+        <span class="profile-name font-medium">${escapeHtml(profile.name)}</span>
+        ${profile.active ? '<span class="ml-2 text-xs text-green-400">Active</span>' : ''}
+        <div class="text-xs text-gray-400">${profile.listener_count} listener(s)</div>
+      </div>
+      <div class="flex gap-2 flex-shrink-0">
+        ${profile.active ? '' : '<button class="btn-switch text-xs text-proxy-accent hover:text-proxy-accent-light">Switch</button>'}
+        <button class="btn-rename text-xs text-gray-400 hover:text-white">Rename</button>
+        ${profile.active ? '' : '<button class="btn-delete text-xs text-red-400 hover:text-red-300">Delete</button>'}
+      </div>
+    `;
+
+    const btnSwitch = row.querySelector('.btn-switch');
+    if (btnSwitch) btnSwitch.addEventListener('click', () => switchProfile(profile.id));
+    const btnDelete = row.querySelector('.btn-delete');
+    if (btnDelete) btnDelete.addEventListener('click', () => deleteProfile(profile));
+    row.querySelector('.btn-rename').addEventListener('click', () => startRename(row, profile));
+
+    profilesList.appendChild(row);
+  });
+}
+
+async function switchProfile(id) {
+  const result = await window.electronAPI.switchProfile(id);
+  if (!result.success) {
+    showNotification('Failed to switch profile: ' + result.error, 'error');
+  }
+  // Cancelled or failed: show the active profile again
+  if (!result.success || !result.data.switched) {
+    renderProfileSelect();
+  }
+}
+
+async function createProfile(copyActive) {
+  const name = newProfileName.value.trim();
+  if (!name) {
+    showNotification('Enter a name for the new profile', 'error');
+    newProfileName.focus();
+    return;
+  }
+
+  const result = await window.electronAPI.dbCreateProfile(name, copyActive ? activeProfile.id : null);
+  if (!result.success) {
+    showNotification('Failed to create profile: ' + result.error, 'error');
+    return;
+  }
+
+  newProfileName.value = '';
+  showNotification(`Profile "${name}" created`, 'success');
+}
+
+function startRename(row, profile) {
+  const label = row.querySelector('.profile-name');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = profile.name;
+  input.className = 'bg-proxy-dark border border-proxy-gray-light rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-proxy-accent';
+  label.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = async (save) => {
+    if (done) return;
+    done = true;
+
+    const name = input.value.trim();
+    if (save && name && name !== profile.name) {
+      const result = await window.electronAPI.dbRenameProfile(profile.id, name);
+      if (!result.success) {
+        showNotification('Failed to rename profile: ' + result.error, 'error');
+      }
+    }
+    renderProfilesList();
+  };
+
+  input.addEventListener('keydown', (e) => {
+    // Keep Escape from closing the settings view
+    e.stopPropagation();
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+async function deleteProfile(profile) {
+  if (!confirm(`Delete profile "${profile.name}" and its ${profile.listener_count} listener(s)?`)) {
+    return;
+  }
+
+  const result = await window.electronAPI.dbDeleteProfile(profile.id);
+  if (!result.success) {
+    showNotification('Failed to delete profile: ' + result.error, 'error');
+    return;
+  }
+  showNotification(`Profile "${profile.name}" deleted`, 'success');
+}
+
+initProfiles();
@@ -21,23 +21,71 @@ const metricLoss = document.getElementById('metric-loss');
 
 const rateSparkline = document.getElementById('rate-sparkline');
 
+// Engine supervision
+const engineBanner = document.getElementById('engine-banner');
+const engineBannerTitle = document.getElementById('engine-banner-title');
+const engineBannerMessage = document.getElementById('engine-banner-message');
+const engineHistorySection = document.getElementById('engine-history-section');
+const engineHistory = document.getElementById('engine-history');
+
 // State
 let isRunning = false;
 let rateHistory = [];
 const MAX_SPARKLINE_POINTS = 30;
 
+// Cards are built from the database rows, overlaid with live metrics for
+// listeners the engine reports running. listenerStates comes from main.js
+// and is the only source of a listener's status.
+let listenerConfigs = [];
+let liveListeners = new Map();
+let listenerStates = {};
+let recordings = {}; // Listener ID -> recording in progress (see lib/session-recorder.js)
+
+let engineEvents = [];
+const MAX_ENGINE_EVENTS = 20;
+
+const ENGINE_EVENTS = {
+  crashed: { title: 'Engine crashed', color: 'text-red-400', banner: 'border-red-800/50 bg-red-900/20' },
+  'gave-up': { title: 'Engine keeps crashing - automatic restart disabled', color: 'text-red-400', banner: 'border-red-800/50 bg-red-900/20' },
+  restarted: { title: 'Engine restarted', color: 'text-green-400', banner: 'border-green-800/50 bg-green-900/20' }
+};
+
+const LISTENER_STATUS = {
+  running: { label: 'Running', color: 'text-green-400', icon: 'status-connected' },
+  starting: { label: 'Starting...', color: 'text-yellow-400', icon: 'status-idle' },
+  stopping: { label: 'Stopping...', color: 'text-yellow-400', icon: 'status-idle' },
+  failed: { label: 'Failed', color: 'text-red-400', icon: 'status-disconnected' },
+  stopped: { label: 'Stopped', color: 'text-gray-500', icon: 'status-idle' }
+};
+
 // Initialize
 async function init() {
   // Get initial state
   const state = await window.electronAPI.getProxyState();
   updateProxyState(state);
 
+  listenerStates = await window.electronAPI.getListenerStates();
+  recordings = await window.electronAPI.getRecordings();
+
   // Load listeners from database to show even when stopped
   await loadListenersFromDatabase();
 
   // Listen for updates from main process
   window.electronAPI.onMetricsUpdate(updateMetrics);
   window.electronAPI.onProxyStateChanged(updateProxyState);
+  window.electronAPI.onListenerStatesChanged(updateListenerStates);
+  window.electronAPI.onEngineEvent(handleEngineEvent);
+  window.electronAPI.onRecordingsChanged(updateRecordings);
+
+  await loadEngineEvents();
+
+  document.getElementById('btn-engine-dismiss').addEventListener('click', () => {
+    engineBanner.classList.add('hidden');
+  });
+  document.getElementById('btn-engine-history').addEventListener('click', () => {
+    engineHistorySection.scrollIntoView({ behavior: 'smooth' });
+  });
+  window.electronAPI.onForwarderState(updateForwarderState);
 
   // Set up button handlers
   startButton.addEventListener('click', async () => {
@@ -60,6 +108,10 @@ async function init() {
   // Listen for settings open command from main process
   window.electronAPI.onShowSettings(() => showView('settings'));
 
+  document.getElementById('btn-open-history').addEventListener('click', () => showView('history'));
+  document.getElementById('btn-close-history').addEventListener('click', () => showView('dashboard'));
+  window.electronAPI.onShowHistory(() => showView('history'));
+
   // Listen for listener changes from settings view
   window.addEventListener('listeners-changed', () => {
     loadListenersFromDatabase();
@@ -67,30 +119,30 @@ async function init() {
 }
 
 function showView(view) {
-  const dashboard = document.getElementById('view-dashboard');
-  const settings = document.getElementById('view-settings');
-  const dashboardHeader = document.getElementById('dashboard-header');
-  const settingsHeader = document.getElementById('settings-header');
+  const views = {
+    dashboard: ['view-dashboard', 'dashboard-header'],
+    settings: ['view-settings', 'settings-header'],
+    history: ['view-history', 'history-header']
+  };
+
+  Object.entries(views).forEach(([name, ids]) => {
+    ids.forEach(id => document.getElementById(id).classList.toggle('hidden', name !== view));
+  });
 
   if (view === 'dashboard') {
-    dashboard.classList.remove('hidden');
-    settings.classList.add('hidden');
-    dashboardHeader.classList.remove('hidden');
-    settingsHeader.classList.add('hidden');
-
     // Reload listeners on dashboard when switching back
     loadListenersFromDatabase();
   } else if (view === 'settings') {
-    dashboard.classList.add('hidden');
-    settings.classList.remove('hidden');
-    dashboardHeader.classList.add('hidden');
-    settingsHeader.classList.remove('hidden');
-
     // Trigger settings init if it exists
     if (window.settingsInit) {
       window.settingsInit();
     }
   }
+
+  // The history view refreshes only while it is visible
+  if (window.historyShown) {
+    window.historyShown(view === 'history');
+  }
 }
 
 // Expose showView globally for menu commands
@@ -99,9 +151,9 @@ window.showView = showView;
 async function loadListenersFromDatabase() {
   try {
     const result = await window.electronAPI.dbGetListeners();
-    if (result.success && result.data && result.data.length > 0) {
-      // Show listeners in idle/stopped state with their forwarders
-      const listeners = result.data.map(listener => ({
+    if (result.success && result.data) {
+      // Idle/stopped shape for each listener with its forwarders
+      listenerConfigs = result.data.map(listener => ({
         id: listener.id,
         name: listener.name,
         protocol: listener.protocol,
@@ -117,6 +169,7 @@ async function loadListenersFromDatabase() {
         bind_address: listener.bind_address,
         port: listener.port,
         forwarders: (listener.forwarders || []).map(fwd => ({
+          id: fwd.id,
           name: fwd.name,
           protocol: fwd.protocol,
           host: fwd.host,
@@ -125,11 +178,15 @@ async function loadListenersFromDatabase() {
           latency: 0,
           forwarded: 0,
           dropped: 0,
-          failed: 0
+          failed: 0,
+          filtered: 0,
+          coalesced: 0,
+          disconnect_policy: fwd.disconnect_policy,
+          queued: 0
         })),
         forwarders_count: listener.forwarders ? listener.forwarders.length : 0
       }));
-      updateListeners(listeners);
+      renderListeners();
     }
   } catch (error) {
     console.error('Failed to load listeners from database:', error);
@@ -147,6 +204,12 @@ function updateProxyState(state) {
   } else if (state.running) {
     statusIndicator.classList.add('status-disconnected');
     statusText.textContent = 'Starting...';
+  } else if (state.crashLoop) {
+    statusIndicator.classList.add('status-disconnected');
+    statusText.textContent = 'Crashed - start manually';
+  } else if (state.restartAt) {
+    statusIndicator.classList.add('status-disconnected');
+    statusText.textContent = 'Restarting...';
   } else {
     statusIndicator.classList.add('status-idle');
     statusText.textContent = 'Idle';
@@ -172,7 +235,8 @@ function updateMetrics(metrics) {
   if (metrics.aggregate && metrics.listeners) {
     // New multi-listener format
     updateAggregateMetrics(metrics.aggregate);
-    updateListeners(metrics.listeners);
+    liveListeners = new Map(metrics.listeners.map(listener => [listener.id, listener]));
+    renderListeners();
   } else {
     // Old single-listener format (fallback)
     updateAggregateMetrics(metrics);
@@ -196,6 +260,30 @@ function updateAggregateMetrics(metrics) {
   metricLoss.textContent = formatNumber(metrics.loss_pct || metrics.lossPct || 0, 1);
 }
 
+function updateListenerStates(states) {
+  listenerStates = states;
+  renderListeners();
+}
+
+function updateRecordings(states) {
+  recordings = states;
+  renderListeners();
+}
+
+function renderListeners() {
+  const listeners = listenerConfigs.map(config => {
+    const state = listenerStates[config.id];
+    const live = state ? liveListeners.get(config.id) : null;
+    return {
+      ...(live || config),
+      status: state ? state.status : 'stopped',
+      error: state ? state.error : null
+    };
+  });
+
+  updateListeners(listeners);
+}
+
 function updateListeners(listeners) {
   // Clear existing listener cards except the no-listeners message
   const existingCards = listenersContainer.querySelectorAll('.listener-card');
@@ -222,32 +310,55 @@ function updateListeners(listeners) {
   });
 }
 
+// Connection changes arrive between metrics frames; update the dot in place
+function updateForwarderState(state) {
+  const cell = listenersContainer.querySelector(
+    `.listener-card[data-listener-id="${state.listener_id}"] .forwarder-state[data-forwarder-id="${state.forwarder_id}"]`
+  );
+  if (!cell) return;
+
+  cell.textContent = state.connected ? '●' : '○';
+  cell.classList.toggle('text-green-400', state.connected);
+  cell.classList.toggle('text-red-400', !state.connected);
+}
+
 function createListenerCard(listener) {
   const card = document.createElement('div');
   card.className = 'listener-card metric-card';
-
-  const statusColor = listener.status === 'running' ? 'text-green-400' : 'text-gray-500';
-  const statusIcon = listener.status === 'running' ? 'status-connected' : 'status-idle';
+  card.dataset.listenerId = listener.id;
+
+  const status = LISTENER_STATUS[listener.status] || LISTENER_STATUS.stopped;
+  const isActive = listener.status === 'running' || listener.status === 'starting';
+  const isPending = listener.status === 'starting' || listener.status === 'stopping';
+  const recording = recordings[listener.id];
+  const recordHtml = listener.status !== 'running' ? '' : recording
+    ? `<button class="listener-record-btn px-3 py-1 text-xs font-medium rounded transition-colors bg-red-900/40 border border-red-700 text-red-300 hover:bg-red-900/60" title="Stop recording">■ Rec ${formatElapsed(recording.started_at)} · ${formatNumber(recording.messages)}</button>`
+    : '<button class="listener-record-btn px-3 py-1 text-xs font-medium rounded transition-colors border border-proxy-gray-light text-gray-300 hover:text-white" title="Record everything this listener receives">● Rec</button>';
+  const errorHtml = listener.status === 'failed' && listener.error
+    ? `<div class="mb-4 px-3 py-2 text-xs text-red-400 bg-red-900/20 border border-red-800/50 rounded">${escapeHtml(listener.error)}</div>`
+    : '';
 
   // Listener header and metrics
   let html = `
     <div class="flex items-center justify-between mb-4 pb-3 border-b border-proxy-gray-light">
       <div class="flex items-center gap-3">
-        <div class="status-indicator ${statusIcon}"></div>
+        <div class="status-indicator ${status.icon}"></div>
         <div>
           <h3 class="text-lg font-semibold">${escapeHtml(listener.name || 'Unnamed')}</h3>
           <div class="text-xs text-gray-400 mt-0.5">
-            ${listener.protocol ? listener.protocol.toUpperCase() : 'UDP'} · ${listener.bind_address || '0.0.0.0'}:${listener.port || '-'}
+            ${formatProtocol(listener.protocol || 'udp')} · ${listener.bind_address || '0.0.0.0'}:${listener.port || '-'}
           </div>
         </div>
       </div>
       <div class="flex items-center gap-3">
-        <div class="text-xs ${statusColor} font-medium">${listener.status === 'running' ? 'Running' : 'Stopped'}</div>
-        <button class="listener-toggle-btn px-3 py-1 text-xs font-medium rounded transition-colors ${listener.status === 'running' ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'} text-white" data-listener-id="${listener.id || listener.name}">
-          ${listener.status === 'running' ? 'Stop' : 'Start'}
+        <div class="text-xs ${status.color} font-medium" title="${escapeHtml(listener.error || '')}">${status.label}</div>
+        ${recordHtml}
+        <button class="listener-toggle-btn px-3 py-1 text-xs font-medium rounded transition-colors ${isActive ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'} text-white disabled:opacity-50" data-listener-id="${listener.id}" ${isPending ? 'disabled' : ''}>
+          ${isActive ? 'Stop' : 'Start'}
         </button>
       </div>
     </div>
+    ${errorHtml}
 
     <div class="grid grid-cols-5 gap-4 mb-4">
       <div>
@@ -294,6 +405,9 @@ function createListenerCard(listener) {
                 <th class="text-right py-2 px-2 font-medium">Forwarded</th>
                 <th class="text-right py-2 px-2 font-medium">Dropped</th>
                 <th class="text-right py-2 px-2 font-medium">Failed</th>
+                <th class="text-right py-2 px-2 font-medium" title="Not sent because of routing rules">Filtered</th>
+                <th class="text-right py-2 px-2 font-medium" title="Replaced by a newer value under a throttle rule">Coalesced</th>
+                <th class="text-right py-2 px-2 font-medium" title="Held until the forwarder reconnects">Queued</th>
                 <th class="text-center py-2 px-2 font-medium">Status</th>
               </tr>
             </thead>
@@ -306,13 +420,16 @@ function createListenerCard(listener) {
       html += `
               <tr class="border-b border-proxy-gray-light/30 hover:bg-proxy-gray-light/10">
                 <td class="py-2 px-2 font-medium">${escapeHtml(fwd.name || 'Unnamed')}</td>
-                <td class="py-2 px-2 text-gray-400">${(fwd.protocol || 'udp').toUpperCase()}</td>
+                <td class="py-2 px-2 text-gray-400">${formatProtocol(fwd.protocol || 'udp')}</td>
                 <td class="py-2 px-2 font-mono text-gray-400">${fwd.host}:${fwd.port}</td>
                 <td class="py-2 px-2 text-right font-mono">${formatNumber(fwd.latency || 0, 2)} ms</td>
                 <td class="py-2 px-2 text-right font-mono text-green-400">${formatNumber(fwd.forwarded || 0)}</td>
                 <td class="py-2 px-2 text-right font-mono text-yellow-400">${formatNumber(fwd.dropped || 0)}</td>
                 <td class="py-2 px-2 text-right font-mono text-red-400">${formatNumber(fwd.failed || 0)}</td>
-                <td class="py-2 px-2 text-center ${connectedColor}">${connectedText}</td>
+                <td class="py-2 px-2 text-right font-mono text-gray-400">${formatNumber(fwd.filtered || 0)}</td>
+                <td class="py-2 px-2 text-right font-mono text-gray-400">${formatNumber(fwd.coalesced || 0)}</td>
+                <td class="py-2 px-2 text-right font-mono ${fwd.queued ? 'text-blue-400' : 'text-gray-400'}">${fwd.disconnect_policy && fwd.disconnect_policy !== 'drop' ? formatNumber(fwd.queued || 0) : '—'}</td>
+                <td class="forwarder-state py-2 px-2 text-center ${connectedColor}" data-forwarder-id="${fwd.id}">${connectedText}</td>
               </tr>
       `;
     });
@@ -333,45 +450,37 @@ function createListenerCard(listener) {
 
   card.innerHTML = html;
 
-  // Add event listener for toggle button
+  // Start/stop goes through the engine; the card is redrawn from the
+  // listener state main.js pushes, not updated optimistically here
   const toggleBtn = card.querySelector('.listener-toggle-btn');
   if (toggleBtn) {
     toggleBtn.addEventListener('click', async () => {
-      const listenerId = toggleBtn.getAttribute('data-listener-id');
-      const isRunning = listener.status === 'running';
-
-      console.log(`Toggle clicked for listener ${listenerId}, current status: ${listener.status}, isRunning: ${isRunning}`);
+      toggleBtn.disabled = true;
 
       try {
-        if (isRunning) {
-          console.log(`Calling stopListener(${listenerId})`);
-          const result = await window.electronAPI.stopListener(listenerId);
-          console.log('Stop result:', result);
-
-          if (result.success) {
-            // Update UI optimistically - metrics will update it if proxy is running
-            listener.status = 'stopped';
-            const statusEl = card.querySelector('.text-xs.font-medium');
-            if (statusEl) statusEl.textContent = 'Stopped';
-            toggleBtn.textContent = 'Start';
-            toggleBtn.className = 'listener-toggle-btn px-3 py-1 text-xs font-medium rounded transition-colors bg-green-600 hover:bg-green-700 text-white';
-          }
-        } else {
-          console.log(`Calling startListener(${listenerId})`);
-          const result = await window.electronAPI.startListener(listenerId);
-          console.log('Start result:', result);
-
-          if (result.success) {
-            // Update UI optimistically - metrics will update it if proxy is running
-            listener.status = 'running';
-            const statusEl = card.querySelector('.text-xs.font-medium');
-            if (statusEl) statusEl.textContent = 'Running';
-            toggleBtn.textContent = 'Stop';
-            toggleBtn.className = 'listener-toggle-btn px-3 py-1 text-xs font-medium rounded transition-colors bg-red-600 hover:bg-red-700 text-white';
-          }
+        const result = isActive
+          ? await window.electronAPI.stopListener(listener.id)
+          : await window.electronAPI.startListener(listener.id);
+
+        if (!result.success) {
+          console.error(`Failed to ${isActive ? 'stop' : 'start'} listener ${listener.id}:`, result.error);
         }
       } catch (error) {
-        console.error(`Failed to ${isRunning ? 'stop' : 'start'} listener:`, error);
+        console.error(`Failed to ${isActive ? 'stop' : 'start'} listener:`, error);
+      }
+    });
+  }
+
+  const recordBtn = card.querySelector('.listener-record-btn');
+  if (recordBtn) {
+    recordBtn.addEventListener('click', async () => {
+      recordBtn.disabled = true;
+      const result = recording
+        ? await window.electronAPI.stopRecording(listener.id)
+        : await window.electronAPI.startRecording(listener.id);
+      if (!result.success) {
+        showNotification(`Failed to ${recording ? 'stop' : 'start'} recording: ${result.error}`, 'error');
+        recordBtn.disabled = false;
       }
     });
   }
@@ -379,6 +488,63 @@ function createListenerCard(listener) {
   return card;
 }
 
+// Time since an ISO timestamp as m:ss
+function formatElapsed(since) {
+  const seconds = Math.max(0, Math.floor((Date.now() - Date.parse(since)) / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+async function loadEngineEvents() {
+  try {
+    const result = await window.electronAPI.dbGetEngineEvents(MAX_ENGINE_EVENTS);
+    if (result.success) {
+      engineEvents = result.data;
+      renderEngineHistory();
+    }
+  } catch (error) {
+    console.error('Failed to load engine events:', error);
+  }
+}
+
+// Crash and restart notices stay on screen until dismissed
+function handleEngineEvent(event) {
+  engineEvents = [event, ...engineEvents].slice(0, MAX_ENGINE_EVENTS);
+  renderEngineHistory();
+
+  const style = ENGINE_EVENTS[event.event] || ENGINE_EVENTS.crashed;
+  engineBanner.className = `mb-6 rounded-lg border px-4 py-3 ${style.banner}`;
+  engineBannerTitle.className = `text-sm font-semibold ${style.color}`;
+  engineBannerTitle.textContent = `${style.title} at ${formatEventTime(event.timestamp)}`;
+  engineBannerMessage.textContent = event.message;
+}
+
+function renderEngineHistory() {
+  engineHistorySection.classList.toggle('hidden', engineEvents.length === 0);
+
+  engineHistory.innerHTML = engineEvents.map(event => {
+    const style = ENGINE_EVENTS[event.event] || ENGINE_EVENTS.crashed;
+    const stderr = event.stderr
+      ? `<details class="mt-1"><summary class="cursor-pointer text-gray-500">Output</summary><pre class="mt-1 p-2 bg-proxy-darker rounded font-mono text-gray-400 whitespace-pre-wrap">${escapeHtml(event.stderr)}</pre></details>`
+      : '';
+
+    return `
+      <div class="border-b border-proxy-gray-light/30 pb-2 last:border-0 last:pb-0">
+        <div class="flex items-center gap-3">
+          <span class="font-mono text-gray-400">${formatEventTime(event.timestamp)}</span>
+          <span class="font-medium ${style.color}">${style.title}</span>
+          ${event.engine ? `<span class="text-gray-500">${escapeHtml(event.engine)}</span>` : ''}
+        </div>
+        <div class="text-gray-300 mt-0.5">${escapeHtml(event.message || '')}</div>
+        ${stderr}
+      </div>
+    `;
+  }).join('');
+}
+
+function formatEventTime(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', { hour12: false });
+}
+
 function updateSparkline(rate) {
   rateHistory.push(rate);
   if (rateHistory.length > MAX_SPARKLINE_POINTS) {
@@ -408,6 +574,7 @@ function resetMetrics() {
 
   rateHistory = [];
   rateSparkline.innerHTML = '';
+  liveListeners = new Map();
 
   // Reload listeners from database in stopped state instead of clearing
   loadListenersFromDatabase();
@@ -426,10 +593,8 @@ function formatNumber(value, decimals = 0) {
   return value.toLocaleString('en-US', { maximumFractionDigits: 0 });
 }
 
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function formatProtocol(protocol) {
+  return protocol === 'ws' ? 'WebSocket' : protocol.toUpperCase();
 }
 
 // Initialize on DOMContentLoaded
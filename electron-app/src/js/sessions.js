@@ -0,0 +1,231 @@
+// Recorded sessions on the dashboard: the session list and replay controls
+
+const sessionsSection = document.getElementById('sessions-section');
+const sessionsList = document.getElementById('sessions-list');
+const replayPanel = document.getElementById('replay-panel');
+const replayForwarder = document.getElementById('replay-forwarder');
+const replaySpeed = document.getElementById('replay-speed');
+
+const REPLAY_RUNNING = ['playing', 'paused', 'ready'];
+
+let sessions = [];
+let selectedSession = null; // Session shown in the replay panel
+let replayState = null; // Status of the replay in progress, from main.js
+
+async function initSessions() {
+  window.electronAPI.onSessionsChanged(updateSessions);
+  window.electronAPI.onReplayProgress(updateReplay);
+
+  document.getElementById('btn-replay-play').addEventListener('click', playReplay);
+  document.getElementById('btn-replay-step').addEventListener('click', stepReplay);
+  document.getElementById('btn-replay-pause').addEventListener('click', () => window.electronAPI.controlReplay('pause'));
+  document.getElementById('btn-replay-stop').addEventListener('click', () => window.electronAPI.controlReplay('stop'));
+  document.getElementById('btn-replay-close').addEventListener('click', closeReplayPanel);
+  replaySpeed.addEventListener('change', () => {
+    if (isReplaying()) window.electronAPI.controlReplay('speed', Number(replaySpeed.value));
+  });
+
+  // Destinations come from the active profile
+  window.addEventListener('listeners-changed', loadReplayForwarders);
+
+  const result = await window.electronAPI.dbGetSessions();
+  if (result.success) updateSessions(result.data);
+  replayState = await window.electronAPI.getReplayStatus();
+  await loadReplayForwarders();
+  if (replayState) selectSession(sessions.find(s => s.id === replayState.session_id) || null);
+}
+
+function updateSessions(list) {
+  sessions = list;
+  sessionsSection.classList.toggle('hidden', sessions.length === 0);
+
+  if (selectedSession) {
+    selectedSession = sessions.find(s => s.id === selectedSession.id) || null;
+    if (!selectedSession) closeReplayPanel();
+  }
+  renderSessions();
+  renderReplayPanel();
+}
+
+function renderSessions() {
+  sessionsList.innerHTML = '';
+
+  sessions.forEach(session => {
+    const recording = !session.ended_at;
+    const row = document.createElement('div');
+    row.className = `flex items-center justify-between gap-3 p-3 rounded border ${
+      selectedSession && selectedSession.id === session.id ? 'border-proxy-accent bg-proxy-accent/10' : 'border-proxy-gray-light/50'
+    }`;
+    row.innerHTML = `
+      <div class="flex-1 min-w-0">
+        <div class="session-name font-medium truncate">${escapeHtml(session.name)}</div>
+        <div class="text-xs text-gray-400">
+          ${escapeHtml(session.listener_name)} · ${new Date(session.started_at).toLocaleString()}
+          ${recording ? ' · <span class="text-red-400">recording…</span>' : ` · ${formatDuration(session.duration_ms)} · ${formatNumber(session.message_count)} message(s)`}
+        </div>
+      </div>
+      <div class="flex gap-2 flex-shrink-0">
+        ${recording ? '' : '<button class="btn-replay text-xs text-proxy-accent hover:text-white">Replay</button>'}
+        <button class="btn-rename text-xs text-gray-400 hover:text-white">Rename</button>
+        ${recording ? '' : '<button class="btn-delete text-xs text-red-400 hover:text-red-300">Delete</button>'}
+      </div>
+    `;
+
+    const btnReplay = row.querySelector('.btn-replay');
+    if (btnReplay) btnReplay.addEventListener('click', () => selectSession(session));
+    const btnDelete = row.querySelector('.btn-delete');
+    if (btnDelete) btnDelete.addEventListener('click', () => deleteSession(session));
+    row.querySelector('.btn-rename').addEventListener('click', () => renameSession(session));
+
+    sessionsList.appendChild(row);
+  });
+}
+
+async function renameSession(session) {
+  const name = prompt('Session name', session.name);
+  if (!name || !name.trim() || name.trim() === session.name) return;
+
+  const result = await window.electronAPI.dbRenameSession(session.id, name.trim());
+  if (!result.success) showNotification('Failed to rename session: ' + result.error, 'error');
+}
+
+async function deleteSession(session) {
+  if (!confirm(`Delete session "${session.name}" and its recording?`)) return;
+
+  const result = await window.electronAPI.dbDeleteSession(session.id);
+  if (!result.success) showNotification('Failed to delete session: ' + result.error, 'error');
+}
+
+// ==================== REPLAY ====================
+
+async function loadReplayForwarders() {
+  const result = await window.electronAPI.dbGetListeners();
+  if (!result.success) return;
+
+  const selected = replayForwarder.value;
+  replayForwarder.innerHTML = '';
+  result.data
+    .filter(listener => listener.forwarders.length > 0)
+    .forEach(listener => {
+      // A quote in a listener name cannot end the label this way
+      const group = document.createElement('optgroup');
+      group.label = listener.name;
+      group.innerHTML = listener.forwarders.map(fwd => `
+        <option value="${fwd.id}">${escapeHtml(fwd.name)} (${fwd.protocol.toUpperCase()} ${escapeHtml(fwd.host)}:${fwd.port})</option>
+      `).join('');
+      replayForwarder.appendChild(group);
+    });
+  if ([...replayForwarder.options].some(option => option.value === selected)) replayForwarder.value = selected;
+}
+
+function selectSession(session) {
+  if (!session) return;
+  selectedSession = session;
+  renderSessions();
+  renderReplayPanel();
+}
+
+function closeReplayPanel() {
+  if (isReplaying()) window.electronAPI.controlReplay('stop');
+  selectedSession = null;
+  renderSessions();
+  renderReplayPanel();
+}
+
+function isReplaying() {
+  return replayState !== null && REPLAY_RUNNING.includes(replayState.state);
+}
+
+// Whether the replay in progress is of the selected session
+function replayingSelected() {
+  return isReplaying() && selectedSession && replayState.session_id === selectedSession.id;
+}
+
+function updateReplay(status) {
+  replayState = status;
+  if (status && (!selectedSession || selectedSession.id !== status.session_id)) {
+    selectedSession = sessions.find(s => s.id === status.session_id) || selectedSession;
+    renderSessions();
+  }
+  renderReplayPanel();
+}
+
+function renderReplayPanel() {
+  replayPanel.classList.toggle('hidden', !selectedSession);
+  if (!selectedSession) return;
+
+  const active = replayingSelected();
+  const playing = active && replayState.state === 'playing';
+
+  document.getElementById('replay-session-name').textContent = selectedSession.name;
+  document.getElementById('replay-session-detail').textContent =
+    `Recorded from ${selectedSession.listener_name} · ${formatDuration(selectedSession.duration_ms)} · ${formatNumber(selectedSession.message_count)} message(s)`;
+
+  document.getElementById('btn-replay-play').classList.toggle('hidden', playing);
+  document.getElementById('btn-replay-pause').classList.toggle('hidden', !playing);
+  document.getElementById('btn-replay-stop').classList.toggle('hidden', !active);
+  replayForwarder.disabled = active;
+
+  const status = replayState && replayState.session_id === selectedSession.id ? replayState : null;
+  const progress = status && status.duration_ms > 0
+    ? status.position_ms / status.duration_ms
+    : status && status.total > 0 ? status.index / status.total : 0;
+  document.getElementById('replay-progress-bar').style.width = `${Math.round(progress * 100)}%`;
+
+  let text = 'Not playing';
+  if (status) {
+    const state = { playing: 'Playing', paused: 'Paused', ready: 'Ready to step', finished: 'Finished', stopped: 'Stopped' }[status.state];
+    text = `${state} to ${status.forwarder_name} · message ${formatNumber(status.index)} of ${formatNumber(status.total)} · ` +
+      `${formatDuration(status.position_ms)} / ${formatDuration(status.duration_ms)} · ` +
+      `${formatNumber(status.sent)} sent, ${formatNumber(status.filtered)} filtered, ${formatNumber(status.failed)} failed`;
+  }
+  document.getElementById('replay-progress-text').textContent = text;
+}
+
+// Start (or resume) playback at the chosen speed
+async function playReplay() {
+  if (replayingSelected()) {
+    await window.electronAPI.controlReplay('speed', Number(replaySpeed.value));
+    await window.electronAPI.controlReplay('play');
+    return;
+  }
+  await beginReplay(false);
+}
+
+async function stepReplay() {
+  if (replayingSelected()) {
+    await window.electronAPI.controlReplay('step');
+    return;
+  }
+  if (await beginReplay(true)) {
+    await window.electronAPI.controlReplay('step');
+  }
+}
+
+async function beginReplay(stepping) {
+  if (!replayForwarder.value) {
+    showNotification('Add a forwarder to replay the session to', 'error');
+    return false;
+  }
+
+  const result = await window.electronAPI.startReplay(selectedSession.id, Number(replayForwarder.value), {
+    speed: Number(replaySpeed.value),
+    stepping
+  });
+  if (!result.success) {
+    showNotification('Failed to replay session: ' + result.error, 'error');
+    return false;
+  }
+  updateReplay(result.data);
+  return true;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.floor((ms || 0) / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const mmss = `${String(minutes % 60).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+initSessions();
@@ -4,7 +4,17 @@
 let listeners = [];
 let selectedListenerId = null;
 let editingForwarderId = null;
+let showingGeneral = false;
+let showingTestSender = false;
 let isInitialized = false;
+// Listener ID -> { pending, error } for running listeners (from main.js)
+let configStatus = {};
+
+const LIVE_STATUS = {
+  stopped: { title: 'Not running - saved settings are used when the listener starts', color: 'text-gray-400', box: 'border-proxy-gray-light' },
+  applied: { title: 'Running with the saved settings', color: 'text-green-400', box: 'border-green-800/50 bg-green-900/20' },
+  pending: { title: 'Saved changes awaiting restart', color: 'text-yellow-400', box: 'border-yellow-800/50 bg-yellow-900/20' }
+};
 
 // DOM Elements (initialized lazily)
 let listenersList;
@@ -13,6 +23,11 @@ let listenerDetails;
 let forwardersList;
 let noForwarders;
 let forwarderModal;
+let generalSettings;
+let generalSettingsItem;
+let testSender;
+let testSenderItem;
+let listenerLiveStatus;
 
 // Buttons (will be initialized in init())
 let btnClose;
@@ -22,26 +37,65 @@ let btnDeleteListener;
 let btnAddForwarder;
 let btnSaveForwarder;
 let btnCancelForwarder;
+let btnApplyListener;
 
 // Listener form fields (initialized lazily)
 let listenerName;
 let listenerProtocol;
 let listenerPort;
 let listenerBind;
+let listenerMulticastGroups;
+let listenerMulticastInterface;
 let listenerTcpPort;
 let listenerTcpBind;
+let listenerFraming;
+let listenerFramingField;
 let listenerEnabled;
+let listenerScheduleBundles;
+let listenerMaxLookahead;
 let listenerUdpFields;
 let listenerTcpFields;
+let listenerThrottles;
+let listenerThrottlesEmpty;
 
 // Forwarder form fields (initialized lazily)
 let fwdName;
 let fwdProtocol;
+let fwdFramingField;
+let fwdFraming;
 let fwdHost;
 let fwdPort;
 let fwdEnabled;
+let fwdRebundle;
+let fwdUdpFields;
+let fwdBroadcast;
+let fwdMulticastTtl;
+let fwdMulticastLoopback;
+let fwdDisconnectPolicy;
+let fwdBufferFields;
+let fwdBufferSize;
+let fwdBufferSizeLabel;
+let fwdBufferTtl;
+let fwdRoutes;
+let fwdRoutesEmpty;
+let btnAddRoute;
+let fwdRewrites;
+let fwdRewritesEmpty;
+let fwdRewriteSample;
+let btnAddRewrite;
+let fwdThrottles;
+let fwdThrottlesEmpty;
 let forwarderModalTitle;
 
+// General settings fields (initialized lazily)
+let settingEngine;
+let retentionSettings;
+let httpApiEnabled;
+let httpApiBind;
+let httpApiPort;
+let httpApiToken;
+let httpApiStatus;
+
 // Initialize
 async function init() {
   // Get all DOM elements
@@ -51,12 +105,18 @@ async function init() {
   forwardersList = document.getElementById('forwarders-list');
   noForwarders = document.getElementById('no-forwarders');
   forwarderModal = document.getElementById('forwarder-modal');
+  generalSettings = document.getElementById('general-settings');
+  generalSettingsItem = document.getElementById('general-settings-item');
+  testSender = document.getElementById('test-sender');
+  testSenderItem = document.getElementById('test-sender-item');
+  listenerLiveStatus = document.getElementById('listener-live-status');
 
   // Buttons
   btnClose = document.getElementById('btn-close-settings');
   btnAddListener = document.getElementById('btn-add-listener');
   btnSaveListener = document.getElementById('btn-save-listener');
   btnDeleteListener = document.getElementById('btn-delete-listener');
+  btnApplyListener = document.getElementById('btn-apply-listener');
   btnAddForwarder = document.getElementById('btn-add-forwarder');
   btnSaveForwarder = document.getElementById('btn-save-forwarder');
   btnCancelForwarder = document.getElementById('btn-cancel-forwarder');
@@ -66,20 +126,58 @@ async function init() {
   listenerProtocol = document.getElementById('listener-protocol');
   listenerPort = document.getElementById('listener-port');
   listenerBind = document.getElementById('listener-bind');
+  listenerMulticastGroups = document.getElementById('listener-multicast-groups');
+  listenerMulticastInterface = document.getElementById('listener-multicast-interface');
   listenerTcpPort = document.getElementById('listener-tcp-port');
   listenerTcpBind = document.getElementById('listener-tcp-bind');
+  listenerFraming = document.getElementById('listener-framing');
+  listenerFramingField = document.getElementById('listener-framing-field');
   listenerEnabled = document.getElementById('listener-enabled');
+  listenerScheduleBundles = document.getElementById('listener-schedule-bundles');
+  listenerMaxLookahead = document.getElementById('listener-max-lookahead');
   listenerUdpFields = document.getElementById('listener-udp-fields');
   listenerTcpFields = document.getElementById('listener-tcp-fields');
+  listenerThrottles = document.getElementById('listener-throttles');
+  listenerThrottlesEmpty = document.getElementById('listener-throttles-empty');
 
   // Forwarder form fields
   fwdName = document.getElementById('fwd-name');
   fwdProtocol = document.getElementById('fwd-protocol');
+  fwdFramingField = document.getElementById('fwd-framing-field');
+  fwdFraming = document.getElementById('fwd-framing');
   fwdHost = document.getElementById('fwd-host');
   fwdPort = document.getElementById('fwd-port');
   fwdEnabled = document.getElementById('fwd-enabled');
+  fwdRebundle = document.getElementById('fwd-rebundle');
+  fwdUdpFields = document.getElementById('fwd-udp-fields');
+  fwdBroadcast = document.getElementById('fwd-broadcast');
+  fwdMulticastTtl = document.getElementById('fwd-multicast-ttl');
+  fwdMulticastLoopback = document.getElementById('fwd-multicast-loopback');
+  fwdDisconnectPolicy = document.getElementById('fwd-disconnect-policy');
+  fwdBufferFields = document.getElementById('fwd-buffer-fields');
+  fwdBufferSize = document.getElementById('fwd-buffer-size');
+  fwdBufferSizeLabel = document.getElementById('fwd-buffer-size-label');
+  fwdBufferTtl = document.getElementById('fwd-buffer-ttl');
+  fwdRoutes = document.getElementById('fwd-routes');
+  fwdRoutesEmpty = document.getElementById('fwd-routes-empty');
+  btnAddRoute = document.getElementById('btn-add-route');
+  fwdRewrites = document.getElementById('fwd-rewrites');
+  fwdRewritesEmpty = document.getElementById('fwd-rewrites-empty');
+  fwdRewriteSample = document.getElementById('fwd-rewrite-sample');
+  btnAddRewrite = document.getElementById('btn-add-rewrite');
+  fwdThrottles = document.getElementById('fwd-throttles');
+  fwdThrottlesEmpty = document.getElementById('fwd-throttles-empty');
   forwarderModalTitle = document.getElementById('forwarder-modal-title');
 
+  // General settings fields
+  settingEngine = document.getElementById('setting-engine');
+  retentionSettings = document.querySelectorAll('.retention-setting');
+  httpApiEnabled = document.getElementById('setting-http-api-enabled');
+  httpApiBind = document.getElementById('setting-http-api-bind');
+  httpApiPort = document.getElementById('setting-http-api-port');
+  httpApiToken = document.getElementById('setting-http-api-token');
+  httpApiStatus = document.getElementById('http-api-status');
+
   // Only set up event listeners once
   if (!isInitialized) {
     // Event listeners
@@ -87,17 +185,39 @@ async function init() {
     if (btnAddListener) btnAddListener.addEventListener('click', addListener);
     if (btnSaveListener) btnSaveListener.addEventListener('click', saveListener);
     if (btnDeleteListener) btnDeleteListener.addEventListener('click', deleteListener);
+    if (btnApplyListener) btnApplyListener.addEventListener('click', applyListenerConfig);
     if (btnAddForwarder) btnAddForwarder.addEventListener('click', showAddForwarderModal);
     if (btnSaveForwarder) btnSaveForwarder.addEventListener('click', saveForwarder);
     if (btnCancelForwarder) btnCancelForwarder.addEventListener('click', hideForwarderModal);
+    if (btnAddRoute) btnAddRoute.addEventListener('click', () => addRouteRow());
+    if (fwdDisconnectPolicy) fwdDisconnectPolicy.addEventListener('change', updateBufferFields);
+    if (btnAddRewrite) btnAddRewrite.addEventListener('click', () => addRewriteRow());
+    document.getElementById('btn-add-throttle')?.addEventListener('click', () => {
+      addThrottleRow(fwdThrottles, fwdThrottlesEmpty);
+    });
+    document.getElementById('btn-add-listener-throttle')?.addEventListener('click', () => {
+      addThrottleRow(listenerThrottles, listenerThrottlesEmpty);
+    });
 
     if (listenerProtocol) listenerProtocol.addEventListener('change', updateProtocolFields);
+    if (fwdProtocol) fwdProtocol.addEventListener('change', updateForwarderProtocolFields);
+
+    if (generalSettingsItem) generalSettingsItem.addEventListener('click', showGeneralSettings);
+    if (testSenderItem) testSenderItem.addEventListener('click', showTestSender);
+    if (settingEngine) settingEngine.addEventListener('change', saveEngineSetting);
+    retentionSettings.forEach(input => input.addEventListener('change', () => saveRetentionSetting(input)));
+    document.getElementById('btn-save-http-api')?.addEventListener('click', saveHttpApi);
+    document.getElementById('btn-copy-http-api-token')?.addEventListener('click', copyHttpApiToken);
+    document.getElementById('btn-regenerate-http-api-token')?.addEventListener('click', regenerateHttpApiToken);
 
     window.addEventListener('keydown', handleEscapeKey);
+    window.electronAPI.onConfigStatusChanged(updateConfigStatus);
 
     isInitialized = true;
   }
 
+  configStatus = await window.electronAPI.getConfigStatus();
+
   // Load listeners (always refresh when opening settings)
   await loadListeners();
 }
@@ -125,9 +245,16 @@ async function loadListeners() {
   try {
     const result = await window.electronAPI.dbGetListeners();
     listeners = result.success ? result.data : [];
+
+    // The selected listener is gone after a profile switch or an import
+    if (selectedListenerId && !listeners.some(l => l.id === selectedListenerId)) {
+      selectedListenerId = null;
+      listenerDetails.classList.add('hidden');
+      if (!showingGeneral && !showingTestSender) noSelection.classList.remove('hidden');
+    }
     renderListenersList();
 
-    if (listeners.length > 0 && !selectedListenerId) {
+    if (listeners.length > 0 && !selectedListenerId && !showingGeneral && !showingTestSender) {
       selectListener(listeners[0].id);
     }
   } catch (error) {
@@ -155,6 +282,10 @@ function renderListenersList() {
     const protocol = listener.protocol.toUpperCase();
     const statusColor = listener.enabled ? 'text-green-400' : 'text-gray-500';
     const statusText = listener.enabled ? 'Enabled' : 'Disabled';
+    const live = configStatus[listener.id];
+    const pending = live && live.pending.length > 0
+      ? '<span class="text-yellow-400 ml-2">Changes pending</span>'
+      : '';
 
     item.innerHTML = `
       <div class="flex items-center justify-between mb-1">
@@ -162,7 +293,7 @@ function renderListenersList() {
         <span class="text-xs ${statusColor}">${statusText}</span>
       </div>
       <div class="text-xs text-gray-400">
-        ${protocol} :${listener.port}
+        ${protocol} :${listener.port}${pending}
       </div>
     `;
 
@@ -172,6 +303,8 @@ function renderListenersList() {
 
 async function selectListener(id) {
   selectedListenerId = id;
+  setGeneralSelected(false);
+  setTestSenderSelected(false);
   renderListenersList();
 
   const listener = listeners.find(l => l.id === id);
@@ -179,24 +312,77 @@ async function selectListener(id) {
 
   // Show details panel
   noSelection.classList.add('hidden');
+  generalSettings.classList.add('hidden');
+  testSender.classList.add('hidden');
   listenerDetails.classList.remove('hidden');
 
   // Populate form
   listenerName.value = listener.name;
   listenerProtocol.value = listener.protocol;
   listenerEnabled.checked = !!listener.enabled; // Convert to boolean
+  listenerScheduleBundles.checked = !!listener.schedule_bundles;
+  listenerMaxLookahead.value = listener.max_lookahead || 10;
 
   listenerPort.value = listener.port || '';
   listenerBind.value = listener.bind_address || '127.0.0.1';
+  listenerMulticastGroups.value = (listener.multicast_groups || '').split(',').filter(group => group).join(', ');
+  listenerMulticastInterface.value = listener.multicast_interface || '';
   listenerTcpPort.value = listener.port || '';
   listenerTcpBind.value = listener.bind_address || '127.0.0.1';
+  listenerFraming.value = listener.framing || 'slip-double';
+
+  renderThrottles(listenerThrottles, listenerThrottlesEmpty, listener.throttles || []);
 
   updateProtocolFields();
+  renderLiveStatus();
 
   // Load forwarders
   await loadForwarders(id);
 }
 
+// Live configuration: saved settings vs what the running listener uses
+function updateConfigStatus(status) {
+  configStatus = status;
+  if (!listenersList) return;
+
+  renderListenersList();
+  renderLiveStatus();
+}
+
+function renderLiveStatus() {
+  const live = configStatus[selectedListenerId];
+  const title = document.getElementById('listener-live-title');
+  const detail = document.getElementById('listener-live-detail');
+
+  let state = 'stopped';
+  if (live) state = live.pending.length > 0 ? 'pending' : 'applied';
+  const style = LIVE_STATUS[state];
+
+  listenerLiveStatus.className = `mb-4 rounded border px-3 py-2 text-xs ${style.box}`;
+  title.className = `font-semibold ${style.color}`;
+  title.textContent = style.title;
+  btnApplyListener.classList.toggle('hidden', state !== 'pending');
+
+  detail.innerHTML = state !== 'pending' ? '' : [
+    ...live.pending.map(change => escapeHtml(change)),
+    ...(live.error ? [`<span class="text-red-400">${escapeHtml(live.error)}</span>`] : [])
+  ].join('<br>');
+}
+
+async function applyListenerConfig() {
+  btnApplyListener.disabled = true;
+  try {
+    const result = await window.electronAPI.applyListenerConfig(selectedListenerId);
+    if (!result.success) throw new Error(result.error);
+    showNotification('Changes applied', 'success');
+  } catch (error) {
+    showNotification('Failed to apply changes: ' + error.message, 'error');
+  } finally {
+    btnApplyListener.disabled = false;
+  }
+}
+
+// WebSocket listeners use the TCP fields, without framing (one packet per frame)
 function updateProtocolFields() {
   if (listenerProtocol.value === 'udp') {
     listenerUdpFields.classList.remove('hidden');
@@ -205,6 +391,13 @@ function updateProtocolFields() {
     listenerUdpFields.classList.add('hidden');
     listenerTcpFields.classList.remove('hidden');
   }
+  listenerFramingField.classList.toggle('hidden', listenerProtocol.value !== 'tcp');
+}
+
+// Framing only applies to TCP forwarders, broadcast and multicast to UDP
+function updateForwarderProtocolFields() {
+  fwdFramingField.classList.toggle('hidden', fwdProtocol.value !== 'tcp');
+  fwdUdpFields.classList.toggle('hidden', fwdProtocol.value !== 'udp');
 }
 
 async function addListener() {
@@ -243,12 +436,20 @@ async function saveListener() {
     const data = {
       name: listenerName.value,
       protocol: listenerProtocol.value,
-      enabled: listenerEnabled.checked ? 1 : 0
+      enabled: listenerEnabled.checked ? 1 : 0,
+      schedule_bundles: listenerScheduleBundles.checked,
+      max_lookahead: parseInt(listenerMaxLookahead.value) || 10,
+      framing: listenerFraming.value,
+      multicast_groups: '',
+      multicast_interface: '',
+      throttles: readThrottles(listenerThrottles)
     };
 
     if (listenerProtocol.value === 'udp') {
       data.port = parseInt(listenerPort.value) || 21650;
       data.bind_address = listenerBind.value || '127.0.0.1';
+      data.multicast_groups = listenerMulticastGroups.value.trim();
+      data.multicast_interface = listenerMulticastInterface.value.trim();
     } else {
       data.port = parseInt(listenerTcpPort.value) || 21650;
       data.bind_address = listenerTcpBind.value || '127.0.0.1';
@@ -257,6 +458,10 @@ async function saveListener() {
     console.log('Data to save:', JSON.stringify(data, null, 2));
     const result = await window.electronAPI.dbUpdateListener(selectedListenerId, data);
     console.log('Update result:', JSON.stringify(result, null, 2));
+    if (!result.success) {
+      showNotification('Failed to save listener: ' + result.error, 'error');
+      return;
+    }
 
     await loadListeners();
 
@@ -346,8 +551,11 @@ function renderForwarders(forwarders) {
             <span class="text-xs ${statusColor}">${statusText}</span>
           </div>
           <div class="text-xs text-gray-400">
-            ${protocol} ${fwd.host}:${fwd.port}
+            ${protocol} ${fwd.host}:${fwd.port}${formatFraming(fwd)}${formatBroadcast(fwd)}${formatDisconnectPolicy(fwd)}
           </div>
+          ${formatRoutes(fwd.routes)}
+          ${formatRewrites(fwd.rewrites)}
+          ${formatThrottles(fwd.throttles)}
         </div>
         <div class="flex gap-2">
           <button class="text-xs text-proxy-accent hover:text-proxy-accent-light" onclick="editForwarder(${fwd.id})">
@@ -371,9 +579,17 @@ function showAddForwarderModal() {
   forwarderModalTitle.textContent = 'Add Forwarder';
   fwdName.value = '';
   fwdProtocol.value = 'tcp';
+  fwdFraming.value = 'slip-double';
+  updateForwarderProtocolFields();
   fwdHost.value = '127.0.0.1';
   fwdPort.value = '21600';
   fwdEnabled.checked = true;
+  fwdRebundle.checked = false;
+  setMulticastOptions({});
+  setDisconnectPolicy({});
+  renderRoutes([]);
+  renderRewrites([]);
+  renderThrottles(fwdThrottles, fwdThrottlesEmpty, []);
   forwarderModal.classList.remove('hidden');
 }
 
@@ -387,9 +603,17 @@ window.editForwarder = async function(id) {
       const forwarder = result.data;
       fwdName.value = forwarder.name;
       fwdProtocol.value = forwarder.protocol;
+      fwdFraming.value = forwarder.framing || 'slip-double';
+      updateForwarderProtocolFields();
       fwdHost.value = forwarder.host;
       fwdPort.value = forwarder.port;
       fwdEnabled.checked = !!forwarder.enabled; // Convert to boolean
+      fwdRebundle.checked = !!forwarder.rebundle;
+      setMulticastOptions(forwarder);
+      setDisconnectPolicy(forwarder);
+      renderRoutes(forwarder.routes || []);
+      renderRewrites(forwarder.rewrites || []);
+      renderThrottles(fwdThrottles, fwdThrottlesEmpty, forwarder.throttles || []);
       forwarderModal.classList.remove('hidden');
     }
   } catch (error) {
@@ -417,22 +641,36 @@ function hideForwarderModal() {
 async function saveForwarder() {
   if (!selectedListenerId) return;
 
+  const multicastTtl = parseInt(fwdMulticastTtl.value);
   const data = {
     name: fwdName.value,
     protocol: fwdProtocol.value,
+    framing: fwdFraming.value,
     host: fwdHost.value,
     port: parseInt(fwdPort.value) || 21600,
-    enabled: fwdEnabled.checked ? 1 : 0
+    enabled: fwdEnabled.checked ? 1 : 0,
+    rebundle: fwdRebundle.checked,
+    broadcast: fwdProtocol.value === 'udp' && fwdBroadcast.checked,
+    multicast_ttl: Number.isNaN(multicastTtl) ? 1 : multicastTtl,
+    multicast_loopback: fwdMulticastLoopback.checked,
+    disconnect_policy: fwdDisconnectPolicy.value,
+    buffer_size: parseInt(fwdBufferSize.value) || 100,
+    buffer_ttl: parseInt(fwdBufferTtl.value) || 10,
+    routes: readRoutes(),
+    rewrites: readRewrites(),
+    throttles: readThrottles(fwdThrottles)
   };
 
   try {
-    if (editingForwarderId) {
-      await window.electronAPI.dbUpdateForwarder(editingForwarderId, data);
-      showNotification('Forwarder updated', 'success');
-    } else {
-      await window.electronAPI.dbCreateForwarder(selectedListenerId, data);
-      showNotification('Forwarder created', 'success');
+    const result = editingForwarderId
+      ? await window.electronAPI.dbUpdateForwarder(editingForwarderId, data)
+      : await window.electronAPI.dbCreateForwarder(selectedListenerId, data);
+
+    if (!result.success) {
+      showNotification('Failed to save forwarder: ' + result.error, 'error');
+      return;
     }
+    showNotification(editingForwarderId ? 'Forwarder updated' : 'Forwarder created', 'success');
 
     hideForwarderModal();
     await loadForwarders(selectedListenerId);
@@ -441,13 +679,405 @@ async function saveForwarder() {
   }
 }
 
-// Utilities
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+// Broadcast and multicast (UDP only)
+function setMulticastOptions(forwarder) {
+  fwdBroadcast.checked = !!forwarder.broadcast;
+  fwdMulticastTtl.value = forwarder.multicast_ttl ?? 1;
+  fwdMulticastLoopback.checked = !!forwarder.multicast_loopback;
+}
+
+// Disconnect policy
+function setDisconnectPolicy(forwarder) {
+  fwdDisconnectPolicy.value = forwarder.disconnect_policy || 'drop';
+  fwdBufferSize.value = forwarder.buffer_size || 100;
+  fwdBufferTtl.value = forwarder.buffer_ttl || 10;
+  updateBufferFields();
+}
+
+// Only non-default framing is worth a mention
+function formatFraming(fwd) {
+  if (fwd.protocol !== 'tcp' || !fwd.framing || fwd.framing === 'slip-double') return '';
+  const option = fwdFraming.querySelector(`option[value="${fwd.framing}"]`);
+  return ` · ${option ? option.textContent : fwd.framing}`;
+}
+
+function formatBroadcast(fwd) {
+  if (fwd.protocol !== 'udp') return '';
+  if (fwd.broadcast) return ' · broadcast';
+  return /^2(2[4-9]|3\d)\./.test(fwd.host) ? ` · multicast TTL ${fwd.multicast_ttl}` : '';
+}
+
+function formatDisconnectPolicy(fwd) {
+  if (fwd.disconnect_policy === 'buffer') {
+    return ` · buffers ${fwd.buffer_size} messages for ${fwd.buffer_ttl} s`;
+  }
+  if (fwd.disconnect_policy === 'latest') {
+    return ` · keeps the latest value of ${fwd.buffer_size} addresses for ${fwd.buffer_ttl} s`;
+  }
+  return '';
+}
+
+function updateBufferFields() {
+  const policy = fwdDisconnectPolicy.value;
+  fwdBufferFields.classList.toggle('hidden', policy === 'drop');
+  fwdBufferSizeLabel.textContent = policy === 'latest' ? 'Addresses to keep' : 'Messages to keep';
+}
+
+// Routing rules editor
+function renderRoutes(routes) {
+  fwdRoutes.innerHTML = '';
+  routes.forEach(route => addRouteRow(route));
+  updateRoutesEmpty();
+}
+
+function addRouteRow(route = { action: 'include', pattern: '' }) {
+  const row = document.createElement('div');
+  row.className = 'route-row flex gap-2';
+  row.innerHTML = `
+    <select class="route-action bg-proxy-gray border border-proxy-gray-light rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-proxy-accent">
+      <option value="include">Include</option>
+      <option value="exclude">Exclude</option>
+    </select>
+    <input type="text" class="route-pattern flex-1 bg-proxy-gray border border-proxy-gray-light rounded px-2 py-1 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-proxy-accent" placeholder="/address/pattern/*">
+    <button class="route-remove text-xs text-red-400 hover:text-red-300 px-1">Remove</button>
+  `;
+
+  row.querySelector('.route-action').value = route.action;
+  row.querySelector('.route-pattern').value = route.pattern;
+  row.querySelector('.route-remove').addEventListener('click', () => {
+    row.remove();
+    updateRoutesEmpty();
+  });
+
+  fwdRoutes.appendChild(row);
+  updateRoutesEmpty();
+}
+
+function updateRoutesEmpty() {
+  fwdRoutesEmpty.classList.toggle('hidden', fwdRoutes.children.length > 0);
+}
+
+function readRoutes() {
+  return Array.from(fwdRoutes.querySelectorAll('.route-row'))
+    .map(row => ({
+      action: row.querySelector('.route-action').value,
+      pattern: row.querySelector('.route-pattern').value.trim()
+    }))
+    .filter(route => route.pattern);
+}
+
+function formatRoutes(routes) {
+  if (!routes || routes.length === 0) return '';
+
+  const items = routes.map(route => {
+    const sign = route.action === 'include' ? '+' : '−';
+    const color = route.action === 'include' ? 'text-green-400' : 'text-red-400';
+    return `<span class="${color}">${sign}</span> ${escapeHtml(route.pattern)}`;
+  });
+  return `<div class="text-xs text-gray-500 font-mono mt-1">${items.join('&nbsp;&nbsp;')}</div>`;
+}
+
+// Rewrite rules editor
+function renderRewrites(rewrites) {
+  fwdRewrites.innerHTML = '';
+  rewrites.forEach(rule => addRewriteRow(rule));
+  updateRewritesEmpty();
+}
+
+function addRewriteRow(rule = { pattern: '', target: '', args: '' }) {
+  const inputClass = 'bg-proxy-gray border border-proxy-gray-light rounded px-2 py-1 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-proxy-accent';
+  const row = document.createElement('div');
+  row.className = 'rewrite-row p-2 border border-proxy-gray-light/50 rounded space-y-2';
+  row.innerHTML = `
+    <div class="flex items-center gap-2">
+      <input type="text" class="rewrite-pattern flex-1 ${inputClass}" placeholder="/track/*/go">
+      <span class="text-gray-500">→</span>
+      <input type="text" class="rewrite-target flex-1 ${inputClass}" placeholder="/cue/$1/fire">
+    </div>
+    <div class="flex items-center gap-2">
+      <input type="text" class="rewrite-args flex-1 ${inputClass}" placeholder="Arguments (optional), e.g. $1(0..1->0..255):i">
+      <button class="rewrite-test text-xs text-proxy-accent hover:text-proxy-accent-light px-1">Test</button>
+      <button class="rewrite-remove text-xs text-red-400 hover:text-red-300 px-1">Remove</button>
+    </div>
+    <div class="rewrite-result hidden text-xs font-mono"></div>
+  `;
+
+  row.querySelector('.rewrite-pattern').value = rule.pattern;
+  row.querySelector('.rewrite-target').value = rule.target;
+  row.querySelector('.rewrite-args').value = rule.args || '';
+  row.querySelector('.rewrite-test').addEventListener('click', () => testRewrite(row));
+  row.querySelector('.rewrite-remove').addEventListener('click', () => {
+    row.remove();
+    updateRewritesEmpty();
+  });
+
+  fwdRewrites.appendChild(row);
+  updateRewritesEmpty();
+}
+
+function updateRewritesEmpty() {
+  fwdRewritesEmpty.classList.toggle('hidden', fwdRewrites.children.length > 0);
+}
+
+function readRewriteRow(row) {
+  return {
+    pattern: row.querySelector('.rewrite-pattern').value.trim(),
+    target: row.querySelector('.rewrite-target').value.trim(),
+    args: row.querySelector('.rewrite-args').value.trim()
+  };
+}
+
+function readRewrites() {
+  return Array.from(fwdRewrites.querySelectorAll('.rewrite-row'))
+    .map(readRewriteRow)
+    .filter(rule => rule.pattern || rule.target);
+}
+
+async function testRewrite(row) {
+  const result = row.querySelector('.rewrite-result');
+  result.classList.remove('hidden');
+
+  const sample = fwdRewriteSample.value.trim();
+  if (!sample) {
+    result.className = 'rewrite-result text-xs font-mono text-yellow-400';
+    result.textContent = 'Enter a sample message below, e.g. /track/3/go 0.5';
+    return;
+  }
+
+  const preview = await window.electronAPI.previewRewrite(readRewriteRow(row), sample);
+  if (!preview.success) {
+    result.className = 'rewrite-result text-xs font-mono text-red-400';
+    result.textContent = preview.error;
+  } else if (!preview.data.matched) {
+    result.className = 'rewrite-result text-xs font-mono text-gray-400';
+    result.textContent = `No match: ${preview.data.input} is forwarded unchanged`;
+  } else {
+    result.className = 'rewrite-result text-xs font-mono text-green-400';
+    result.textContent = `${preview.data.input}  →  ${preview.data.output}`;
+  }
+}
+
+function formatRewrites(rewrites) {
+  if (!rewrites || rewrites.length === 0) return '';
+
+  const items = rewrites.map(rule => `${escapeHtml(rule.pattern)} → ${escapeHtml(rule.target)}`);
+  return `<div class="text-xs text-gray-500 font-mono mt-1">${items.join('&nbsp;&nbsp;')}</div>`;
+}
+
+// Throttle rules editor (forwarder modal and listener form)
+function renderThrottles(container, emptyMessage, throttles) {
+  container.innerHTML = '';
+  throttles.forEach(rule => addThrottleRow(container, emptyMessage, rule));
+  updateThrottlesEmpty(container, emptyMessage);
+}
+
+function addThrottleRow(container, emptyMessage, rule = { action: 'limit', pattern: '', max_rate: 30 }) {
+  const row = document.createElement('div');
+  row.className = 'throttle-row flex gap-2 items-center';
+  row.innerHTML = `
+    <select class="throttle-action bg-proxy-gray border border-proxy-gray-light rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-proxy-accent">
+      <option value="limit">Limit</option>
+      <option value="exempt">Exempt</option>
+    </select>
+    <input type="text" class="throttle-pattern flex-1 bg-proxy-gray border border-proxy-gray-light rounded px-2 py-1 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-proxy-accent" placeholder="/fader/*">
+    <input type="number" min="0.1" step="any" class="throttle-rate w-20 bg-proxy-gray border border-proxy-gray-light rounded px-2 py-1 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-proxy-accent" placeholder="30">
+    <span class="throttle-unit text-xs text-gray-400">msg/s</span>
+    <button class="throttle-remove text-xs text-red-400 hover:text-red-300 px-1">Remove</button>
+  `;
+
+  const actionSelect = row.querySelector('.throttle-action');
+  const rateInput = row.querySelector('.throttle-rate');
+  actionSelect.value = rule.action;
+  row.querySelector('.throttle-pattern').value = rule.pattern;
+  rateInput.value = rule.max_rate ?? 30;
+
+  // Exempt rules have no rate
+  const updateRateField = () => {
+    const exempt = actionSelect.value === 'exempt';
+    rateInput.classList.toggle('invisible', exempt);
+    row.querySelector('.throttle-unit').classList.toggle('invisible', exempt);
+  };
+  actionSelect.addEventListener('change', updateRateField);
+  updateRateField();
+
+  row.querySelector('.throttle-remove').addEventListener('click', () => {
+    row.remove();
+    updateThrottlesEmpty(container, emptyMessage);
+  });
+
+  container.appendChild(row);
+  updateThrottlesEmpty(container, emptyMessage);
+}
+
+function updateThrottlesEmpty(container, emptyMessage) {
+  emptyMessage.classList.toggle('hidden', container.children.length > 0);
+}
+
+function readThrottles(container) {
+  return Array.from(container.querySelectorAll('.throttle-row'))
+    .map(row => {
+      const action = row.querySelector('.throttle-action').value;
+      return {
+        action,
+        pattern: row.querySelector('.throttle-pattern').value.trim(),
+        max_rate: action === 'limit' ? parseFloat(row.querySelector('.throttle-rate').value) : null
+      };
+    })
+    .filter(rule => rule.pattern);
+}
+
+function formatThrottles(throttles) {
+  if (!throttles || throttles.length === 0) return '';
+
+  const items = throttles.map(rule => rule.action === 'limit'
+    ? `${escapeHtml(rule.pattern)} ≤ ${rule.max_rate}/s`
+    : `${escapeHtml(rule.pattern)} exempt`);
+  return `<div class="text-xs text-gray-500 font-mono mt-1">${items.join('&nbsp;&nbsp;')}</div>`;
+}
+
+// General Settings
+async function showGeneralSettings() {
+  selectedListenerId = null;
+  setGeneralSelected(true);
+  setTestSenderSelected(false);
+  renderListenersList();
+
+  noSelection.classList.add('hidden');
+  listenerDetails.classList.add('hidden');
+  testSender.classList.add('hidden');
+  generalSettings.classList.remove('hidden');
+  if (window.alertRulesShown) window.alertRulesShown();
+
+  try {
+    const result = await window.electronAPI.dbGetSettings();
+    if (result.success) {
+      settingEngine.value = result.data.engine;
+      retentionSettings.forEach(input => { input.value = result.data[input.dataset.setting]; });
+    }
+    const httpApi = await window.electronAPI.getHttpApi();
+    if (httpApi.success) renderHttpApi(httpApi.data);
+  } catch (error) {
+    showNotification('Failed to load settings: ' + error.message, 'error');
+  }
+}
+
+function setGeneralSelected(selected) {
+  showingGeneral = selected;
+  generalSettingsItem.className = panelItemClass(selected);
+}
+
+// Test Sender (the composer itself is in composer.js)
+function showTestSender() {
+  selectedListenerId = null;
+  setGeneralSelected(false);
+  setTestSenderSelected(true);
+  renderListenersList();
+
+  noSelection.classList.add('hidden');
+  listenerDetails.classList.add('hidden');
+  generalSettings.classList.add('hidden');
+  testSender.classList.remove('hidden');
+  if (window.testSenderShown) window.testSenderShown();
+}
+
+function setTestSenderSelected(selected) {
+  showingTestSender = selected;
+  testSenderItem.className = panelItemClass(selected);
+}
+
+function panelItemClass(selected) {
+  return `p-3 rounded cursor-pointer transition-colors ${
+    selected
+      ? 'bg-proxy-accent/20 border border-proxy-accent'
+      : 'hover:bg-proxy-gray-light/20 border border-transparent'
+  }`;
+}
+
+async function saveEngineSetting() {
+  try {
+    const result = await window.electronAPI.dbSetSetting('engine', settingEngine.value);
+    if (!result.success) throw new Error(result.error);
+    showNotification('Engine saved - restart the proxy to apply', 'success');
+  } catch (error) {
+    showNotification('Failed to save engine: ' + error.message, 'error');
+  }
+}
+
+async function saveRetentionSetting(input) {
+  const value = parseInt(input.value, 10);
+  if (!Number.isInteger(value) || value < 1) {
+    showNotification('Retention must be a whole number of at least 1', 'error');
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.dbSetSetting(input.dataset.setting, String(value));
+    if (!result.success) throw new Error(result.error);
+    input.value = value;
+    showNotification('Metrics retention saved', 'success');
+  } catch (error) {
+    showNotification('Failed to save retention: ' + error.message, 'error');
+  }
+}
+
+// HTTP API
+function renderHttpApi(status) {
+  httpApiEnabled.checked = status.enabled;
+  httpApiBind.value = status.bindAddress;
+  httpApiPort.value = status.port;
+  httpApiToken.value = status.token;
+
+  if (status.running) {
+    httpApiStatus.className = 'text-xs text-green-400';
+    httpApiStatus.textContent = `Listening on ${status.url}`;
+  } else if (status.error) {
+    httpApiStatus.className = 'text-xs text-red-400';
+    httpApiStatus.textContent = status.error;
+  } else {
+    httpApiStatus.className = 'text-xs text-gray-400';
+    httpApiStatus.textContent = 'Off';
+  }
+}
+
+async function saveHttpApi() {
+  try {
+    const result = await window.electronAPI.setHttpApi({
+      enabled: httpApiEnabled.checked,
+      bindAddress: httpApiBind.value.trim() || '127.0.0.1',
+      port: parseInt(httpApiPort.value, 10)
+    });
+    if (!result.success) throw new Error(result.error);
+    renderHttpApi(result.data);
+    showNotification('HTTP API settings saved', result.data.error ? 'error' : 'success');
+  } catch (error) {
+    showNotification('Failed to save HTTP API settings: ' + error.message, 'error');
+  }
 }
 
+async function copyHttpApiToken() {
+  if (!httpApiToken.value) return;
+  try {
+    await navigator.clipboard.writeText(httpApiToken.value);
+    showNotification('Token copied', 'success');
+  } catch (error) {
+    showNotification('Failed to copy token: ' + error.message, 'error');
+  }
+}
+
+async function regenerateHttpApiToken() {
+  if (!confirm('Create a new token? Scripts using the current token stop working.')) return;
+
+  try {
+    const result = await window.electronAPI.regenerateHttpApiToken();
+    if (!result.success) throw new Error(result.error);
+    renderHttpApi(result.data);
+    showNotification('New token created', 'success');
+  } catch (error) {
+    showNotification('Failed to create token: ' + error.message, 'error');
+  }
+}
+
+// Utilities
 function showNotification(message, type) {
   const color = type === 'success' ? 'text-green-400' : 'text-red-400';
   const notification = document.createElement('div');
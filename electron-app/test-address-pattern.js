@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for OSC address pattern matching and routing rules
+ * Run with: node test-address-pattern.js
+ *
+ * Checks each wildcard (?, *, [a-z], [!...], {a,b}) against matching and
+ * non-matching addresses, the captures rewrite rules reuse, how include
+ * and exclude rules combine, and the errors for malformed patterns.
+ */
+
+const assert = require('assert');
+const {
+  matchAddress, captureAddress, captureCount, validatePattern, createRouteFilter
+} = require('./lib/address-pattern');
+
+console.log('\n=== Testing Address Patterns ===\n');
+
+console.log('1. Matching wildcards...');
+const cases = [
+  // pattern, matching, not matching
+  ['/cue/go', ['/cue/go'], ['/cue/go/', '/cue/gone', '/Cue/go']],
+  ['/fader?', ['/fader1', '/faderA'], ['/fader', '/fader10', '/fader/']],
+  ['/mixer/*', ['/mixer/', '/mixer/fader1'], ['/mixer', '/mixer/1/fader']],
+  ['/*/fader', ['/mixer/fader', '/a/fader'], ['/fader', '/a/b/fader']],
+  ['/ch[1-3]', ['/ch1', '/ch3'], ['/ch0', '/ch4', '/ch12']],
+  ['/[a-cx]', ['/a', '/b', '/x'], ['/d', '/-']],
+  ['/ch[!1-3]', ['/ch4', '/chA'], ['/ch1', '/ch3', '/ch/']],
+  ['/[-a]', ['/-', '/a'], ['/b']],
+  ['/{go,stop}/now', ['/go/now', '/stop/now'], ['/pause/now', '/gostop/now']],
+  ['/{a.b,c}', ['/a.b', '/c'], ['/axb']]
+];
+cases.forEach(([pattern, matching, notMatching]) => {
+  matching.forEach(address => assert.ok(matchAddress(pattern, address), `${pattern} should match ${address}`));
+  notMatching.forEach(address => assert.ok(!matchAddress(pattern, address), `${pattern} should not match ${address}`));
+});
+console.log('   ✓', cases.length, 'patterns matched; no wildcard crosses a /');
+
+console.log('\n2. Capturing wildcard text...');
+assert.deepStrictEqual(captureAddress('/track/*/{go,stop}', '/track/12/stop'), ['12', 'stop']);
+assert.deepStrictEqual(captureAddress('/ch[0-9]?', '/ch4b'), ['4', 'b']);
+assert.deepStrictEqual(captureAddress('/track/*', '/track/'), ['']);
+assert.strictEqual(captureAddress('/track/*', '/cue/1'), null);
+assert.strictEqual(captureCount('/a/*/[xy]/{p,q}?'), 4);
+assert.strictEqual(captureCount('/plain'), 0);
+console.log('   ✓ Captures numbered left to right');
+
+console.log('\n3. Combining include and exclude rules...');
+assert.strictEqual(createRouteFilter([]), null);
+assert.strictEqual(createRouteFilter(null), null);
+
+const includeOnly = createRouteFilter([{ action: 'include', pattern: '/cue/*' }]);
+assert.ok(includeOnly('/cue/go'));
+assert.ok(!includeOnly('/light/1'));
+assert.ok(!includeOnly(''), 'A message without an address passed');
+
+const excludeOnly = createRouteFilter([{ action: 'exclude', pattern: '/ping' }]);
+assert.ok(excludeOnly('/cue/go'));
+assert.ok(!excludeOnly('/ping'));
+
+// Excludes win whichever order the rules are in
+const rules = [
+  { action: 'include', pattern: '/mixer/*' },
+  { action: 'exclude', pattern: '/mixer/meter*' },
+  { action: 'include', pattern: '/cue/{go,stop}' }
+];
+[rules, [...rules].reverse()].forEach(ordered => {
+  const filter = createRouteFilter(ordered);
+  assert.ok(filter('/mixer/fader1'));
+  assert.ok(filter('/cue/stop'));
+  assert.ok(!filter('/mixer/meter3'));
+  assert.ok(!filter('/cue/pause'));
+});
+console.log('   ✓ Includes allow-list, excludes always win, in any order');
+
+console.log('\n4. Rejecting malformed patterns...');
+const invalid = [
+  ['cue/go', /must start with \//],
+  ['/cue go', /spaces or #/],
+  ['/cue#1', /spaces or #/],
+  ['/ch[1-3', /Unclosed '\['/],
+  ['/ch[]', /Empty character list/],
+  ['/ch[!]', /Empty character list/],
+  ['/ch[a/b]', /'\/' is not allowed/],
+  ['/{go,stop', /Unclosed '\{'/],
+  ['/{go,{stop}}', /not allowed inside \{\}/],
+  ['/{a/b}', /not allowed inside \{\}/],
+  ['/go]', /Unexpected '\]'/],
+  ['/go}', /Unexpected '\}'/]
+];
+invalid.forEach(([pattern, error]) => assert.match(validatePattern(pattern), error, pattern));
+assert.strictEqual(validatePattern('/mixer/{1,2}/fader*'), null);
+assert.throws(() => createRouteFilter([{ action: 'include', pattern: '/ch[' }]), /Unclosed/);
+console.log('   ✓', invalid.length, 'malformed patterns rejected with a reason');
+
+console.log('\n✓ All address pattern tests passed!\n');
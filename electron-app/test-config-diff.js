@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the live-reconfigure diff
+ * Run with: node test-config-diff.js
+ *
+ * Compares a running listener configuration with edited copies and checks
+ * which changes restart the listener, which are applied in place, which
+ * replace or update a forwarder, and that unchanged or ignored fields
+ * give no change at all.
+ */
+
+const assert = require('assert');
+const {
+  LISTENER_RESTART_FIELDS, FORWARDER_RESTART_FIELDS, FORWARDER_POLICY_FIELDS, diffListener
+} = require('./lib/config-diff');
+
+function forwarder(id, fields = {}) {
+  return {
+    id,
+    name: `FOH ${id}`,
+    enabled: true,
+    protocol: 'tcp',
+    host: '127.0.0.1',
+    port: 9000 + id,
+    framing: 'slip-double',
+    keepalive: true,
+    keepalive_interval: 10,
+    nodelay: true,
+    connect_timeout: 5,
+    broadcast: false,
+    multicast_ttl: 1,
+    multicast_loopback: false,
+    disconnect_policy: 'drop',
+    buffer_size: 1000,
+    buffer_ttl: 10,
+    rebundle: false,
+    routes: [{ action: 'include', pattern: '/cue/*' }],
+    rewrites: [],
+    throttles: [],
+    ...fields
+  };
+}
+
+const live = {
+  id: 1,
+  name: 'QLab',
+  enabled: true,
+  protocol: 'udp',
+  bind_address: '0.0.0.0',
+  port: 53000,
+  max_message_size: 65536,
+  framing: 'slip-double',
+  multicast_groups: '',
+  multicast_interface: '',
+  schedule_bundles: false,
+  max_lookahead: 10,
+  throttles: [],
+  forwarders: [forwarder(1), forwarder(2), forwarder(3, { enabled: false })]
+};
+
+// A copy of the running configuration with some fields changed
+const edit = (changes = {}, forwarders = live.forwarders.map(f => ({ ...f }))) =>
+  ({ ...JSON.parse(JSON.stringify(live)), forwarders, ...changes });
+const editForwarder = (id, changes) =>
+  edit({}, live.forwarders.map(f => (f.id === id ? { ...f, ...changes } : { ...f })));
+
+const changedParts = diff => ({
+  restart: diff.restart,
+  live: diff.live,
+  renamed: diff.renamed,
+  added: diff.forwarders.added.map(f => f.id),
+  removed: diff.forwarders.removed,
+  replaced: diff.forwarders.replaced.map(f => f.id),
+  updated: diff.forwarders.updated.map(f => f.id)
+});
+const NOTHING = { restart: [], live: [], renamed: false, added: [], removed: [], replaced: [], updated: [] };
+
+console.log('\n=== Testing Config Diff ===\n');
+
+console.log('1. Unchanged configurations...');
+let diff = diffListener(live, edit());
+assert.strictEqual(diff.changed, false);
+assert.deepStrictEqual(changedParts(diff), NOTHING);
+assert.deepStrictEqual(diff.summary, []);
+
+// The enabled flag and disabled forwarders do not matter to a running listener
+diff = diffListener(live, edit({ enabled: false }, [
+  ...live.forwarders.slice(0, 2), forwarder(3, { enabled: false, port: 1 })
+]));
+assert.strictEqual(diff.changed, false, diff.summary.join('; '));
+console.log('   ✓ No change for a copy, the enabled flag or disabled forwarders');
+
+console.log('\n2. Listener fields that restart the listener...');
+const restartValues = {
+  protocol: 'tcp', bind_address: '127.0.0.1', port: 53001, max_message_size: 1024,
+  framing: 'newline', multicast_groups: '239.0.0.1', multicast_interface: '192.168.1.2'
+};
+assert.deepStrictEqual(Object.keys(restartValues), LISTENER_RESTART_FIELDS);
+LISTENER_RESTART_FIELDS.forEach(field => {
+  diff = diffListener(live, edit({ [field]: restartValues[field] }));
+  assert.deepStrictEqual(changedParts(diff), { ...NOTHING, restart: [field] }, field);
+  assert.deepStrictEqual(diff.summary, [`${field}: ${live[field]} → ${restartValues[field]}`]);
+});
+console.log('   ✓', LISTENER_RESTART_FIELDS.length, 'fields restart the listener');
+
+console.log('\n3. Listener fields applied in place...');
+diff = diffListener(live, edit({ schedule_bundles: true, max_lookahead: 30 }));
+assert.deepStrictEqual(changedParts(diff), { ...NOTHING, live: ['schedule_bundles', 'max_lookahead'] });
+
+diff = diffListener(live, edit({ name: 'QLab Main' }));
+assert.deepStrictEqual(changedParts(diff), { ...NOTHING, renamed: true });
+assert.deepStrictEqual(diff.summary, ['name: QLab → QLab Main']);
+
+// New throttle rules reach every running forwarder, without a reconnect
+diff = diffListener(live, edit({ throttles: [{ action: 'limit', pattern: '/meter/*', max_rate: 10 }] }));
+assert.deepStrictEqual(changedParts(diff), { ...NOTHING, updated: [1, 2] });
+assert.deepStrictEqual(diff.summary, ['throttle rules changed']);
+console.log('   ✓ Bundle scheduling, name and throttle rules need no restart');
+
+console.log('\n4. Forwarders added and removed...');
+diff = diffListener(live, edit({}, [live.forwarders[0], forwarder(4)]));
+assert.deepStrictEqual(changedParts(diff), { ...NOTHING, added: [4], removed: [2] });
+assert.deepStrictEqual(diff.summary, ['forwarder FOH 4: added', 'forwarder FOH 2: removed']);
+
+// Enabling or disabling a forwarder counts as adding or removing it
+diff = diffListener(live, edit({}, [
+  live.forwarders[0], { ...live.forwarders[1], enabled: false }, { ...live.forwarders[2], enabled: true }
+]));
+assert.deepStrictEqual(changedParts(diff), { ...NOTHING, added: [3], removed: [2] });
+console.log('   ✓ New and enabled forwarders added; deleted and disabled ones removed');
+
+console.log('\n5. Forwarder fields that reconnect...');
+const reconnectValues = {
+  protocol: 'udp', host: '10.0.0.9', port: 7000, framing: 'length-prefix', keepalive: false,
+  keepalive_interval: 30, nodelay: false, connect_timeout: 2, broadcast: true, multicast_ttl: 4,
+  multicast_loopback: true
+};
+assert.deepStrictEqual(Object.keys(reconnectValues), FORWARDER_RESTART_FIELDS);
+FORWARDER_RESTART_FIELDS.forEach(field => {
+  diff = diffListener(live, editForwarder(2, { [field]: reconnectValues[field], name: 'Renamed' }));
+  assert.deepStrictEqual(changedParts(diff), { ...NOTHING, replaced: [2] }, field);
+  assert.deepStrictEqual(diff.summary, [`forwarder Renamed: ${field} changed`]);
+});
+diff = diffListener(live, editForwarder(1, { host: '10.0.0.9', port: 7000 }));
+assert.deepStrictEqual(diff.summary, ['forwarder FOH 1: host, port changed']);
+console.log('   ✓', FORWARDER_RESTART_FIELDS.length, 'fields replace the forwarder (a rename goes with it)');
+
+console.log('\n6. Forwarder fields applied in place...');
+const updates = [
+  [{ name: 'Monitor' }, 'forwarder Monitor: renamed from FOH 2'],
+  [{ routes: [{ action: 'exclude', pattern: '/ping' }] }, 'forwarder FOH 2: rules changed'],
+  [{ rewrites: [{ pattern: '/a', target: '/b', args: null }] }, 'forwarder FOH 2: rules changed'],
+  [{ throttles: [{ action: 'exempt', pattern: '/fader/*' }] }, 'forwarder FOH 2: rules changed'],
+  [{ rebundle: true }, 'forwarder FOH 2: rebundling'],
+  ...FORWARDER_POLICY_FIELDS.map(field => [
+    { [field]: field === 'disconnect_policy' ? 'buffer' : 50 }, 'forwarder FOH 2: disconnect policy changed'
+  ])
+];
+updates.forEach(([changes, summary]) => {
+  diff = diffListener(live, editForwarder(2, changes));
+  assert.deepStrictEqual(changedParts(diff), { ...NOTHING, updated: [2] }, summary);
+  assert.deepStrictEqual(diff.summary, [summary]);
+});
+
+// Rule rows compare by content; IDs and positions in the database do not count
+diff = diffListener(live, editForwarder(1, { routes: [{ id: 99, position: 3, action: 'include', pattern: '/cue/*' }] }));
+assert.strictEqual(diff.changed, false);
+diff = diffListener(live, editForwarder(2, { name: 'Monitor', rebundle: true }));
+assert.deepStrictEqual(diff.summary, ['forwarder Monitor: renamed from FOH 2, rebundling']);
+console.log('   ✓', updates.length, 'changes update the forwarder without reconnecting');
+
+console.log('\n7. Several changes at once...');
+diff = diffListener(live, {
+  ...edit({ port: 53001, max_lookahead: 5 }),
+  forwarders: [{ ...live.forwarders[0], host: '10.0.0.9' }, { ...live.forwarders[1], name: 'Monitor' }, forwarder(5)]
+});
+assert.deepStrictEqual(changedParts(diff), {
+  ...NOTHING, restart: ['port'], live: ['max_lookahead'], added: [5], replaced: [1], updated: [2]
+});
+assert.strictEqual(diff.summary.length, 5);
+console.log('   ✓ Every kind of change reported together');
+
+console.log('\n✓ All config diff tests passed!\n');
@@ -3,9 +3,20 @@
 /**
  * Test script for database operations
  * Run with: node test-database.js
+ *
+ * Covers persistence, import/export and the app-side services built on
+ * the database; engine forwarding behavior is in test-engine.js.
  */
 
 const ProxyDatabase = require('./lib/database');
+const configIO = require('./lib/config-io');
+const { MetricsRecorder } = require('./lib/metrics-recorder');
+const { loadHistory } = require('./lib/metrics-history');
+const { AlertMonitor } = require('./lib/alerts');
+const { SessionRecorder, readSession, recoverSessions } = require('./lib/session-recorder');
+const { SessionPlayer } = require('./lib/session-player');
+const osc = require('./lib/osc');
+const { buildTestPacket, validateTestMessage, HISTORY_LIMIT } = require('./lib/test-sender');
 const fs = require('fs');
 const path = require('path');
 
@@ -24,9 +35,9 @@ console.log('1. Initializing database...');
 const db = new ProxyDatabase(TEST_DB_PATH);
 console.log('   ✓ Database initialized');
 
-// Test creating a transmitter
-console.log('\n2. Creating transmitter "LightKey"...');
-const transmitter1 = db.createTransmitter({
+// Test creating a listener
+console.log('\n2. Creating listener "LightKey"...');
+const listener1 = db.createListener({
   name: 'LightKey',
   enabled: true,
   protocol: 'udp',
@@ -34,11 +45,11 @@ const transmitter1 = db.createTransmitter({
   port: 8000,
   max_message_size: 8192
 });
-console.log('   ✓ Created:', transmitter1);
+console.log('   ✓ Created:', listener1);
 
-// Test creating another transmitter
-console.log('\n3. Creating transmitter "QLab"...');
-const transmitter2 = db.createTransmitter({
+// Test creating another listener
+console.log('\n3. Creating listener "QLab"...');
+const listener2 = db.createListener({
   name: 'QLab',
   enabled: true,
   protocol: 'udp',
@@ -46,11 +57,11 @@ const transmitter2 = db.createTransmitter({
   port: 53000,
   max_message_size: 8192
 });
-console.log('   ✓ Created:', transmitter2);
+console.log('   ✓ Created:', listener2);
 
-// Test creating receivers for transmitter 1
-console.log('\n4. Creating receivers for LightKey...');
-const receiver1 = db.createReceiver(transmitter1.id, {
+// Test creating forwarders for listener 1
+console.log('\n4. Creating forwarders for LightKey...');
+const forwarder1 = db.createForwarder(listener1.id, {
   name: 'GrandMA3',
   enabled: true,
   protocol: 'tcp',
@@ -61,47 +72,47 @@ const receiver1 = db.createReceiver(transmitter1.id, {
   nodelay: true,
   connect_timeout: 5
 });
-console.log('   ✓ Created receiver 1:', receiver1);
+console.log('   ✓ Created forwarder 1:', forwarder1);
 
-const receiver2 = db.createReceiver(transmitter1.id, {
+const forwarder2 = db.createForwarder(listener1.id, {
   name: 'Backup Console',
   enabled: true,
   protocol: 'tcp',
   host: '10.0.1.11',
   port: 9000
 });
-console.log('   ✓ Created receiver 2:', receiver2);
+console.log('   ✓ Created forwarder 2:', forwarder2);
 
-// Test creating receiver for transmitter 2
-console.log('\n5. Creating receiver for QLab...');
-const receiver3 = db.createReceiver(transmitter2.id, {
+// Test creating forwarder for listener 2
+console.log('\n5. Creating forwarder for QLab...');
+const forwarder3 = db.createForwarder(listener2.id, {
   name: 'Media Server',
   enabled: true,
   protocol: 'udp',
   host: '10.0.2.5',
   port: 7000
 });
-console.log('   ✓ Created receiver 3:', receiver3);
+console.log('   ✓ Created forwarder 3:', forwarder3);
 
-// Test getting all transmitters
-console.log('\n6. Getting all transmitters...');
-const allTransmitters = db.getAllTransmitters();
-console.log('   ✓ Found', allTransmitters.length, 'transmitters');
-allTransmitters.forEach(t => {
-  console.log(`     - ${t.name}: ${t.protocol.toUpperCase()} on ${t.bind_address}:${t.port} with ${t.receivers.length} receiver(s)`);
-  t.receivers.forEach(r => {
+// Test getting all listeners
+console.log('\n6. Getting all listeners...');
+const allListeners = db.getAllListeners();
+console.log('   ✓ Found', allListeners.length, 'listeners');
+allListeners.forEach(t => {
+  console.log(`     - ${t.name}: ${t.protocol.toUpperCase()} on ${t.bind_address}:${t.port} with ${t.forwarders.length} forwarder(s)`);
+  t.forwarders.forEach(r => {
     console.log(`       → ${r.name}: ${r.protocol.toUpperCase()} to ${r.host}:${r.port}`);
   });
 });
 
-// Test getting enabled transmitters
-console.log('\n7. Getting enabled transmitters...');
-const enabledTransmitters = db.getEnabledTransmitters();
-console.log('   ✓ Found', enabledTransmitters.length, 'enabled transmitters');
+// Test getting enabled listeners
+console.log('\n7. Getting enabled listeners...');
+const enabledListeners = db.getEnabledListeners();
+console.log('   ✓ Found', enabledListeners.length, 'enabled listeners');
 
-// Test updating a transmitter
-console.log('\n8. Updating transmitter port...');
-const updatedTransmitter = db.updateTransmitter(transmitter1.id, {
+// Test updating a listener
+console.log('\n8. Updating listener port...');
+const updatedListener = db.updateListener(listener1.id, {
   name: 'LightKey',
   enabled: true,
   protocol: 'udp',
@@ -109,16 +120,16 @@ const updatedTransmitter = db.updateTransmitter(transmitter1.id, {
   port: 8001, // Changed port
   max_message_size: 8192
 });
-console.log('   ✓ Updated port to:', updatedTransmitter.port);
+console.log('   ✓ Updated port to:', updatedListener.port);
 
-// Test toggling transmitter
-console.log('\n9. Toggling transmitter enabled state...');
-const toggledTransmitter = db.toggleTransmitter(transmitter2.id);
-console.log('   ✓ Transmitter enabled:', toggledTransmitter.enabled);
+// Test toggling listener
+console.log('\n9. Toggling listener enabled state...');
+const toggledListener = db.toggleListener(listener2.id);
+console.log('   ✓ Listener enabled:', toggledListener.enabled);
 
 // Test recording metrics
 console.log('\n10. Recording metrics...');
-db.recordMetrics(transmitter1.id, {
+db.recordMetrics(listener1.id, {
   rate: 245.8,
   avgRate: 198.3,
   peakRate: 412.0,
@@ -128,7 +139,7 @@ db.recordMetrics(transmitter1.id, {
   dropped: 50,
   lossPct: 0.5
 });
-console.log('    ✓ Recorded metrics for transmitter 1');
+console.log('    ✓ Recorded metrics for listener 1');
 
 db.recordMetrics(null, {
   rate: 298.3,
@@ -144,8 +155,8 @@ console.log('    ✓ Recorded aggregate metrics');
 
 // Test getting metrics history
 console.log('\n11. Getting metrics history...');
-const metricsHistory = db.getMetricsHistory(transmitter1.id, 10);
-console.log('    ✓ Found', metricsHistory.length, 'metrics records for transmitter 1');
+const metricsHistory = db.getMetricsHistory(listener1.id, 10);
+console.log('    ✓ Found', metricsHistory.length, 'metrics records for listener 1');
 
 const aggregateMetrics = db.getMetricsHistory(null, 10);
 console.log('    ✓ Found', aggregateMetrics.length, 'aggregate metrics records');
@@ -168,25 +179,365 @@ const yamlConfig = {
   }
 };
 const migrated = db.migrateFromYAML(yamlConfig);
-console.log('    ✓ Migrated YAML config to transmitter:', migrated.transmitter.name);
-console.log('    ✓ Created receiver:', migrated.receiver.name);
+console.log('    ✓ Migrated YAML config to listener:', migrated.listener.name);
+console.log('    ✓ Created forwarder:', migrated.forwarder.name);
 
 // Test export
 console.log('\n13. Exporting database to JSON...');
 const exportData = db.exportToJSON();
-console.log('    ✓ Exported', exportData.transmitters.length, 'transmitters');
+console.log('    ✓ Exported', exportData.listeners.length, 'listeners');
 
-// Test deleting a receiver
-console.log('\n14. Deleting a receiver...');
-const deleted = db.deleteReceiver(receiver2.id);
-console.log('    ✓ Deleted receiver:', deleted);
+// Test import (exported config round-trips unchanged, then a merge)
+console.log('\n14. Importing configuration...');
+const yamlExport = configIO.serializeConfig(db.getAllListeners(), 'yaml');
+const reimported = configIO.validateConfig(configIO.parseConfig(yamlExport, 'yaml'));
+if (reimported.errors.length > 0) throw new Error('Export did not validate: ' + reimported.errors.join('; '));
+const roundTrip = configIO.planImport(db.getAllListeners(), reimported.listeners, 'replace');
+if (roundTrip.summary.unchanged !== exportData.listeners.length) throw new Error('Export did not round-trip');
+console.log('    ✓ YAML export re-imports with no changes');
+
+reimported.listeners[0].port = 8100;
+reimported.listeners.push({ ...reimported.listeners[0], name: 'Resolume', port: 7000, forwarders: [] });
+const imported = db.importConfig(configIO.planImport(db.getAllListeners(), reimported.listeners, 'merge'));
+if (imported.listeners.create !== 1 || imported.listeners.update !== 1) throw new Error('Unexpected merge result');
+console.log('    ✓ Merged:', imported.listeners);
+
+// Test show profiles
+console.log('\n15. Switching show profiles...');
+const defaultProfile = db.getActiveProfile();
+const venueProfile = db.createProfile('Venue B', defaultProfile.id);
+if (db.getAllListeners(venueProfile.id).length !== db.getAllListeners().length) throw new Error('Profile copy incomplete');
+db.setActiveProfile(venueProfile.id);
+db.createListener({ name: 'Venue Only', enabled: true, protocol: 'udp', bind_address: '0.0.0.0', port: 9100 });
+if (db.getAllListeners(defaultProfile.id).some(t => t.name === 'Venue Only')) throw new Error('Listener leaked into another profile');
+db.setActiveProfile(defaultProfile.id);
+db.deleteProfile(venueProfile.id);
+console.log('    ✓ Profiles:', db.getProfiles().map(p => p.name));
+
+// Test deleting a forwarder
+console.log('\n16. Deleting a forwarder...');
+const deleted = db.deleteForwarder(forwarder2.id);
+console.log('    ✓ Deleted forwarder:', deleted);
+
+// Test metrics history rollups and retention
+console.log('\n17. Rolling up metrics history...');
+const recorder = new MetricsRecorder(db);
+const start = Date.parse('2026-03-01T20:00:00.000Z');
+for (let second = 0; second < 150; second++) {
+  // The listener restarts after 100 seconds, so its counters start over
+  const total = second < 100 ? (second + 1) * 10 : (second - 99) * 10;
+  recorder.record({
+    timestamp: start + second * 1000,
+    aggregate: { rate: 10, avgRate: 10, peakRate: 12, latency: 0.5 },
+    listeners: [{
+      id: listener1.id, rate: 10, avg_rate: 10, peak_rate: 12, latency: 0.5,
+      total, forwarded: total, dropped: 0,
+      forwarders: [{ id: forwarder1.id, connected: second % 2 === 0, latency: 0.4, forwarded: total }]
+    }]
+  });
+}
+recorder.flush();
+const rolledUp = db.rollupMetrics(new Date(start + 3 * 60 * 1000));
+if (rolledUp.minute !== 9) throw new Error(`Expected 9 minute rollups, got ${rolledUp.minute}`);
+const minutes = db.getMetricsInRange(listener1.id, new Date(start), new Date(start + 3 * 60 * 1000), 'minute');
+if (minutes.map(m => m.total).join() !== '600,600,300') throw new Error('Minute totals do not match the samples');
+const fwdMinutes = db.getForwarderMetricsInRange(forwarder1.id, new Date(start), new Date(start + 3 * 60 * 1000), 'minute');
+if (fwdMinutes[0].samples !== 60 || fwdMinutes[0].connected !== 0.5) throw new Error('Unexpected forwarder rollup');
+if (db.rollupMetrics(new Date(start + 3 * 60 * 1000)).minute !== 0) throw new Error('Rollup is not repeatable');
+console.log('    ✓ Minute rollups:', minutes.map(m => `${m.timestamp} ${m.total}`));
+
+const pruned = db.pruneMetrics({ rawHours: 1, minuteDays: 14, hourDays: 365 }, new Date(start + 2 * 60 * 60 * 1000));
+if (db.getMetricsInRange(listener1.id, new Date(start), new Date(start + 60 * 60 * 1000)).length !== 0) {
+  throw new Error('Raw samples kept past retention');
+}
+console.log('    ✓ Pruned', pruned, 'raw samples, kept', minutes.length, 'minute rollups');
+
+// Past the per-second retention the charts read minute rollups
+const history = loadHistory(db, { type: 'listener', id: listener1.id },
+  new Date(start), new Date(start + 3 * 60 * 1000), new Date(start + 7 * 60 * 60 * 1000));
+const outages = history.annotations.filter(a => a.type === 'disconnected');
+if (history.resolution !== 'minute' || history.samples.length !== 3) throw new Error('Unexpected history resolution');
+if (outages.length !== 1 || !outages[0].message.endsWith('about 75s')) throw new Error('Forwarder outage not found');
+console.log('    ✓ History:', history.resolution, 'resolution,', outages[0].message);
+
+// Test the connection journal
+console.log('\n18. Recording connection events...');
+const at = seconds => new Date(start + seconds * 1000).toISOString();
+const journal = [
+  { event: 'connected', timestamp: at(0) },
+  { event: 'disconnected', reason: 'read ECONNRESET', timestamp: at(10) },
+  { event: 'connect-failed', reason: 'connect ECONNREFUSED', attempt: 1, timestamp: at(11) },
+  { event: 'connect-failed', reason: 'connect ECONNREFUSED', attempt: 2, timestamp: at(13) },
+  { event: 'connected', timestamp: at(17) },
+  { event: 'closed', timestamp: at(30) },
+  { event: 'closed', timestamp: at(31) }
+].map(event => db.recordConnectionEvent({ forwarderId: forwarder1.id, ...event }));
+if (journal[4].outage_ms !== 7000 || journal[4].attempt !== 2) throw new Error('Outage not measured on reconnect');
+if (journal[5].outage_ms !== null || journal[6] !== null) throw new Error('Clean close counted as an outage');
+const [fwdStats] = db.getConnectionStats({ startTime: new Date(start) }).filter(row => row.forwarder_id === forwarder1.id);
+if (fwdStats.disconnects !== 1 || fwdStats.failed_attempts !== 2 || fwdStats.longest_outage_ms !== 7000) {
+  throw new Error('Unexpected connection stats');
+}
+console.log('    ✓ Journal:', db.getConnectionEvents({ forwarderId: forwarder1.id }).map(e => e.event).reverse());
+console.log('    ✓ Stats:', fwdStats.disconnects, 'disconnect(s),', fwdStats.failed_attempts, 'failed attempt(s), last error:', fwdStats.last_reason);
+
+// Test alert rules
+console.log('\n19. Evaluating alert rules...');
+const disconnectRule = db.createAlertRule({ name: 'Desk offline', type: 'forwarder-disconnected', forwarder_id: forwarder1.id, duration: 5 });
+const lossRule = db.createAlertRule({ name: 'Loss', type: 'loss-above', threshold: 10, duration: 5, sound: 'alarm' });
+if (disconnectRule.listener_id !== listener1.id || disconnectRule.forwarder_name !== forwarder1.name) {
+  throw new Error('Alert rule scope not stored');
+}
+try {
+  db.createAlertRule({ name: 'Bad', type: 'loss-above', duration: 5 });
+  throw new Error('Rule without a threshold was accepted');
+} catch (err) {
+  if (!err.message.includes('threshold')) throw err;
+}
+
+const monitor = new AlertMonitor();
+monitor.setRules(db.getAlertRules());
+const sample = (seconds, connected, total, dropped) => monitor.evaluate({
+  listeners: [{ id: listener1.id, name: listener1.name, rate: 10, total, dropped, forwarders: [{ id: forwarder1.id, name: forwarder1.name, connected }] }]
+}, start + seconds * 1000);
+const firedNames = [];
+for (let second = 0; second <= 6; second++) {
+  sample(second, second < 1, second * 100, second >= 4 ? (second - 3) * 50 : 0).fired.forEach(alert => firedNames.push(alert.rule_name));
+}
+if (firedNames.join() !== 'Loss,Desk offline') throw new Error(`Unexpected alerts: ${firedNames}`);
+
+const [offline] = monitor.active(start + 6000).filter(alert => alert.rule_id === disconnectRule.id);
+monitor.snooze(offline.key, 1, start + 6000);
+if (sample(7, false, 700, 200).fired.length > 0) throw new Error('Snoozed alert fired again');
+if (sample(67, false, 700, 200).fired.length !== 1) throw new Error('Alert not repeated after the snooze');
+monitor.acknowledge(offline.key);
+if (!monitor.active(start + 67000).find(alert => alert.key === offline.key).acknowledged) throw new Error('Alert not acknowledged');
+sample(68, true, 800, 200);
+if (monitor.active(start + 68000).length !== 0) throw new Error('Alerts did not clear');
+console.log('    ✓ Fired:', firedNames.join(', '), '- snoozed, repeated, acknowledged and cleared');
+
+// Test session recording and replay
+console.log('\n20. Recording and replaying a session...');
+const SESSIONS_DIR = path.join(__dirname, 'test-sessions');
+fs.rmSync(SESSIONS_DIR, { recursive: true, force: true });
+const sessionRecorder = new SessionRecorder(db, SESSIONS_DIR);
+const recorded = sessionRecorder.start(listener1);
+const recordingStart = Date.parse(recorded.started_at);
+['/cue/1/go', '/cue/2/go', '/fader/1'].forEach((address, i) => {
+  sessionRecorder.record({
+    listener_id: listener1.id,
+    timestamp: recordingStart + i * 500,
+    source: { address: '10.0.0.5', port: 53000 },
+    data: osc.encodeMessage(address, [{ type: 'i', value: i }])
+  });
+});
+sessionRecorder.record({ listener_id: listener2.id, timestamp: recordingStart, data: Buffer.from('ignored') });
+const [finished] = sessionRecorder.stopAll();
+if (finished.message_count !== 3 || !finished.ended_at) throw new Error('Session not completed in the index');
+
+// A recording the app never finished is completed from its file on the next start
+const orphanFile = path.join(SESSIONS_DIR, 'crashed.jsonl');
+fs.copyFileSync(finished.file, orphanFile);
+fs.appendFileSync(orphanFile, '{"t":1500,"src":"10.0.0.5:53');
+const orphan = db.createSession({
+  name: 'Crashed', listenerId: listener1.id, listenerName: listener1.name, file: orphanFile, startedAt: finished.started_at
+});
+if (recoverSessions(db) !== 1 || db.getSession(orphan.id).duration_ms !== 1000) throw new Error('Unfinished session not recovered');
+db.deleteSession(orphan.id);
+
+const sent = [];
+const fakeSender = {
+  connected: true,
+  hasRoutes: false,
+  rewrite: data => data,
+  send: data => sent.push(osc.decodePacket(data).address),
+  close: () => {}
+};
+const stepper = new SessionPlayer(readSession(finished.file), fakeSender);
+stepper.step();
+stepper.step();
+if (sent.join() !== '/cue/1/go,/cue/2/go' || stepper.status().position_ms !== 500) throw new Error('Step playback out of order');
+stepper.step();
+if (stepper.status().state !== 'finished') throw new Error('Playback did not finish');
+console.log('    ✓ Recorded', finished.message_count, 'message(s), recovered an unfinished session, stepped through', sent.length);
+fs.rmSync(SESSIONS_DIR, { recursive: true, force: true });
+
+// Test composed messages, favorites and history
+console.log('\n21. Composing test messages...');
+const composed = {
+  address: '/cue/1/go',
+  args: [
+    { type: 'i', value: '42' }, { type: 'f', value: '0.5' }, { type: 's', value: 'go now' },
+    { type: 'b', value: '01 ff' }, { type: 'T' }, { type: 'F' }, { type: 'N' }, { type: 't', value: 'immediately' }
+  ]
+};
+const composedPacket = osc.decodePacket(buildTestPacket(composed));
+if (composedPacket.args.map(arg => arg.type).join('') !== 'ifsbTFNt' || composedPacket.args[2].value !== 'go now') {
+  throw new Error('Composed message encoded wrongly');
+}
+if (!validateTestMessage({ address: '/x', args: [{ type: 'i', value: '1.5' }] }) || !validateTestMessage({ address: 'x', args: [] })) {
+  throw new Error('Invalid composed message accepted');
+}
+
+const favorite = db.createTestFavorite({ name: 'GO', ...composed });
+if (db.getTestFavorites()[0].args.length !== composed.args.length) throw new Error('Favorite arguments not kept');
+db.deleteTestFavorite(favorite.id);
+
+for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+  db.addTestHistory({ address: `/test/${i}`, args: [], targetType: 'listener', targetId: listener1.id, targetName: listener1.name });
+}
+const testHistory = db.getTestHistory();
+if (testHistory.length !== HISTORY_LIMIT || testHistory[0].address !== `/test/${HISTORY_LIMIT + 4}`) {
+  throw new Error('Test history not trimmed to the newest entries');
+}
+db.clearTestHistory();
+console.log('    ✓ Encoded', composedPacket.args.length, 'typed argument(s); history kept to', testHistory.length);
+
+// Test disconnect policies
+console.log('\n22. Saving disconnect policies...');
+const buffered = db.updateForwarder(forwarder1.id, {
+  ...db.getForwarder(forwarder1.id), disconnect_policy: 'buffer', buffer_size: 2, buffer_ttl: 5
+});
+if (buffered.disconnect_policy !== 'buffer' || buffered.buffer_size !== 2) throw new Error('Disconnect policy not saved');
+try {
+  db.updateForwarder(forwarder1.id, { ...buffered, disconnect_policy: 'queue' });
+  throw new Error('Invalid disconnect policy accepted');
+} catch (err) {
+  if (!err.message.startsWith('disconnect_policy')) throw err;
+}
+console.log('    ✓ Saved the', buffered.disconnect_policy, 'policy; invalid policy rejected');
+
+// Test throttle rules
+console.log('\n23. Saving throttle rules...');
+const throttledListener = db.updateListener(listener1.id, {
+  ...db.getListener(listener1.id),
+  throttles: [{ action: 'exempt', pattern: '/fader/master' }, { action: 'limit', pattern: '/fader/*', max_rate: 10 }]
+});
+if (throttledListener.throttles.length !== 2 || throttledListener.throttles[0].max_rate !== null) {
+  throw new Error('Listener throttle rules not saved');
+}
+const throttledForwarder = db.updateForwarder(forwarder1.id, {
+  ...db.getForwarder(forwarder1.id), throttles: [{ action: 'limit', pattern: '/xy/*', max_rate: 30 }]
+});
+if (throttledForwarder.throttles[0].max_rate !== 30) throw new Error('Forwarder throttle rules not saved');
+try {
+  db.updateForwarder(forwarder1.id, { ...throttledForwarder, throttles: [{ action: 'limit', pattern: '/xy/*', max_rate: 0 }] });
+  throw new Error('Throttle rule without a rate accepted');
+} catch (err) {
+  if (!err.message.startsWith('Invalid throttle rule')) throw err;
+}
+console.log('    ✓ Saved', throttledListener.throttles.length + throttledForwarder.throttles.length, 'throttle rule(s); rule without a rate rejected');
+
+// Test bundle handling
+console.log('\n24. Saving bundle settings...');
+const scheduling = db.updateListener(listener1.id, { ...db.getListener(listener1.id), schedule_bundles: true, max_lookahead: 30 });
+if (scheduling.schedule_bundles !== true || scheduling.max_lookahead !== 30) throw new Error('Bundle scheduling not saved');
+try {
+  db.updateListener(listener1.id, { ...scheduling, max_lookahead: 0 });
+  throw new Error('Invalid lookahead accepted');
+} catch (err) {
+  if (!err.message.startsWith('max_lookahead')) throw err;
+}
+const rebundling = db.updateForwarder(forwarder1.id, {
+  ...db.getForwarder(forwarder1.id), rebundle: true, throttles: [], routes: [{ action: 'include', pattern: '/light/*' }]
+});
+if (rebundling.rebundle !== true) throw new Error('Re-bundle not saved');
+console.log(`    ✓ Saved bundle scheduling with a ${scheduling.max_lookahead} s lookahead, and re-bundling`);
+
+// Test TCP framing
+console.log('\n25. Choosing TCP framing...');
+if (db.getListener(listener1.id).framing !== 'slip-double') throw new Error('Listener framing does not default to SLIP');
+const prefixedForwarder = db.updateForwarder(forwarder1.id, { ...db.getForwarder(forwarder1.id), framing: 'length-prefix' });
+if (prefixedForwarder.framing !== 'length-prefix') throw new Error('Forwarder framing not saved');
+try {
+  db.updateListener(listener1.id, { ...db.getListener(listener1.id), framing: 'cobs' });
+  throw new Error('Invalid framing accepted');
+} catch (err) {
+  if (!err.message.startsWith('framing')) throw err;
+}
+const framingImport = configIO.validateConfig({
+  listeners: [{ name: 'Console', protocol: 'tcp', port: 9100, framing: 'slip-single', forwarders: [
+    { name: 'Debug', host: '127.0.0.1', port: 9200, framing: 'lines' }
+  ] }]
+});
+if (framingImport.listeners[0].framing !== 'slip-single' || !framingImport.errors.some(e => e.includes('framing'))) {
+  throw new Error('Framing not validated on import');
+}
+console.log(`    ✓ Forwarder framing saved as ${prefixedForwarder.framing}; invalid framing rejected on import`);
+
+console.log('\n26. WebSocket listeners and forwarders...');
+const { protocol: listenerProtocol } = db.getListener(listener1.id);
+const { protocol: forwarderProtocol } = db.getForwarder(forwarder1.id);
+const wsListener = db.updateListener(listener1.id, { ...db.getListener(listener1.id), protocol: 'ws' });
+const wsForwarder = db.updateForwarder(forwarder1.id, { ...db.getForwarder(forwarder1.id), protocol: 'ws' });
+if (wsListener.protocol !== 'ws' || wsForwarder.protocol !== 'ws') throw new Error('WebSocket protocol not saved');
+const wsImport = configIO.validateConfig({
+  listeners: [{ name: 'Browser', protocol: 'ws', port: 9300, forwarders: [
+    { name: 'Remote', protocol: 'ws', host: '127.0.0.1', port: 9400 }
+  ] }]
+});
+if (wsImport.errors.length > 0 || wsImport.listeners[0].forwarders[0].protocol !== 'ws') {
+  throw new Error(`WebSocket config not imported: ${wsImport.errors.join('; ')}`);
+}
+db.updateListener(listener1.id, { ...db.getListener(listener1.id), protocol: listenerProtocol });
+db.updateForwarder(forwarder1.id, { ...db.getForwarder(forwarder1.id), protocol: forwarderProtocol });
+console.log('    ✓ WebSocket listener and forwarder saved and imported');
+
+console.log('\n27. Multicast and broadcast...');
+const multicastListener = db.updateListener(listener1.id, {
+  ...db.getListener(listener1.id),
+  bind_address: '0.0.0.0',
+  multicast_groups: '239.0.0.1, 239.0.0.2',
+  multicast_interface: '127.0.0.1'
+});
+if (multicastListener.multicast_groups !== '239.0.0.1,239.0.0.2') throw new Error('Multicast groups not saved');
+const broadcastForwarder = db.updateForwarder(forwarder1.id, {
+  ...db.getForwarder(forwarder1.id),
+  protocol: 'udp',
+  host: '192.168.1.255',
+  broadcast: true,
+  multicast_ttl: 4
+});
+if (broadcastForwarder.broadcast !== true || broadcastForwarder.multicast_ttl !== 4 || broadcastForwarder.multicast_loopback !== false) {
+  throw new Error('Forwarder broadcast options not saved');
+}
+[
+  { multicast_groups: '10.0.0.1' },
+  { multicast_groups: '239.0.0.1', bind_address: '127.0.0.1' },
+  { multicast_groups: '239.0.0.1', protocol: 'tcp' },
+  { multicast_interface: '127.0.0.1', multicast_groups: '' }
+].forEach(change => {
+  try {
+    db.updateListener(listener1.id, { ...db.getListener(listener1.id), ...change });
+    throw new Error(`Invalid multicast settings accepted: ${JSON.stringify(change)}`);
+  } catch (err) {
+    if (!err.message.startsWith('multicast')) throw err;
+  }
+});
+const multicastImport = configIO.validateConfig({
+  listeners: [
+    { name: 'Media', protocol: 'udp', port: 9500, multicast_groups: ['239.1.1.1'], forwarders: [
+      { name: 'Subnet', protocol: 'tcp', host: '192.168.1.255', port: 9600, broadcast: true },
+      { name: 'Group', protocol: 'udp', host: '239.1.1.3', port: 9600, multicast_ttl: 300 }
+    ] },
+    { name: 'Media 2', protocol: 'udp', port: 9500, multicast_groups: '239.1.1.2' }
+  ]
+});
+if (multicastImport.listeners[0].multicast_groups !== '239.1.1.1' ||
+    multicastImport.errors.filter(e => e.includes('broadcast') || e.includes('multicast_ttl')).length !== 2) {
+  throw new Error('Multicast options not validated on import');
+}
+const sharedPorts = configIO.planImport([], multicastImport.listeners, 'merge');
+if (sharedPorts.warnings.some(w => w.includes('9500'))) throw new Error('Shared multicast port reported as a conflict');
+db.updateListener(listener1.id, { ...db.getListener(listener1.id), multicast_groups: '', multicast_interface: '' });
+console.log(`    ✓ Listener joins ${multicastListener.multicast_groups}; forwarder broadcasts with TTL ${broadcastForwarder.multicast_ttl}`);
 
 // Final state
-console.log('\n15. Final database state:');
-const finalTransmitters = db.getAllTransmitters();
-console.log('    Total transmitters:', finalTransmitters.length);
-finalTransmitters.forEach(t => {
-  console.log(`    - ${t.name} (${t.enabled ? 'enabled' : 'disabled'}): ${t.receivers.length} receiver(s)`);
+console.log('\n28. Final database state:');
+const finalListeners = db.getAllListeners();
+console.log('    Total listeners:', finalListeners.length);
+finalListeners.forEach(t => {
+  console.log(`    - ${t.name} (${t.enabled ? 'enabled' : 'disabled'}): ${t.forwarders.length} forwarder(s)`);
 });
 
 // Close database
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the built-in engine's forwarding behavior
+ * Run with: node test-engine.js
+ *
+ * Checks what a forwarder does with messages while disconnected (the
+ * drop, buffer and latest policies) and that held messages go out in
+ * order on connect, how throttle rules hold back and coalesce busy
+ * addresses, re-bundling routed bundle messages, and which bundles are
+ * held until their timetag, decoding every TCP framing from a stream cut
+ * into arbitrary chunks, and that a listener started twice at once is
+ * bound once. Apart from that listener's UDP socket on loopback no sockets
+ * are opened: a stand-in forwarder records what it would send. Times are
+ * passed in, not read from the clock, wherever the code under test
+ * allows it.
+ */
+
+const assert = require('assert');
+const osc = require('./lib/osc');
+const Forwarder = require('./lib/engine/forwarder');
+const { DisconnectBuffer } = require('./lib/engine/disconnect-buffer');
+const { createThrottle } = require('./lib/throttle');
+const { BundleScheduler, dueIn } = require('./lib/engine/bundle-scheduler');
+const { FRAMINGS, encodeFrame, createDecoder } = require('./lib/engine/framing');
+const MultiProxy = require('./lib/engine/multi-proxy');
+
+const logger = { log() {} };
+
+// Records the addresses it is asked to send instead of sending them
+class FakeForwarder extends Forwarder {
+  constructor(config) {
+    super(config, logger);
+    this.sent = [];
+  }
+
+  send(data, latencyMs = 0, messages = 1) {
+    this.sent.push(osc.readAddresses(data).join('+'));
+    this.recordSent(latencyMs, messages);
+    return true;
+  }
+}
+
+// A forwarder row as ProxyDatabase#getForwarder returns it
+function forwarderConfig(fields = {}) {
+  return {
+    id: 1,
+    name: 'FOH',
+    protocol: 'tcp',
+    host: '127.0.0.1',
+    port: 9000,
+    disconnect_policy: 'drop',
+    buffer_size: 100,
+    buffer_ttl: 10,
+    rebundle: false,
+    routes: [],
+    rewrites: [],
+    throttles: [],
+    ...fields
+  };
+}
+
+const message = (address, ...args) => osc.encodeMessage(address, args);
+
+console.log('\n=== Testing Engine Forwarding ===\n');
+
+console.log('1. Holding messages for disconnected forwarders...');
+const dropping = new FakeForwarder(forwarderConfig());
+assert.strictEqual(dropping.deliver(message('/a')), 'dropped');
+assert.strictEqual(dropping.status().queued, 0);
+
+const buffering = new FakeForwarder(forwarderConfig({ disconnect_policy: 'buffer', buffer_size: 2, buffer_ttl: 5 }));
+assert.deepStrictEqual(['/a', '/b', '/c'].map(address => buffering.deliver(message(address))), [
+  'buffered', 'buffered', 'buffered'
+]);
+assert.strictEqual(buffering.status().queued, 2, 'Buffer not limited to its size');
+assert.strictEqual(buffering.droppedCount, 1);
+buffering.setConnected(true);
+assert.deepStrictEqual(buffering.sent, ['/b', '/c'], 'Buffer not flushed in order on connect');
+assert.strictEqual(buffering.status().queued, 0);
+assert.strictEqual(buffering.deliver(message('/d')), 'forwarded');
+
+// Messages older than the TTL are discarded, not sent
+const buffer = new DisconnectBuffer({ disconnect_policy: 'buffer', buffer_size: 10, buffer_ttl: 5 });
+buffer.push(message('/old'), 0);
+buffer.push(message('/new'), 4000);
+let drained = buffer.drain(7000);
+assert.deepStrictEqual(drained.packets.map(osc.readAddress), ['/new']);
+assert.strictEqual(drained.expired, 1);
+
+const latest = new DisconnectBuffer({ disconnect_policy: 'latest', buffer_size: 10, buffer_ttl: 5 });
+latest.push(message('/fader/1', { type: 'f', value: 0.1 }), 0);
+latest.push(message('/fader/2', { type: 'f', value: 0.2 }), 1000);
+assert.strictEqual(latest.push(message('/fader/1', { type: 'f', value: 0.9 }), 2000).discarded, 1);
+drained = latest.drain(6500);
+assert.strictEqual(drained.packets.length, 1, 'Latest value per address not kept');
+assert.strictEqual(drained.expired, 1);
+assert.ok(osc.decodeMessage(drained.packets[0]).args[0].value > 0.8);
+console.log('   ✓ Sent', buffering.sent.length - 1, 'buffered message(s) on connect; kept the latest value per address');
+
+console.log('\n2. Throttling busy addresses...');
+const listenerThrottles = [
+  { action: 'exempt', pattern: '/fader/master' },
+  { action: 'limit', pattern: '/fader/*', max_rate: 10 }
+];
+const delivered = [];
+const throttle = createThrottle(listenerThrottles, data => delivered.push(data.toString()));
+const admitted = [
+  throttle.admit('/fader/1', Buffer.from('a'), 0),
+  throttle.admit('/fader/1', Buffer.from('b'), 50),
+  throttle.admit('/fader/1', Buffer.from('c'), 60),
+  throttle.admit('/fader/2', Buffer.from('d'), 60),
+  throttle.admit('/fader/master', Buffer.from('m'), 60),
+  throttle.admit('/cue/go', Buffer.from('g'), 60),
+  throttle.admit(null, Buffer.from('bundle'), 60)
+];
+assert.deepStrictEqual(admitted, [true, false, false, true, true, true, true]);
+assert.strictEqual(throttle.coalescedCount, 1);
+assert.strictEqual(throttle.pendingCount, 1);
+throttle.flush();
+assert.deepStrictEqual(delivered, ['c'], 'Throttle did not send the latest held value');
+assert.strictEqual(throttle.pendingCount, 0);
+
+// Flushed addresses start over; an address is free again after the interval
+assert.strictEqual(throttle.admit('/fader/1', Buffer.from('e'), 1000), true);
+assert.strictEqual(throttle.admit('/fader/1', Buffer.from('f'), 1100), true);
+assert.strictEqual(throttle.admit('/fader/1', Buffer.from('g'), 1150), false);
+assert.strictEqual(throttle.clear(), 1, 'Held message not discarded');
+assert.strictEqual(createThrottle([], () => {}), null);
+
+// A forwarder's own rules come before its listener's (this one admits
+// /fader/* once a second, as the forwarder reads the clock itself)
+const throttled = new FakeForwarder(forwarderConfig({
+  throttles: [{ action: 'exempt', pattern: '/fader/9' }],
+  listener_throttles: [{ action: 'limit', pattern: '/fader/*', max_rate: 1 }]
+}));
+throttled.setConnected(true);
+const outcomes = ['/fader/9', '/fader/9', '/fader/1', '/fader/1', '/fader/1']
+  .map(address => throttled.forward(address, message(address)));
+assert.deepStrictEqual(outcomes, ['forwarded', 'forwarded', 'forwarded', 'throttled', 'throttled']);
+assert.strictEqual(throttled.status().coalesced, 1);
+throttled.markClosed();
+assert.strictEqual(throttled.droppedCount, 1, 'Held message not counted as dropped on close');
+console.log('   ✓ Coalesced', throttle.coalescedCount, 'message(s); sent the latest value', delivered[0]);
+
+console.log('\n3. Re-bundling routed messages...');
+const bundled = osc.encodeBundle(null, [message('/light/1'), message('/cue/go'), message('/light/2')]);
+const rebundler = new FakeForwarder(forwarderConfig({ rebundle: true, routes: [{ action: 'include', pattern: '/light/*' }] }));
+rebundler.setConnected(true);
+let lights = osc.unpackBundle(bundled);
+assert.deepStrictEqual(rebundler.forwardMessages(lights, lights[0].timetag), ['forwarded', 'filtered', 'forwarded']);
+assert.deepStrictEqual(rebundler.sent, ['/light/1+/light/2'], 'Routed messages not re-bundled');
+assert.strictEqual(rebundler.forwardedCount, 2);
+assert.strictEqual(rebundler.filteredCount, 1);
+
+// Without rebundle each message goes out on its own
+const unbundler = new FakeForwarder(forwarderConfig({ routes: [{ action: 'include', pattern: '/light/*' }] }));
+unbundler.setConnected(true);
+lights = osc.unpackBundle(bundled);
+unbundler.forwardMessages(lights, lights[0].timetag);
+assert.deepStrictEqual(unbundler.sent, ['/light/1', '/light/2']);
+console.log('   ✓ Re-bundled', rebundler.forwardedCount, 'routed message(s) into one bundle');
+
+console.log('\n4. Scheduling bundles by timetag...');
+const NOW = Date.UTC(2026, 9, 19, 20, 0, 0);
+const at = ms => osc.dateToTimetag(new Date(NOW + ms));
+assert.strictEqual(dueIn(at(1000), NOW), 1000);
+assert.strictEqual(dueIn(at(1000), NOW - 1000), 2000);
+assert.strictEqual(dueIn(at(-1000), NOW), 0, 'A past timetag is not due now');
+assert.strictEqual(dueIn(osc.IMMEDIATELY, NOW), 0);
+assert.strictEqual(dueIn(null, NOW), 0);
+
+const due = [];
+const scheduler = new BundleScheduler(messages => due.push(...messages));
+assert.strictEqual(scheduler.schedule(lights, at(1000), NOW), false, 'Scheduled while disabled');
+scheduler.configure({ schedule_bundles: true, max_lookahead: 30 });
+const held = [
+  scheduler.schedule(lights, at(1000), NOW),
+  scheduler.schedule(lights, at(30000), NOW),
+  scheduler.schedule(lights, at(30001), NOW),
+  scheduler.schedule(lights, at(-1000), NOW),
+  scheduler.schedule(lights, osc.IMMEDIATELY, NOW)
+];
+assert.deepStrictEqual(held, [true, true, false, false, false], 'Bundles not held within the lookahead');
+assert.strictEqual(scheduler.pendingCount, 6);
+assert.strictEqual(scheduler.clear(), 6, 'Scheduled bundles not cancelled');
+assert.strictEqual(scheduler.pendingCount, 0);
+assert.strictEqual(due.length, 0);
+console.log('   ✓ Held', held.filter(Boolean).length, 'bundle(s) within the lookahead; the rest due now');
+
+console.log('\n5. Decoding framed TCP streams...');
+// SLIP END and ESC bytes inside the packet; no newline, which that
+// framing cannot carry
+const packets = [
+  message('/cue/go', { type: 'i', value: 1 }),
+  message('/blob', { type: 'b', value: Buffer.from([0xc0, 0xdb, 0xdc, 0xdd]) }),
+  osc.encodeBundle(null, [message('/light/1'), message('/light/2')])
+];
+
+// Feed the chunks to a new decoder and collect every packet it returns
+const decodeChunks = (framing, chunks, maxSize) => {
+  const decoder = createDecoder(framing, maxSize);
+  return chunks.flatMap(chunk => decoder.decode(chunk));
+};
+const chunksOf = (buf, size) => {
+  const chunks = [];
+  for (let i = 0; i < buf.length; i += size) chunks.push(buf.subarray(i, i + size));
+  return chunks;
+};
+
+Object.keys(FRAMINGS).forEach(framing => {
+  const frames = packets.map(packet => encodeFrame(packet, framing));
+  const stream = Buffer.concat(frames);
+  assert.deepStrictEqual(decodeChunks(framing, [stream]), packets, `${framing}: whole stream`);
+
+  // Cut anywhere: inside a header, an escape sequence or a packet
+  for (let cut = 0; cut <= stream.length; cut++) {
+    assert.deepStrictEqual(
+      decodeChunks(framing, [stream.subarray(0, cut), stream.subarray(cut)]), packets, `${framing}: cut at ${cut}`
+    );
+  }
+  [1, 3, 7].forEach(size => {
+    assert.deepStrictEqual(decodeChunks(framing, chunksOf(stream, size)), packets, `${framing}: ${size}-byte chunks`);
+  });
+
+  // A partial frame gives nothing until the rest arrives
+  const decoder = createDecoder(framing);
+  assert.deepStrictEqual(decoder.decode(frames[0].subarray(0, frames[0].length - 1)), []);
+  assert.deepStrictEqual(decoder.decode(Buffer.concat([frames[0].subarray(-1), frames[1]])), packets.slice(0, 2));
+
+  // Oversized frames are dropped without losing the next one
+  const oversized = encodeFrame(message('/x', { type: 's', value: 'a'.repeat(64) }), framing);
+  assert.deepStrictEqual(
+    decodeChunks(framing, chunksOf(Buffer.concat([oversized, frames[0]]), 5), 32), [packets[0]], `${framing}: oversized`
+  );
+});
+console.log('   ✓', Object.keys(FRAMINGS).length, 'framings decoded whole, cut at every byte and in small chunks');
+
+async function main() {
+  console.log('\n6. Starting a listener twice at once...');
+  const listener = {
+    id: 1, name: 'QLab', protocol: 'udp', bind_address: '127.0.0.1', port: 0, max_message_size: 8192, forwarders: []
+  };
+  const engine = new MultiProxy({ getListener: id => (id === 1 ? listener : null) }, { autostart: false });
+  try {
+    const acks = await Promise.all(['a', 'b'].map(id => engine.handleCommand({ id, command: 'start-listener', listener_id: 1 })));
+    assert.deepStrictEqual(acks.map(ack => ack.error ?? null), [null, null]);
+    assert.strictEqual(engine.listenerProxies.length, 1, 'Listener bound twice');
+    assert.strictEqual(engine.starting.size, 0);
+
+    const unknown = await engine.handleCommand({ id: 'c', command: 'start-listener', listener_id: 2 });
+    assert.strictEqual(unknown.error, 'Listener 2 not found');
+    assert.strictEqual(engine.starting.size, 0, 'Failed start not forgotten');
+  } finally {
+    engine.stop();
+  }
+  console.log('   ✓ The second request waited for the first start');
+
+  console.log('\n✓ All engine tests passed!\n');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the local HTTP API
+ * Run with: node test-http-api.js
+ *
+ * Serves the API on a loopback port with stand-in IPC handlers and an
+ * in-memory database, and checks token auth, routing to the handlers with
+ * their arguments, the status codes for handler results and bad requests,
+ * that unknown IDs never reach a handler, and reading the settings.
+ */
+
+const assert = require('assert');
+const http = require('http');
+const ProxyDatabase = require('./lib/database');
+const {
+  HTTP_API_SETTINGS, ROUTES, getHttpApiConfig, validateHttpApiConfig, generateToken, matchRoute, HttpApiServer
+} = require('./lib/http-api');
+
+const TOKEN = generateToken();
+
+function request(port, method, path, { token = TOKEN, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function main() {
+  console.log('\n=== Testing HTTP API ===\n');
+
+  console.log('1. Matching routes...');
+  assert.strictEqual(matchRoute('POST', '/api/listeners/3/start').route.channel, 'start-listener');
+  assert.deepStrictEqual(matchRoute('POST', '/api/listeners/3/start/').params, { id: 3 });
+  assert.strictEqual(matchRoute('GET', '/api/listeners/abc').route, null);
+  assert.strictEqual(matchRoute('GET', '/api/listeners/3/start').pathKnown, true);
+  console.log('   ✓ Paths with IDs matched; other methods told apart from unknown paths');
+
+  console.log('\n2. Reading settings...');
+  const settings = new Map([[HTTP_API_SETTINGS.enabled.key, 'true'], [HTTP_API_SETTINGS.port.key, '9181']]);
+  const config = getHttpApiConfig({ getSetting: (key, fallback) => settings.get(key) ?? fallback });
+  assert.deepStrictEqual(config, { enabled: true, bindAddress: '127.0.0.1', port: 9181, token: '' });
+  assert.strictEqual(validateHttpApiConfig(config), null);
+  assert.match(validateHttpApiConfig({ bindAddress: 'localhost', port: 9181 }), /IP address/);
+  assert.match(validateHttpApiConfig({ bindAddress: '0.0.0.0', port: 70000 }), /Port/);
+  console.log('   ✓ Defaults filled in; bind address and port validated');
+
+  console.log('\n3. Calling IPC handlers...');
+  const db = new ProxyDatabase(':memory:');
+  const listener = db.createListener({ name: 'QLab', protocol: 'udp', bind_address: '127.0.0.1', port: 53000 });
+  ['FOH', 'Monitor'].forEach((name, i) => {
+    db.createForwarder(listener.id, { name, protocol: 'udp', host: '127.0.0.1', port: 9000 + i });
+  });
+
+  const calls = [];
+  const handlers = {
+    'get-proxy-state': () => ({ running: true }),
+    'start-listener': (event, id) => (id === 1 ? { success: true } : { success: false, error: `Listener ${id} not found` }),
+    'db-get-metrics-history': (event, id, limit) => ({ success: true, data: { id, limit } }),
+    'send-test-message': (event, message, target) => ({ success: true, data: { message, target } }),
+    'db-toggle-forwarder': (event, id) => ({ success: true, data: id === 1 ? { id, enabled: false } : null }),
+    'db-get-forwarder-metrics': (event, id, start, end, resolution) => ({ success: true, data: { start, end, resolution } })
+  };
+  const server = new HttpApiServer((channel, ...args) => {
+    calls.push(channel);
+    return handlers[channel](null, ...args);
+  }, db);
+  await server.start({ bindAddress: '127.0.0.1', port: 0, token: TOKEN });
+  const { port } = server.server.address();
+
+  try {
+    let res = await request(port, 'GET', '/api/state');
+    assert.deepStrictEqual(res, { status: 200, body: { success: true, data: { running: true } } });
+    res = await request(port, 'POST', '/api/listeners/1/start');
+    assert.deepStrictEqual(res, { status: 200, body: { success: true } });
+    res = await request(port, 'GET', '/api/listeners/1/metrics?limit=10');
+    assert.deepStrictEqual(res.body.data, { id: 1, limit: 10 });
+    const message = { address: '/cue/go', args: [] };
+    res = await request(port, 'POST', '/api/test-message', {
+      body: JSON.stringify({ message, target: { type: 'listener', id: 1 } })
+    });
+    assert.deepStrictEqual(res.body.data, { message, target: { type: 'listener', id: 1 } });
+    res = await request(port, 'POST', '/api/forwarders/1/toggle');
+    assert.deepStrictEqual(res, { status: 200, body: { success: true, data: { id: 1, enabled: false } } });
+    res = await request(port, 'GET', '/api/forwarders/2/metrics?start=2026-10-19T20:00:00Z&end=1760904000000');
+    assert.deepStrictEqual(res.body.data, { start: Date.parse('2026-10-19T20:00:00Z'), end: 1760904000000, resolution: 'raw' });
+    console.log('   ✓', calls.length, 'requests answered with the handler results');
+
+    console.log('\n4. Rejecting bad requests...');
+    assert.strictEqual((await request(port, 'GET', '/api/state', { token: null })).status, 401);
+    assert.strictEqual((await request(port, 'GET', '/api/state', { token: 'wrong' })).status, 401);
+    assert.strictEqual((await request(port, 'GET', '/api/nothing')).status, 404);
+    assert.strictEqual((await request(port, 'DELETE', '/api/state')).status, 405);
+    assert.strictEqual((await request(port, 'POST', '/api/test-message', { body: '{not json' })).status, 400);
+    assert.strictEqual((await request(port, 'POST', '/api/test-message', { body: 'x'.repeat(70000) })).status, 413);
+    res = await request(port, 'GET', '/api/forwarders/2/metrics?start=yesterday');
+    assert.deepStrictEqual(res, { status: 400, body: { success: false, error: 'Invalid start time: yesterday' } });
+    assert.strictEqual((await request(port, 'GET', '/api/metrics/history?end=2026-13-45')).status, 400);
+    assert.strictEqual(calls.length, 6, 'Rejected requests reached a handler');
+    console.log('   ✓ Missing/wrong token, unknown paths, wrong methods, bad times, bad and oversized bodies');
+
+    console.log('\n5. Unknown listener and forwarder IDs...');
+    const idRoutes = ROUTES.filter(route => route.path.includes(':id'));
+    for (const route of idRoutes) {
+      assert.ok(route.notFound, `${route.path} does not check its ID`);
+      res = await request(port, route.method, route.path.replace(':id', '99'));
+      assert.deepStrictEqual(res, { status: 404, body: { success: false, error: `${route.notFound} 99 not found` } });
+    }
+    res = await request(port, 'POST', '/api/listeners/2/start');
+    assert.deepStrictEqual(res, { status: 404, body: { success: false, error: 'Listener 2 not found' } });
+    assert.strictEqual(calls.length, 6, 'A handler was called for an unknown ID');
+    console.log('   ✓', idRoutes.length, 'routes answer 404 without calling their handler');
+  } finally {
+    await server.stop();
+    db.close();
+  }
+  assert.strictEqual(server.running, false);
+
+  console.log('\n✓ All HTTP API tests passed!\n');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for schema migrations
+ * Run with: node test-migrations.js
+ *
+ * Builds a database as each earlier release left it, opens it with
+ * ProxyDatabase and checks that it ends up on the current schema with
+ * its data intact.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const ProxyDatabase = require('./lib/database');
+const { MIGRATIONS, currentVersion, runMigrations } = require('./lib/migrations');
+
+const TEST_DIR = path.join(__dirname, 'test-migrations-tmp');
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Schemas as released, before schema_version existed. Never edit these:
+// they stand for databases already on users' disks.
+const LEGACY_SCHEMA = `
+  CREATE TABLE transmitters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    enabled BOOLEAN DEFAULT 1,
+    protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp')),
+    bind_address TEXT NOT NULL,
+    port INTEGER NOT NULL,
+    max_message_size INTEGER DEFAULT 8192,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE receivers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transmitter_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    enabled BOOLEAN DEFAULT 1,
+    protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp')),
+    host TEXT NOT NULL,
+    port INTEGER NOT NULL,
+    keepalive BOOLEAN DEFAULT 1,
+    keepalive_interval INTEGER DEFAULT 10,
+    nodelay BOOLEAN DEFAULT 1,
+    connect_timeout INTEGER DEFAULT 5,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (transmitter_id) REFERENCES transmitters(id) ON DELETE CASCADE
+  );
+  CREATE TABLE metrics_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transmitter_id INTEGER,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    rate REAL, avg_rate REAL, peak_rate REAL, latency REAL,
+    total INTEGER, forwarded INTEGER, dropped INTEGER, loss_pct REAL,
+    FOREIGN KEY (transmitter_id) REFERENCES transmitters(id) ON DELETE CASCADE
+  );
+  CREATE INDEX idx_metrics_timestamp ON metrics_history(timestamp);
+  CREATE INDEX idx_metrics_transmitter ON metrics_history(transmitter_id);
+
+  INSERT INTO transmitters (name, protocol, bind_address, port) VALUES ('LightKey', 'udp', '0.0.0.0', 8000);
+  INSERT INTO receivers (transmitter_id, name, protocol, host, port) VALUES (1, 'GrandMA3', 'tcp', '127.0.0.1', 9000);
+  INSERT INTO metrics_history (transmitter_id, rate, total) VALUES (1, 12.5, 100);
+`;
+
+const BASE_SCHEMA = `
+  CREATE TABLE listeners (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    enabled BOOLEAN DEFAULT 1,
+    protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp')),
+    bind_address TEXT NOT NULL,
+    port INTEGER NOT NULL,
+    max_message_size INTEGER DEFAULT 8192,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE forwarders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    listener_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    enabled BOOLEAN DEFAULT 1,
+    protocol TEXT NOT NULL CHECK(protocol IN ('udp', 'tcp')),
+    host TEXT NOT NULL,
+    port INTEGER NOT NULL,
+    keepalive BOOLEAN DEFAULT 1,
+    keepalive_interval INTEGER DEFAULT 10,
+    nodelay BOOLEAN DEFAULT 1,
+    connect_timeout INTEGER DEFAULT 5,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE CASCADE
+  );
+  CREATE TABLE metrics_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    listener_id INTEGER,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    rate REAL, avg_rate REAL, peak_rate REAL, latency REAL,
+    total INTEGER, forwarded INTEGER, dropped INTEGER, loss_pct REAL,
+    FOREIGN KEY (listener_id) REFERENCES listeners(id) ON DELETE CASCADE
+  );
+  CREATE INDEX idx_metrics_timestamp ON metrics_history(timestamp);
+  CREATE INDEX idx_metrics_listener ON metrics_history(listener_id);
+
+  INSERT INTO listeners (name, protocol, bind_address, port) VALUES ('LightKey', 'udp', '0.0.0.0', 8000);
+  INSERT INTO forwarders (listener_id, name, protocol, host, port) VALUES (1, 'GrandMA3', 'tcp', '127.0.0.1', 9000);
+  INSERT INTO metrics_history (listener_id, rate, total) VALUES (1, 12.5, 100);
+`;
+
+const SETTINGS_SCHEMA = `
+  CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+  INSERT INTO settings (key, value) VALUES ('engine', 'ruby');
+`;
+
+const ENGINE_EVENTS_SCHEMA = `
+  CREATE TABLE engine_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    event TEXT NOT NULL CHECK(event IN ('crashed', 'restarted', 'gave-up')),
+    engine TEXT, exit_code INTEGER, message TEXT, stderr TEXT
+  );
+  CREATE INDEX idx_engine_events_timestamp ON engine_events(timestamp);
+  INSERT INTO engine_events (timestamp, event, engine, message) VALUES ('2026-01-01T00:00:00.000Z', 'crashed', 'ruby', 'boom');
+`;
+
+const ROUTES_SCHEMA = `
+  CREATE TABLE forwarder_routes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    forwarder_id INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK(action IN ('include', 'exclude')),
+    pattern TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (forwarder_id) REFERENCES forwarders(id) ON DELETE CASCADE
+  );
+  INSERT INTO forwarder_routes (forwarder_id, action, pattern) VALUES (1, 'exclude', '/meter/*');
+`;
+
+const REWRITES_SCHEMA = `
+  CREATE TABLE forwarder_rewrites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    forwarder_id INTEGER NOT NULL,
+    pattern TEXT NOT NULL,
+    target TEXT NOT NULL,
+    args TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (forwarder_id) REFERENCES forwarders(id) ON DELETE CASCADE
+  );
+  INSERT INTO forwarder_rewrites (forwarder_id, pattern, target) VALUES (1, '/track/*/go', '/cue/$1/fire');
+`;
+
+// Every release before versioning, oldest first
+const UNVERSIONED_RELEASES = [
+  { name: 'transmitters/receivers', sql: [LEGACY_SCHEMA] },
+  { name: 'listeners/forwarders', sql: [BASE_SCHEMA] },
+  { name: '+ settings', sql: [BASE_SCHEMA, SETTINGS_SCHEMA] },
+  { name: '+ engine events', sql: [BASE_SCHEMA, SETTINGS_SCHEMA, ENGINE_EVENTS_SCHEMA] },
+  { name: '+ routing rules', sql: [BASE_SCHEMA, SETTINGS_SCHEMA, ENGINE_EVENTS_SCHEMA, ROUTES_SCHEMA] },
+  { name: '+ rewrite rules', sql: [BASE_SCHEMA, SETTINGS_SCHEMA, ENGINE_EVENTS_SCHEMA, ROUTES_SCHEMA, REWRITES_SCHEMA] }
+];
+
+let testCount = 0;
+
+function dbPath(name) {
+  testCount += 1;
+  return path.join(TEST_DIR, `${testCount}-${name.replace(/[^a-z0-9]+/gi, '-')}.db`);
+}
+
+function createRaw(file, statements) {
+  const raw = new Database(file);
+  statements.forEach(sql => raw.exec(sql));
+  raw.close();
+}
+
+function schemaSnapshot(file) {
+  const raw = new Database(file, { readonly: true });
+  const rows = raw.prepare(`
+    SELECT type, name FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%'
+    ORDER BY type, name
+  `).all();
+
+  const snapshot = rows.map(row => {
+    if (row.type !== 'table') return `${row.type}:${row.name}`;
+    const columns = raw.pragma(`table_info(${row.name})`).map(column => `${column.name} ${column.type}`);
+    return `${row.type}:${row.name}(${columns.join(', ')})`;
+  });
+  raw.close();
+  return snapshot;
+}
+
+// Check the data every release seeded survived, and the schema is usable
+function assertUpgraded(db) {
+  assert.strictEqual(currentVersion(db.db), LATEST);
+
+  // Listeners from before show profiles end up in the active "Default" profile
+  assert.strictEqual(db.getActiveProfile().name, 'Default');
+
+  const listeners = db.getAllListeners();
+  assert.strictEqual(listeners.length, 1);
+  assert.strictEqual(listeners[0].name, 'LightKey');
+  assert.strictEqual(listeners[0].forwarders[0].name, 'GrandMA3');
+  assert.strictEqual(db.getMetricsHistory(listeners[0].id, 10)[0].total, 100);
+
+  // Foreign keys must survive renames and rebuilds
+  db.deleteListener(listeners[0].id);
+  assert.strictEqual(db.db.prepare('SELECT COUNT(*) AS count FROM forwarders').get().count, 0);
+  assert.strictEqual(db.db.prepare('SELECT COUNT(*) AS count FROM metrics_history').get().count, 0);
+}
+
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+fs.mkdirSync(TEST_DIR);
+
+console.log('\n=== Testing Schema Migrations ===\n');
+
+// Fresh database
+console.log('1. Creating a fresh database...');
+const freshPath = dbPath('fresh');
+const fresh = new ProxyDatabase(freshPath);
+assert.strictEqual(currentVersion(fresh.db), LATEST);
+assert.ok(!fs.existsSync(`${freshPath}.v0.bak`), 'no backup for a new database');
+fresh.close();
+const currentSchema = schemaSnapshot(freshPath);
+console.log(`   ✓ Created at version ${LATEST}`);
+
+// Every release from before schema_version existed
+console.log('\n2. Upgrading unversioned databases...');
+UNVERSIONED_RELEASES.forEach(release => {
+  const file = dbPath(release.name);
+  createRaw(file, release.sql);
+
+  const db = new ProxyDatabase(file);
+  assertUpgraded(db);
+  db.close();
+
+  assert.deepStrictEqual(schemaSnapshot(file), currentSchema);
+  assert.ok(fs.existsSync(`${file}.v0.bak`), 'backup written');
+  console.log(`   ✓ ${release.name} → version ${LATEST}`);
+});
+
+// Every versioned release
+console.log('\n3. Upgrading versioned databases...');
+MIGRATIONS.slice(0, -1).forEach(({ version }) => {
+  const file = dbPath(`v${version}`);
+  const raw = new Database(file);
+  runMigrations(raw, MIGRATIONS, { to: version });
+  // From version 6 listeners belong to a profile (the migration creates profile 1)
+  raw.exec(version >= 6
+    ? `INSERT INTO listeners (profile_id, name, protocol, bind_address, port) VALUES (1, 'LightKey', 'udp', '0.0.0.0', 8000)`
+    : `INSERT INTO listeners (name, protocol, bind_address, port) VALUES ('LightKey', 'udp', '0.0.0.0', 8000)`);
+  raw.exec(`
+    INSERT INTO forwarders (listener_id, name, protocol, host, port) VALUES (1, 'GrandMA3', 'tcp', '127.0.0.1', 9000);
+    INSERT INTO metrics_history (listener_id, rate, total) VALUES (1, 12.5, 100);
+  `);
+  raw.close();
+
+  const db = new ProxyDatabase(file);
+  assertUpgraded(db);
+  db.close();
+
+  assert.deepStrictEqual(schemaSnapshot(file), currentSchema);
+  assert.ok(fs.existsSync(`${file}.v${version}.bak`), 'backup written');
+  console.log(`   ✓ version ${version} → version ${LATEST}`);
+});
+
+// Up to date: nothing to do
+console.log('\n4. Reopening an up-to-date database...');
+const current = new ProxyDatabase(freshPath);
+assert.deepStrictEqual(current.migrate(), { from: LATEST, to: LATEST });
+current.close();
+assert.ok(!fs.existsSync(`${freshPath}.v${LATEST}.bak`), 'no backup without pending migrations');
+console.log('   ✓ No migrations run, no backup written');
+
+// A failing migration leaves the file as it was
+console.log('\n5. Rolling back a failed migration...');
+const failingPath = dbPath('failing');
+createRaw(failingPath, [BASE_SCHEMA]);
+const before = fs.readFileSync(failingPath);
+const failing = [
+  ...MIGRATIONS,
+  {
+    version: LATEST + 1,
+    name: 'broken',
+    up(db) {
+      db.exec('CREATE TABLE half_done (id INTEGER)');
+      throw new Error('boom');
+    }
+  }
+];
+
+assert.throws(
+  () => new ProxyDatabase(failingPath, { migrations: failing }),
+  /Migration \d+ \(broken\) failed: boom\. .* was restored from .*\.v0\.bak/
+);
+assert.ok(fs.readFileSync(failingPath).equals(before), 'file restored byte for byte');
+
+const restored = new Database(failingPath, { readonly: true });
+assert.strictEqual(currentVersion(restored), 0);
+assert.strictEqual(restored.prepare('SELECT name FROM listeners').get().name, 'LightKey');
+restored.close();
+console.log('   ✓ Database restored from backup');
+
+// A migration that breaks foreign keys is rejected
+console.log('\n6. Rejecting foreign key violations...');
+const orphanPath = dbPath('orphans');
+const orphans = [
+  ...MIGRATIONS,
+  {
+    version: LATEST + 1,
+    name: 'orphans',
+    up(db) {
+      db.exec(`INSERT INTO forwarders (listener_id, name, protocol, host, port) VALUES (99, 'Orphan', 'udp', '127.0.0.1', 1)`);
+    }
+  }
+];
+const orphanDb = new Database(orphanPath);
+const foreignKeys = orphanDb.pragma('foreign_keys', { simple: true });
+assert.throws(() => runMigrations(orphanDb, orphans), /Migration \d+ \(orphans\) failed: 1 foreign key violation/);
+assert.strictEqual(currentVersion(orphanDb), LATEST, 'earlier migrations stay applied');
+assert.strictEqual(orphanDb.prepare('SELECT COUNT(*) AS count FROM forwarders').get().count, 0);
+assert.strictEqual(orphanDb.pragma('foreign_keys', { simple: true }), foreignKeys, 'pragma restored');
+orphanDb.close();
+console.log('   ✓ Migration rolled back');
+
+fs.rmSync(TEST_DIR, { recursive: true, force: true });
+console.log('\n✓ All migration tests passed!\n');
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the OSC codec and stream framing
+ * Run with: node test-osc.js
+ *
+ * Checks every type tag, bundles (nested too) and timetags against
+ * encoded bytes, the strict and lenient decoding modes, SLIP and
+ * length-prefix framing of packets split across reads, unpacking bundles
+ * into messages, and the framings selectable for TCP listeners and
+ * forwarders.
+ */
+
+const assert = require('assert');
+const osc = require('./lib/osc');
+const slip = require('./lib/engine/slip');
+const lengthPrefix = require('./lib/engine/length-prefix');
+const framing = require('./lib/engine/framing');
+
+const hex = text => Buffer.from(text.replace(/\s+/g, ''), 'hex');
+
+// Build a packet from byte strings and buffers, as given (no padding)
+function raw(...parts) {
+  return Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1'))));
+}
+
+console.log('\n=== Testing OSC Codec ===\n');
+
+// Examples from the OSC 1.0 specification
+console.log('1. Encoding the specification examples...');
+assert.deepStrictEqual(
+  osc.encodeMessage('/oscillator/4/frequency', [{ type: 'f', value: 440 }]),
+  hex('2f6f7363 696c6c61 746f722f 342f6672 65717565 6e637900 2c660000 43dc0000')
+);
+const fooBytes = hex(`
+  2f666f6f 00000000 2c696973 66660000 000003e8 ffffffff
+  68656c6c 6f000000 3f9df3b6 40b5b22d
+`);
+assert.deepStrictEqual(osc.encodeMessage('/foo', [
+  { type: 'i', value: 1000 },
+  { type: 'i', value: -1 },
+  { type: 's', value: 'hello' },
+  { type: 'f', value: 1.234 },
+  { type: 'f', value: 5.678 }
+]), fooBytes);
+const foo = osc.decodePacket(fooBytes, { strict: true });
+assert.strictEqual(foo.type, 'message');
+assert.strictEqual(foo.address, '/foo');
+assert.strictEqual(foo.typeTags, 'iisff');
+assert.deepStrictEqual(foo.args.slice(0, 3).map(arg => arg.value), [1000, -1, 'hello']);
+assert.ok(Math.abs(foo.args[3].value - 1.234) < 1e-6);
+console.log('   ✓ Byte-for-byte identical');
+
+console.log('\n2. Round-tripping every type tag...');
+const everyType = [
+  { type: 'i', value: -2147483648 },
+  { type: 'f', value: 0.5 },
+  { type: 's', value: 'héllo wörld' },
+  { type: 'S', value: 'symbol' },
+  { type: 'b', value: Buffer.from([1, 2, 3, 0xc0, 0xdb]) },
+  { type: 'h', value: -9007199254740993n },
+  { type: 't', value: { seconds: 3900000000, fraction: 0x80000000 } },
+  { type: 'd', value: Math.PI },
+  { type: 'c', value: 'x' },
+  { type: 'r', value: 0xff8000ff },
+  { type: 'm', value: Buffer.from([0, 0x90, 60, 127]) },
+  { type: 'T', value: true },
+  { type: 'F', value: false },
+  { type: 'N', value: null },
+  { type: 'I', value: Infinity },
+  { type: '[', value: [{ type: 'i', value: 1 }, { type: '[', value: [{ type: 's', value: 'deep' }] }, { type: 'T', value: true }] },
+  { type: 'i', value: 2147483647 }
+];
+const everyTypeBytes = osc.encodeMessage('/every/type', everyType);
+assert.strictEqual(everyTypeBytes.length % 4, 0);
+const decoded = osc.decodeMessage(everyTypeBytes, { strict: true });
+assert.strictEqual(decoded.typeTags, 'ifsSbhtdcrmTFNI[i[s]T]i');
+assert.deepStrictEqual(decoded.args, everyType);
+assert.deepStrictEqual(osc.encodeMessage(decoded.address, decoded.args), everyTypeBytes);
+assert.deepStrictEqual(osc.decodeMessage(osc.encodeMessage('/empty')), { address: '/empty', typeTags: '', args: [] });
+
+// Padding: a 3-character string takes 4 bytes, a 4-character string 8
+assert.strictEqual(osc.encodeMessage('/ab', [{ type: 's', value: 'abc' }]).length, 4 + 4 + 4);
+assert.strictEqual(osc.encodeMessage('/ab', [{ type: 's', value: 'abcd' }]).length, 4 + 4 + 8);
+assert.strictEqual(osc.encodeMessage('/b', [{ type: 'b', value: Buffer.alloc(5) }]).length, 4 + 4 + 4 + 8);
+console.log('   ✓', everyType.length, 'arguments, nested arrays and padding');
+
+console.log('\n3. Timetags...');
+const date = new Date('2026-03-01T20:00:00.250Z');
+const timetag = osc.dateToTimetag(date);
+assert.strictEqual(timetag.seconds, Date.parse('2026-03-01T20:00:00Z') / 1000 + 2208988800);
+assert.strictEqual(timetag.fraction, 0x40000000);
+assert.strictEqual(osc.timetagToDate(timetag).getTime(), date.getTime());
+assert.strictEqual(osc.timetagToDate(osc.IMMEDIATELY), null);
+assert.ok(osc.compareTimetags(timetag, osc.dateToTimetag(new Date(date.getTime() + 1))) < 0);
+assert.strictEqual(osc.compareTimetags(timetag, { ...timetag }), 0);
+assert.deepStrictEqual(osc.decodeMessage(osc.encodeMessage('/t', [{ type: 't', value: date }])).args[0].value, timetag);
+assert.deepStrictEqual(osc.decodeMessage(osc.encodeMessage('/t', [{ type: 't', value: null }])).args[0].value, osc.IMMEDIATELY);
+console.log('   ✓ Date conversion, "immediately" and ordering');
+
+console.log('\n4. Bundles...');
+const go = osc.encodeMessage('/cue/1/go');
+const inner = osc.encodeBundle(new Date(date.getTime() + 1000), [
+  { type: 'message', address: '/light/1', args: [{ type: 'f', value: 1 }] },
+  osc.encodeMessage('/light/2', [{ type: 'f', value: 0 }])
+]);
+const outer = osc.encodeBundle(date, [go, inner]);
+assert.deepStrictEqual(outer.subarray(0, 8), Buffer.from('#bundle\0', 'latin1'));
+assert.deepStrictEqual(osc.readAddresses(outer), ['/cue/1/go', '/light/1', '/light/2']);
+assert.strictEqual(osc.readAddress(outer), null);
+
+const bundle = osc.decodePacket(outer, { strict: true });
+assert.strictEqual(bundle.type, 'bundle');
+assert.deepStrictEqual(bundle.timetag, timetag);
+assert.strictEqual(bundle.elements.length, 2);
+assert.strictEqual(bundle.elements[0].address, '/cue/1/go');
+assert.strictEqual(bundle.elements[1].type, 'bundle');
+assert.strictEqual(bundle.elements[1].elements[1].address, '/light/2');
+assert.deepStrictEqual(osc.encodePacket(bundle), outer, 'decoded bundles encode back to the same bytes');
+
+const immediate = osc.decodePacket(osc.encodeBundle(null, []), { strict: true });
+assert.deepStrictEqual(immediate, { type: 'bundle', timetag: osc.IMMEDIATELY, elements: [] });
+console.log('   ✓ Nested bundles, timetags and re-encoding');
+
+console.log('\n5. Lenient and strict decoding...');
+// Each packet decodes in lenient mode and is rejected in strict mode
+const goSize = Buffer.alloc(4);
+goSize.writeInt32BE(go.length);
+const tolerated = [
+  ['missing type tags', raw('/old\0\0\0\0'), /Missing type tag string/],
+  ['non-zero padding', raw('/pad\0x\0\0', ',\0\0\0'), /Non-zero padding/],
+  ['trailing bytes', raw(go, '\0\0\0\0'), /unexpected byte/],
+  ['unpadded length', raw('/cue\0\0\0\0', ',\0\0\0', '\0\0'), /not a multiple of 4/],
+  ['unbalanced array', raw('/a\0\0', ',[i\0', hex('00000001')), /Unbalanced "\["/],
+  ['space in address', osc.encodeMessage('/cue 1/go'), /Invalid character/],
+  ['empty bundle element', raw(osc.encodeBundle(null, []), hex('00000000'), goSize, go), /Bundle element of 0 bytes/],
+  ['nested bundle timed earlier', osc.encodeBundle(new Date(date.getTime() + 1000), [osc.encodeBundle(date, [go])]), /timed before/]
+];
+tolerated.forEach(([name, packet, error]) => {
+  assert.doesNotThrow(() => osc.decodePacket(packet), `lenient: ${name}`);
+  assert.throws(() => osc.decodePacket(packet, { strict: true }), error, `strict: ${name}`);
+});
+assert.deepStrictEqual(osc.decodePacket(tolerated[0][1]).args, []);
+assert.strictEqual(osc.decodePacket(tolerated[6][1]).elements.length, 1);
+
+// Nothing can be decoded from these in either mode
+const broken = [
+  ['truncated argument', raw('/a\0\0', ',ii\0', hex('00000001')), /Expected 4 bytes/],
+  ['unknown type tag', raw('/a\0\0', ',x\0\0'), /Unknown type tag 'x'/],
+  ['blob overrun', raw('/a\0\0', ',b\0\0', hex('00000010'), 'abcd'), /overruns packet/],
+  ['unterminated string', raw('/abc'), /Unterminated string/],
+  ['address without slash', raw('cue\0', ',\0\0\0'), /Invalid OSC address/],
+  ['unbalanced "]"', raw('/a\0\0', ',]\0\0'), /Unbalanced "\]"/],
+  ['bundle element overrun', raw(osc.encodeBundle(null, []), hex('00000100'), go), /overruns packet/]
+];
+broken.forEach(([name, packet, error]) => {
+  assert.throws(() => osc.decodePacket(packet), error, `lenient: ${name}`);
+  assert.throws(() => osc.decodePacket(packet, { strict: true }), error, `strict: ${name}`);
+});
+console.log('   ✓', tolerated.length, 'tolerated and', broken.length, 'rejected malformations');
+
+console.log('\n6. Rejecting values that do not fit their type...');
+[
+  ['/a', [{ type: 'i', value: 1.5 }], /32-bit integer/],
+  ['/a', [{ type: 'i', value: 2147483648 }], /32-bit integer/],
+  ['/a', [{ type: 'f', value: '1' }], /must be a number/],
+  ['/a', [{ type: 's', value: 42 }], /Expected a string/],
+  ['/a', [{ type: 's', value: 'nul\0' }], /null characters/],
+  ['/a', [{ type: 'b', value: 'text' }], /must be a Buffer/],
+  ['/a', [{ type: 't', value: 'soon' }], /Timetag must be/],
+  ['/a', [{ type: 'm', value: [1, 2] }], /4 MIDI bytes/],
+  ['/a', [{ type: 'r', value: -1 }], /RGBA/],
+  ['/a', [{ type: 'q', value: 1 }], /Unknown type tag 'q'/],
+  ['no-slash', [], /Invalid OSC address/]
+].forEach(([address, args, error]) => {
+  assert.throws(() => osc.encodeMessage(address, args), error);
+});
+assert.throws(() => osc.encodePacket({ type: 'frame' }), /Unknown packet type/);
+console.log('   ✓ Encoder errors');
+
+console.log('\n7. SLIP framing...');
+const special = osc.encodeMessage('/s', [{ type: 'b', value: Buffer.from([0xc0, 0xdb, 0xc0]) }]);
+const framed = slip.encode(special);
+assert.strictEqual(framed[0], slip.END);
+assert.strictEqual(framed[framed.length - 1], slip.END);
+assert.ok(!framed.subarray(1, -1).includes(slip.END), 'END bytes in the packet are escaped');
+assert.strictEqual(framed.length, special.length + 2 + 3);
+
+// Double-END (OSC 1.1) and single-END frames, split at every byte
+const stream = Buffer.concat([framed, slip.encode(go).subarray(1)]);
+const slipDecoder = new slip.SlipDecoder();
+const slipPackets = [];
+for (const byte of stream) slipPackets.push(...slipDecoder.decode(Buffer.from([byte])));
+assert.deepStrictEqual(slipPackets, [special, go]);
+
+const smallSlip = new slip.SlipDecoder(8);
+assert.deepStrictEqual(smallSlip.decode(Buffer.concat([framed, slip.encode(Buffer.from('/ok\0'))])), [Buffer.from('/ok\0')]);
+console.log('   ✓ Escaping, single/double END, byte-at-a-time reads, oversized frames dropped');
+
+console.log('\n8. Length-prefix framing...');
+const prefixed = lengthPrefix.encode(go);
+assert.strictEqual(prefixed.readUInt32BE(0), go.length);
+assert.deepStrictEqual(prefixed.subarray(4), go);
+
+const lpStream = Buffer.concat([lengthPrefix.encode(special), lengthPrefix.encode(Buffer.alloc(0)), lengthPrefix.encode(go)]);
+const lpDecoder = new lengthPrefix.LengthPrefixDecoder();
+const lpPackets = [];
+for (const byte of lpStream) lpPackets.push(...lpDecoder.decode(Buffer.from([byte])));
+assert.deepStrictEqual(lpPackets, [special, go], 'byte-at-a-time');
+assert.deepStrictEqual(new lengthPrefix.LengthPrefixDecoder().decode(lpStream), [special, go], 'all at once');
+
+// An oversized frame is skipped, even when it arrives over several reads
+const smallLp = new lengthPrefix.LengthPrefixDecoder(8);
+const big = lengthPrefix.encode(Buffer.alloc(20, 1));
+assert.deepStrictEqual(smallLp.decode(big.subarray(0, 10)), []);
+assert.deepStrictEqual(smallLp.decode(Buffer.concat([big.subarray(10), lengthPrefix.encode(Buffer.from('/ok\0'))])), [Buffer.from('/ok\0')]);
+console.log('   ✓ Split reads, empty frames and oversized frames skipped');
+
+console.log('\n9. Unpacking bundles into messages...');
+const later = osc.dateToTimetag(new Date(date.getTime() + 1000));
+const earlier = osc.encodeBundle(new Date(date.getTime() - 1000), [osc.encodeMessage('/early')]);
+const unpacked = osc.unpackBundle(osc.encodeBundle(date, [go, inner, osc.encodeBundle(null, [osc.encodeMessage('/now')]), earlier]));
+assert.deepStrictEqual(unpacked.map(m => m.address), ['/cue/1/go', '/light/1', '/light/2', '/now', '/early']);
+assert.deepStrictEqual(unpacked[0].data, go);
+assert.deepStrictEqual(unpacked.map(m => osc.compareTimetags(m.timetag, later)), [-1, 0, 0, -1, -1]);
+assert.deepStrictEqual(unpacked[3].timetag, timetag, 'nested "immediately" is due with its parent');
+assert.deepStrictEqual(unpacked[4].timetag, timetag, 'nested bundles are never due before their parent');
+
+// Empty elements are skipped; the walk stops at an element that overruns
+const withEmpty = raw(osc.encodeBundle(null, [go]), hex('00000000'), hex('00000040'), go);
+assert.deepStrictEqual(osc.unpackBundle(withEmpty).map(m => m.address), ['/cue/1/go']);
+assert.deepStrictEqual(osc.unpackBundle(go), [{ address: '/cue/1/go', data: go, timetag: osc.IMMEDIATELY }]);
+console.log('   ✓', unpacked.length, 'messages with the timetags they are due at');
+
+console.log('\n10. Selectable TCP framing...');
+assert.deepStrictEqual(framing.encodeFrame(go), slip.encode(go));
+assert.deepStrictEqual(framing.encodeFrame(special, 'slip-single'), slip.encode(special).subarray(1));
+assert.deepStrictEqual(framing.encodeFrame(go, 'length-prefix'), lengthPrefix.encode(go));
+assert.deepStrictEqual(framing.encodeFrame(go, 'newline'), Buffer.concat([go, Buffer.from('\n')]));
+Object.keys(framing.FRAMINGS).forEach(name => {
+  assert.strictEqual(framing.validateFraming(name), null);
+  const decoder = framing.createDecoder(name);
+  const stream = Buffer.concat([framing.encodeFrame(go, name), framing.encodeFrame(special, name)]);
+  const decoded = [];
+  for (const byte of stream) decoded.push(...decoder.decode(Buffer.from([byte])));
+  assert.deepStrictEqual(decoded, [go, special], name);
+});
+assert.match(framing.validateFraming('cobs'), /^framing must be one of/);
+
+// A SLIP listener takes either variant; newline lines over the limit are dropped
+const eitherSlip = framing.createDecoder('slip-double');
+assert.deepStrictEqual(eitherSlip.decode(Buffer.concat([framing.encodeFrame(go, 'slip-single'), slip.encode(go)])), [go, go]);
+const smallLines = framing.createDecoder('newline', 8);
+assert.deepStrictEqual(smallLines.decode(Buffer.from('0123456789\n/ok\0\n\n')), [Buffer.from('/ok\0')]);
+console.log('   ✓', Object.keys(framing.FRAMINGS).length, 'framings round-trip byte at a time');
+
+console.log('\n✓ All OSC tests passed!\n');
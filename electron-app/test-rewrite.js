@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for forwarder address rewriting and argument maps
+ * Run with: node test-rewrite.js
+ *
+ * Checks target addresses built from captures, reordering, dropping,
+ * scaling and casting arguments, first-match rule order, messages inside
+ * bundles, what passes through unchanged, and the errors for invalid rules.
+ */
+
+const assert = require('assert');
+const osc = require('./lib/osc');
+const {
+  parseArgMap, compileRule, validateRule, applyRule, createRewriter, previewRewrite
+} = require('./lib/rewrite');
+
+const message = (address, ...args) => ({ address, args });
+const apply = (rule, msg) => applyRule(compileRule(rule), msg);
+
+console.log('\n=== Testing Rewrite Rules ===\n');
+
+console.log('1. Replacing addresses...');
+assert.deepStrictEqual(
+  apply({ pattern: '/cue/*/go', target: '/qlab/cue/$1/start' }, message('/cue/12/go')),
+  message('/qlab/cue/12/start')
+);
+assert.deepStrictEqual(
+  apply({ pattern: '/{mix,aux}/[0-9]/fader', target: '/$2/$1/$2' }, message('/aux/3/fader')),
+  message('/3/aux/3')
+);
+assert.strictEqual(apply({ pattern: '/cue/*/go', target: '/go' }, message('/light/1/go')), null);
+console.log('   ✓ Captures inserted into the target; non-matching messages left alone');
+
+console.log('\n2. Changing arguments...');
+const args = [{ type: 'f', value: 0.5 }, { type: 'i', value: 7 }, { type: 's', value: 'name' }];
+const rewritten = rule => apply({ pattern: '/x', target: '/y', args: rule }, message('/x', ...args)).args;
+
+assert.deepStrictEqual(rewritten(''), args);
+assert.deepStrictEqual(rewritten('$3, $1'), [args[2], args[0]]);
+assert.deepStrictEqual(rewritten('$1(0..1->0..255):i'), [{ type: 'i', value: 128 }]);
+assert.deepStrictEqual(rewritten('$1(0..1->100..0)'), [{ type: 'f', value: 50 }]);
+assert.deepStrictEqual(rewritten('$2(0..5->0..1)'), [{ type: 'i', value: 1 }], 'Scaled value not clamped');
+assert.deepStrictEqual(rewritten('$2:f, $2:s, $3:s'), [
+  { type: 'f', value: 7 }, { type: 's', value: '7' }, { type: 's', value: 'name' }
+]);
+assert.deepStrictEqual(
+  apply({ pattern: '/x', target: '/x', args: '$1:i' }, message('/x', { type: 'f', value: 3e10 })).args,
+  [{ type: 'i', value: 2147483647 }]
+);
+assert.throws(() => rewritten('$4'), /no argument \$4/);
+assert.throws(() => rewritten('$3:i'), /not numeric/);
+console.log('   ✓ Reordered, dropped, scaled (clamped) and cast');
+
+console.log('\n3. Rewriting packets...');
+const rewriter = createRewriter([
+  { pattern: '/fader/*', target: '/mixer/$1', args: '$1(0..1->0..100):i' },
+  { pattern: '/fader/1', target: '/never' },
+  { pattern: '/cue/*', target: '/go/$1' }
+]);
+const decoded = buf => osc.decodeMessage(buf);
+let out = decoded(rewriter(osc.encodeMessage('/fader/1', [{ type: 'f', value: 0.25 }])));
+assert.strictEqual(out.address, '/mixer/1', 'First matching rule not applied');
+assert.deepStrictEqual(out.args, [{ type: 'i', value: 25 }]);
+
+const bundle = osc.encodeBundle(null, [
+  osc.encodeMessage('/cue/3', []),
+  osc.encodeBundle(null, [osc.encodeMessage('/other', [])])
+]);
+out = osc.decodePacket(rewriter(bundle));
+assert.strictEqual(out.elements[0].address, '/go/3');
+assert.strictEqual(out.elements[1].elements[0].address, '/other');
+
+// Unmatched messages and messages missing a mapped argument pass through
+const other = osc.encodeMessage('/other', [{ type: 'i', value: 1 }]);
+assert.strictEqual(rewriter(other), other);
+const bare = osc.encodeMessage('/fader/2', []);
+assert.strictEqual(rewriter(bare), bare);
+assert.strictEqual(createRewriter([]), null);
+console.log('   ✓ First matching rule applied, in bundles too; the rest unchanged');
+
+console.log('\n4. Rejecting invalid rules...');
+const invalid = [
+  [{ pattern: 'cue', target: '/go' }, /must start with \//],
+  [{ pattern: '/cue/[', target: '/go' }, /Unclosed/],
+  [{ pattern: '/cue/*', target: 'go' }, /Target address must start with \//],
+  [{ pattern: '/cue/*', target: '/go/*' }, /pattern characters/],
+  [{ pattern: '/cue/*', target: '/go/$2' }, /\$2 does not refer to a wildcard/],
+  [{ pattern: '/cue/*', target: '/go/$0' }, /\$0 does not refer to a wildcard/],
+  [{ pattern: '/x', target: '/y', args: '1' }, /Invalid argument "1"/],
+  [{ pattern: '/x', target: '/y', args: '$0' }, /start at \$1/],
+  [{ pattern: '/x', target: '/y', args: '$1(1..1->0..10)' }, /Empty input range/],
+  [{ pattern: '/x', target: '/y', args: '$1:b' }, /Cannot cast to 'b'/]
+];
+invalid.forEach(([rule, error]) => assert.match(validateRule(rule), error, JSON.stringify(rule)));
+assert.strictEqual(validateRule({ pattern: '/cue/*', target: '/go/$1', args: '$1:s' }), null);
+assert.strictEqual(parseArgMap('  '), null);
+assert.throws(() => createRewriter([{ pattern: '/x', target: 'y' }]), /Target address/);
+console.log('   ✓', invalid.length, 'invalid rules rejected with a reason');
+
+console.log('\n5. Previewing a rule...');
+assert.deepStrictEqual(
+  previewRewrite({ pattern: '/track/*/go', target: '/cue/$1', args: '$1:i' }, '/track/3/go 0.5'),
+  { matched: true, input: '/track/3/go f:0.5', output: '/cue/3 i:1' }
+);
+assert.strictEqual(previewRewrite({ pattern: '/a', target: '/b' }, '/c "x"').matched, false);
+assert.throws(() => previewRewrite({ pattern: '/a', target: '/b' }, 'a'), /must start with an address/);
+console.log('   ✓ Sample messages rewritten as live traffic would be');
+
+console.log('\n✓ All rewrite tests passed!\n');
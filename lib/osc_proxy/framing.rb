@@ -0,0 +1,100 @@
+# frozen_string_literal: true
+
+module OSCProxy
+  # How OSC packets are delimited on a TCP stream (listeners.framing, forwarders.framing)
+  # Mirrors electron-app/lib/engine/framing.js; keep both in sync
+  #
+  #   slip-double    SLIP with an END byte before and after each packet (default, Lightkey)
+  #   slip-single    SLIP with an END byte after each packet (OSC 1.1)
+  #   length-prefix  32-bit big-endian size before each packet (OSC 1.0)
+  #   newline        A newline after each packet, for debugging only
+  module Framing
+    FRAMINGS = %w[slip-double slip-single length-prefix newline].freeze
+    DEFAULT = 'slip-double'
+
+    SLIP_END = "\xC0".b
+    SLIP_ESC = "\xDB".b
+    SLIP_ESC_END = "\xDC".b
+    SLIP_ESC_ESC = "\xDD".b
+    NEWLINE = "\n".b
+
+    def self.encode(data, framing = DEFAULT)
+      case framing
+      when 'slip-single'
+        slip_escape(data) + SLIP_END
+      when 'length-prefix'
+        [data.bytesize].pack('N') + data.b
+      when 'newline'
+        data.b + NEWLINE
+      else
+        SLIP_END + slip_escape(data) + SLIP_END
+      end
+    end
+
+    def self.slip_escape(data)
+      data.b.gsub(/[\xC0\xDB]/n) { |byte| byte == SLIP_END ? SLIP_ESC + SLIP_ESC_END : SLIP_ESC + SLIP_ESC_ESC }
+    end
+
+    def self.slip_unescape(data)
+      data.gsub(/\xDB[\xDC\xDD]/n) { |pair| pair.getbyte(1) == 0xDC ? SLIP_END : SLIP_ESC }
+    end
+
+    # Streaming decoder for one connection: append received bytes with <<,
+    # take complete packets with next_packet. Frames larger than max_size
+    # are discarded. Both SLIP variants decode the same way.
+    class Decoder
+      def initialize(framing = DEFAULT, max_size: 8192)
+        @framing = framing
+        @max_size = max_size
+        @buffer = String.new(encoding: Encoding::BINARY)
+        @skip = 0 # Bytes left of an oversized length-prefixed frame
+      end
+
+      def <<(data)
+        @buffer << data.b
+        self
+      end
+
+      def clear
+        @buffer.clear
+        @skip = 0
+      end
+
+      # Returns the next complete packet, or nil if there is none yet
+      def next_packet
+        loop do
+          packet = @framing == 'length-prefix' ? next_length_prefixed : next_delimited
+          return nil if packet.nil?
+          return packet unless packet.empty? || packet.bytesize > @max_size
+        end
+      end
+
+      private
+
+      def next_delimited
+        delimiter = @framing == 'newline' ? NEWLINE : SLIP_END
+        index = @buffer.index(delimiter)
+        return nil unless index
+
+        frame = @buffer.slice!(0, index + 1).byteslice(0, index)
+        @framing == 'newline' ? frame : Framing.slip_unescape(frame)
+      end
+
+      def next_length_prefixed
+        @skip -= @buffer.slice!(0, @skip).bytesize if @skip.positive?
+        return nil if @skip.positive? || @buffer.bytesize < 4
+
+        size = @buffer.unpack1('N')
+        if size > @max_size
+          # Skipped as it arrives rather than buffered whole
+          @buffer.slice!(0, 4)
+          @skip = size
+          return ''
+        end
+        return nil if @buffer.bytesize < 4 + size
+
+        @buffer.slice!(0, 4 + size).byteslice(4, size)
+      end
+    end
+  end
+end
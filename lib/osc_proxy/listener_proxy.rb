@@ -9,9 +9,12 @@ require_relative 'metrics_logger'
 module OSCProxy
   # ListenerProxy manages one listener (source) with multiple forwarders (destinations)
   # Broadcasts each incoming message to ALL forwarders
+  # While tracing, reports every message and its per-forwarder outcome to on_trace
   # rubocop:disable Metrics/ClassLength
   class ListenerProxy
-    attr_reader :id, :name, :config, :metrics
+    attr_reader :id, :name, :config, :metrics, :start_error
+    attr_accessor :tracing
+    attr_writer :on_trace
 
     def initialize(listener_config, logger:, json_mode: false)
       @id = listener_config[:id]
@@ -22,13 +25,18 @@ module OSCProxy
 
       @listener = nil
       @forwarders = []
-      @metrics = MetricsLogger.new(json_mode: json_mode)
+      # In JSON mode MultiProxy reports metrics for all listeners itself
+      @metrics = MetricsLogger.new(json_mode: json_mode, display: !json_mode)
       @running = false
       @thread = nil
       @reconnect_thread = nil
+      @tracing = false
+      @on_trace = nil
+      @start_error = nil
     end
 
     # Start the listener proxy in a background thread
+    # Returns false if it could not start; start_error says why
     def start
       @logger.log(:info, "Starting listener: #{@name}")
 
@@ -61,6 +69,7 @@ module OSCProxy
       @logger.log(:info, "Listener #{@name} started successfully")
       true
     rescue StandardError => e
+      @start_error = e.message
       @logger.log(:error, "Failed to start listener #{@name}: #{e.message}")
       @logger.log(:error, e.backtrace.join("\n"))
       stop
@@ -115,6 +124,8 @@ module OSCProxy
           port: @config[:port],
           bind: @config[:bind_address],
           max_size: @config[:max_message_size],
+          multicast_groups: Multicast.parse_groups(@config[:multicast_groups]),
+          multicast_interface: @config[:multicast_interface],
           logger: @logger
         )
       when 'tcp'
@@ -122,15 +133,21 @@ module OSCProxy
           port: @config[:port],
           bind: @config[:bind_address],
           max_size: @config[:max_message_size],
+          framing: @config[:framing] || Framing::DEFAULT,
           logger: @logger
         )
+      when 'ws'
+        raise 'WebSocket listeners are only supported by the built-in engine'
       else
         raise "Unknown listener protocol: #{@config[:protocol]}"
       end
     end
 
+    # WebSocket forwarders are only supported by the built-in engine
     def create_forwarders
-      @config[:forwarders].map do |forwarder_config|
+      websocket, supported = @config[:forwarders].partition { |f| f[:protocol] == 'ws' }
+      websocket.each { |f| @logger.log(:warn, "#{@name}: skipping WebSocket forwarder #{f[:name]}") }
+      supported.map do |forwarder_config|
         create_forwarder(forwarder_config)
       end
     end
@@ -157,18 +174,26 @@ module OSCProxy
         )
 
         TCPConnection.new(
+          id: forwarder_config[:id],
           host: forwarder_config[:host],
           port: forwarder_config[:port],
           name: forwarder_config[:name],
           logger: @logger,
-          config: tcp_config
+          config: tcp_config,
+          framing: forwarder_config[:framing] || Framing::DEFAULT
         )
       when 'udp'
         UDPSender.new(
+          id: forwarder_config[:id],
           host: forwarder_config[:host],
           port: forwarder_config[:port],
           name: forwarder_config[:name],
-          logger: @logger
+          logger: @logger,
+          multicast: {
+            broadcast: forwarder_config[:broadcast] || false,
+            ttl: forwarder_config[:multicast_ttl] || 1,
+            loopback: forwarder_config[:multicast_loopback] || false
+          }
         )
       else
         raise "Unknown forwarder protocol: #{forwarder_config[:protocol]}"
@@ -235,15 +260,17 @@ module OSCProxy
       start_time = Time.now
       successful = 0
       failed = 0
+      deliveries = @tracing ? [] : nil
 
       @forwarders.each do |forwarder|
-        send_start = Time.now
-        if forward_to_forwarder(forwarder, data, send_start)
+        outcome = delivery_outcome(forwarder, data, Time.now)
+        if outcome == :forwarded
           successful += 1
         else
           failed += 1
           forwarder.record_drop if forwarder.respond_to?(:record_drop)
         end
+        deliveries&.push({ forwarder_id: forwarder.id, name: forwarder.name, outcome: outcome })
       end
 
       # Calculate average latency
@@ -253,6 +280,25 @@ module OSCProxy
       @metrics.record_forwarded(latency_ms) if successful.positive?
 
       failed.times { @metrics.record_dropped }
+
+      emit_trace(data, deliveries) if deliveries
+    end
+
+    def delivery_outcome(forwarder, data, send_start)
+      return :dropped unless forwarder.connected?
+
+      forward_to_forwarder(forwarder, data, send_start) ? :forwarded : :failed
+    end
+
+    def emit_trace(data, deliveries)
+      @on_trace&.call(
+        listener_id: @id,
+        listener_name: @name,
+        timestamp: (Time.now.to_f * 1000).round,
+        source: @listener.last_source,
+        data: [data].pack('m0'),
+        deliveries: deliveries
+      )
     end
 
     def forward_to_forwarder(forwarder, data, send_start)
@@ -267,6 +313,7 @@ module OSCProxy
 
     def forwarder_status(forwarder)
       {
+        id: forwarder.id,
         name: forwarder.name,
         host: forwarder.host,
         port: forwarder.port,
@@ -275,7 +322,9 @@ module OSCProxy
         latency: forwarder.avg_latency_ms,
         forwarded: forwarder.forwarded_count,
         dropped: forwarder.dropped_count,
-        failed: forwarder.failed_count
+        failed: forwarder.failed_count,
+        attempts: forwarder.respond_to?(:attempt_count) ? forwarder.attempt_count : 0,
+        error: forwarder.respond_to?(:last_error) ? forwarder.last_error : nil
       }
     end
   end
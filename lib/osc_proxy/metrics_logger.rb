@@ -5,10 +5,13 @@ module OSCProxy
   class MetricsLogger
     attr_reader :metrics
 
-    def initialize(output: $stdout, interval: 1.0, json_mode: false)
+    # display: false keeps sampling rates but writes nothing, for callers
+    # that report metrics themselves (MultiProxy in JSON mode)
+    def initialize(output: $stdout, interval: 1.0, json_mode: false, display: true)
       @output = output
       @interval = interval
       @json_mode = json_mode
+      @display = display
       @metrics = {
         total_received: 0,
         total_forwarded: 0,
@@ -39,7 +42,7 @@ module OSCProxy
       @last_display = Time.now
 
       # In JSON mode, set stdout to sync mode and send immediate status
-      if @json_mode
+      if @json_mode && @display
         @output.sync = true
         send_immediate_status
       end
@@ -50,7 +53,7 @@ module OSCProxy
     def stop
       @running = false
       @display_thread&.join(2)
-      display_final_stats
+      display_final_stats if @display
     end
 
     def record_received
@@ -165,6 +168,7 @@ module OSCProxy
 
       stats = calculate_stats(elapsed)
       @last_display = now
+      return unless @display
 
       if @json_mode
         @output.puts format_stats_json(stats)
@@ -4,17 +4,29 @@ require 'sqlite3'
 require 'json'
 require_relative 'listener_proxy'
 require_relative 'logger'
+require_relative 'protocol'
 
 module OSCProxy
   # MultiProxy orchestrates multiple ListenerProxy instances
   # Loads configuration from SQLite database and manages lifecycle
+  # In JSON mode all output follows Protocol (see protocol.rb)
+  # In idle mode no listener starts until a start command arrives on stdin
+  # rubocop:disable Metrics/ClassLength
   class MultiProxy
-    def initialize(database_path, logger: nil, json_mode: false, listener_id: nil)
+    def initialize(database_path, logger: nil, json_mode: false, listener_id: nil, idle: false)
       @database_path = database_path
-      @logger = logger || Logger.new(level: :normal, show_content: false)
       @json_mode = json_mode
+      @output_mutex = Mutex.new
+      @logger = if json_mode
+                  Protocol::Logger.new { |message| write_message(message) }
+                else
+                  logger || Logger.new(level: :normal, show_content: false)
+                end
       @listener_id = listener_id # Optional: if set, only load this specific listener
+      @idle = idle
       @listener_proxies = []
+      @tracing = false
+      @forwarder_states = {}
       @running = false
       @metrics_thread = nil
     end
@@ -22,16 +34,18 @@ module OSCProxy
     def start
       @logger.log(:info, "MultiProxy starting with database: #{@database_path}")
 
-      # Load listeners from database
-      load_listeners
+      unless @idle
+        # Load listeners from database
+        load_listeners
 
-      if @listener_proxies.empty?
-        @logger.log(:error, 'No enabled listeners found in database')
-        return false
-      end
+        if @listener_proxies.empty?
+          @logger.log(:error, 'No enabled listeners found in database')
+          return false
+        end
 
-      # Start all listener proxies
-      @listener_proxies.each(&:start)
+        # Start all listener proxies
+        @listener_proxies.each(&:start)
+      end
 
       # Start metrics output loop
       @running = true
@@ -52,7 +66,7 @@ module OSCProxy
 
       true
     rescue StandardError => e
-      @logger.log(:error, "Failed to start MultiProxy: #{e.message}")
+      output_error("Failed to start MultiProxy: #{e.message}")
       @logger.log(:error, e.backtrace.join("\n"))
       shutdown
       false
@@ -69,34 +83,50 @@ module OSCProxy
 
     private
 
-    # rubocop:disable Metrics/AbcSize, Metrics/MethodLength, Metrics/BlockLength
     def load_listeners
+      configs = listener_configs(@listener_id)
+      @logger.log(:info, "Found #{configs.length} enabled listener(s)")
+
+      @listener_proxies = configs.map { |config| create_proxy(config) }
+    end
+
+    def create_proxy(config)
+      @logger.log(:info, "Listener '#{config[:name]}': #{config[:forwarders].length} forwarder(s)")
+
+      proxy = ListenerProxy.new(config, logger: @logger, json_mode: @json_mode)
+      proxy.tracing = @tracing
+      proxy.on_trace = method(:output_trace)
+      proxy
+    end
+
+    # Listener configs with their enabled forwarders: all enabled listeners
+    # of the active show profile, or just the given one (even if disabled)
+    # rubocop:disable Metrics/AbcSize, Metrics/MethodLength, Metrics/BlockLength
+    def listener_configs(listener_id = nil)
       db = SQLite3::Database.new(@database_path)
       db.results_as_hash = true
 
-      # Get all enabled listeners (or just the specified one)
-      listeners = if @listener_id
-                    db.execute(<<~SQL, @listener_id)
+      listeners = if listener_id
+                    db.execute(<<~SQL, listener_id)
                       SELECT * FROM listeners WHERE id = ? ORDER BY name
                     SQL
                   else
                     db.execute(<<~SQL)
-                      SELECT * FROM listeners WHERE enabled = 1 ORDER BY name
+                      SELECT listeners.* FROM listeners
+                      JOIN profiles ON profiles.id = listeners.profile_id
+                      WHERE listeners.enabled = 1 AND profiles.active = 1
+                      ORDER BY listeners.name
                     SQL
                   end
 
-      @logger.log(:info, "Found #{listeners.length} enabled listener(s)")
-
-      listeners.each do |listener_row|
+      configs = listeners.map do |listener_row|
         # Load forwarders for this listener
         forwarders = db.execute(<<~SQL, listener_row['id'])
           SELECT * FROM forwarders WHERE listener_id = ? AND enabled = 1 ORDER BY name
         SQL
 
-        @logger.log(:info, "Listener '#{listener_row['name']}': #{forwarders.length} forwarder(s)")
-
         # Convert to symbol keys for consistency
-        config = {
+        {
           id: listener_row['id'],
           name: listener_row['name'],
           enabled: listener_row['enabled'] == 1,
@@ -104,6 +134,9 @@ module OSCProxy
           bind_address: listener_row['bind_address'],
           port: listener_row['port'],
           max_message_size: listener_row['max_message_size'],
+          framing: listener_row['framing'],
+          multicast_groups: listener_row['multicast_groups'],
+          multicast_interface: listener_row['multicast_interface'],
           forwarders: forwarders.map do |f|
             {
               id: f['id'],
@@ -111,6 +144,10 @@ module OSCProxy
               protocol: f['protocol'],
               host: f['host'],
               port: f['port'],
+              framing: f['framing'],
+              broadcast: f['broadcast'] == 1,
+              multicast_ttl: f['multicast_ttl'],
+              multicast_loopback: f['multicast_loopback'] == 1,
               keepalive: f['keepalive'] == 1,
               keepalive_interval: f['keepalive_interval'],
               nodelay: f['nodelay'] == 1,
@@ -118,13 +155,10 @@ module OSCProxy
             }
           end
         }
-
-        # Create listener proxy
-        proxy = ListenerProxy.new(config, logger: @logger, json_mode: @json_mode)
-        @listener_proxies << proxy
       end
 
       db.close
+      configs
     rescue SQLite3::Exception => e
       @logger.log(:error, "Database error: #{e.message}")
       raise
@@ -143,7 +177,8 @@ module OSCProxy
 
     def wait_for_listeners
       # Wait for all listener threads to finish (or until stopped)
-      sleep 1 while @running && @listener_proxies.any?(&:running?)
+      # An idle proxy keeps running with no listeners until told to stop
+      sleep 1 while @running && (@idle || @listener_proxies.any?(&:running?))
     end
 
     def metrics_output_loop
@@ -156,14 +191,82 @@ module OSCProxy
     end
 
     def output_metrics
-      metrics = {
-        timestamp: Time.now.iso8601,
-        aggregate: aggregate_metrics,
-        listeners: @listener_proxies.map(&:current_metrics)
-      }
+      listeners = @listener_proxies.map(&:current_metrics)
+      write_message(
+        Protocol.message('metrics', timestamp: Time.now.iso8601, aggregate: aggregate_metrics, listeners: listeners)
+      )
+      output_forwarder_changes(listeners)
+    end
+
+    # Forwarders reconnect on their own threads; report state changes (and
+    # failed attempts, for the connection journal) as they show up in the
+    # metrics sample
+    def output_forwarder_changes(listeners)
+      listeners.each do |listener|
+        listener[:forwarders].each do |forwarder|
+          key = [listener[:id], forwarder[:id]]
+          previous = @forwarder_states[key]
+          @forwarder_states[key] = forwarder.slice(:name, :connected, :attempts)
+          output_connection_changes(listener[:id], forwarder, previous)
+          next if previous && previous[:connected] == forwarder[:connected]
+
+          write_message(
+            Protocol.message('forwarder-state', listener_id: listener[:id], forwarder_id: forwarder[:id],
+                                                name: forwarder[:name], connected: forwarder[:connected])
+          )
+        end
+      end
+    end
+
+    def output_connection_changes(listener_id, forwarder, previous)
+      was_connected = previous && previous[:connected]
+      event = if forwarder[:connected]
+                'connected' unless was_connected
+              elsif was_connected
+                'disconnected'
+              elsif forwarder[:attempts].to_i > (previous ? previous[:attempts].to_i : 0)
+                'connect-failed'
+              end
+      return unless event
+
+      attempt = event == 'connect-failed' ? forwarder[:attempts] : nil
+      reason = event == 'connected' ? nil : forwarder[:error]
+      output_connection_event(listener_id, forwarder[:id], forwarder[:name], event, reason: reason, attempt: attempt)
+    end
+
+    # Forwarders of a stopped listener were closed on purpose
+    def output_forwarders_closed(listener_id)
+      @forwarder_states.keys.select { |id, _| id == listener_id }.each do |key|
+        state = @forwarder_states.delete(key)
+        output_connection_event(listener_id, key.last, state[:name], 'closed')
+      end
+    end
+
+    def output_connection_event(listener_id, forwarder_id, name, event, reason: nil, attempt: nil)
+      write_message(
+        Protocol.message('connection-event', listener_id: listener_id, forwarder_id: forwarder_id, name: name,
+                                             event: event, reason: reason, attempt: attempt)
+      )
+    end
 
-      puts JSON.generate(metrics)
-      $stdout.flush
+    # One message per traced message, written while the inspector is open
+    def output_trace(trace)
+      write_message(Protocol.message('message-trace', **trace)) if @json_mode
+    end
+
+    def output_error(message, request_id = nil)
+      if @json_mode
+        write_message(Protocol.message('error', message: message, request_id: request_id))
+      else
+        @logger.log(:error, message)
+      end
+    end
+
+    def write_message(message)
+      @output_mutex.synchronize do
+        puts JSON.generate(message)
+        $stdout.flush
+      end
     end
 
     # rubocop:disable Metrics/AbcSize, Metrics/MethodLength
@@ -221,51 +324,93 @@ module OSCProxy
       @logger.log(:error, "Command listener error: #{e.message}")
     end
 
-    def handle_command(command)
-      parts = command.split(' ', 2)
-      action = parts[0]
-      listener_id = parts[1]&.to_i
+    def handle_command(line)
+      request = Protocol.parse_command(line)
+      unless request
+        output_error("Unknown command: #{line}")
+        return
+      end
+
+      error = execute_command(request)
+      write_message(Protocol.ack(request[:id], error)) if @json_mode
+    end
 
-      case action
-      when 'start'
-        start_listener(listener_id) if listener_id
-      when 'stop'
-        stop_listener(listener_id) if listener_id
+    # Returns nil on success, or the reason the command was rejected
+    def execute_command(request)
+      case request[:command]
+      when 'start-listener'
+        start_listener(request[:listener_id])
+      when 'stop-listener'
+        stop_listener(request[:listener_id])
+      when 'reload-listener'
+        reload_listener(request[:listener_id])
+      when 'set-tracing'
+        update_tracing(request[:enabled])
+        nil
       else
-        @logger.log(:warn, "Unknown command: #{command}")
+        "Unknown command: #{request[:command]}"
       end
     end
 
+    # Kept for listeners started later
+    def update_tracing(enabled)
+      @tracing = enabled
+      @listener_proxies.each { |proxy| proxy.tracing = enabled }
+    end
+
+    # Starts the listener with its current configuration from the database
     def start_listener(listener_id)
-      proxy = @listener_proxies.find { |p| p.current_metrics[:id] == listener_id }
-      if proxy
-        if proxy.running?
-          @logger.log(:warn, "Listener #{listener_id} is already running")
-        else
-          proxy.start
-          @logger.log(:info, "Started listener #{listener_id}")
-        end
-      else
-        @logger.log(:error, "Listener #{listener_id} not found")
+      if @listener_proxies.any? { |p| p.id == listener_id && p.running? }
+        @logger.log(:warn, "Listener #{listener_id} is already running")
+        return nil
       end
+
+      config = listener_configs(listener_id).first
+      return not_found(listener_id) unless config
+
+      proxy = create_proxy(config)
+      return "Listener #{listener_id} failed to start: #{proxy.start_error}" unless proxy.start
+
+      @listener_proxies = @listener_proxies.reject { |p| p.id == listener_id } << proxy
+      @logger.log(:info, "Started listener #{listener_id}")
+      nil
+    rescue StandardError => e
+      @logger.log(:error, "Failed to start listener #{listener_id}: #{e.message}")
+      "Listener #{listener_id} failed to start: #{e.message}"
     end
 
     def stop_listener(listener_id)
-      proxy = @listener_proxies.find { |p| p.current_metrics[:id] == listener_id }
-      if proxy
-        if proxy.running?
-          proxy.stop
-          @logger.log(:info, "Stopped listener #{listener_id}")
-        else
-          @logger.log(:warn, "Listener #{listener_id} is already stopped")
-        end
+      proxy = @listener_proxies.find { |p| p.id == listener_id }
+
+      if proxy&.running?
+        proxy.stop
+        @logger.log(:info, "Stopped listener #{listener_id}")
       else
-        @logger.log(:error, "Listener #{listener_id} not found")
+        @logger.log(:warn, "Listener #{listener_id} is already stopped")
       end
+      @listener_proxies -= [proxy]
+      output_forwarders_closed(listener_id)
+      nil
+    end
+
+    # Applies saved configuration changes to a running listener. Unlike the
+    # built-in engine, this restarts the whole listener.
+    def reload_listener(listener_id)
+      running = @listener_proxies.any? { |p| p.id == listener_id && p.running? }
+      return "Listener #{listener_id} is not running" unless running
+
+      stop_listener(listener_id)
+      start_listener(listener_id)
+    end
+
+    def not_found(listener_id)
+      @logger.log(:error, "Listener #{listener_id} not found")
+      "Listener #{listener_id} not found"
     end
 
     def shutdown
       stop
     end
   end
+  # rubocop:enable Metrics/ClassLength
 end
@@ -0,0 +1,42 @@
+# frozen_string_literal: true
+
+require 'ipaddr'
+require 'socket'
+
+module OSCProxy
+  # UDP multicast and broadcast socket options (listeners.multicast_groups,
+  # listeners.multicast_interface, forwarders.broadcast, forwarders.multicast_ttl,
+  # forwarders.multicast_loopback)
+  # Mirrors electron-app/lib/engine/multicast.js; only IPv4 groups are supported here
+  module Multicast
+    MULTICAST_RANGE = IPAddr.new('224.0.0.0/4')
+
+    def self.multicast?(address)
+      MULTICAST_RANGE.include?(IPAddr.new(address))
+    rescue IPAddr::Error
+      false
+    end
+
+    # Groups are stored as a comma-separated list
+    def self.parse_groups(groups)
+      groups.to_s.split(/[\s,]+/).reject(&:empty?)
+    end
+
+    # Join a group on the interface with the given local address (any when empty)
+    def self.join(socket, group, interface = nil)
+      raise "cannot join multicast group #{group}: only IPv4 groups are supported" unless multicast?(group)
+
+      membership = IPAddr.new(group).hton + IPAddr.new(interface.to_s.empty? ? '0.0.0.0' : interface).hton
+      socket.setsockopt(Socket::IPPROTO_IP, Socket::IP_ADD_MEMBERSHIP, membership)
+    end
+
+    # Options for a sending socket; set before it connects to a broadcast address
+    def self.configure_sender(socket, host, broadcast: false, ttl: 1, loopback: false)
+      socket.setsockopt(Socket::SOL_SOCKET, Socket::SO_BROADCAST, true) if broadcast
+      return unless multicast?(host)
+
+      socket.setsockopt(Socket::IPPROTO_IP, Socket::IP_MULTICAST_TTL, [ttl].pack('C'))
+      socket.setsockopt(Socket::IPPROTO_IP, Socket::IP_MULTICAST_LOOP, [loopback ? 1 : 0].pack('C'))
+    end
+  end
+end
@@ -0,0 +1,89 @@
+# frozen_string_literal: true
+
+require 'json'
+
+module OSCProxy
+  # Line-delimited JSON protocol spoken with the Electron app in --json mode
+  # Mirrors electron-app/lib/engine/protocol.js; keep both in sync
+  #
+  # Every stdout line is { v, type, ... } with type one of MESSAGE_TYPES.
+  # Commands arrive on stdin as { v, id, command, ...params } and are
+  # answered with an ack carrying the same id. Bare legacy commands
+  # (start <id>, stop <id>, trace on|off) are still accepted.
+  module Protocol
+    VERSION = 1
+
+    MESSAGE_TYPES = %w[metrics log forwarder-state connection-event message-trace error ack].freeze
+
+    LEGACY_COMMANDS = {
+      'start' => 'start-listener',
+      'stop' => 'stop-listener',
+      'trace' => 'set-tracing'
+    }.freeze
+
+    def self.message(type, **fields)
+      { v: VERSION, type: type }.merge(fields)
+    end
+
+    def self.ack(request_id, error = nil)
+      if error
+        message('ack', request_id: request_id, ok: false, error: error)
+      else
+        message('ack', request_id: request_id, ok: true)
+      end
+    end
+
+    # Parse one command line into { id:, command:, listener_id:, enabled: }
+    # Returns nil if the line is neither a JSON command nor a legacy one
+    def self.parse_command(line)
+      return parse_legacy_command(line) unless line.start_with?('{')
+
+      request = JSON.parse(line)
+      return nil unless request.is_a?(Hash) && request['command']
+
+      {
+        id: request['id'],
+        command: request['command'],
+        listener_id: request['listener_id']&.to_i,
+        enabled: request['enabled'] == true
+      }
+    rescue JSON::ParserError
+      nil
+    end
+
+    def self.parse_legacy_command(line)
+      action, argument = line.split(' ', 2)
+      command = LEGACY_COMMANDS[action]
+      return nil unless command
+
+      {
+        id: nil,
+        command: command,
+        listener_id: argument&.to_i,
+        enabled: argument == 'on'
+      }
+    end
+
+    # Logger replacement that reports through the protocol instead of
+    # writing plain text, so every stdout line stays machine-readable
+    class Logger
+      LEVELS = {
+        info: 'info',
+        success: 'success',
+        warn: 'warn',
+        error: 'error'
+      }.freeze
+
+      def initialize(&writer)
+        @writer = writer
+      end
+
+      # Verbose messages are dropped, as with Logger at :normal level
+      def log(level, message)
+        return if level == :verbose
+
+        @writer.call(Protocol.message('log', level: LEVELS.fetch(level, 'info'), message: message))
+      end
+    end
+  end
+end
@@ -1,22 +1,26 @@
 # frozen_string_literal: true
 
 require 'socket'
+require_relative 'framing'
 
 module OSCProxy
   class TCPConnection
-    attr_reader :connected, :attempt_count, :host, :port, :name
+    attr_reader :connected, :attempt_count, :last_error, :host, :port, :name, :id
     attr_reader :forwarded_count, :dropped_count, :failed_count
     attr_reader :total_latency, :latency_samples
 
-    def initialize(host:, port:, logger:, config:, name: nil)
+    def initialize(host:, port:, logger:, config:, name: nil, id: nil, framing: Framing::DEFAULT)
+      @id = id
       @host = host
       @port = port
       @name = name || "#{host}:#{port}"
       @logger = logger
       @config = config
+      @framing = framing
       @socket = nil
       @connected = false
       @attempt_count = 0
+      @last_error = nil
       @current_delay = config.reconnect_initial_delay
 
       # Per-forwarder metrics
@@ -54,7 +58,8 @@ module OSCProxy
       @current_delay = @config.reconnect_initial_delay
 
       true
-    rescue StandardError
+    rescue StandardError => e
+      @last_error = e.message
       @socket&.close
       @socket = nil
       @connected = false
@@ -81,12 +86,8 @@ module OSCProxy
     def send_data(data, latency_ms: 0)
       raise 'Not connected' unless @connected
 
-      # Add SLIP framing (required for OSC over TCP by Lightkey)
-      # SLIP uses 0xC0 (END) byte as delimiter before and after each packet
-      slip_end = "\xC0".b
-      framed_data = slip_end + data + slip_end
-
-      @socket.write(framed_data)
+      # Double-END SLIP unless configured otherwise (required for OSC over TCP by Lightkey)
+      @socket.write(Framing.encode(data, @framing))
       @socket.flush # Ensure data is sent immediately
 
       # Track successful send
@@ -97,7 +98,8 @@ module OSCProxy
       end
 
       true
-    rescue Errno::EPIPE, Errno::ECONNRESET, IOError
+    rescue Errno::EPIPE, Errno::ECONNRESET, IOError => e
+      @last_error = e.message
       @connected = false
       @failed_count += 1
       false
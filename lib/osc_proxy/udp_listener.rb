@@ -1,13 +1,19 @@
 # frozen_string_literal: true
 
 require 'socket'
+require_relative 'multicast'
 
 module OSCProxy
   class UDPListener
-    def initialize(port:, bind:, max_size:, logger:)
+    # Sender of the most recently received datagram ({ address:, port: })
+    attr_reader :last_source
+
+    def initialize(port:, bind:, max_size:, logger:, multicast_groups: [], multicast_interface: nil)
       @port = port
       @bind = bind
       @max_size = max_size
+      @multicast_groups = multicast_groups
+      @multicast_interface = multicast_interface
       @logger = logger
       @socket = nil
     end
@@ -16,6 +22,7 @@ module OSCProxy
       @socket = UDPSocket.new
       @socket.setsockopt(Socket::SOL_SOCKET, Socket::SO_REUSEADDR, true)
       @socket.bind(@bind, @port)
+      join_groups
     rescue StandardError => e
       raise "Failed to start UDP listener: #{e.message}"
     end
@@ -23,10 +30,18 @@ module OSCProxy
     def receive(timeout: 1.0)
       return nil unless @socket.wait_readable(timeout)
 
-      data, = @socket.recvfrom(@max_size)
+      data, addr = @socket.recvfrom(@max_size)
+      @last_source = { address: addr[3], port: addr[1] }
       data
     end
 
+    def join_groups
+      @multicast_groups.each do |group|
+        Multicast.join(@socket, group, @multicast_interface)
+        @logger.log(:info, "UDP listener joined multicast group #{group}")
+      end
+    end
+
     def stop
       return unless @socket
 
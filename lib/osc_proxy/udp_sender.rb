@@ -1,18 +1,21 @@
 # frozen_string_literal: true
 
 require 'socket'
+require_relative 'multicast'
 
 module OSCProxy
   # UDPSender sends OSC messages via UDP to a destination
   # Mirrors the TCPConnection API for consistency
   class UDPSender
-    attr_reader :host, :port, :name
+    attr_reader :host, :port, :name, :id
     attr_reader :forwarded_count, :dropped_count, :failed_count
     attr_reader :total_latency, :latency_samples
 
-    def initialize(host:, port:, logger:, name: nil)
+    def initialize(host:, port:, logger:, name: nil, id: nil, multicast: {})
+      @id = id
       @host = host
       @port = port
+      @multicast = multicast # { broadcast:, ttl:, loopback: }
       @name = name || "#{host}:#{port}"
       @logger = logger
       @socket = nil
@@ -30,6 +33,7 @@ module OSCProxy
     # This associates the socket with the destination address
     def connect
       @socket = UDPSocket.new
+      Multicast.configure_sender(@socket, @host, **@multicast)
       # "Connect" the UDP socket (sets default destination, doesn't actually connect)
       @socket.connect(@host, @port)
       @connected = true
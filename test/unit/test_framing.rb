@@ -0,0 +1,53 @@
+# frozen_string_literal: true
+
+require_relative '../test_helper'
+require 'osc_proxy/framing'
+
+module OSCProxy
+  class TestFraming < Minitest::Test
+    PACKET = "/a\0\0,i\0\0\0\0\0\xC0".b
+
+    def test_slip_double_end_escapes_and_wraps
+      assert_equal "\xC0/a\0\0,i\0\0\0\0\0\xDB\xDC\xC0".b, Framing.encode(PACKET)
+    end
+
+    def test_slip_single_end_only_terminates
+      assert_equal "/a\0\0,i\0\0\0\0\0\xDB\xDC\xC0".b, Framing.encode(PACKET, 'slip-single')
+    end
+
+    def test_length_prefix
+      assert_equal "\0\0\0\x0C".b + PACKET, Framing.encode(PACKET, 'length-prefix')
+    end
+
+    def test_decodes_what_it_encodes
+      Framing::FRAMINGS.each do |framing|
+        decoder = Framing::Decoder.new(framing)
+        stream = Framing.encode(PACKET, framing) + Framing.encode('/b'.b, framing)
+        # Byte at a time, as from a slow connection
+        packets = stream.each_char.filter_map { |byte| (decoder << byte).next_packet }
+
+        assert_equal [PACKET, '/b'.b], packets, framing
+      end
+    end
+
+    def test_slip_decoder_accepts_single_and_double_end
+      decoder = Framing::Decoder.new('slip-double')
+      decoder << (Framing.encode('/a'.b, 'slip-single') + Framing.encode('/b'.b))
+
+      assert_equal ['/a'.b, '/b'.b], [decoder.next_packet, decoder.next_packet]
+      assert_nil decoder.next_packet
+    end
+
+    def test_oversized_length_prefixed_frame_is_skipped
+      decoder = Framing::Decoder.new('length-prefix', max_size: 8)
+      big = Framing.encode(("\x01" * 20).b, 'length-prefix')
+      decoder << big.byteslice(0, 10)
+
+      assert_nil decoder.next_packet
+
+      decoder << (big.byteslice(10..) + Framing.encode('/ok'.b, 'length-prefix'))
+
+      assert_equal '/ok'.b, decoder.next_packet
+    end
+  end
+end
@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+require_relative '../test_helper'
+require 'osc_proxy/multicast'
+
+module OSCProxy
+  class TestMulticast < Minitest::Test
+    def test_multicast_addresses
+      assert Multicast.multicast?('239.1.2.3')
+      assert Multicast.multicast?('224.0.0.1')
+      refute Multicast.multicast?('192.168.1.255')
+      refute Multicast.multicast?('console.local')
+    end
+
+    def test_parse_groups
+      assert_equal %w[239.0.0.1 239.0.0.2], Multicast.parse_groups('239.0.0.1, 239.0.0.2')
+      assert_empty Multicast.parse_groups('')
+      assert_empty Multicast.parse_groups(nil)
+    end
+
+    def test_rejects_unicast_groups
+      socket = UDPSocket.new
+      error = assert_raises(RuntimeError) { Multicast.join(socket, '10.0.0.1') }
+      assert_match(/only IPv4 groups/, error.message)
+    ensure
+      socket&.close
+    end
+
+    def test_configures_sender_options
+      socket = UDPSocket.new
+      Multicast.configure_sender(socket, '239.1.2.3', broadcast: true, ttl: 4, loopback: false)
+
+      assert socket.getsockopt(Socket::SOL_SOCKET, Socket::SO_BROADCAST).bool
+      assert_equal 4, socket.getsockopt(Socket::IPPROTO_IP, Socket::IP_MULTICAST_TTL).data.unpack1('C')
+      assert_equal 0, socket.getsockopt(Socket::IPPROTO_IP, Socket::IP_MULTICAST_LOOP).data.unpack1('C')
+    ensure
+      socket&.close
+    end
+  end
+end
@@ -0,0 +1,73 @@
+# frozen_string_literal: true
+
+require_relative '../test_helper'
+require 'osc_proxy/protocol'
+
+module OSCProxy
+  class TestProtocol < Minitest::Test
+    def test_message_includes_version_and_type
+      message = Protocol.message('log', level: 'info', message: 'hello')
+
+      assert_equal Protocol::VERSION, message[:v]
+      assert_equal 'log', message[:type]
+      assert_equal 'hello', message[:message]
+    end
+
+    def test_ack_success
+      ack = Protocol.ack('7')
+
+      assert_equal 'ack', ack[:type]
+      assert_equal '7', ack[:request_id]
+      assert ack[:ok]
+      refute ack.key?(:error)
+    end
+
+    def test_ack_rejection
+      ack = Protocol.ack('7', 'Listener 3 not found')
+
+      refute ack[:ok]
+      assert_equal 'Listener 3 not found', ack[:error]
+    end
+
+    def test_parse_json_command
+      request = Protocol.parse_command('{"v":1,"id":"4","command":"start-listener","listener_id":3}')
+
+      assert_equal '4', request[:id]
+      assert_equal 'start-listener', request[:command]
+      assert_equal 3, request[:listener_id]
+    end
+
+    def test_parse_json_tracing_command
+      request = Protocol.parse_command('{"v":1,"id":"5","command":"set-tracing","enabled":true}')
+
+      assert_equal 'set-tracing', request[:command]
+      assert request[:enabled]
+    end
+
+    def test_parse_legacy_commands
+      assert_equal 'stop-listener', Protocol.parse_command('stop 2')[:command]
+      assert_equal 2, Protocol.parse_command('stop 2')[:listener_id]
+      assert Protocol.parse_command('trace on')[:enabled]
+      refute Protocol.parse_command('trace off')[:enabled]
+      assert_nil Protocol.parse_command('start 1')[:id]
+    end
+
+    def test_parse_rejects_unknown_input
+      assert_nil Protocol.parse_command('restart 1')
+      assert_nil Protocol.parse_command('{not json')
+      assert_nil Protocol.parse_command('{"id":"1"}')
+    end
+
+    def test_logger_writes_log_messages
+      messages = []
+      logger = Protocol::Logger.new { |message| messages << message }
+
+      logger.log(:error, 'boom')
+      logger.log(:verbose, 'noise')
+
+      assert_equal 1, messages.length
+      assert_equal 'error', messages.first[:level]
+      assert_equal 'boom', messages.first[:message]
+    end
+  end
+end